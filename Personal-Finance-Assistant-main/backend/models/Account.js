@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { CURRENCIES } = require('../utils/currencies');
+
+const accountSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Account name is required'],
+    trim: true,
+    maxlength: [50, 'Account name cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    enum: ['checking', 'savings', 'credit_card', 'cash', 'investment', 'loan', 'wallet', 'other'],
+    default: 'checking'
+  },
+  institution: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Institution cannot exceed 100 characters']
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    enum: CURRENCIES
+  },
+  // Balance before the first transaction recorded in the app; negative for
+  // money owed on cards and loans
+  openingBalance: {
+    type: Number,
+    default: 0
+  },
+  // Archived accounts keep their transactions but are hidden from pickers
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Pre-save middleware to update the updatedAt field
+accountSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Account names are unique per user
+accountSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Account', accountSchema);
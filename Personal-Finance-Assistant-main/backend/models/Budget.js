@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const budgetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Budget name cannot exceed 50 characters']
+  },
+  // Expense category the limit applies to; null means all expenses
+  category: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Budget amount is required'],
+    min: [0.01, 'Budget amount must be greater than 0']
+  },
+  period: {
+    type: String,
+    enum: ['weekly', 'monthly', 'quarterly', 'yearly'],
+    default: 'monthly'
+  },
+  rollover: {
+    type: Boolean,
+    default: false
+  },
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Pre-save middleware to update the updatedAt field
+budgetSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// One budget per category and period for each user
+budgetSchema.index({ user: 1, category: 1, period: 1 }, { unique: true });
+
+// Virtual for the display name
+budgetSchema.virtual('displayName').get(function() {
+  return this.name || this.category || 'All Expenses';
+});
+
+budgetSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Budget', budgetSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const categorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [50, 'Category name cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Category type is required'],
+    enum: ['income', 'expense'],
+    lowercase: true
+  },
+  color: {
+    type: String,
+    default: '#007bff',
+    match: [/^#[0-9A-F]{6}$/i, 'Color must be a valid hex color']
+  },
+  icon: {
+    type: String,
+    default: 'bi-tag'
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Pre-save middleware to update the updatedAt field
+categorySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Category names are unique per user and type, ignoring case
+categorySchema.index(
+  { user: 1, type: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+categorySchema.index({ user: 1, parent: 1 });
+
+// Static method to find a user's category by name, ignoring case
+categorySchema.statics.findByName = function(userId, type, name) {
+  return this.findOne({ user: userId, type, name })
+    .collation({ locale: 'en', strength: 2 });
+};
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { CURRENCIES } = require('../utils/currencies');
+
+// One unit of `base` is worth `rate` units of `currency` on `date`
+const exchangeRateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  base: {
+    type: String,
+    required: [true, 'Base currency is required'],
+    uppercase: true,
+    enum: CURRENCIES
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    enum: CURRENCIES
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be greater than 0']
+  },
+  // Where the rate came from: entered by hand or read from a rates file
+  source: {
+    type: String,
+    enum: ['manual', 'csv', 'ecb'],
+    default: 'manual'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Pre-save middleware to update the updatedAt field
+exchangeRateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// One rate per currency pair and day
+exchangeRateSchema.index({ user: 1, base: 1, currency: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const importProfileSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Profile name is required'],
+    trim: true,
+    maxlength: [100, 'Profile name cannot exceed 100 characters']
+  },
+  // Normalized header row of the files this profile applies to
+  headerSignature: {
+    type: String,
+    required: true
+  },
+  // Header names (lowercase) holding each field
+  columns: {
+    date: String,
+    description: String,
+    amount: String,
+    debit: String,
+    credit: String,
+    category: String
+  },
+  // e.g. 'DD/MM/YYYY' or 'auto'
+  dateFormat: {
+    type: String,
+    default: 'auto',
+    trim: true
+  },
+  decimalSeparator: {
+    type: String,
+    enum: ['.', ','],
+    default: '.'
+  },
+  thousandsSeparator: {
+    type: String,
+    enum: [',', '.', ' ', '\'', ''],
+    default: ','
+  },
+  delimiter: {
+    type: String,
+    enum: ['auto', ',', ';', '\t', '|'],
+    default: 'auto'
+  },
+  // How a single amount column encodes expenses
+  signConvention: {
+    type: String,
+    enum: ['negative_expense', 'positive_expense'],
+    default: 'negative_expense'
+  },
+  // Number of lines before the header row
+  headerRowOffset: {
+    type: Number,
+    default: 0,
+    min: [0, 'Header row offset cannot be negative'],
+    max: [50, 'Header row offset cannot exceed 50']
+  },
+  encoding: {
+    type: String,
+    enum: ['utf8', 'latin1', 'windows-1252', 'utf16le'],
+    default: 'utf8'
+  },
+  // Worksheet to read from Excel workbooks; empty means the first sheet
+  sheetName: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [100, 'Sheet name cannot exceed 100 characters']
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Pre-save middleware to update the updatedAt field
+importProfileSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+importProfileSchema.index({ user: 1, headerSignature: 1 });
+
+module.exports = mongoose.model('ImportProfile', importProfileSchema);
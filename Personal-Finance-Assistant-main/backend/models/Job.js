@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// Background work queued by the API and run by a job worker (see
+// utils/jobQueue)
+const jobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Job type is required'],
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // What the job's handler needs, e.g. the uploaded file and form fields
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Percent done and what the worker is doing, reported by the handler
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  stage: {
+    type: String,
+    trim: true
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // Worker holding the job; a lock older than the queue's timeout is taken
+  // to belong to a worker that stopped
+  lockedBy: {
+    type: String
+  },
+  lockedAt: {
+    type: Date
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  },
+  // Finished jobs are removed by MongoDB after this date
+  expiresAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Pre-save middleware to update the updatedAt field
+jobSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+jobSchema.index({ status: 1, createdAt: 1 });
+jobSchema.index({ user: 1, createdAt: -1 });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Job', jobSchema);
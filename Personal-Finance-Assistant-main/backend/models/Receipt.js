@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A receipt file kept in receipt storage (see utils/receiptStorage)
+const receiptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Transaction the receipt belongs to; null until one is created from it
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  storageKey: {
+    type: String,
+    required: [true, 'Storage key is required']
+  },
+  // Small JPEG preview; not set for files that are not images
+  thumbnailKey: {
+    type: String
+  },
+  originalName: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: [true, 'File type is required']
+  },
+  size: {
+    type: Number,
+    min: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Pre-save middleware to update the updatedAt field
+receiptSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+receiptSchema.index({ user: 1, transaction: 1 });
+receiptSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Receipt', receiptSchema);
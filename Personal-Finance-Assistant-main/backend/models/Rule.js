@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const conditionSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true,
+    enum: ['description', 'merchant', 'paymentMethod', 'notes']
+  },
+  operator: {
+    type: String,
+    required: true,
+    enum: ['contains', 'regex', 'exact'],
+    default: 'contains'
+  },
+  value: {
+    type: String,
+    required: [true, 'Condition value is required'],
+    maxlength: [200, 'Condition value cannot exceed 200 characters']
+  },
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const ruleSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  // Rules run in ascending priority order; the first match wins
+  priority: {
+    type: Number,
+    default: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Limit the rule to income or expense transactions; null matches both
+  transactionType: {
+    type: String,
+    enum: ['income', 'expense', null],
+    default: null
+  },
+  conditions: {
+    type: [conditionSchema],
+    default: []
+  },
+  // true: every condition must match, false: any condition may match
+  matchAll: {
+    type: Boolean,
+    default: true
+  },
+  amountMin: {
+    type: Number,
+    min: [0, 'Minimum amount cannot be negative']
+  },
+  amountMax: {
+    type: Number,
+    min: [0, 'Maximum amount cannot be negative']
+  },
+  actions: {
+    category: {
+      type: String,
+      trim: true
+    },
+    subcategory: {
+      type: String,
+      trim: true
+    },
+    tags: [{
+      type: String,
+      trim: true
+    }]
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Pre-save middleware to update the updatedAt field
+ruleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+ruleSchema.index({ user: 1, priority: 1 });
+
+module.exports = mongoose.model('Rule', ruleSchema);
@@ -1,4 +1,29 @@
 const mongoose = require('mongoose');
+const { getDefaultCategories } = require('../utils/categories');
+const { CURRENCIES } = require('../utils/currencies');
+
+// Part of a transaction booked to its own category
+const splitSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: [true, 'Split category is required'],
+    trim: true
+  },
+  subcategory: {
+    type: String,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Split amount is required'],
+    min: [0.01, 'Split amount must be greater than 0']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Split note cannot exceed 200 characters']
+  }
+}, { _id: false });
 
 const transactionSchema = new mongoose.Schema({
   user: {
@@ -9,7 +34,7 @@ const transactionSchema = new mongoose.Schema({
   type: {
     type: String,
     required: [true, 'Transaction type is required'],
-    enum: ['income', 'expense'],
+    enum: ['income', 'expense', 'transfer'],
     lowercase: true
   },
   amount: {
@@ -17,6 +42,40 @@ const transactionSchema = new mongoose.Schema({
     required: [true, 'Amount is required'],
     min: [0.01, 'Amount must be greater than 0']
   },
+  // Currency of `amount`; the user's base currency when not set
+  currency: {
+    type: String,
+    uppercase: true,
+    enum: CURRENCIES
+  },
+  // Rate from `currency` to the user's base currency on the transaction date,
+  // and `amount` converted with it. Aggregations add up `baseAmount`.
+  exchangeRate: {
+    type: Number,
+    default: 1
+  },
+  baseAmount: {
+    type: Number
+  },
+  // Account or wallet the money moved through; null when not tracked. For
+  // transfers this is the account the money left.
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null,
+    required: [function() {
+      return this.type === 'transfer';
+    }, 'Transfers need a source account']
+  },
+  // Account a transfer moved the money into
+  toAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null,
+    required: [function() {
+      return this.type === 'transfer';
+    }, 'Transfers need a destination account']
+  },
   category: {
     type: String,
     required: [true, 'Category is required'],
@@ -26,6 +85,33 @@ const transactionSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Categories the amount is divided between (e.g. groceries and pharmacy on
+  // one receipt); `category` defaults to the largest split
+  splits: {
+    type: [splitSchema],
+    validate: {
+      validator: function(splits) {
+        if (splits.length === 0) return true;
+        const total = splits.reduce((sum, split) => sum + split.amount, 0);
+        return Math.abs(total - this.amount) < 0.005;
+      },
+      message: 'Splits must add up to the transaction amount'
+    }
+  },
+  // Set when the user changes the category by hand; corrections weigh more
+  // when learning categories from history
+  categoryCorrected: {
+    type: Boolean,
+    default: false
+  },
+  // How the category was chosen: given by the user or the imported file
+  // ('provided'), or filled in by a rule, the learned classifier or the
+  // built-in keywords. Only provided and corrected categories train the
+  // classifier.
+  categorySource: {
+    type: String,
+    enum: ['provided', 'rule', 'learned', 'default']
+  },
   description: {
     type: String,
     required: [true, 'Description is required'],
@@ -50,6 +136,13 @@ const transactionSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Stored receipt file (see models/Receipt); receiptUrl is the
+  // authenticated route serving it
+  receipt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Receipt',
+    default: null
+  },
   receiptUrl: {
     type: String
   },
@@ -68,9 +161,44 @@ const transactionSchema = new mongoose.Schema({
       return this.isRecurring;
     }
   },
+  // Amount of the occurrences a template generates when it differs from the
+  // charge the template was made from
+  recurringAmount: {
+    type: Number,
+    min: [0.01, 'Recurring amount must be greater than 0']
+  },
   recurringEndDate: {
     type: Date
   },
+  // Next date the scheduler will generate for a recurring template
+  nextOccurrence: {
+    type: Date
+  },
+  // Dates of occurrences the user deleted, which are not generated again
+  skippedOccurrences: [{
+    type: Date
+  }],
+  // Template a generated occurrence was created from
+  recurringParent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  // Stable ID from the bank export (e.g. OFX account ID + FITID)
+  externalId: {
+    type: String,
+    trim: true
+  },
+  // Stable ID of the other leg of a transfer joined on import
+  transferExternalId: {
+    type: String,
+    trim: true
+  },
+  // Transactions the user confirmed are not duplicates of this one
+  notDuplicateOf: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -91,6 +219,24 @@ transactionSchema.pre('save', function(next) {
 transactionSchema.index({ user: 1, date: -1 });
 transactionSchema.index({ user: 1, type: 1 });
 transactionSchema.index({ user: 1, category: 1 });
+transactionSchema.index({ user: 1, account: 1, date: 1 });
+transactionSchema.index({ user: 1, toAccount: 1, date: 1 });
+transactionSchema.index({ isRecurring: 1, recurringParent: 1 });
+// Each template generates at most one occurrence per date
+transactionSchema.index(
+  { recurringParent: 1, date: 1 },
+  { unique: true, partialFilterExpression: { recurringParent: { $type: 'objectId' } } }
+);
+
+// A bank transaction can only be imported once
+transactionSchema.index(
+  { user: 1, externalId: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } }
+);
+transactionSchema.index(
+  { user: 1, transferExternalId: 1 },
+  { partialFilterExpression: { transferExternalId: { $type: 'string' } } }
+);
 
 // Virtual for formatted date
 transactionSchema.virtual('formattedDate').get(function() {
@@ -99,38 +245,12 @@ transactionSchema.virtual('formattedDate').get(function() {
 
 // Static method to get expense categories
 transactionSchema.statics.getExpenseCategories = function() {
-  return [
-    'Food & Dining',
-    'Transportation',
-    'Shopping',
-    'Entertainment',
-    'Bills & Utilities',
-    'Healthcare',
-    'Education',
-    'Travel',
-    'Personal Care',
-    'Home & Garden',
-    'Insurance',
-    'Taxes',
-    'Business',
-    'Gifts & Donations',
-    'Other'
-  ];
+  return getDefaultCategories('expense');
 };
 
 // Static method to get income categories
 transactionSchema.statics.getIncomeCategories = function() {
-  return [
-    'Salary',
-    'Freelance',
-    'Business',
-    'Investment',
-    'Rental',
-    'Bonus',
-    'Gift',
-    'Refund',
-    'Other'
-  ];
+  return getDefaultCategories('income');
 };
 
 module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { CURRENCIES } = require('../utils/currencies');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -20,10 +21,11 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
   },
+  // Base currency: totals, budgets and analytics are converted into it
   currency: {
     type: String,
     default: 'USD',
-    enum: ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'INR']
+    enum: CURRENCIES
   },
   monthlyBudget: {
     type: Number,
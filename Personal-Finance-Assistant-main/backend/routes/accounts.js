@@ -0,0 +1,299 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const auth = require('../middleware/auth');
+const { withBalances, getRunningBalances } = require('../utils/accounts');
+const { CURRENCIES } = require('../utils/currencies');
+
+const router = express.Router();
+
+const ACCOUNT_TYPES = ['checking', 'savings', 'credit_card', 'cash', 'investment', 'loan', 'wallet', 'other'];
+const ACCOUNT_FIELDS = ['name', 'type', 'institution', 'currency', 'openingBalance', 'isArchived'];
+
+const accountValidation = [
+  body('type', `Type must be one of: ${ACCOUNT_TYPES.join(', ')}`).optional().isIn(ACCOUNT_TYPES),
+  body('institution', 'Institution cannot exceed 100 characters').optional().trim().isLength({ max: 100 }),
+  body('currency', 'Invalid currency').optional().isIn(CURRENCIES),
+  body('openingBalance', 'Opening balance must be a number').optional().isFloat(),
+  body('isArchived', 'isArchived must be a boolean').optional().isBoolean()
+];
+
+// @route   GET /api/accounts
+// @desc    Get the user's accounts with current balances
+// @access  Private
+router.get('/', auth, [
+  query('includeArchived', 'includeArchived must be a boolean').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { user: req.user._id };
+    if (req.query.includeArchived !== 'true') {
+      filter.isArchived = false;
+    }
+
+    const accounts = await withBalances(req.user._id, await Account.find(filter).sort({ name: 1 }));
+
+    // Balances in different currencies are not added together
+    const totalsByCurrency = {};
+    accounts.forEach(account => {
+      totalsByCurrency[account.currency] = Math.round(((totalsByCurrency[account.currency] || 0) + account.balance) * 100) / 100;
+    });
+
+    const unassignedCount = await Transaction.countDocuments({ user: req.user._id, account: null });
+
+    res.json({ accounts, totalsByCurrency, unassignedCount });
+  } catch (error) {
+    console.error('Get accounts error:', error);
+    res.status(500).json({ message: 'Server error fetching accounts' });
+  }
+});
+
+// @route   GET /api/accounts/:id
+// @desc    Get a single account with its balance
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const account = await Account.findOne({ _id: req.params.id, user: req.user._id });
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    const [accountWithBalance] = await withBalances(req.user._id, [account]);
+    res.json({ account: accountWithBalance });
+  } catch (error) {
+    console.error('Get account error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+    res.status(500).json({ message: 'Server error fetching account' });
+  }
+});
+
+// @route   GET /api/accounts/:id/transactions
+// @desc    Get an account's transactions, newest first, with the running balance after each
+// @access  Private
+router.get('/:id/transactions', auth, [
+  query('page', 'Page must be a positive integer').optional().isInt({ min: 1 }),
+  query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const account = await Account.findOne({ _id: req.params.id, user: req.user._id });
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    // Balances depend on every earlier transaction, so they are computed over
+    // the whole history before paging
+    const transactions = (await getRunningBalances(account)).reverse();
+    const balance = transactions.length > 0 ? transactions[0].runningBalance : account.openingBalance;
+
+    res.json({
+      account,
+      balance,
+      transactions: transactions.slice((page - 1) * limit, page * limit),
+      totalPages: Math.ceil(transactions.length / limit),
+      currentPage: page,
+      total: transactions.length
+    });
+  } catch (error) {
+    console.error('Get account transactions error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+    res.status(500).json({ message: 'Server error fetching account transactions' });
+  }
+});
+
+// @route   POST /api/accounts
+// @desc    Create an account
+// @access  Private
+router.post('/', auth, [
+  body('name', 'Account name is required').trim().isLength({ min: 1, max: 50 }),
+  ...accountValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const accountData = { currency: req.user.currency };
+    ACCOUNT_FIELDS.forEach(key => {
+      if (req.body[key] !== undefined) {
+        accountData[key] = req.body[key];
+      }
+    });
+
+    const account = new Account({ ...accountData, user: req.user._id });
+    await account.save();
+
+    const [accountWithBalance] = await withBalances(req.user._id, [account]);
+    res.status(201).json({
+      message: 'Account created successfully',
+      account: accountWithBalance
+    });
+  } catch (error) {
+    console.error('Create account error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'An account with this name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error creating account' });
+  }
+});
+
+// @route   PUT /api/accounts/:id
+// @desc    Update an account
+// @access  Private
+router.put('/:id', auth, [
+  body('name', 'Account name cannot exceed 50 characters').optional().trim().isLength({ min: 1, max: 50 }),
+  ...accountValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const account = await Account.findOne({ _id: req.params.id, user: req.user._id });
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    // Transactions stay in the currency they were recorded in, so an account
+    // that has some keeps its currency
+    if (req.body.currency !== undefined && req.body.currency !== account.currency) {
+      const hasTransactions = await Transaction.exists({
+        user: req.user._id,
+        $or: [{ account: account._id }, { toAccount: account._id }]
+      });
+      if (hasTransactions) {
+        return res.status(400).json({ message: 'The currency of an account with transactions cannot be changed' });
+      }
+    }
+
+    ACCOUNT_FIELDS.forEach(key => {
+      if (req.body[key] !== undefined) {
+        account[key] = req.body[key];
+      }
+    });
+    await account.save();
+
+    const [accountWithBalance] = await withBalances(req.user._id, [account]);
+    res.json({
+      message: 'Account updated successfully',
+      account: accountWithBalance
+    });
+  } catch (error) {
+    console.error('Update account error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'An account with this name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error updating account' });
+  }
+});
+
+// @route   DELETE /api/accounts/:id
+// @desc    Delete an account, moving its transactions to another account or
+//          leaving them without one (reassignTo: "none"). Transfers to or from
+//          an untracked account become income or expenses.
+// @access  Private
+router.delete('/:id', auth, [
+  body('reassignTo', 'reassignTo must be an account ID or "none"').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const account = await Account.findOne({ _id: req.params.id, user: req.user._id });
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    const reassignTo = req.body.reassignTo || req.query.reassignTo;
+    const transactionCount = await Transaction.countDocuments({
+      user: req.user._id,
+      $or: [{ account: account._id }, { toAccount: account._id }]
+    });
+
+    // Ask where the transactions go instead of silently dropping their account
+    if (transactionCount > 0 && !reassignTo) {
+      return res.status(409).json({
+        message: `${transactionCount} transactions belong to this account. Provide reassignTo (an account ID or "none") before deleting.`,
+        transactionCount
+      });
+    }
+
+    let targetId = null;
+    if (transactionCount > 0 && reassignTo !== 'none') {
+      const target = await Account.findOne({ _id: reassignTo, user: req.user._id }).catch(() => null);
+      if (!target || target._id.equals(account._id)) {
+        return res.status(400).json({ message: 'Reassignment account not found' });
+      }
+      targetId = target._id;
+    }
+
+    let reassignedTransactions = 0;
+    if (transactionCount > 0) {
+      const updatedAt = new Date();
+      const results = targetId
+        ? await Promise.all([
+          Transaction.updateMany({ user: req.user._id, account: account._id }, { $set: { account: targetId, updatedAt } }),
+          Transaction.updateMany({ user: req.user._id, toAccount: account._id }, { $set: { toAccount: targetId, updatedAt } })
+        ])
+        : [
+          // Transfers with an untracked side become plain income or expenses
+          // of the other account; run in order so the last update does not
+          // clear transfers before they are converted
+          await Transaction.updateMany(
+            { user: req.user._id, type: 'transfer', account: account._id },
+            [{ $set: { type: 'income', category: 'Other', account: '$toAccount', toAccount: null, updatedAt } }]
+          ),
+          await Transaction.updateMany(
+            { user: req.user._id, type: 'transfer', toAccount: account._id },
+            { $set: { type: 'expense', category: 'Other', toAccount: null, updatedAt } }
+          ),
+          await Transaction.updateMany({ user: req.user._id, account: account._id }, { $set: { account: null, updatedAt } })
+        ];
+      reassignedTransactions = results.reduce((total, result) => total + result.modifiedCount, 0);
+    }
+
+    await account.deleteOne();
+
+    res.json({
+      message: 'Account deleted successfully',
+      reassignedTransactions
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+    res.status(500).json({ message: 'Server error deleting account' });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,29 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const multer = require('multer');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
 const Transaction = require('../models/Transaction'); // Added missing import
+const Category = require('../models/Category');
+const Budget = require('../models/Budget');
+const Notification = require('../models/Notification');
+const Rule = require('../models/Rule');
+const ImportProfile = require('../models/ImportProfile');
+const Account = require('../models/Account');
+const ExchangeRate = require('../models/ExchangeRate');
+const Job = require('../models/Job');
+const {
+  buildBackup,
+  buildBackupZip,
+  readBackupFile,
+  validateBackup,
+  findInvalidRecords,
+  restoreBackup
+} = require('../utils/backup');
+const { CURRENCIES } = require('../utils/currencies');
+const { BASE_AMOUNT, reconvertTransactions, prepareBaseCurrencyChange, convertBudgetLimits } = require('../utils/exchangeRates');
+const { deleteReceipts } = require('../utils/receipts');
 
 const router = express.Router();
 
@@ -144,7 +164,7 @@ router.get('/me', auth, async (req, res) => {
 // @access  Private
 router.put('/profile', auth, [
   body('name', 'Name is required').optional().trim().isLength({ min: 1 }),
-  body('currency', 'Invalid currency').optional().isIn(['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'INR']),
+  body('currency', 'Invalid currency').optional().isIn(CURRENCIES),
   body('monthlyBudget', 'Monthly budget must be a positive number').optional().isNumeric({ min: 0 })
 ], async (req, res) => {
   try {
@@ -156,15 +176,53 @@ router.put('/profile', auth, [
     const { name, currency, monthlyBudget } = req.body;
     const user = req.user;
 
-    // Update fields if provided
+    // Totals are kept in the base currency, so every transaction has to be
+    // convertible into the new one before it is switched, and so do budgets
+    const previousCurrency = user.currency || 'USD';
+    const currencyChanged = currency && currency !== previousCurrency;
+    let limitsRate = null;
+    if (currencyChanged) {
+      const prepared = await prepareBaseCurrencyChange(user, currency);
+      if (prepared.missingRates > 0) {
+        return res.status(400).json({
+          message: `${prepared.missingRates} transaction${prepared.missingRates === 1 ? ' has' : 's have'} no exchange rate to ${currency}. Add rates under exchange rates before changing your currency.`,
+          missingRates: prepared.missingRates
+        });
+      }
+      if (!prepared.limitsRate) {
+        return res.status(400).json({
+          message: `Your budgets need an exchange rate from ${previousCurrency} to ${currency} to be converted. Add one under exchange rates before changing your currency.`
+        });
+      }
+      limitsRate = prepared.limitsRate;
+    }
+
+    // Update fields if provided. Budgets are converted into the new currency
+    // unless a different monthly budget is sent along with it.
+    const previousMonthlyBudget = user.monthlyBudget;
+    let convertedBudgets = 0;
     if (name) user.name = name;
-    if (currency) user.currency = currency;
-    if (monthlyBudget !== undefined) user.monthlyBudget = monthlyBudget;
+    if (currencyChanged) {
+      user.currency = currency;
+      convertedBudgets = await convertBudgetLimits(user, limitsRate);
+    }
+    if (monthlyBudget !== undefined && Number(monthlyBudget) !== previousMonthlyBudget) {
+      user.monthlyBudget = monthlyBudget;
+    }
 
     await user.save();
 
+    // Convert into the new base currency
+    if (currencyChanged) {
+      await reconvertTransactions(user);
+    }
+
+    const limitsConverted = currencyChanged && (convertedBudgets > 0 || previousMonthlyBudget > 0);
     res.json({
-      message: 'Profile updated successfully',
+      message: limitsConverted
+        ? `Profile updated successfully. Budgets were converted to ${currency} at 1 ${previousCurrency} = ${Number(limitsRate.toPrecision(6))} ${currency}.`
+        : 'Profile updated successfully',
+      limitsConverted,
       user: {
         id: user._id,
         name: user.name,
@@ -261,8 +319,17 @@ router.delete('/account', auth, [
       return res.status(400).json({ message: 'Password is incorrect' });
     }
 
-    // Delete all user transactions first
+    // Delete all user data first
     await Transaction.deleteMany({ user: user._id });
+    await Category.deleteMany({ user: user._id });
+    await Budget.deleteMany({ user: user._id });
+    await Notification.deleteMany({ user: user._id });
+    await Rule.deleteMany({ user: user._id });
+    await ImportProfile.deleteMany({ user: user._id });
+    await Account.deleteMany({ user: user._id });
+    await ExchangeRate.deleteMany({ user: user._id });
+    await Job.deleteMany({ user: user._id });
+    await deleteReceipts({ user: user._id });
 
     // Delete user account
     await User.findByIdAndDelete(user._id);
@@ -274,6 +341,101 @@ router.delete('/account', auth, [
   }
 });
 
+// Backups are read in memory; receipts make ZIP archives the larger kind
+const backupUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB limit
+  }
+});
+
+// @route   GET /api/auth/export
+// @desc    Download a full backup of the account as JSON or ZIP (with receipts)
+// @access  Private
+router.get('/export', auth, [
+  query('format', 'Format must be json or zip').optional().isIn(['json', 'zip'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { format = 'zip' } = req.query;
+    const backup = await buildBackup(req.user);
+    const fileName = `finance-backup-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === 'json') {
+      res.attachment(`${fileName}.json`);
+      return res.json(backup);
+    }
+
+    res.attachment(`${fileName}.zip`);
+    res.type('application/zip');
+    res.send(await buildBackupZip(backup));
+  } catch (error) {
+    console.error('Account export error:', error);
+    res.status(500).json({ message: 'Server error exporting account data' });
+  }
+});
+
+// @route   POST /api/auth/restore
+// @desc    Restore a JSON or ZIP backup, merging with or replacing current data
+// @access  Private
+router.post('/restore', auth, backupUpload.single('file'), [
+  body('password', 'Password is required to restore a backup').exists(),
+  body('mode', 'Mode must be merge or replace').optional().isIn(['merge', 'replace'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'No backup file uploaded' });
+    }
+
+    const isMatch = await req.user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    let contents;
+    try {
+      contents = readBackupFile(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({ message: `Could not read backup file: ${error.message}` });
+    }
+
+    const validationError = validateBackup(contents.backup);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    // Nothing is deleted or added unless every record can be restored
+    const invalidRecords = await findInvalidRecords(req.user, contents.backup);
+    if (invalidRecords.length > 0) {
+      return res.status(400).json({
+        message: 'The backup contains invalid records; nothing was restored',
+        errors: invalidRecords
+      });
+    }
+
+    const mode = req.body.mode || 'merge';
+    const summary = await restoreBackup(req.user, contents.backup, contents.receipts, { mode });
+
+    res.json({
+      message: `Backup restored (${mode})`,
+      version: contents.backup.version,
+      summary
+    });
+  } catch (error) {
+    console.error('Account restore error:', error);
+    res.status(500).json({ message: 'Server error restoring backup' });
+  }
+});
+
 // @route   GET /api/auth/stats
 // @desc    Get user account statistics
 // @access  Private
@@ -285,11 +447,11 @@ router.get('/stats', auth, async (req, res) => {
       Transaction.countDocuments({ user: userId }),
       Transaction.aggregate([
         { $match: { user: userId, type: 'income' } },
-        { $group: { _id: null, total: { $sum: '$amount' } } }
+        { $group: { _id: null, total: { $sum: BASE_AMOUNT } } }
       ]),
       Transaction.aggregate([
         { $match: { user: userId, type: 'expense' } },
-        { $group: { _id: null, total: { $sum: '$amount' } } }
+        { $group: { _id: null, total: { $sum: BASE_AMOUNT } } }
       ])
     ]);
 
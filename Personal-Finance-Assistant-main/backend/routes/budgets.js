@@ -0,0 +1,189 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Budget = require('../models/Budget');
+const auth = require('../middleware/auth');
+const { getUserCategories, resolveCategory, invalidCategoryMessage } = require('../utils/categories');
+const { getBudgetStatus } = require('../utils/budgets');
+
+const router = express.Router();
+
+const budgetValidation = [
+  body('name', 'Name cannot exceed 50 characters').optional().trim().isLength({ max: 50 }),
+  body('category', 'Category must be a string').optional({ nullable: true }).isString(),
+  body('period', 'Period must be weekly, monthly, quarterly or yearly').optional().isIn(['weekly', 'monthly', 'quarterly', 'yearly']),
+  body('rollover', 'Rollover must be a boolean').optional().isBoolean(),
+  body('startDate', 'Start date must be a valid date').optional().isISO8601(),
+  body('isActive', 'isActive must be a boolean').optional().isBoolean()
+];
+
+// @route   GET /api/budgets/status
+// @desc    Get spent vs. limit for each active budget in the current period
+// @access  Private
+router.get('/status', auth, [
+  query('date', 'Date must be a valid date').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    const budgets = await Budget.find({ user: req.user._id, isActive: true }).sort({ category: 1, period: 1 });
+
+    const statuses = await Promise.all(budgets.map(budget => getBudgetStatus(budget, date)));
+
+    res.json({ budgets: statuses });
+  } catch (error) {
+    console.error('Budget status error:', error);
+    res.status(500).json({ message: 'Server error fetching budget status' });
+  }
+});
+
+// @route   GET /api/budgets
+// @desc    Get all budgets for user
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const budgets = await Budget.find({ user: req.user._id }).sort({ category: 1, period: 1 });
+    res.json({ budgets });
+  } catch (error) {
+    console.error('Get budgets error:', error);
+    res.status(500).json({ message: 'Server error fetching budgets' });
+  }
+});
+
+// @route   POST /api/budgets
+// @desc    Create a budget
+// @access  Private
+router.post('/', auth, [
+  body('amount', 'Amount must be a positive number').isFloat({ min: 0.01 }),
+  ...budgetValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, amount, period = 'monthly', rollover, startDate, isActive } = req.body;
+
+    let category = null;
+    if (req.body.category) {
+      const userCategories = await getUserCategories(req.user._id);
+      category = resolveCategory(req.body.category, 'expense', userCategories);
+      if (!category) {
+        return res.status(400).json({ message: invalidCategoryMessage(req.body.category, 'expense') });
+      }
+    }
+
+    const existing = await Budget.findOne({ user: req.user._id, category, period });
+    if (existing) {
+      return res.status(400).json({ message: 'A budget for this category and period already exists' });
+    }
+
+    const budget = new Budget({
+      user: req.user._id,
+      name,
+      category,
+      amount,
+      period,
+      rollover,
+      startDate,
+      isActive
+    });
+    await budget.save();
+
+    res.status(201).json({
+      message: 'Budget created successfully',
+      budget
+    });
+  } catch (error) {
+    console.error('Create budget error:', error);
+    res.status(500).json({ message: 'Server error creating budget' });
+  }
+});
+
+// @route   PUT /api/budgets/:id
+// @desc    Update a budget
+// @access  Private
+router.put('/:id', auth, [
+  body('amount', 'Amount must be a positive number').optional().isFloat({ min: 0.01 }),
+  ...budgetValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const budget = await Budget.findOne({ _id: req.params.id, user: req.user._id });
+    if (!budget) {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
+
+    if (req.body.category !== undefined) {
+      let category = null;
+      if (req.body.category) {
+        const userCategories = await getUserCategories(req.user._id);
+        category = resolveCategory(req.body.category, 'expense', userCategories);
+        if (!category) {
+          return res.status(400).json({ message: invalidCategoryMessage(req.body.category, 'expense') });
+        }
+      }
+      budget.category = category;
+    }
+
+    ['name', 'amount', 'period', 'rollover', 'startDate', 'isActive'].forEach(key => {
+      if (req.body[key] !== undefined) {
+        budget[key] = req.body[key];
+      }
+    });
+
+    const duplicate = await Budget.findOne({
+      _id: { $ne: budget._id },
+      user: req.user._id,
+      category: budget.category,
+      period: budget.period
+    });
+    if (duplicate) {
+      return res.status(400).json({ message: 'A budget for this category and period already exists' });
+    }
+
+    await budget.save();
+
+    res.json({
+      message: 'Budget updated successfully',
+      budget
+    });
+  } catch (error) {
+    console.error('Update budget error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
+    res.status(500).json({ message: 'Server error updating budget' });
+  }
+});
+
+// @route   DELETE /api/budgets/:id
+// @desc    Delete a budget
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const budget = await Budget.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!budget) {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
+
+    res.json({ message: 'Budget deleted successfully' });
+  } catch (error) {
+    console.error('Delete budget error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
+    res.status(500).json({ message: 'Server error deleting budget' });
+  }
+});
+
+module.exports = router;
@@ -1,54 +1,60 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const Budget = require('../models/Budget');
 const auth = require('../middleware/auth');
+const { getDefaultCategories, isDefaultCategory, getUserCategories } = require('../utils/categories');
+const { SPLIT_CATEGORY_STAGES } = require('../utils/splits');
+const { BASE_AMOUNT } = require('../utils/exchangeRates');
 
 const router = express.Router();
 
-// In-memory storage for custom categories (in production, use database)
-const userCategories = new Map();
+// Helper function to check that a parent category belongs to the user, has the
+// same type and would not create a cycle
+const validateParent = async (userId, parentId, type, categoryId = null) => {
+  if (!parentId) return null;
+
+  let current = await Category.findOne({ _id: parentId, user: userId });
+  if (!current) {
+    return 'Parent category not found';
+  }
+  if (current.type !== type) {
+    return 'Parent category must have the same type';
+  }
+
+  while (current) {
+    if (categoryId && current._id.equals(categoryId)) {
+      return 'A category cannot be its own ancestor';
+    }
+    current = current.parent ? await Category.findOne({ _id: current.parent, user: userId }) : null;
+  }
+
+  return null;
+};
+
+// Helper function to move the splits filed under a category to another name
+const renameSplitCategory = (userId, type, from, to) => Transaction.updateMany(
+  { user: userId, type, 'splits.category': from },
+  { $set: { 'splits.$[split].category': to, updatedAt: new Date() } },
+  { arrayFilters: [{ 'split.category': from }] }
+);
 
 // @route   GET /api/categories
 // @desc    Get all categories (default + custom)
 // @access  Private
 router.get('/', auth, async (req, res) => {
   try {
-    const userId = req.user._id.toString();
-    const customCategories = userCategories.get(userId) || { expense: [], income: [] };
-    
-    const defaultExpenseCategories = [
-      'Food & Dining',
-      'Transportation',
-      'Shopping',
-      'Entertainment',
-      'Bills & Utilities',
-      'Healthcare',
-      'Education',
-      'Travel',
-      'Personal Care',
-      'Home & Garden',
-      'Insurance',
-      'Taxes',
-      'Business',
-      'Gifts & Donations',
-      'Other'
-    ];
-
-    const defaultIncomeCategories = [
-      'Salary',
-      'Freelance',
-      'Business',
-      'Investment',
-      'Rental',
-      'Bonus',
-      'Gift',
-      'Refund',
-      'Other'
-    ];
+    const { expense, income, transfer, custom } = await getUserCategories(req.user._id);
 
     res.json({
-      expense: [...defaultExpenseCategories, ...customCategories.expense],
-      income: [...defaultIncomeCategories, ...customCategories.income],
-      custom: customCategories
+      expense,
+      income,
+      transfer,
+      custom: {
+        expense: custom.filter(cat => cat.type === 'expense'),
+        income: custom.filter(cat => cat.type === 'income')
+      }
     });
   } catch (error) {
     console.error('Get categories error:', error);
@@ -62,7 +68,8 @@ router.get('/', auth, async (req, res) => {
 router.post('/', auth, [
   body('name', 'Category name is required').trim().isLength({ min: 1, max: 50 }),
   body('type', 'Type must be income or expense').isIn(['income', 'expense']),
-  body('color', 'Color must be a valid hex color').optional().matches(/^#[0-9A-F]{6}$/i)
+  body('color', 'Color must be a valid hex color').optional().matches(/^#[0-9A-F]{6}$/i),
+  body('parent', 'Parent must be a valid category ID').optional({ nullable: true }).isMongoId()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -70,30 +77,31 @@ router.post('/', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, type, color, icon } = req.body;
-    const userId = req.user._id.toString();
-    
-    const userCats = userCategories.get(userId) || { expense: [], income: [] };
-    
+    const { name, type, color, icon, parent } = req.body;
+
     // Check if category already exists
-    if (userCats[type].some(cat => cat.name.toLowerCase() === name.toLowerCase())) {
+    if (isDefaultCategory(type, name) || await Category.findByName(req.user._id, type, name)) {
       return res.status(400).json({ message: 'Category already exists' });
     }
 
-    const newCategory = {
-      id: Date.now().toString(),
-      name,
-      color: color || '#007bff',
-      icon: icon || 'bi-tag',
-      createdAt: new Date()
-    };
+    const parentError = await validateParent(req.user._id, parent, type);
+    if (parentError) {
+      return res.status(400).json({ message: parentError });
+    }
 
-    userCats[type].push(newCategory);
-    userCategories.set(userId, userCats);
+    const category = new Category({
+      user: req.user._id,
+      name,
+      type,
+      color,
+      icon,
+      parent: parent || null
+    });
+    await category.save();
 
     res.status(201).json({
       message: 'Category created successfully',
-      category: newCategory
+      category
     });
   } catch (error) {
     console.error('Create category error:', error);
@@ -102,11 +110,13 @@ router.post('/', auth, [
 });
 
 // @route   PUT /api/categories/:id
-// @desc    Update custom category
+// @desc    Update custom category, optionally migrating transactions on rename
 // @access  Private
 router.put('/:id', auth, [
   body('name', 'Category name is required').optional().trim().isLength({ min: 1, max: 50 }),
-  body('color', 'Color must be a valid hex color').optional().matches(/^#[0-9A-F]{6}$/i)
+  body('color', 'Color must be a valid hex color').optional().matches(/^#[0-9A-F]{6}$/i),
+  body('parent', 'Parent must be a valid category ID').optional({ nullable: true }).isMongoId(),
+  body('migrateTransactions', 'migrateTransactions must be a boolean').optional().isBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -114,74 +124,146 @@ router.put('/:id', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, color, icon } = req.body;
-    const categoryId = req.params.id;
-    const userId = req.user._id.toString();
-    
-    const userCats = userCategories.get(userId) || { expense: [], income: [] };
-    
-    let categoryFound = false;
-    let updatedCategory = null;
-
-    // Find and update category in either expense or income
-    ['expense', 'income'].forEach(type => {
-      const categoryIndex = userCats[type].findIndex(cat => cat.id === categoryId);
-      if (categoryIndex !== -1) {
-        categoryFound = true;
-        if (name) userCats[type][categoryIndex].name = name;
-        if (color) userCats[type][categoryIndex].color = color;
-        if (icon) userCats[type][categoryIndex].icon = icon;
-        userCats[type][categoryIndex].updatedAt = new Date();
-        updatedCategory = userCats[type][categoryIndex];
-      }
-    });
+    const { name, color, icon, parent, migrateTransactions = true } = req.body;
 
-    if (!categoryFound) {
+    const category = await Category.findOne({ _id: req.params.id, user: req.user._id });
+    if (!category) {
       return res.status(404).json({ message: 'Category not found' });
     }
 
-    userCategories.set(userId, userCats);
+    const previousName = category.name;
+    const isRename = name && name !== previousName;
+
+    if (isRename) {
+      const existing = await Category.findByName(req.user._id, category.type, name);
+      if (isDefaultCategory(category.type, name) || (existing && !existing._id.equals(category._id))) {
+        return res.status(400).json({ message: 'Category already exists' });
+      }
+    }
+
+    if (parent !== undefined) {
+      const parentError = await validateParent(req.user._id, parent, category.type, category._id);
+      if (parentError) {
+        return res.status(400).json({ message: parentError });
+      }
+      category.parent = parent || null;
+    }
+
+    if (name) category.name = name;
+    if (color) category.color = color;
+    if (icon) category.icon = icon;
+
+    await category.save();
+
+    // Carry existing transactions over to the new name
+    let migratedTransactions = 0;
+    if (isRename && migrateTransactions !== false && migrateTransactions !== 'false') {
+      const result = await Transaction.updateMany(
+        { user: req.user._id, type: category.type, category: previousName },
+        { $set: { category: category.name, updatedAt: new Date() } }
+      );
+      migratedTransactions = result.modifiedCount;
+      await renameSplitCategory(req.user._id, category.type, previousName, category.name);
+
+      if (category.type === 'expense') {
+        await Budget.updateMany(
+          { user: req.user._id, category: previousName },
+          { $set: { category: category.name, updatedAt: new Date() } }
+        );
+      }
+    }
 
     res.json({
       message: 'Category updated successfully',
-      category: updatedCategory
+      category,
+      migratedTransactions
     });
   } catch (error) {
     console.error('Update category error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Category not found' });
+    }
     res.status(500).json({ message: 'Server error updating category' });
   }
 });
 
 // @route   DELETE /api/categories/:id
-// @desc    Delete custom category
+// @desc    Delete custom category, reassigning its transactions to another category
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, [
+  body('reassignTo', 'reassignTo must be a category name').optional().trim().isLength({ min: 1, max: 50 })
+], async (req, res) => {
   try {
-    const categoryId = req.params.id;
-    const userId = req.user._id.toString();
-    
-    const userCats = userCategories.get(userId) || { expense: [], income: [] };
-    
-    let categoryFound = false;
-
-    // Find and remove category from either expense or income
-    ['expense', 'income'].forEach(type => {
-      const categoryIndex = userCats[type].findIndex(cat => cat.id === categoryId);
-      if (categoryIndex !== -1) {
-        categoryFound = true;
-        userCats[type].splice(categoryIndex, 1);
-      }
-    });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    if (!categoryFound) {
+    const category = await Category.findOne({ _id: req.params.id, user: req.user._id });
+    if (!category) {
       return res.status(404).json({ message: 'Category not found' });
     }
 
-    userCategories.set(userId, userCats);
+    const reassignTo = req.body.reassignTo || req.query.reassignTo;
+    const transactionFilter = { user: req.user._id, type: category.type, category: category.name };
+    const transactionCount = await Transaction.countDocuments({
+      user: req.user._id,
+      type: category.type,
+      $or: [{ category: category.name }, { 'splits.category': category.name }]
+    });
+
+    // Offer reassignment instead of leaving transactions pointing at a missing category
+    if (transactionCount > 0 && !reassignTo) {
+      return res.status(409).json({
+        message: `${transactionCount} transactions use this category. Provide reassignTo to move them before deleting.`,
+        transactionCount
+      });
+    }
+
+    let targetName = null;
+    if (transactionCount > 0) {
+      const target = await Category.findByName(req.user._id, category.type, reassignTo);
+      const defaultName = getDefaultCategories(category.type)
+        .find(cat => cat.toLowerCase() === reassignTo.toLowerCase());
 
-    res.json({ message: 'Category deleted successfully' });
+      if ((!target && !defaultName) || (target && target._id.equals(category._id))) {
+        return res.status(400).json({ message: 'Reassignment category not found' });
+      }
+      targetName = target ? target.name : defaultName;
+    }
+
+    let reassignedTransactions = 0;
+    if (targetName) {
+      const result = await Transaction.updateMany(
+        transactionFilter,
+        { $set: { category: targetName, updatedAt: new Date() } }
+      );
+      reassignedTransactions = result.modifiedCount;
+      await renameSplitCategory(req.user._id, category.type, category.name, targetName);
+    }
+
+    // Budgets on the deleted category have nothing left to track
+    if (category.type === 'expense') {
+      await Budget.deleteMany({ user: req.user._id, category: category.name });
+    }
+
+    // Move child categories up to the deleted category's parent
+    await Category.updateMany(
+      { user: req.user._id, parent: category._id },
+      { $set: { parent: category.parent, updatedAt: new Date() } }
+    );
+
+    await category.deleteOne();
+
+    res.json({
+      message: 'Category deleted successfully',
+      reassignedTransactions
+    });
   } catch (error) {
     console.error('Delete category error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Category not found' });
+    }
     res.status(500).json({ message: 'Server error deleting category' });
   }
 });
@@ -191,16 +273,15 @@ router.delete('/:id', auth, async (req, res) => {
 // @access  Private
 router.get('/usage', auth, async (req, res) => {
   try {
-    const Transaction = require('../models/Transaction');
-    
     const categoryUsage = await Transaction.aggregate([
       { $match: { user: req.user._id } },
+      ...SPLIT_CATEGORY_STAGES,
       {
         $group: {
           _id: { category: '$category', type: '$type' },
           count: { $sum: 1 },
-          totalAmount: { $sum: '$amount' },
-          avgAmount: { $avg: '$amount' }
+          totalAmount: { $sum: BASE_AMOUNT },
+          avgAmount: { $avg: BASE_AMOUNT }
         }
       },
       { $sort: { count: -1 } }
@@ -213,4 +294,4 @@ router.get('/usage', auth, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,256 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { body, query, validationResult } = require('express-validator');
+const ExchangeRate = require('../models/ExchangeRate');
+const auth = require('../middleware/auth');
+const { CURRENCIES } = require('../utils/currencies');
+const { findRate, loadRateTable, reconvertTransactions, parseRatesCSV, parseECBXML } = require('../utils/exchangeRates');
+
+const router = express.Router();
+
+const RATE_FIELDS = ['date', 'base', 'currency', 'rate'];
+
+const rateValidation = [
+  body('base', 'Invalid base currency').optional().isIn(CURRENCIES),
+  body('currency', 'Invalid currency').optional().isIn(CURRENCIES),
+  body('rate', 'Rate must be a positive number').optional().isFloat({ gt: 0 }),
+  body('date', 'Date must be a valid date').optional().isISO8601()
+];
+
+// Rate files are small and read in memory
+const ratesUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  }
+});
+
+// @route   GET /api/exchange-rates
+// @desc    Get the user's exchange rates, newest first
+// @access  Private
+router.get('/', auth, [
+  query('currency', 'Invalid currency').optional().isIn(CURRENCIES),
+  query('limit', 'Limit must be between 1 and 500').optional().isInt({ min: 1, max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { user: req.user._id };
+    if (req.query.currency) {
+      filter.$or = [{ base: req.query.currency }, { currency: req.query.currency }];
+    }
+
+    const rates = await ExchangeRate.find(filter)
+      .sort({ date: -1, base: 1, currency: 1 })
+      .limit(parseInt(req.query.limit) || 100);
+
+    res.json({ rates, baseCurrency: req.user.currency, currencies: CURRENCIES });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({ message: 'Server error fetching exchange rates' });
+  }
+});
+
+// @route   GET /api/exchange-rates/convert
+// @desc    Convert an amount between currencies with the stored rates
+// @access  Private
+router.get('/convert', auth, [
+  query('amount', 'Amount must be a number').isFloat(),
+  query('from', 'Invalid currency').isIn(CURRENCIES),
+  query('to', 'Invalid currency').optional().isIn(CURRENCIES),
+  query('date', 'Date must be a valid date').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { from, to = req.user.currency } = req.query;
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    const rate = findRate(await loadRateTable(req.user._id), from, to, date);
+    if (!rate) {
+      return res.status(404).json({ message: `No exchange rate from ${from} to ${to}` });
+    }
+
+    const amount = parseFloat(req.query.amount);
+    res.json({
+      from,
+      to,
+      rate,
+      amount,
+      convertedAmount: Math.round(amount * rate * 100) / 100
+    });
+  } catch (error) {
+    console.error('Convert amount error:', error);
+    res.status(500).json({ message: 'Server error converting amount' });
+  }
+});
+
+// @route   POST /api/exchange-rates
+// @desc    Add or replace the rate of a currency pair on a date
+// @access  Private
+router.post('/', auth, [
+  body('base', 'Base currency is required').exists(),
+  body('currency', 'Currency is required').exists(),
+  body('rate', 'Rate is required').exists(),
+  ...rateValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { base, currency, rate } = req.body;
+    if (base === currency) {
+      return res.status(400).json({ message: 'Base currency and currency must differ' });
+    }
+
+    const date = new Date(req.body.date || new Date().toISOString().slice(0, 10));
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      { user: req.user._id, base, currency, date },
+      { $set: { rate, source: 'manual', updatedAt: new Date() }, $setOnInsert: { createdAt: new Date() } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    const { updated } = await reconvertTransactions(req.user);
+
+    res.status(201).json({
+      message: 'Exchange rate saved successfully',
+      rate: exchangeRate,
+      reconvertedTransactions: updated
+    });
+  } catch (error) {
+    console.error('Create exchange rate error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error saving exchange rate' });
+  }
+});
+
+// @route   PUT /api/exchange-rates/:id
+// @desc    Update an exchange rate
+// @access  Private
+router.put('/:id', auth, rateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const exchangeRate = await ExchangeRate.findOne({ _id: req.params.id, user: req.user._id });
+    if (!exchangeRate) {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+
+    RATE_FIELDS.forEach(key => {
+      if (req.body[key] !== undefined) {
+        exchangeRate[key] = req.body[key];
+      }
+    });
+    if (exchangeRate.base === exchangeRate.currency) {
+      return res.status(400).json({ message: 'Base currency and currency must differ' });
+    }
+    exchangeRate.source = 'manual';
+    await exchangeRate.save();
+
+    const { updated } = await reconvertTransactions(req.user);
+
+    res.json({
+      message: 'Exchange rate updated successfully',
+      rate: exchangeRate,
+      reconvertedTransactions: updated
+    });
+  } catch (error) {
+    console.error('Update exchange rate error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A rate for this currency pair and date already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error updating exchange rate' });
+  }
+});
+
+// @route   DELETE /api/exchange-rates/:id
+// @desc    Delete an exchange rate
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!exchangeRate) {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+
+    // Transactions that relied only on this rate keep their converted amounts
+    const { updated } = await reconvertTransactions(req.user);
+
+    res.json({
+      message: 'Exchange rate deleted successfully',
+      reconvertedTransactions: updated
+    });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+    res.status(500).json({ message: 'Server error deleting exchange rate' });
+  }
+});
+
+// @route   POST /api/exchange-rates/import
+// @desc    Import rates from a CSV file or an ECB reference rates XML file
+// @access  Private
+router.post('/import', auth, ratesUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const text = req.file.buffer.toString('utf8');
+    const isXML = path.extname(req.file.originalname).toLowerCase() === '.xml' || text.trimStart().startsWith('<');
+    const base = CURRENCIES.includes(req.body.base) ? req.body.base : 'EUR';
+    const rates = isXML ? parseECBXML(text) : parseRatesCSV(text, { base });
+
+    if (rates.length === 0) {
+      return res.status(400).json({ message: 'No exchange rates for supported currencies found in this file' });
+    }
+
+    const source = isXML ? 'ecb' : 'csv';
+    const result = await ExchangeRate.bulkWrite(rates.map(rate => ({
+      updateOne: {
+        filter: { user: req.user._id, base: rate.base, currency: rate.currency, date: rate.date },
+        update: {
+          $set: { rate: rate.rate, source, updatedAt: new Date() },
+          $setOnInsert: { createdAt: new Date() }
+        },
+        upsert: true
+      }
+    })));
+
+    const { updated, missingRates } = await reconvertTransactions(req.user);
+
+    res.json({
+      message: `Imported ${rates.length} exchange rates`,
+      imported: result.upsertedCount,
+      updated: result.modifiedCount,
+      reconvertedTransactions: updated,
+      transactionsWithoutRate: missingRates
+    });
+  } catch (error) {
+    console.error('Import exchange rates error:', error);
+    res.status(500).json({ message: 'Server error importing exchange rates' });
+  }
+});
+
+module.exports = router;
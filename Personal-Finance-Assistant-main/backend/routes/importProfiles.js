@@ -0,0 +1,138 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ImportProfile = require('../models/ImportProfile');
+const auth = require('../middleware/auth');
+const { getHeaderSignature, pickProfileSettings } = require('../utils/csvImport');
+
+const router = express.Router();
+
+const profileValidation = [
+  body('name', 'Profile name cannot exceed 100 characters').optional().trim().isLength({ min: 1, max: 100 }),
+  body('columns', 'Columns must be an object').optional().isObject(),
+  body('dateFormat', 'Date format must be a string').optional().isString(),
+  body('decimalSeparator', 'Decimal separator must be . or ,').optional().isIn(['.', ',']),
+  body('thousandsSeparator', 'Thousands separator is not supported').optional().isIn([',', '.', ' ', '\'', '']),
+  body('delimiter', 'Delimiter is not supported').optional().isIn(['auto', ',', ';', '\t', '|']),
+  body('signConvention', 'Sign convention must be negative_expense or positive_expense').optional().isIn(['negative_expense', 'positive_expense']),
+  body('headerRowOffset', 'Header row offset must be between 0 and 50').optional().isInt({ min: 0, max: 50 }),
+  body('encoding', 'Encoding is not supported').optional().isIn(['utf8', 'latin1', 'windows-1252', 'utf16le']),
+  body('sheetName', 'Sheet name cannot exceed 100 characters').optional().isString().isLength({ max: 100 })
+];
+
+// Helper function to reject profiles whose separators would be ambiguous
+const separatorError = (profile) => {
+  return profile.decimalSeparator === profile.thousandsSeparator
+    ? 'Decimal and thousands separators must differ'
+    : null;
+};
+
+// @route   GET /api/import-profiles
+// @desc    Get saved CSV import profiles for user
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const profiles = await ImportProfile.find({ user: req.user._id }).sort({ lastUsedAt: -1, name: 1 });
+    res.json({ profiles });
+  } catch (error) {
+    console.error('Get import profiles error:', error);
+    res.status(500).json({ message: 'Server error fetching import profiles' });
+  }
+});
+
+// @route   POST /api/import-profiles
+// @desc    Create a CSV import profile for a header row
+// @access  Private
+router.post('/', auth, [
+  body('name', 'Profile name is required').trim().isLength({ min: 1, max: 100 }),
+  body('headers', 'Headers must be a non-empty array').isArray({ min: 1 }),
+  ...profileValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const settings = pickProfileSettings(req.body);
+    const error = separatorError(settings);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const profile = new ImportProfile({
+      ...settings,
+      user: req.user._id,
+      name: req.body.name,
+      headerSignature: getHeaderSignature(req.body.headers)
+    });
+    await profile.save();
+
+    res.status(201).json({
+      message: 'Import profile created successfully',
+      profile
+    });
+  } catch (error) {
+    console.error('Create import profile error:', error);
+    res.status(500).json({ message: 'Server error creating import profile' });
+  }
+});
+
+// @route   PUT /api/import-profiles/:id
+// @desc    Update a CSV import profile
+// @access  Private
+router.put('/:id', auth, profileValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const profile = await ImportProfile.findOne({ _id: req.params.id, user: req.user._id });
+    if (!profile) {
+      return res.status(404).json({ message: 'Import profile not found' });
+    }
+
+    const settings = pickProfileSettings({ ...profile.toObject(), ...req.body });
+    const error = separatorError(settings);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    profile.set(settings);
+    if (req.body.name) profile.name = req.body.name;
+    await profile.save();
+
+    res.json({
+      message: 'Import profile updated successfully',
+      profile
+    });
+  } catch (error) {
+    console.error('Update import profile error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Import profile not found' });
+    }
+    res.status(500).json({ message: 'Server error updating import profile' });
+  }
+});
+
+// @route   DELETE /api/import-profiles/:id
+// @desc    Delete a CSV import profile
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const profile = await ImportProfile.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!profile) {
+      return res.status(404).json({ message: 'Import profile not found' });
+    }
+
+    res.json({ message: 'Import profile deleted successfully' });
+  } catch (error) {
+    console.error('Delete import profile error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Import profile not found' });
+    }
+    res.status(500).json({ message: 'Server error deleting import profile' });
+  }
+});
+
+module.exports = router;
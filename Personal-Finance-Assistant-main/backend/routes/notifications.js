@@ -0,0 +1,103 @@
+const express = require('express');
+const { validationResult, query } = require('express-validator');
+const Notification = require('../models/Notification');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/notifications
+// @desc    Get notifications for user, newest first
+// @access  Private
+router.get('/', auth, [
+  query('unread', 'Unread must be a boolean').optional().isBoolean(),
+  query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { user: req.user._id };
+    if (req.query.unread === 'true') filter.isRead = false;
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).limit(limit),
+      Notification.countDocuments({ user: req.user._id, isRead: false })
+    ]);
+
+    res.json({ notifications, unreadCount });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error fetching notifications' });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, isRead: false },
+      { $set: { isRead: true, readAt: new Date() } }
+    );
+
+    res.json({
+      message: `${result.modifiedCount} notifications marked as read`,
+      modifiedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ message: 'Server error updating notifications' });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { $set: { isRead: true, readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ notification });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    res.status(500).json({ message: 'Server error updating notification' });
+  }
+});
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete a notification
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification deleted successfully' });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    res.status(500).json({ message: 'Server error deleting notification' });
+  }
+});
+
+module.exports = router;
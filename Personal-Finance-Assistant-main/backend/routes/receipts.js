@@ -0,0 +1,114 @@
+const express = require('express');
+const Receipt = require('../models/Receipt');
+const auth = require('../middleware/auth');
+const { getReceiptStorage } = require('../utils/receiptStorage');
+const { serializeReceipt, refreshTransactionReceipt, deleteReceipts } = require('../utils/receipts');
+
+const router = express.Router();
+
+// Send a stored file; receipts are private, so browsers must not share caches
+const sendStoredFile = async (res, key, contentType, fileName) => {
+  const buffer = await getReceiptStorage().get(key);
+  if (!buffer) {
+    return res.status(404).json({ message: 'Receipt file not found' });
+  }
+
+  res.set({
+    'Content-Type': contentType,
+    'Content-Length': buffer.length,
+    'Cache-Control': 'private, max-age=3600'
+  });
+  if (fileName) {
+    res.set('Content-Disposition', `inline; filename="${fileName.replace(/["\\\r\n]/g, '')}"`);
+  }
+  res.send(buffer);
+};
+
+const findUserReceipt = (req) => Receipt.findOne({ _id: req.params.id, user: req.user._id });
+
+// @route   GET /api/receipts/:id
+// @desc    Get a receipt's details
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const receipt = await findUserReceipt(req);
+    if (!receipt) {
+      return res.status(404).json({ message: 'Receipt not found' });
+    }
+
+    res.json({ receipt: serializeReceipt(receipt) });
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Receipt not found' });
+    }
+    res.status(500).json({ message: 'Server error fetching receipt' });
+  }
+});
+
+// @route   GET /api/receipts/:id/file
+// @desc    Download a receipt file
+// @access  Private
+router.get('/:id/file', auth, async (req, res) => {
+  try {
+    const receipt = await findUserReceipt(req);
+    if (!receipt) {
+      return res.status(404).json({ message: 'Receipt not found' });
+    }
+
+    await sendStoredFile(res, receipt.storageKey, receipt.mimeType, receipt.originalName);
+  } catch (error) {
+    console.error('Get receipt file error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Receipt not found' });
+    }
+    res.status(500).json({ message: 'Server error fetching receipt file' });
+  }
+});
+
+// @route   GET /api/receipts/:id/thumbnail
+// @desc    Download a receipt's thumbnail
+// @access  Private
+router.get('/:id/thumbnail', auth, async (req, res) => {
+  try {
+    const receipt = await findUserReceipt(req);
+    if (!receipt || !receipt.thumbnailKey) {
+      return res.status(404).json({ message: 'Receipt thumbnail not found' });
+    }
+
+    await sendStoredFile(res, receipt.thumbnailKey, 'image/jpeg');
+  } catch (error) {
+    console.error('Get receipt thumbnail error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Receipt thumbnail not found' });
+    }
+    res.status(500).json({ message: 'Server error fetching receipt thumbnail' });
+  }
+});
+
+// @route   DELETE /api/receipts/:id
+// @desc    Delete a receipt; its transaction falls back to its next attachment
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const receipt = await findUserReceipt(req);
+    if (!receipt) {
+      return res.status(404).json({ message: 'Receipt not found' });
+    }
+
+    await deleteReceipts({ _id: receipt._id });
+    if (receipt.transaction) {
+      await refreshTransactionReceipt(req.user._id, receipt.transaction);
+    }
+
+    res.json({ message: 'Receipt deleted successfully' });
+  } catch (error) {
+    console.error('Delete receipt error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Receipt not found' });
+    }
+    res.status(500).json({ message: 'Server error deleting receipt' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,313 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Rule = require('../models/Rule');
+const Transaction = require('../models/Transaction');
+const auth = require('../middleware/auth');
+const { getUserCategories, resolveCategory, invalidCategoryMessage } = require('../utils/categories');
+const { matchesRule, validateRuleDefinition, getUserRules } = require('../utils/rules');
+const { categorizeTransaction } = require('../utils/categorization');
+
+const router = express.Router();
+
+const RULE_FIELDS = ['name', 'priority', 'isActive', 'transactionType', 'conditions', 'matchAll', 'amountMin', 'amountMax', 'actions'];
+
+const ruleValidation = [
+  body('name', 'Rule name cannot exceed 100 characters').optional().trim().isLength({ min: 1, max: 100 }),
+  body('priority', 'Priority must be an integer').optional().isInt(),
+  body('isActive', 'isActive must be a boolean').optional().isBoolean(),
+  body('transactionType', 'Transaction type must be income or expense').optional({ nullable: true }).isIn(['income', 'expense']),
+  body('conditions', 'Conditions must be an array').optional().isArray(),
+  body('conditions.*.field', 'Condition field must be description, merchant, paymentMethod or notes').isIn(['description', 'merchant', 'paymentMethod', 'notes']),
+  body('conditions.*.operator', 'Condition operator must be contains, regex or exact').optional().isIn(['contains', 'regex', 'exact']),
+  body('conditions.*.value', 'Condition value is required').isString().isLength({ min: 1, max: 200 }),
+  body('matchAll', 'matchAll must be a boolean').optional().isBoolean(),
+  body('amountMin', 'Minimum amount must be a positive number').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('amountMax', 'Maximum amount must be a positive number').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('actions.category', 'Category must be a string').optional({ nullable: true }).isString(),
+  body('actions.subcategory', 'Subcategory must be a string').optional({ nullable: true }).isString(),
+  body('actions.tags', 'Tags must be an array').optional().isArray()
+];
+
+// Helper function to check a rule definition and canonicalize its category.
+// Returns an error message or null.
+const prepareRule = async (userId, rule) => {
+  const problems = validateRuleDefinition(rule);
+  if (problems.length > 0) {
+    return problems.join('. ');
+  }
+
+  if (rule.actions && rule.actions.category) {
+    const userCategories = await getUserCategories(userId);
+    const types = rule.transactionType ? [rule.transactionType] : ['expense', 'income'];
+    const category = types
+      .map(type => resolveCategory(rule.actions.category, type, userCategories))
+      .find(Boolean);
+
+    if (!category) {
+      return invalidCategoryMessage(rule.actions.category, rule.transactionType || 'expense');
+    }
+    rule.actions.category = category;
+  }
+
+  return null;
+};
+
+// @route   GET /api/rules
+// @desc    Get all categorization rules for user
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const rules = await Rule.find({ user: req.user._id }).sort({ priority: 1, createdAt: 1 });
+    res.json({ rules });
+  } catch (error) {
+    console.error('Get rules error:', error);
+    res.status(500).json({ message: 'Server error fetching rules' });
+  }
+});
+
+// @route   POST /api/rules/test
+// @desc    Dry-run a rule definition against the user's transaction history
+// @access  Private
+router.post('/test', auth, ruleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rule = { ...req.body, isActive: true };
+    const ruleError = await prepareRule(req.user._id, rule);
+    if (ruleError) {
+      return res.status(400).json({ message: ruleError });
+    }
+
+    const transactions = await Transaction.find({ user: req.user._id })
+      .sort({ date: -1 })
+      .select('date description amount type category subcategory tags paymentMethod notes')
+      .lean();
+
+    const matches = transactions.filter(transaction => matchesRule(rule, transaction));
+    const changed = matches.filter(transaction =>
+      rule.actions.category && transaction.category !== rule.actions.category
+    );
+
+    res.json({
+      totalTransactions: transactions.length,
+      matchCount: matches.length,
+      changeCount: changed.length,
+      matches: matches.slice(0, 50).map(transaction => ({
+        _id: transaction._id,
+        date: transaction.date,
+        description: transaction.description,
+        amount: transaction.amount,
+        type: transaction.type,
+        currentCategory: transaction.category,
+        proposedCategory: rule.actions.category || transaction.category
+      }))
+    });
+  } catch (error) {
+    console.error('Test rule error:', error);
+    res.status(500).json({ message: 'Server error testing rule' });
+  }
+});
+
+// @route   POST /api/rules/apply
+// @desc    Re-apply active rules to existing transactions
+// @access  Private
+router.post('/apply', auth, [
+  body('startDate', 'Start date must be a valid date').optional().isISO8601(),
+  body('endDate', 'End date must be a valid date').optional().isISO8601(),
+  body('force', 'Force must be true or false').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { startDate, endDate } = req.body;
+    const force = req.body.force === true || req.body.force === 'true';
+    const filter = { user: req.user._id };
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = new Date(startDate);
+      if (endDate) filter.date.$lte = new Date(endDate);
+    }
+    // Categories the user corrected by hand are what the classifier learns
+    // from, so rules only override them when asked to
+    const skippedCount = force ? 0 : await Transaction.countDocuments({ ...filter, categoryCorrected: true });
+    if (!force) {
+      filter.categoryCorrected = { $ne: true };
+    }
+
+    const [categories, rules] = await Promise.all([
+      getUserCategories(req.user._id),
+      getUserRules(req.user._id)
+    ]);
+
+    if (rules.length === 0) {
+      return res.json({ message: 'No active rules to apply', updatedCount: 0, skippedCount });
+    }
+
+    const transactions = await Transaction.find(filter).lean();
+    const updates = [];
+
+    transactions.forEach(transaction => {
+      // Split transactions were divided between categories by hand
+      if (transaction.splits && transaction.splits.length > 0) return;
+
+      const categorized = categorizeTransaction(transaction, { categories, rules }, { override: true });
+      if (!categorized.appliedRule) return;
+
+      const tags = categorized.tags || [];
+      const currentTags = new Set(transaction.tags || []);
+      const changed = categorized.category !== transaction.category ||
+        (categorized.subcategory || null) !== (transaction.subcategory || null) ||
+        tags.length !== currentTags.size ||
+        tags.some(tag => !currentTags.has(tag));
+
+      if (changed) {
+        updates.push({
+          updateOne: {
+            filter: { _id: transaction._id },
+            update: {
+              $set: {
+                category: categorized.category,
+                categorySource: categorized.categorySource,
+                categoryCorrected: false,
+                subcategory: categorized.subcategory,
+                tags,
+                updatedAt: new Date()
+              }
+            }
+          }
+        });
+      }
+    });
+
+    if (updates.length > 0) {
+      await Transaction.bulkWrite(updates);
+    }
+
+    res.json({
+      message: `${updates.length} transactions updated`,
+      checkedCount: transactions.length,
+      updatedCount: updates.length,
+      skippedCount
+    });
+  } catch (error) {
+    console.error('Apply rules error:', error);
+    res.status(500).json({ message: 'Server error applying rules' });
+  }
+});
+
+// @route   POST /api/rules
+// @desc    Create a categorization rule
+// @access  Private
+router.post('/', auth, [
+  body('name', 'Rule name is required').trim().isLength({ min: 1, max: 100 }),
+  ...ruleValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ruleData = { actions: {} };
+    RULE_FIELDS.forEach(key => {
+      if (req.body[key] !== undefined) {
+        ruleData[key] = req.body[key];
+      }
+    });
+
+    const ruleError = await prepareRule(req.user._id, ruleData);
+    if (ruleError) {
+      return res.status(400).json({ message: ruleError });
+    }
+
+    const rule = new Rule({ ...ruleData, user: req.user._id });
+    await rule.save();
+
+    res.status(201).json({
+      message: 'Rule created successfully',
+      rule
+    });
+  } catch (error) {
+    console.error('Create rule error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error creating rule' });
+  }
+});
+
+// @route   PUT /api/rules/:id
+// @desc    Update a categorization rule
+// @access  Private
+router.put('/:id', auth, ruleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rule = await Rule.findOne({ _id: req.params.id, user: req.user._id });
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+
+    const ruleData = rule.toObject();
+    RULE_FIELDS.forEach(key => {
+      if (req.body[key] !== undefined) {
+        ruleData[key] = req.body[key];
+      }
+    });
+
+    const ruleError = await prepareRule(req.user._id, ruleData);
+    if (ruleError) {
+      return res.status(400).json({ message: ruleError });
+    }
+
+    RULE_FIELDS.forEach(key => {
+      rule[key] = ruleData[key];
+    });
+    await rule.save();
+
+    res.json({
+      message: 'Rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    console.error('Update rule error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error updating rule' });
+  }
+});
+
+// @route   DELETE /api/rules/:id
+// @desc    Delete a categorization rule
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const rule = await Rule.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+
+    res.json({ message: 'Rule deleted successfully' });
+  } catch (error) {
+    console.error('Delete rule error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+    res.status(500).json({ message: 'Server error deleting rule' });
+  }
+});
+
+module.exports = router;
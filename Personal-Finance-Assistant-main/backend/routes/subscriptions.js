@@ -0,0 +1,139 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Transaction = require('../models/Transaction');
+const auth = require('../middleware/auth');
+const { detectSubscriptions, isTrackedByTemplate } = require('../utils/subscriptions');
+const { generateDueTransactions, getRecurringAmount } = require('../utils/recurring');
+const { getCurrencyContext, convertTransaction } = require('../utils/exchangeRates');
+
+const router = express.Router();
+
+// Approximate number of charges per month, used for the monthly cost estimate
+const MONTHLY_FACTOR = {
+  daily: 30.44,
+  weekly: 4.35,
+  monthly: 1,
+  quarterly: 1 / 3,
+  yearly: 1 / 12
+};
+
+// @route   GET /api/subscriptions
+// @desc    Get recurring templates (tracked subscriptions and bills)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const templates = await Transaction.find({
+      user: req.user._id,
+      isRecurring: true,
+      recurringParent: null
+    }).sort({ description: 1 });
+
+    const subscriptions = templates.map(template => ({
+      ...template.toObject(),
+      monthlyCost: Math.round(getRecurringAmount(template) * (MONTHLY_FACTOR[template.recurringFrequency] || 1) * 100) / 100
+    }));
+
+    res.json({
+      subscriptions,
+      totalMonthlyCost: subscriptions
+        .filter(subscription => subscription.type === 'expense')
+        .reduce((sum, subscription) => sum + subscription.monthlyCost, 0)
+    });
+  } catch (error) {
+    console.error('Get subscriptions error:', error);
+    res.status(500).json({ message: 'Server error fetching subscriptions' });
+  }
+});
+
+// @route   GET /api/subscriptions/detect
+// @desc    Scan transaction history for charges that repeat at regular intervals
+// @access  Private
+router.get('/detect', auth, [
+  query('months', 'Months must be between 1 and 60').optional().isInt({ min: 1, max: 60 }),
+  query('minConfidence', 'Minimum confidence must be between 0 and 1').optional().isFloat({ min: 0, max: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const months = parseInt(req.query.months) || 24;
+    const minConfidence = req.query.minConfidence !== undefined ? parseFloat(req.query.minConfidence) : 0.5;
+    const startDate = new Date();
+    startDate.setMonth(startDate.getMonth() - months);
+
+    const transactions = await Transaction.find({
+      user: req.user._id,
+      type: 'expense',
+      date: { $gte: startDate }
+    }).select('type amount description category paymentMethod date isRecurring recurringParent');
+
+    // Skip merchants the user already tracks as recurring
+    const templates = await Transaction.find({ user: req.user._id, isRecurring: true, recurringParent: null })
+      .select('description amount recurringAmount');
+
+    const subscriptions = detectSubscriptions(transactions, { minConfidence })
+      .filter(subscription => !templates.some(template => isTrackedByTemplate(subscription, template)));
+
+    res.json({
+      subscriptions,
+      priceIncreases: subscriptions.filter(subscription => subscription.priceIncrease).length
+    });
+  } catch (error) {
+    console.error('Detect subscriptions error:', error);
+    res.status(500).json({ message: 'Server error detecting subscriptions' });
+  }
+});
+
+// @route   POST /api/subscriptions/convert
+// @desc    Turn a detected subscription into a recurring template
+// @access  Private
+router.post('/convert', auth, [
+  body('transactionId', 'Transaction ID is required').isMongoId(),
+  body('frequency', 'Frequency must be weekly, monthly, quarterly or yearly').isIn(['weekly', 'monthly', 'quarterly', 'yearly']),
+  body('amount', 'Amount must be a positive number').optional().isFloat({ min: 0.01 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transaction = await Transaction.findOne({ _id: req.body.transactionId, user: req.user._id });
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+    if (transaction.recurringParent) {
+      return res.status(400).json({ message: 'Transaction is already part of a recurring series' });
+    }
+
+    // The latest charge becomes the template and keeps its own amount; a new
+    // amount only applies to the occurrences generated from it
+    const amount = req.body.amount !== undefined ? Math.round(parseFloat(req.body.amount) * 100) / 100 : transaction.amount;
+    if (amount !== transaction.amount) {
+      const converted = convertTransaction({ ...transaction.toObject(), amount, date: new Date() }, await getCurrencyContext(req.user));
+      if (converted.error) {
+        return res.status(400).json({ message: converted.error });
+      }
+    }
+
+    transaction.isRecurring = true;
+    transaction.recurringFrequency = req.body.frequency;
+    transaction.recurringAmount = amount !== transaction.amount ? amount : undefined;
+    transaction.nextOccurrence = undefined;
+    await transaction.save();
+
+    await generateDueTransactions({ templateId: transaction._id });
+
+    res.json({
+      message: 'Subscription is now tracked as a recurring transaction',
+      transaction
+    });
+  } catch (error) {
+    console.error('Convert subscription error:', error);
+    res.status(500).json({ message: 'Server error converting subscription' });
+  }
+});
+
+module.exports = router;
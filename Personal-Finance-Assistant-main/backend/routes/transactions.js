@@ -1,18 +1,148 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
 const { body, validationResult, query } = require('express-validator');
 const Transaction = require('../models/Transaction');
 const auth = require('../middleware/auth');
+const { getUserCategories, resolveCategory, invalidCategoryMessage } = require('../utils/categories');
+const { getCategorizationContext, categorizeTransaction } = require('../utils/categorization');
+const { checkBudgetAlerts } = require('../utils/notifications');
+const { generateDueTransactions, skipDeletedOccurrences, getUpcomingOccurrences } = require('../utils/recurring');
+const { DEFAULT_TOLERANCE_DAYS, findDuplicateGroups } = require('../utils/duplicates');
+const { EXPORT_FORMATS, exportTransactions } = require('../utils/transactionExport');
+const { getUserAccounts, validateAccountReference, validateTransactionAccounts } = require('../utils/accounts');
+const { getMainSplit, resolveSplits, SPLIT_CATEGORY_STAGES } = require('../utils/splits');
+const { BASE_AMOUNT, getCurrencyContext, convertTransaction, reconvertTransactions } = require('../utils/exchangeRates');
+const { CURRENCIES } = require('../utils/currencies');
+const Receipt = require('../models/Receipt');
+const {
+  storeReceipt,
+  findReceiptToLink,
+  getReceiptFields,
+  serializeReceipt,
+  linkReceipt,
+  deleteTransactionReceipts
+} = require('../utils/receipts');
+const { isHeicFile, convertUploadedImage } = require('../utils/imagePreprocessing');
 
 const router = express.Router();
 
+const TRANSACTION_TYPES = ['income', 'expense', 'transfer'];
+
+// Receipts attached to transactions are images or PDFs, kept in memory until
+// they are stored
+const ATTACHMENT_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'image/heif', 'application/pdf'];
+
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (ATTACHMENT_TYPES.includes(file.mimetype) || isHeicFile(file)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`File type ${file.mimetype} is not supported. Please use JPG, PNG, GIF, WebP, HEIC or PDF files.`), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  }
+});
+
+// `account` filters by an account ID, or "none" for transactions without one
+const accountFilterValidation = query('account', 'Account must be an account ID or "none"')
+  .optional()
+  .matches(/^([a-f\d]{24}|none)$/i);
+
+const accountValidation = (field) => body(field, 'Account must be a valid account ID')
+  .optional({ nullable: true, checkFalsy: true })
+  .isMongoId();
+
+const currencyValidation = (field) => body(field, 'Invalid currency')
+  .optional({ nullable: true, checkFalsy: true })
+  .isIn(CURRENCIES);
+
+const splitValidation = (field) => [
+  body(field, 'Splits must be an array').optional({ nullable: true }).isArray(),
+  body(`${field}.*.category`, 'Split category is required').trim().isLength({ min: 1 }),
+  body(`${field}.*.amount`, 'Split amount must be a positive number').isFloat({ min: 0.01 }),
+  body(`${field}.*.note`, 'Split note cannot exceed 200 characters').optional().trim().isLength({ max: 200 })
+];
+
+// Helper function to build the query condition for the account filter. IDs
+// are cast here because aggregation pipelines do not cast them. With
+// `includeTransfersIn`, transfers into the account match as well.
+const buildAccountFilter = (account, { includeTransfersIn = false } = {}) => {
+  if (!account) return {};
+  if (account === 'none') return { account: null };
+
+  const accountId = new mongoose.Types.ObjectId(account);
+  return includeTransfersIn
+    ? { $or: [{ account: accountId }, { toAccount: accountId }] }
+    : { account: accountId };
+};
+
+// Filters shared by the transaction list and export
+const listFilterValidation = [
+  accountFilterValidation,
+  query('type', 'Type must be income, expense or transfer').optional().isIn(TRANSACTION_TYPES),
+  query('category', 'Category must be a string').optional().isString(),
+  query('startDate', 'Start date must be a valid date').optional().isISO8601(),
+  query('endDate', 'End date must be a valid date').optional().isISO8601()
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper function to build the query for list filters; `search` matches the
+// same fields as GET /search
+const buildTransactionFilter = (userId, { type, category, account, startDate, endDate, search }) => {
+  const filter = { user: userId };
+  const conditions = [];
+
+  if (account) conditions.push(buildAccountFilter(account, { includeTransfersIn: true }));
+
+  if (type) filter.type = type;
+  // Split transactions match on any of their split categories. The name is
+  // matched whole, ignoring case, rather than as a pattern.
+  if (category) {
+    const pattern = new RegExp(`^${escapeRegex(category)}$`, 'i');
+    conditions.push({ $or: [{ category: pattern }, { 'splits.category': pattern }] });
+  }
+
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) filter.date.$gte = new Date(startDate);
+    if (endDate) filter.date.$lte = new Date(endDate);
+  }
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    conditions.push({
+      $or: [
+        { description: pattern },
+        { category: pattern },
+        { notes: pattern },
+        { tags: pattern }
+      ]
+    });
+  }
+
+  if (conditions.length > 0) filter.$and = conditions;
+
+  return filter;
+};
+
 // @route   POST /api/transactions
 // @desc    Create a new transaction
 // @access  Private
 router.post('/', auth, [
-  body('type', 'Type is required').isIn(['income', 'expense']),
+  body('type', 'Type must be income, expense or transfer').isIn(TRANSACTION_TYPES),
   body('amount', 'Amount must be a positive number').isFloat({ min: 0.01 }),
-  body('category', 'Category is required').trim().isLength({ min: 1 }),
-  body('description', 'Description is required').trim().isLength({ min: 1 })
+  body('category', 'Category must be a string').optional().trim().isString(),
+  body('description', 'Description is required').trim().isLength({ min: 1 }),
+  accountValidation('account'),
+  accountValidation('toAccount'),
+  currencyValidation('currency'),
+  ...splitValidation('splits'),
+  body('receipt', 'Receipt must be a valid receipt ID').optional({ nullable: true, checkFalsy: true }).isMongoId()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -20,16 +150,73 @@ router.post('/', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const transactionData = {
+    const accountError = validateTransactionAccounts(req.body, await getUserAccounts(req.user._id));
+    if (accountError) {
+      return res.status(400).json({ message: accountError });
+    }
+
+    // A receipt uploaded beforehand is linked to the new transaction
+    let receipt = null;
+    if (req.body.receipt) {
+      const found = await findReceiptToLink(req.user._id, req.body.receipt);
+      if (found.error) {
+        return res.status(400).json({ message: found.error });
+      }
+      receipt = found.receipt;
+    }
+
+    // Amounts in another currency are converted to the base currency
+    const converted = convertTransaction(req.body, await getCurrencyContext(req.user));
+    if (converted.error) {
+      return res.status(400).json({ message: converted.error });
+    }
+
+    const context = await getCategorizationContext(req.user._id);
+    const { splits, error: splitError } = resolveSplits(req.body.splits, req.body.type, req.body.amount, context.categories);
+    if (splitError) {
+      return res.status(400).json({ message: splitError });
+    }
+
+    // Rules fill in the category, subcategory and tags when they are left
+    // empty; a split transaction without a category takes its largest split's
+    const categorized = categorizeTransaction({
       ...req.body,
+      category: req.body.category || (splits.length > 0 ? getMainSplit(splits).category : undefined)
+    }, context);
+    const category = resolveCategory(categorized.category, categorized.type, context.categories);
+    if (!category) {
+      return res.status(400).json({ message: invalidCategoryMessage(categorized.category, categorized.type) });
+    }
+
+    const transactionData = {
+      ...categorized,
+      ...converted,
+      category,
+      splits,
+      account: req.body.account || null,
+      toAccount: req.body.toAccount || null,
+      ...(receipt ? getReceiptFields(receipt) : { receipt: null, receiptUrl: undefined }),
       user: req.user._id
     };
 
     const transaction = new Transaction(transactionData);
     await transaction.save();
+    if (receipt) {
+      await linkReceipt(receipt, transaction._id);
+    }
+    await checkBudgetAlerts(req.user, [transaction]);
+
+    // Catch up on occurrences of a back-dated recurring template
+    if (transaction.isRecurring) {
+      await generateDueTransactions({ templateId: transaction._id });
+    }
 
     // Populate user data for response
-    await transaction.populate('user', 'name email');
+    await transaction.populate([
+      { path: 'user', select: 'name email' },
+      { path: 'account', select: 'name type currency' },
+      { path: 'toAccount', select: 'name type currency' }
+    ]);
 
     res.status(201).json({
       message: 'Transaction created successfully',
@@ -41,16 +228,485 @@ router.post('/', auth, [
   }
 });
 
-// @route   GET /api/transactions
-// @desc    Get all transactions for user with filtering
+// @route   GET /api/transactions
+// @desc    Get all transactions for user with filtering
+// @access  Private
+router.get('/', auth, [
+  query('page', 'Page must be a positive integer').optional().isInt({ min: 1 }),
+  query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 }),
+  ...listFilterValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      page = 1,
+      limit = 10,
+      type,
+      category,
+      account,
+      startDate,
+      endDate,
+      sortBy = 'date',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const filter = buildTransactionFilter(req.user._id, { type, category, account, startDate, endDate });
+
+    // Build sort object
+    const sort = {};
+    sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+
+    // Execute query with pagination
+    const transactions = await Transaction.find(filter)
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('user', 'name email')
+      .populate('account toAccount', 'name type currency');
+
+    const total = await Transaction.countDocuments(filter);
+
+    res.json({
+      transactions,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get transactions error:', error);
+    res.status(500).json({ message: 'Server error fetching transactions' });
+  }
+});
+
+// @route   GET /api/transactions/recurring/upcoming
+// @desc    Get occurrences of recurring transactions due in the next days
+// @access  Private
+router.get('/recurring/upcoming', auth, [
+  query('days', 'Days must be between 1 and 365').optional().isInt({ min: 1, max: 365 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const days = parseInt(req.query.days) || 30;
+    const upcoming = await getUpcomingOccurrences(req.user, days);
+
+    res.json({
+      days,
+      upcoming,
+      totalExpenses: upcoming
+        .filter(occurrence => occurrence.type === 'expense')
+        .reduce((sum, occurrence) => sum + occurrence.baseAmount, 0)
+    });
+  } catch (error) {
+    console.error('Upcoming recurring transactions error:', error);
+    res.status(500).json({ message: 'Server error fetching upcoming transactions' });
+  }
+});
+
+// @route   GET /api/transactions/duplicates
+// @desc    Scan existing transactions for likely duplicates
+// @access  Private
+router.get('/duplicates', auth, [
+  query('toleranceDays', 'Tolerance must be between 0 and 14 days').optional().isInt({ min: 0, max: 14 }),
+  query('startDate', 'Start date must be a valid date').optional().isISO8601(),
+  query('endDate', 'End date must be a valid date').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const toleranceDays = req.query.toleranceDays !== undefined
+      ? parseInt(req.query.toleranceDays)
+      : DEFAULT_TOLERANCE_DAYS;
+
+    const filter = { user: req.user._id };
+    if (req.query.startDate || req.query.endDate) {
+      filter.date = {};
+      if (req.query.startDate) filter.date.$gte = new Date(req.query.startDate);
+      if (req.query.endDate) filter.date.$lte = new Date(req.query.endDate);
+    }
+
+    const transactions = await Transaction.find(filter)
+      .select('date description amount type category paymentMethod notDuplicateOf createdAt')
+      .lean();
+
+    const groups = findDuplicateGroups(transactions, { toleranceDays })
+      .map(group => group.map(({ notDuplicateOf, ...transaction }) => transaction));
+
+    res.json({
+      toleranceDays,
+      groups,
+      duplicateCount: groups.reduce((sum, group) => sum + group.length - 1, 0)
+    });
+  } catch (error) {
+    console.error('Duplicate scan error:', error);
+    res.status(500).json({ message: 'Server error scanning for duplicates' });
+  }
+});
+
+// @route   POST /api/transactions/duplicates/merge
+// @desc    Keep one transaction of a duplicate group and delete the others
+// @access  Private
+router.post('/duplicates/merge', auth, [
+  body('keepId', 'keepId must be a valid transaction ID').isMongoId(),
+  body('mergeIds', 'mergeIds must be a non-empty array of transaction IDs').isArray({ min: 1 }),
+  body('mergeIds.*', 'mergeIds must contain valid transaction IDs').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { keepId } = req.body;
+    const mergeIds = req.body.mergeIds.filter(id => id !== keepId);
+
+    const keep = await Transaction.findOne({ _id: keepId, user: req.user._id });
+    const duplicates = await Transaction.find({ _id: { $in: mergeIds }, user: req.user._id });
+
+    if (!keep || duplicates.length !== mergeIds.length) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+    if (duplicates.some(transaction => transaction.isRecurring && !transaction.recurringParent)) {
+      return res.status(400).json({ message: 'A recurring template cannot be merged away; keep it instead' });
+    }
+
+    // Carry over details the kept transaction is missing
+    duplicates.forEach(duplicate => {
+      ['subcategory', 'location', 'receipt', 'receiptUrl', 'notes'].forEach(key => {
+        if (!keep[key] && duplicate[key]) {
+          keep[key] = duplicate[key];
+        }
+      });
+      keep.tags = [...new Set([...keep.tags, ...duplicate.tags])];
+    });
+
+    await keep.save();
+    await Receipt.updateMany(
+      { user: req.user._id, transaction: { $in: mergeIds } },
+      { $set: { transaction: keep._id, updatedAt: new Date() } }
+    );
+    await Transaction.deleteMany({ _id: { $in: mergeIds }, user: req.user._id });
+    await skipDeletedOccurrences(duplicates);
+
+    res.json({
+      message: `Merged ${mergeIds.length} duplicate transactions`,
+      transaction: keep,
+      deletedCount: mergeIds.length
+    });
+  } catch (error) {
+    console.error('Merge duplicates error:', error);
+    res.status(500).json({ message: 'Server error merging duplicates' });
+  }
+});
+
+// @route   POST /api/transactions/duplicates/dismiss
+// @desc    Mark a group of transactions as not duplicates of each other
+// @access  Private
+router.post('/duplicates/dismiss', auth, [
+  body('transactionIds', 'transactionIds must contain at least two transaction IDs').isArray({ min: 2 }),
+  body('transactionIds.*', 'transactionIds must contain valid transaction IDs').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { transactionIds } = req.body;
+    const count = await Transaction.countDocuments({ _id: { $in: transactionIds }, user: req.user._id });
+    if (count !== new Set(transactionIds).size) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+
+    await Transaction.bulkWrite(transactionIds.map(id => ({
+      updateOne: {
+        filter: { _id: id, user: req.user._id },
+        update: { $addToSet: { notDuplicateOf: { $each: transactionIds.filter(other => other !== id) } } }
+      }
+    })));
+
+    res.json({ message: 'Transactions marked as not duplicates' });
+  } catch (error) {
+    console.error('Dismiss duplicates error:', error);
+    res.status(500).json({ message: 'Server error dismissing duplicates' });
+  }
+});
+
+// @route   GET /api/transactions/export
+// @desc    Download transactions as CSV, JSON, XLSX, PDF statement or QIF
+// @access  Private
+router.get('/export', auth, [
+  query('format', 'Format must be csv, json, xlsx, pdf or qif').optional().isIn(Object.keys(EXPORT_FORMATS)),
+  ...listFilterValidation,
+  query('search', 'Search must be a string').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { format = 'csv', type, category, account, startDate, endDate, search } = req.query;
+    const filter = buildTransactionFilter(req.user._id, { type, category, account, startDate, endDate, search });
+    const cursor = Transaction.find(filter)
+      .sort({ date: 1 })
+      .populate('account toAccount', 'name')
+      .lean()
+      .cursor();
+
+    await exportTransactions(format, cursor, res, {
+      user: req.user,
+      filters: { type, category, account, startDate, endDate, search }
+    });
+  } catch (error) {
+    console.error('Export transactions error:', error);
+    // The file may already be partly sent
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ message: 'Server error exporting transactions' });
+  }
+});
+
+// Fixed paths below must stay ahead of /:id, which would otherwise take them
+
+// @route   GET /api/transactions/categories
+// @desc    Get available categories
+// @access  Private
+router.get('/categories', auth, async (req, res) => {
+  try {
+    const { expense, income, transfer } = await getUserCategories(req.user._id);
+
+    res.json({
+      expense,
+      income,
+      transfer
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ message: 'Server error fetching categories' });
+  }
+});
+
+// @route   POST /api/transactions/bulk
+// @desc    Create multiple transactions
+// @access  Private
+router.post('/bulk', auth, [
+  body('transactions', 'Transactions array is required').isArray({ min: 1 }),
+  body('transactions.*.type', 'Type must be income, expense or transfer').isIn(TRANSACTION_TYPES),
+  body('transactions.*.amount', 'Amount must be a positive number').isFloat({ min: 0.01 }),
+  body('transactions.*.category', 'Category must be a string').optional().trim().isString(),
+  body('transactions.*.description', 'Description is required').trim().isLength({ min: 1 }),
+  accountValidation('transactions.*.account'),
+  accountValidation('transactions.*.toAccount'),
+  currencyValidation('transactions.*.currency'),
+  ...splitValidation('transactions.*.splits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const context = await getCategorizationContext(req.user._id);
+
+    // Reject the whole batch if any category, split or account is unknown
+    const userAccounts = await getUserAccounts(req.user._id);
+    const categoryErrors = [];
+    const resolvedSplits = req.body.transactions.map((transaction, index) => {
+      const { splits, error } = resolveSplits(transaction.splits, transaction.type, transaction.amount, context.categories);
+      if (error) {
+        categoryErrors.push({ index, msg: error });
+      }
+      return splits || [];
+    });
+    const transactions = req.body.transactions.map((transaction, index) => categorizeTransaction({
+      ...transaction,
+      category: transaction.category || (resolvedSplits[index].length > 0 ? getMainSplit(resolvedSplits[index]).category : undefined)
+    }, context));
+    const currencyContext = await getCurrencyContext(req.user);
+    const conversions = transactions.map(transaction => convertTransaction(transaction, currencyContext));
+    const resolvedCategories = transactions.map((transaction, index) => {
+      const category = resolveCategory(transaction.category, transaction.type, context.categories);
+      if (!category) {
+        categoryErrors.push({ index, msg: invalidCategoryMessage(transaction.category, transaction.type) });
+      }
+      const accountError = validateTransactionAccounts(transaction, userAccounts);
+      if (accountError) {
+        categoryErrors.push({ index, msg: accountError });
+      }
+      if (conversions[index].error) {
+        categoryErrors.push({ index, msg: conversions[index].error });
+      }
+      return category;
+    });
+
+    if (categoryErrors.length > 0) {
+      return res.status(400).json({ message: 'Some transactions have invalid categories, accounts or currencies', errors: categoryErrors });
+    }
+    
+    // Add user ID to each transaction
+    const transactionsWithUser = transactions.map((transaction, index) => ({
+      ...transaction,
+      ...conversions[index],
+      category: resolvedCategories[index],
+      splits: resolvedSplits[index],
+      account: transaction.account || null,
+      toAccount: transaction.toAccount || null,
+      receipt: null,
+      receiptUrl: undefined,
+      user: req.user._id
+    }));
+
+    const createdTransactions = await Transaction.insertMany(transactionsWithUser);
+    await checkBudgetAlerts(req.user, createdTransactions);
+    
+    res.status(201).json({
+      message: `${createdTransactions.length} transactions created successfully`,
+      transactions: createdTransactions
+    });
+  } catch (error) {
+    console.error('Bulk create transactions error:', error);
+    res.status(500).json({ message: 'Server error creating transactions' });
+  }
+});
+
+// @route   DELETE /api/transactions/bulk
+// @desc    Delete multiple transactions
+// @access  Private
+router.delete('/bulk', auth, [
+  body('transactionIds', 'Transaction IDs array is required').isArray({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { transactionIds } = req.body;
+
+    const occurrences = await Transaction.find({
+      _id: { $in: transactionIds },
+      user: req.user._id,
+      recurringParent: { $ne: null }
+    }).select('recurringParent date');
+    const result = await Transaction.deleteMany({
+      _id: { $in: transactionIds },
+      user: req.user._id
+    });
+    await deleteTransactionReceipts(req.user._id, transactionIds);
+    await skipDeletedOccurrences(occurrences);
+
+    res.json({
+      message: `${result.deletedCount} transactions deleted successfully`,
+      deletedCount: result.deletedCount
+    });
+  } catch (error) {
+    console.error('Bulk delete transactions error:', error);
+    res.status(500).json({ message: 'Server error deleting transactions' });
+  }
+});
+
+// @route   PUT /api/transactions/bulk
+// @desc    Update multiple transactions
+// @access  Private
+router.put('/bulk', auth, [
+  body('updates', 'Updates array is required').isArray({ min: 1 }),
+  body('updates.*.id', 'Transaction ID is required').exists(),
+  body('updates.*.data', 'Update data is required').exists(),
+  accountValidation('updates.*.data.account'),
+  accountValidation('updates.*.data.toAccount'),
+  currencyValidation('updates.*.data.currency')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { updates } = req.body;
+
+    // Moving transactions between accounts is only allowed into the user's own
+    // accounts, and into ones in the transaction's currency
+    const userAccounts = await getUserAccounts(req.user._id);
+    const existing = await Transaction.find({
+      _id: { $in: updates.map(update => update.id).filter(id => mongoose.isValidObjectId(id)) },
+      user: req.user._id
+    }).select('type account toAccount currency').lean();
+    const existingById = new Map(existing.map(transaction => [transaction._id.toString(), transaction]));
+    const accountError = updates
+      .map(update => {
+        const data = update.data || {};
+        const transaction = existingById.get(String(update.id));
+        if (!transaction) {
+          return validateAccountReference(data.account, userAccounts) || validateAccountReference(data.toAccount, userAccounts);
+        }
+        const merged = { ...transaction };
+        ['type', 'account', 'toAccount', 'currency'].forEach(key => {
+          if (data[key] !== undefined) merged[key] = data[key];
+        });
+        return validateTransactionAccounts(merged, userAccounts);
+      })
+      .find(Boolean);
+    if (accountError) {
+      return res.status(400).json({ message: accountError });
+    }
+    updates.forEach(update => {
+      if (update.data && update.data.account === '') update.data.account = null;
+      if (update.data && update.data.toAccount === '') update.data.toAccount = null;
+      // Receipts are linked through the receipt routes only
+      if (update.data) {
+        delete update.data.receipt;
+        delete update.data.receiptUrl;
+      }
+    });
+    const updatePromises = updates.map(update => 
+      Transaction.findOneAndUpdate(
+        { _id: update.id, user: req.user._id },
+        update.data,
+        { new: true }
+      )
+    );
+
+    const updatedTransactions = await Promise.all(updatePromises);
+
+    // Keep base currency amounts in step with changed amounts, currencies and dates
+    const reconvertIds = updatedTransactions
+      .filter((transaction, index) => transaction && ['amount', 'currency', 'date']
+        .some(key => (updates[index].data || {})[key] !== undefined))
+      .map(transaction => transaction._id);
+    if (reconvertIds.length > 0) {
+      await reconvertTransactions(req.user, { _id: { $in: reconvertIds } });
+    }
+    
+    res.json({
+      message: `${updatedTransactions.filter(t => t).length} transactions updated successfully`,
+      transactions: updatedTransactions.filter(t => t)
+    });
+  } catch (error) {
+    console.error('Bulk update transactions error:', error);
+    res.status(500).json({ message: 'Server error updating transactions' });
+  }
+});
+
+// @route   GET /api/transactions/search
+// @desc    Search transactions
 // @access  Private
-router.get('/', auth, [
+router.get('/search', auth, [
+  query('q', 'Search query is required').isString().notEmpty(),
   query('page', 'Page must be a positive integer').optional().isInt({ min: 1 }),
   query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 }),
-  query('type', 'Type must be income or expense').optional().isIn(['income', 'expense']),
-  query('category', 'Category must be a string').optional().isString(),
-  query('startDate', 'Start date must be a valid date').optional().isISO8601(),
-  query('endDate', 'End date must be a valid date').optional().isISO8601()
+  accountFilterValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -58,51 +714,39 @@ router.get('/', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const {
-      page = 1,
-      limit = 10,
-      type,
-      category,
-      startDate,
-      endDate,
-      sortBy = 'date',
-      sortOrder = 'desc'
-    } = req.query;
-
-    // Build filter object
-    const filter = { user: req.user._id };
-    
-    if (type) filter.type = type;
-    if (category) filter.category = { $regex: category, $options: 'i' };
+    const { q, page = 1, limit = 10 } = req.query;
+    const pattern = new RegExp(escapeRegex(q), 'i');
     
-    if (startDate || endDate) {
-      filter.date = {};
-      if (startDate) filter.date.$gte = new Date(startDate);
-      if (endDate) filter.date.$lte = new Date(endDate);
-    }
-
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+    const searchFilter = {
+      user: req.user._id,
+      ...buildAccountFilter(req.query.account),
+      $or: [
+        { description: pattern },
+        { category: pattern },
+        { notes: pattern },
+        { tags: pattern }
+      ]
+    };
 
-    // Execute query with pagination
-    const transactions = await Transaction.find(filter)
-      .sort(sort)
+    const transactions = await Transaction.find(searchFilter)
+      .sort({ date: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
-      .populate('user', 'name email');
+      .populate('user', 'name email')
+      .populate('account toAccount', 'name type currency');
 
-    const total = await Transaction.countDocuments(filter);
+    const total = await Transaction.countDocuments(searchFilter);
 
     res.json({
       transactions,
       totalPages: Math.ceil(total / limit),
       currentPage: page,
-      total
+      total,
+      query: q
     });
   } catch (error) {
-    console.error('Get transactions error:', error);
-    res.status(500).json({ message: 'Server error fetching transactions' });
+    console.error('Search transactions error:', error);
+    res.status(500).json({ message: 'Server error searching transactions' });
   }
 });
 
@@ -114,7 +758,7 @@ router.get('/:id', auth, async (req, res) => {
     const transaction = await Transaction.findOne({
       _id: req.params.id,
       user: req.user._id
-    }).populate('user', 'name email');
+    }).populate('user', 'name email').populate('account toAccount', 'name type currency');
 
     if (!transaction) {
       return res.status(404).json({ message: 'Transaction not found' });
@@ -134,10 +778,14 @@ router.get('/:id', auth, async (req, res) => {
 // @desc    Update transaction
 // @access  Private
 router.put('/:id', auth, [
-  body('type', 'Type must be income or expense').optional().isIn(['income', 'expense']),
+  body('type', 'Type must be income, expense or transfer').optional().isIn(TRANSACTION_TYPES),
   body('amount', 'Amount must be a positive number').optional().isFloat({ min: 0.01 }),
   body('category', 'Category is required').optional().trim().isLength({ min: 1 }),
-  body('description', 'Description is required').optional().trim().isLength({ min: 1 })
+  body('description', 'Description is required').optional().trim().isLength({ min: 1 }),
+  accountValidation('account'),
+  accountValidation('toAccount'),
+  currencyValidation('currency'),
+  ...splitValidation('splits')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -154,15 +802,97 @@ router.put('/:id', auth, [
       return res.status(404).json({ message: 'Transaction not found' });
     }
 
+    // Check the accounts as they will be after the update; only transfers
+    // keep a destination account
+    const accounts = {
+      type: req.body.type || transaction.type,
+      account: req.body.account !== undefined ? req.body.account : transaction.account,
+      toAccount: req.body.toAccount !== undefined ? req.body.toAccount : transaction.toAccount,
+      currency: req.body.currency || transaction.currency
+    };
+    if (accounts.type !== 'transfer') {
+      accounts.toAccount = null;
+    }
+    const accountError = validateTransactionAccounts(accounts, await getUserAccounts(req.user._id));
+    if (accountError) {
+      return res.status(400).json({ message: accountError });
+    }
+
+    // Convert again with the amount, currency and date after the update
+    const converted = convertTransaction({
+      amount: req.body.amount !== undefined ? req.body.amount : transaction.amount,
+      currency: req.body.currency || transaction.currency,
+      date: req.body.date || transaction.date,
+      account: accounts.account
+    }, await getCurrencyContext(req.user));
+    if (converted.error) {
+      return res.status(400).json({ message: converted.error });
+    }
+
+    // Re-validate the category when either it or the type changes, and the
+    // splits when they, the type or the amount change
+    const userCategories = await getUserCategories(req.user._id);
+    const type = req.body.type || transaction.type;
+
+    let splits = transaction.splits;
+    if (req.body.splits !== undefined || req.body.type !== undefined || req.body.amount !== undefined) {
+      const splitResult = resolveSplits(
+        req.body.splits !== undefined ? req.body.splits : transaction.splits.map(split => split.toObject()),
+        type,
+        req.body.amount !== undefined ? req.body.amount : transaction.amount,
+        userCategories
+      );
+      if (splitResult.error) {
+        return res.status(400).json({ message: splitResult.error });
+      }
+      splits = splitResult.splits;
+    }
+
+    let category = transaction.category;
+    if (req.body.category !== undefined || req.body.type !== undefined) {
+      const categoryName = req.body.category || transaction.category;
+      category = resolveCategory(categoryName, type, userCategories);
+      if (!category) {
+        return res.status(400).json({ message: invalidCategoryMessage(categoryName, type) });
+      }
+    }
+
+    // Remember manual recategorizations so the classifier can learn from them
+    if (category !== transaction.category) {
+      transaction.categoryCorrected = true;
+    }
+
     // Update fields
     Object.keys(req.body).forEach(key => {
-      if (req.body[key] !== undefined) {
+      if (req.body[key] !== undefined && !['categoryCorrected', 'exchangeRate', 'baseAmount', 'receipt', 'receiptUrl'].includes(key)) {
         transaction[key] = req.body[key];
       }
     });
+    Object.assign(transaction, converted);
+    transaction.category = category;
+    transaction.splits = splits;
+    transaction.account = accounts.account || null;
+    transaction.toAccount = accounts.toAccount || null;
+
+    // Restart the schedule when the recurrence of a template changes
+    if (['date', 'isRecurring', 'recurringFrequency', 'recurringEndDate'].some(key => transaction.isModified(key))) {
+      transaction.nextOccurrence = undefined;
+    }
+    // An edited amount replaces one set when converting a subscription
+    if (transaction.isModified('amount')) {
+      transaction.recurringAmount = undefined;
+    }
 
     await transaction.save();
-    await transaction.populate('user', 'name email');
+
+    if (transaction.isRecurring && !transaction.recurringParent) {
+      await generateDueTransactions({ templateId: transaction._id });
+    }
+    await transaction.populate([
+      { path: 'user', select: 'name email' },
+      { path: 'account', select: 'name type currency' },
+      { path: 'toAccount', select: 'name type currency' }
+    ]);
 
     res.json({
       message: 'Transaction updated successfully',
@@ -191,6 +921,9 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Transaction not found' });
     }
 
+    await deleteTransactionReceipts(req.user._id, [transaction._id]);
+    await skipDeletedOccurrences([transaction]);
+
     res.json({ message: 'Transaction deleted successfully' });
   } catch (error) {
     console.error('Delete transaction error:', error);
@@ -201,12 +934,84 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/transactions/:id/attachments
+// @desc    List the receipts attached to a transaction, oldest first
+// @access  Private
+router.get('/:id/attachments', auth, async (req, res) => {
+  try {
+    const transaction = await Transaction.findOne({ _id: req.params.id, user: req.user._id }).select('_id');
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+
+    const receipts = await Receipt.find({ user: req.user._id, transaction: transaction._id }).sort({ createdAt: 1 });
+
+    res.json({ attachments: receipts.map(serializeReceipt) });
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+    res.status(500).json({ message: 'Server error fetching attachments' });
+  }
+});
+
+// @route   POST /api/transactions/:id/attachments
+// @desc    Attach a receipt image or PDF (`file`), or a receipt uploaded for OCR (`receipt`)
+// @access  Private
+router.post('/:id/attachments', auth, attachmentUpload.single('file'), async (req, res) => {
+  try {
+    const transaction = await Transaction.findOne({ _id: req.params.id, user: req.user._id });
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+
+    let receipt;
+    if (req.file) {
+      // HEIC and WebP photos are stored as JPEG
+      receipt = await storeReceipt(req.user._id, await convertUploadedImage({
+        buffer: req.file.buffer,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype
+      }), { transaction: transaction._id });
+    } else if (req.body.receipt) {
+      const found = await findReceiptToLink(req.user._id, req.body.receipt);
+      if (found.error) {
+        return res.status(400).json({ message: found.error });
+      }
+      receipt = found.receipt;
+      await linkReceipt(receipt, transaction._id);
+    } else {
+      return res.status(400).json({ message: 'Upload a file or send the ID of an uploaded receipt' });
+    }
+
+    // The first attachment is the one the transaction links to
+    if (!transaction.receipt) {
+      Object.assign(transaction, getReceiptFields(receipt));
+      await transaction.save();
+    }
+
+    res.status(201).json({
+      message: 'Receipt attached successfully',
+      attachment: serializeReceipt(receipt),
+      transaction
+    });
+  } catch (error) {
+    console.error('Attach receipt error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+    res.status(500).json({ message: 'Server error attaching receipt' });
+  }
+});
+
 // @route   GET /api/transactions/analytics/summary
 // @desc    Get transaction summary and analytics
 // @access  Private
 router.get('/analytics/summary', auth, [
   query('startDate', 'Start date must be a valid date').optional().isISO8601(),
-  query('endDate', 'End date must be a valid date').optional().isISO8601()
+  query('endDate', 'End date must be a valid date').optional().isISO8601(),
+  accountFilterValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -214,45 +1019,48 @@ router.get('/analytics/summary', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, account } = req.query;
     
-    // Build date filter
-    const dateFilter = { user: req.user._id };
+    // Build date and account filter
+    const dateFilter = { user: req.user._id, ...buildAccountFilter(account) };
     if (startDate || endDate) {
       dateFilter.date = {};
       if (startDate) dateFilter.date.$gte = new Date(startDate);
       if (endDate) dateFilter.date.$lte = new Date(endDate);
     }
 
-    // Get total income and expenses
+    // Get total income and expenses; every total is in the base currency
     const [incomeTotal, expenseTotal] = await Promise.all([
       Transaction.aggregate([
         { $match: { ...dateFilter, type: 'income' } },
-        { $group: { _id: null, total: { $sum: '$amount' } } }
+        { $group: { _id: null, total: { $sum: BASE_AMOUNT } } }
       ]),
       Transaction.aggregate([
         { $match: { ...dateFilter, type: 'expense' } },
-        { $group: { _id: null, total: { $sum: '$amount' } } }
+        { $group: { _id: null, total: { $sum: BASE_AMOUNT } } }
       ])
     ]);
 
     // Get expenses by category
+    // Split transactions count each split under its own category
     const expensesByCategory = await Transaction.aggregate([
       { $match: { ...dateFilter, type: 'expense' } },
-      { $group: { _id: '$category', total: { $sum: '$amount' }, count: { $sum: 1 } } },
+      ...SPLIT_CATEGORY_STAGES,
+      { $group: { _id: '$category', total: { $sum: BASE_AMOUNT }, count: { $sum: 1 } } },
       { $sort: { total: -1 } }
     ]);
 
     // Get income by category
     const incomeByCategory = await Transaction.aggregate([
       { $match: { ...dateFilter, type: 'income' } },
-      { $group: { _id: '$category', total: { $sum: '$amount' }, count: { $sum: 1 } } },
+      ...SPLIT_CATEGORY_STAGES,
+      { $group: { _id: '$category', total: { $sum: BASE_AMOUNT }, count: { $sum: 1 } } },
       { $sort: { total: -1 } }
     ]);
 
-    // Get monthly trends
+    // Get monthly trends; transfers only move money between accounts
     const monthlyTrends = await Transaction.aggregate([
-      { $match: dateFilter },
+      { $match: { ...dateFilter, type: { $in: ['income', 'expense'] } } },
       {
         $group: {
           _id: {
@@ -260,7 +1068,7 @@ router.get('/analytics/summary', auth, [
             month: { $month: '$date' },
             type: '$type'
           },
-          total: { $sum: '$amount' },
+          total: { $sum: BASE_AMOUNT },
           count: { $sum: 1 }
         }
       },
@@ -295,129 +1103,12 @@ router.get('/analytics/summary', auth, [
   }
 });
 
-// @route   GET /api/transactions/categories
-// @desc    Get available categories
-// @access  Private
-router.get('/categories', auth, async (req, res) => {
-  try {
-    const expenseCategories = Transaction.getExpenseCategories();
-    const incomeCategories = Transaction.getIncomeCategories();
-
-    res.json({
-      expense: expenseCategories,
-      income: incomeCategories
-    });
-  } catch (error) {
-    console.error('Get categories error:', error);
-    res.status(500).json({ message: 'Server error fetching categories' });
-  }
-});
-
-// @route   POST /api/transactions/bulk
-// @desc    Create multiple transactions
-// @access  Private
-router.post('/bulk', auth, [
-  body('transactions', 'Transactions array is required').isArray({ min: 1 }),
-  body('transactions.*.type', 'Type is required').isIn(['income', 'expense']),
-  body('transactions.*.amount', 'Amount must be a positive number').isFloat({ min: 0.01 }),
-  body('transactions.*.category', 'Category is required').trim().isLength({ min: 1 }),
-  body('transactions.*.description', 'Description is required').trim().isLength({ min: 1 })
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const { transactions } = req.body;
-    
-    // Add user ID to each transaction
-    const transactionsWithUser = transactions.map(transaction => ({
-      ...transaction,
-      user: req.user._id
-    }));
-
-    const createdTransactions = await Transaction.insertMany(transactionsWithUser);
-    
-    res.status(201).json({
-      message: `${createdTransactions.length} transactions created successfully`,
-      transactions: createdTransactions
-    });
-  } catch (error) {
-    console.error('Bulk create transactions error:', error);
-    res.status(500).json({ message: 'Server error creating transactions' });
-  }
-});
-
-// @route   DELETE /api/transactions/bulk
-// @desc    Delete multiple transactions
-// @access  Private
-router.delete('/bulk', auth, [
-  body('transactionIds', 'Transaction IDs array is required').isArray({ min: 1 })
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const { transactionIds } = req.body;
-    
-    const result = await Transaction.deleteMany({
-      _id: { $in: transactionIds },
-      user: req.user._id
-    });
-
-    res.json({
-      message: `${result.deletedCount} transactions deleted successfully`,
-      deletedCount: result.deletedCount
-    });
-  } catch (error) {
-    console.error('Bulk delete transactions error:', error);
-    res.status(500).json({ message: 'Server error deleting transactions' });
-  }
-});
-
-// @route   PUT /api/transactions/bulk
-// @desc    Update multiple transactions
-// @access  Private
-router.put('/bulk', auth, [
-  body('updates', 'Updates array is required').isArray({ min: 1 }),
-  body('updates.*.id', 'Transaction ID is required').exists(),
-  body('updates.*.data', 'Update data is required').exists()
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const { updates } = req.body;
-    const updatePromises = updates.map(update => 
-      Transaction.findOneAndUpdate(
-        { _id: update.id, user: req.user._id },
-        update.data,
-        { new: true }
-      )
-    );
-
-    const updatedTransactions = await Promise.all(updatePromises);
-    
-    res.json({
-      message: `${updatedTransactions.filter(t => t).length} transactions updated successfully`,
-      transactions: updatedTransactions.filter(t => t)
-    });
-  } catch (error) {
-    console.error('Bulk update transactions error:', error);
-    res.status(500).json({ message: 'Server error updating transactions' });
-  }
-});
-
 // @route   GET /api/transactions/analytics/yearly
 // @desc    Get yearly transaction analytics
 // @access  Private
 router.get('/analytics/yearly', auth, [
-  query('year', 'Year must be a valid number').optional().isInt({ min: 2000, max: 2100 })
+  query('year', 'Year must be a valid number').optional().isInt({ min: 2000, max: 2100 }),
+  accountFilterValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -431,6 +1122,8 @@ router.get('/analytics/yearly', auth, [
       {
         $match: {
           user: req.user._id,
+          ...buildAccountFilter(req.query.account),
+          type: { $in: ['income', 'expense'] },
           date: {
             $gte: new Date(year, 0, 1),
             $lt: new Date(year + 1, 0, 1)
@@ -443,7 +1136,7 @@ router.get('/analytics/yearly', auth, [
             month: { $month: '$date' },
             type: '$type'
           },
-          total: { $sum: '$amount' },
+          total: { $sum: BASE_AMOUNT },
           count: { $sum: 1 }
         }
       },
@@ -477,7 +1170,8 @@ router.get('/analytics/yearly', auth, [
 // @desc    Get category spending trends
 // @access  Private
 router.get('/analytics/category-trends', auth, [
-  query('months', 'Months must be a positive integer').optional().isInt({ min: 1, max: 24 })
+  query('months', 'Months must be a positive integer').optional().isInt({ min: 1, max: 24 }),
+  accountFilterValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -493,10 +1187,12 @@ router.get('/analytics/category-trends', auth, [
       {
         $match: {
           user: req.user._id,
+          ...buildAccountFilter(req.query.account),
           date: { $gte: startDate },
           type: 'expense'
         }
       },
+      ...SPLIT_CATEGORY_STAGES,
       {
         $group: {
           _id: {
@@ -504,7 +1200,7 @@ router.get('/analytics/category-trends', auth, [
             year: { $year: '$date' },
             month: { $month: '$date' }
           },
-          total: { $sum: '$amount' },
+          total: { $sum: BASE_AMOUNT },
           count: { $sum: 1 }
         }
       },
@@ -520,51 +1216,20 @@ router.get('/analytics/category-trends', auth, [
   }
 });
 
-// @route   GET /api/transactions/search
-// @desc    Search transactions
-// @access  Private
-router.get('/search', auth, [
-  query('q', 'Search query is required').notEmpty(),
-  query('page', 'Page must be a positive integer').optional().isInt({ min: 1 }),
-  query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+// Error handling middleware for multer
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ message: 'File too large. Maximum size is 10MB.' });
     }
+    return res.status(400).json({ message: error.message });
+  }
 
-    const { q, page = 1, limit = 10 } = req.query;
-    
-    const searchFilter = {
-      user: req.user._id,
-      $or: [
-        { description: { $regex: q, $options: 'i' } },
-        { category: { $regex: q, $options: 'i' } },
-        { notes: { $regex: q, $options: 'i' } },
-        { tags: { $in: [new RegExp(q, 'i')] } }
-      ]
-    };
-
-    const transactions = await Transaction.find(searchFilter)
-      .sort({ date: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .populate('user', 'name email');
-
-    const total = await Transaction.countDocuments(searchFilter);
-
-    res.json({
-      transactions,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total,
-      query: q
-    });
-  } catch (error) {
-    console.error('Search transactions error:', error);
-    res.status(500).json({ message: 'Server error searching transactions' });
+  if (error.message.includes('not supported')) {
+    return res.status(400).json({ message: error.message });
   }
+
+  next(error);
 });
 
 module.exports = router;
\ No newline at end of file
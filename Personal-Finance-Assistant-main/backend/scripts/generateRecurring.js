@@ -0,0 +1,21 @@
+// Standalone runner for the recurring transaction generator, e.g. from cron:
+//   npm run recurring
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { generateDueTransactions } = require('../utils/recurring');
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const { templates, created } = await generateDueTransactions();
+    console.log(`Checked ${templates} recurring templates, created ${created} transactions`);
+  } catch (error) {
+    console.error('Recurring generation error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
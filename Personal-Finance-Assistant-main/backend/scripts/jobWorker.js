@@ -0,0 +1,33 @@
+// Standalone background job worker, for running OCR and imports outside the
+// API process (start the API with JOB_WORKER=off):
+//   npm run worker
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { startJobWorker } = require('../utils/jobQueue');
+const jobHandlers = require('../utils/jobHandlers');
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+
+  const stopWorker = startJobWorker(jobHandlers, {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 1
+  });
+  console.log('Job worker started');
+
+  // Let running jobs finish before exiting
+  const shutdown = async () => {
+    console.log('Stopping job worker');
+    await stopWorker();
+    await mongoose.disconnect();
+  };
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
+};
+
+run();
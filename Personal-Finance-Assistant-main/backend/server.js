@@ -9,6 +9,17 @@ const authRoutes = require('./routes/auth');
 const transactionRoutes = require('./routes/transactions');
 const uploadRoutes = require('./routes/upload');
 const categoryRoutes = require('./routes/categories');
+const budgetRoutes = require('./routes/budgets');
+const notificationRoutes = require('./routes/notifications');
+const subscriptionRoutes = require('./routes/subscriptions');
+const ruleRoutes = require('./routes/rules');
+const importProfileRoutes = require('./routes/importProfiles');
+const accountRoutes = require('./routes/accounts');
+const exchangeRateRoutes = require('./routes/exchangeRates');
+const receiptRoutes = require('./routes/receipts');
+const { startRecurringScheduler } = require('./utils/recurring');
+const { startJobWorker } = require('./utils/jobQueue');
+const jobHandlers = require('./utils/jobHandlers');
 
 const app = express();
 
@@ -30,14 +41,19 @@ app.use(cors({
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Static file serving for uploads
-app.use('/uploads', express.static('uploads'));
-
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/categories', categoryRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/rules', ruleRoutes);
+app.use('/api/import-profiles', importProfileRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/receipts', receiptRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -66,6 +82,16 @@ mongoose.connect(process.env.MONGODB_URI)
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
+
+    // Generate recurring transactions in-process unless an external runner is used
+    if (process.env.RECURRING_SCHEDULER !== 'off') {
+      startRecurringScheduler(parseInt(process.env.RECURRING_INTERVAL_MINUTES) || 60);
+    }
+
+    // Run OCR and imports in-process unless a standalone worker is used
+    if (process.env.JOB_WORKER !== 'off') {
+      startJobWorker(jobHandlers, { concurrency: parseInt(process.env.JOB_CONCURRENCY) || 1 });
+    }
   })
   .catch((error) => {
     console.error('MongoDB connection error:', error);
@@ -0,0 +1,121 @@
+const { test, describe, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Account = require('../models/Account');
+const Budget = require('../models/Budget');
+const ExchangeRate = require('../models/ExchangeRate');
+const Transaction = require('../models/Transaction');
+const authRoutes = require('../routes/auth');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const userId = new mongoose.Types.ObjectId();
+
+// Stand-in for a Mongoose query: chainable, resolving to `result`
+const queryResult = (result) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    lean: () => Promise.resolve(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+describe('PUT /api/auth/profile changing the base currency', () => {
+  let server;
+  let baseUrl;
+  let user;
+  let rates;
+  let budgetWrite;
+  const token = jwt.sign({ userId: userId.toString() }, process.env.JWT_SECRET);
+
+  const updateProfile = (body) => fetch(`${baseUrl}/api/auth/profile`, {
+    method: 'PUT',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    user = {
+      _id: userId,
+      name: 'Sam',
+      email: 'sam@example.com',
+      currency: 'USD',
+      monthlyBudget: 1000,
+      save: mock.fn(async () => {})
+    };
+    rates = [{ base: 'USD', currency: 'EUR', date: new Date('2024-01-01T00:00:00Z'), rate: 0.9 }];
+    mock.method(User, 'findById', () => queryResult(user));
+    mock.method(Account, 'find', () => queryResult([]));
+    mock.method(ExchangeRate, 'find', () => queryResult(rates));
+    mock.method(Transaction, 'find', () => queryResult([]));
+    mock.method(Transaction, 'updateMany', async () => ({}));
+    mock.method(Budget, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    mock.method(Budget, 'find', () => queryResult([
+      { _id: new mongoose.Types.ObjectId(), amount: 300 },
+      { _id: new mongoose.Types.ObjectId(), amount: 55.55 }
+    ]));
+    budgetWrite = mock.method(Budget, 'bulkWrite', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('converts budget limits and the monthly budget at today\'s rate', async () => {
+    const response = await updateProfile({ currency: 'EUR', monthlyBudget: 1000 });
+
+    assert.equal(response.status, 200);
+    const result = await response.json();
+    assert.equal(result.limitsConverted, true);
+    assert.match(result.message, /1 USD = 0\.9 EUR/);
+    assert.equal(result.user.monthlyBudget, 900);
+    assert.equal(result.user.currency, 'EUR');
+    const [updates] = budgetWrite.mock.calls[0].arguments;
+    assert.deepEqual(updates.map(({ updateOne }) => updateOne.update.$set.amount), [270, 50]);
+  });
+
+  test('keeps a monthly budget sent along with the new currency', async () => {
+    const response = await updateProfile({ currency: 'EUR', monthlyBudget: 800 });
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).user.monthlyBudget, 800);
+  });
+
+  test('refuses the change when budgets cannot be converted', async () => {
+    rates = [];
+    const response = await updateProfile({ currency: 'EUR' });
+
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).message, /exchange rate from USD to EUR/);
+    assert.equal(user.save.mock.callCount(), 0);
+    assert.equal(budgetWrite.mock.callCount(), 0);
+  });
+
+  test('changes the currency without a rate when there are no limits', async () => {
+    rates = [];
+    user.monthlyBudget = 0;
+    mock.method(Budget, 'exists', async () => null);
+    mock.method(Budget, 'find', () => queryResult([]));
+
+    const response = await updateProfile({ currency: 'EUR' });
+
+    assert.equal(response.status, 200);
+    const result = await response.json();
+    assert.equal(result.limitsConverted, false);
+    assert.equal(result.user.currency, 'EUR');
+  });
+});
@@ -0,0 +1,46 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const { readBackupFile } = require('../utils/backup');
+
+// A ZIP backup holding `files`, a map of entry names to contents
+const buildArchive = (files) => {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, data]) => zip.addFile(name, Buffer.from(data)));
+  return zip.toBuffer();
+};
+
+const backupJson = JSON.stringify({ version: 2, transactions: [] });
+
+describe('readBackupFile', () => {
+  test('reads backup.json and the receipt files of an archive', () => {
+    const { backup, receipts } = readBackupFile(buildArchive({
+      'backup.json': backupJson,
+      'receipts/abc.jpg': 'image'
+    }));
+
+    assert.equal(backup.version, 2);
+    assert.deepEqual(receipts.map(({ fileName, data }) => [fileName, data.toString()]), [['abc.jpg', 'image']]);
+  });
+
+  test('reads a JSON backup', () => {
+    assert.deepEqual(readBackupFile(Buffer.from(backupJson)), { backup: { version: 2, transactions: [] }, receipts: [] });
+  });
+
+  test('rejects files outside the backup layout', () => {
+    for (const name of ['receipts/nested/abc.jpg', 'notes.txt', 'uploads/abc.jpg']) {
+      assert.throws(
+        () => readBackupFile(buildArchive({ 'backup.json': backupJson, [name]: 'data' })),
+        /not part of a backup/,
+        name
+      );
+    }
+  });
+
+  test('rejects a file that unpacks to more than the limit before extracting it', () => {
+    const archive = buildArchive({ 'backup.json': backupJson, 'receipts/big.pdf': Buffer.alloc(51 * 1024 * 1024) });
+
+    assert.ok(archive.length < 1024 * 1024);
+    assert.throws(() => readBackupFile(archive), /receipts\/big\.pdf is larger than 50MB/);
+  });
+});
@@ -0,0 +1,107 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const iconv = require('iconv-lite');
+const { decodeOFX, parseOFX, parseOFXDate, getTransactionType } = require('../utils/ofx');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+const withHeader = (charset, text, encoding) => Buffer.concat([
+  Buffer.from(`OFXHEADER:100\r\nDATA:OFXSGML\r\nCHARSET:${charset}\r\n\r\n<OFX>`),
+  iconv.encode(text, encoding)
+]);
+
+describe('decodeOFX', () => {
+  test('reads ISO-8859 charsets as ISO-8859 rather than a Windows code page', () => {
+    assert.match(decodeOFX(withHeader('8859-1', 'Café', 'latin1')), /Café$/);
+    assert.match(decodeOFX(withHeader('ISO-8859-1', 'Café', 'latin1')), /Café$/);
+    assert.match(decodeOFX(withHeader('ISO-8859-15', 'Prix €', 'iso-8859-15')), /Prix €$/);
+  });
+
+  test('reads Windows code pages', () => {
+    assert.match(decodeOFX(withHeader('1252', 'Prix €', 'windows-1252')), /Prix €$/);
+    assert.match(decodeOFX(withHeader('1251', 'Кафе', 'windows-1251')), /Кафе$/);
+  });
+
+  test('reads CHARSET:NONE as Windows-1252', () => {
+    assert.match(decodeOFX(withHeader('NONE', 'Café', 'windows-1252')), /Café$/);
+  });
+
+  test('uses the XML declaration of OFX 2 files', () => {
+    const buffer = Buffer.concat([
+      Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?>\n<OFX>'),
+      iconv.encode('Café', 'latin1')
+    ]);
+    assert.match(decodeOFX(buffer), /Café$/);
+  });
+
+  test('falls back to UTF-8', () => {
+    assert.match(decodeOFX(Buffer.from('<?xml version="1.0"?>\n<OFX>Café')), /Café$/);
+  });
+});
+
+describe('parseOFX', () => {
+  const { accounts, transactions } = parseOFX(decodeOFX(readFixture('statement-latin1.ofx')));
+
+  test('lists each statement account', () => {
+    assert.deepEqual(accounts, [
+      { accountId: '000123456789', currency: 'EUR', isCreditCard: false },
+      { accountId: '4111XXXXXXXX1111', currency: 'EUR', isCreditCard: true }
+    ]);
+  });
+
+  test('reads bank transactions', () => {
+    assert.deepEqual(transactions[0], {
+      date: new Date('2024-01-15T00:00:00Z'),
+      description: 'Café de la Gare',
+      amount: 42.5,
+      type: 'expense',
+      paymentMethod: 'debit_card',
+      notes: 'Carte 1234',
+      currency: 'EUR',
+      externalId: '000123456789:202401150001'
+    });
+    assert.equal(transactions[1].description, 'Salaire Société Générale');
+    assert.equal(transactions[1].type, 'income');
+    assert.equal(transactions[1].notes, undefined);
+  });
+
+  test('names checks without a payee after their number', () => {
+    assert.equal(transactions[2].description, 'Check 1042');
+    assert.equal(transactions[2].paymentMethod, 'check');
+  });
+
+  test('skips zero amounts', () => {
+    assert.equal(transactions.some(transaction => transaction.description === 'Zero amount'), false);
+  });
+
+  test('reads credit card statements with entities decoded', () => {
+    assert.deepEqual(transactions[3], {
+      date: new Date('2024-01-20T00:00:00Z'),
+      description: 'Netflix & Co',
+      amount: 15.99,
+      type: 'expense',
+      paymentMethod: 'credit_card',
+      notes: undefined,
+      currency: 'EUR',
+      externalId: '4111XXXXXXXX1111:CC0001'
+    });
+    assert.equal(transactions.length, 4);
+  });
+
+  test('rejects text without an OFX body', () => {
+    assert.throws(() => parseOFX('Date,Amount\n2024-01-01,5'), /Not a valid OFX file/);
+  });
+});
+
+test('parseOFXDate keeps the calendar date', () => {
+  assert.deepEqual(parseOFXDate('20240115235959.000[-5:EST]'), new Date('2024-01-15T00:00:00Z'));
+  assert.equal(parseOFXDate('January'), null);
+});
+
+test('getTransactionType falls back to the sign for XFER and OTHER', () => {
+  assert.equal(getTransactionType('XFER', 10), 'income');
+  assert.equal(getTransactionType('OTHER', -10), 'expense');
+  assert.equal(getTransactionType('FEE', 10), 'expense');
+});
@@ -0,0 +1,102 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { detectTemplate, parseStatementDate, parseStatementText } = require('../utils/pdfStatements');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('Chase checking template', () => {
+  const result = parseStatementText(readFixture('chase-statement.txt'));
+
+  test('is detected from the statement text', () => {
+    assert.deepEqual(result.template, { id: 'chase-checking', name: 'Chase checking' });
+  });
+
+  test('reads signed amounts and joins wrapped descriptions', () => {
+    assert.deepEqual(result.transactions, [
+      {
+        date: new Date('2024-01-03T00:00:00Z'),
+        description: 'Card Purchase 01/02 Starbucks Store 123 Seattle WA Card 1234',
+        amount: 5.75,
+        type: 'expense',
+        paymentMethod: 'debit_card',
+        balance: 994.25
+      },
+      {
+        date: new Date('2024-01-05T00:00:00Z'),
+        description: 'Payroll Deposit ACME Corp',
+        amount: 2000,
+        type: 'income',
+        paymentMethod: 'debit_card',
+        balance: 2994.25
+      },
+      {
+        date: new Date('2024-01-10T00:00:00Z'),
+        description: 'Zelle Payment To John',
+        amount: 50,
+        type: 'expense',
+        paymentMethod: 'debit_card',
+        balance: 2944.25
+      }
+    ]);
+    assert.deepEqual(result.unparsedLines, []);
+  });
+});
+
+describe('Barclays current account template', () => {
+  const result = parseStatementText(readFixture('barclays-statement.txt'));
+
+  test('is detected from the statement text', () => {
+    assert.equal(result.template.id, 'barclays-current');
+  });
+
+  test('takes missing years from the statement period', () => {
+    assert.deepEqual(result.transactions.map(transaction => transaction.date), [
+      new Date('2023-12-28T00:00:00Z'),
+      new Date('2023-12-28T00:00:00Z'),
+      new Date('2024-01-03T00:00:00Z')
+    ]);
+  });
+
+  test('tells money in from money out with the running balance', () => {
+    assert.deepEqual(result.transactions.map(({ description, amount, type }) => ({ description, amount, type })), [
+      { description: 'Card payment to Tesco Stores', amount: 25, type: 'expense' },
+      { description: 'Card payment to Pret A Manger', amount: 5, type: 'expense' },
+      { description: 'Bill payment from J Smith', amount: 100, type: 'income' }
+    ]);
+  });
+});
+
+describe('generic template', () => {
+  const text = [
+    'Statement',
+    '01/15/2024 Grocery Store 45.20',
+    '2024-01-16 Deposit from employer 1,500.00',
+    '01/17/2024 Refund 0.00',
+    'Total fees 12.00'
+  ].join('\n');
+
+  test('is the fallback when no bank template matches', () => {
+    assert.equal(detectTemplate(text).id, 'generic');
+  });
+
+  test('reads full dates and income keywords, and reports lines it cannot read', () => {
+    const result = parseStatementText(text);
+    assert.deepEqual(result.transactions.map(({ description, amount, type }) => ({ description, amount, type })), [
+      { description: 'Grocery Store', amount: 45.2, type: 'expense' },
+      { description: 'Deposit from employer', amount: 1500, type: 'income' }
+    ]);
+    assert.deepEqual(result.unparsedLines, ['01/17/2024 Refund 0.00', 'Total fees 12.00']);
+  });
+
+  test('can be chosen over a detected template', () => {
+    assert.equal(parseStatementText(readFixture('chase-statement.txt'), { templateId: 'generic' }).template.id, 'generic');
+  });
+});
+
+test('parseStatementDate reads template date formats', () => {
+  assert.deepEqual(parseStatementDate('03/01/24', 'DD/MM/YY'), { year: 2024, month: 1, day: 3 });
+  assert.deepEqual(parseStatementDate('28 December', 'DD MMM'), { year: null, month: 12, day: 28 });
+  assert.equal(parseStatementDate('28 Foo', 'DD MMM'), null);
+});
@@ -0,0 +1,87 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const iconv = require('iconv-lite');
+const { decodeQIF, parseQIF, parseQIFDate, formatQIF } = require('../utils/qif');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+describe('parseQIF', () => {
+  const transactions = parseQIF(decodeQIF(readFixture('statement.qif')));
+
+  test('reads bank and credit card sections and skips the others', () => {
+    assert.deepEqual(transactions.map(transaction => transaction.description), [
+      'Corner Grocery',
+      'ACME Corp Payroll',
+      'Transfer to savings',
+      'Hardware store',
+      'Streaming service'
+    ]);
+    assert.equal(transactions[4].paymentMethod, 'credit_card');
+  });
+
+  test('reads categories, amounts and signs', () => {
+    assert.deepEqual(transactions[0], {
+      date: new Date('2024-01-15T00:00:00Z'),
+      description: 'Corner Grocery',
+      amount: 42.5,
+      type: 'expense',
+      category: 'Food',
+      subcategory: 'Groceries',
+      paymentMethod: 'bank_transfer',
+      notes: undefined,
+      splits: undefined
+    });
+    assert.equal(transactions[1].amount, 2500);
+    assert.equal(transactions[1].type, 'income');
+    assert.deepEqual(transactions[1].date, new Date('2024-01-20T00:00:00Z'));
+  });
+
+  test('notes transfers to another account', () => {
+    assert.equal(transactions[2].category, undefined);
+    assert.equal(transactions[2].notes, 'Transfer: Savings');
+  });
+
+  test('reads splits and check numbers', () => {
+    const split = transactions[3];
+    assert.equal(split.paymentMethod, 'check');
+    assert.equal(split.category, 'Home');
+    assert.equal(split.subcategory, 'Repairs');
+    assert.deepEqual(split.splits, [
+      { category: 'Home', subcategory: 'Repairs', amount: 70, note: 'Paint' },
+      { category: 'Household', subcategory: undefined, amount: 30, note: undefined }
+    ]);
+    assert.equal(split.notes, 'Split: Home 70.00; Household 30.00');
+  });
+
+  test('reads back what formatQIF writes', () => {
+    const written = formatQIF(transactions.map(transaction => ({ ...transaction, notes: undefined })));
+    assert.deepEqual(parseQIF(written).map(({ date, amount, type, category }) => ({ date, amount, type, category })),
+      transactions.map(({ date, amount, type, category }) => ({ date, amount, type, category })));
+  });
+});
+
+test('decodeQIF falls back to Windows-1252', () => {
+  assert.equal(decodeQIF(iconv.encode('PCafé', 'windows-1252')), 'PCafé');
+  assert.equal(decodeQIF(Buffer.from('PCafé')), 'PCafé');
+});
+
+describe('parseQIFDate', () => {
+  test('reads the date styles Quicken writes', () => {
+    assert.deepEqual(parseQIFDate('1/5\'24'), new Date('2024-01-05T00:00:00Z'));
+    assert.deepEqual(parseQIFDate('01/05/99'), new Date('1999-01-05T00:00:00Z'));
+    assert.deepEqual(parseQIFDate('2024-01-05'), new Date('2024-01-05T00:00:00Z'));
+    assert.deepEqual(parseQIFDate('05.01.2024'), new Date('2024-01-05T00:00:00Z'));
+  });
+
+  test('follows the date format unless the date cannot fit it', () => {
+    assert.deepEqual(parseQIFDate('01/05/2024', 'DMY'), new Date('2024-05-01T00:00:00Z'));
+    assert.deepEqual(parseQIFDate('25/01/2024', 'MDY'), new Date('2024-01-25T00:00:00Z'));
+  });
+
+  test('rejects dates that do not exist', () => {
+    assert.equal(parseQIFDate('02/30/2024'), null);
+    assert.equal(parseQIFDate('someday'), null);
+  });
+});
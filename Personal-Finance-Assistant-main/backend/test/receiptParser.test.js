@@ -0,0 +1,66 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { findAmounts, parseReceiptDate, parseReceiptTime, parseReceiptText } = require('../utils/receiptParser');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('parseReceiptText', () => {
+  const receipt = parseReceiptText(readFixture('receipt-grocery.txt'));
+
+  test('reads the merchant, date, time and card', () => {
+    assert.equal(receipt.merchantName, 'WHOLE FOODS MARKET');
+    assert.deepEqual(receipt.date, new Date('2024-01-15T00:00:00Z'));
+    assert.equal(receipt.time, '14:32');
+    assert.equal(receipt.paymentMethod, 'credit_card');
+    assert.equal(receipt.cardLast4, '4242');
+  });
+
+  test('reads items, with quantities printed under them', () => {
+    assert.deepEqual(receipt.items, [
+      { name: 'ORGANIC BANANAS', quantity: 1, unitPrice: 2.49, amount: 2.49 },
+      { name: 'ALMOND MILK', quantity: 2, unitPrice: 3.99, amount: 7.98 },
+      { name: 'SOURDOUGH BREAD', quantity: 1, unitPrice: 5.5, amount: 5.5 }
+    ]);
+  });
+
+  test('checks the total against the subtotal and tax', () => {
+    assert.equal(receipt.subtotal, 15.97);
+    assert.equal(receipt.tax, 1.32);
+    assert.equal(receipt.total, 17.29);
+    assert.equal(receipt.totalSource, 'checked');
+    assert.deepEqual(receipt.totalCheck, { expected: 17.29, difference: 0, consistent: true });
+    assert.deepEqual(receipt.needsReview, []);
+  });
+
+  test('flags a total that does not add up for review', () => {
+    const result = parseReceiptText('CORNER CAFE\n01/15/2024\nLatte 4.50\nSubtotal 4.50\nTax 0.40\nTotal 9.90');
+    assert.equal(result.total, 9.90);
+    assert.equal(result.totalCheck.consistent, false);
+    assert.ok(result.needsReview.includes('total'));
+  });
+
+  test('falls back to the items when there are no summary lines', () => {
+    const result = parseReceiptText('FARM STAND\nApples 3.00\nPears 2.50');
+    assert.equal(result.total, 5.5);
+    assert.equal(result.totalSource, 'items');
+  });
+
+  test('returns empty fields for empty text', () => {
+    const result = parseReceiptText('');
+    assert.equal(result.total, 0);
+    assert.equal(result.date, null);
+    assert.deepEqual(result.items, []);
+  });
+});
+
+test('findAmounts reads signs, thousands and OCR commas but not percentages', () => {
+  assert.deepEqual(findAmounts('$1,234.56 -2.00 3.00- 3,49 8.25%'), [1234.56, -2, -3, 3.49]);
+});
+
+test('parseReceiptDate and parseReceiptTime read common layouts', () => {
+  assert.deepEqual(parseReceiptDate(['Jan 5, 2024']).date, new Date('2024-01-05T00:00:00Z'));
+  assert.deepEqual(parseReceiptDate(['2024-01-05']).date, new Date('2024-01-05T00:00:00Z'));
+  assert.equal(parseReceiptTime(['2:05 PM']).time, '14:05');
+});
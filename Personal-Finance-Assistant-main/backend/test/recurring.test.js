@@ -0,0 +1,66 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const ExchangeRate = require('../models/ExchangeRate');
+const Transaction = require('../models/Transaction');
+const { getUpcomingOccurrences } = require('../utils/recurring');
+
+const user = { _id: new mongoose.Types.ObjectId(), currency: 'USD' };
+
+// Stand-in for a Mongoose query: chainable, resolving to `result`
+const queryResult = (result) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    lean: () => Promise.resolve(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+const buildTemplate = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  user: user._id,
+  type: 'expense',
+  category: 'Entertainment',
+  description: 'Subscription',
+  date: new Date('2024-01-10T12:00:00Z'),
+  isRecurring: true,
+  recurringFrequency: 'monthly',
+  recurringParent: null,
+  ...fields
+});
+
+describe('getUpcomingOccurrences', () => {
+  let rates;
+
+  beforeEach(() => {
+    rates = [{ base: 'USD', currency: 'EUR', date: new Date('2024-01-01T00:00:00Z'), rate: 0.8 }];
+    mock.method(Account, 'find', () => queryResult([]));
+    mock.method(ExchangeRate, 'find', () => queryResult(rates));
+    mock.method(Transaction, 'find', () => queryResult([
+      buildTemplate({ description: 'Streaming', amount: 10, currency: 'USD', exchangeRate: 1, baseAmount: 10 }),
+      buildTemplate({ description: 'Gym', amount: 20, recurringAmount: 24, currency: 'EUR', exchangeRate: 1.2, baseAmount: 24 })
+    ]));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('gives each occurrence its currency and the amount in the base currency', async () => {
+    const upcoming = await getUpcomingOccurrences(user, 30, new Date('2024-02-01T00:00:00Z'));
+
+    assert.deepEqual(upcoming.map(({ description, amount, currency, baseAmount }) => ({ description, amount, currency, baseAmount })), [
+      { description: 'Streaming', amount: 10, currency: 'USD', baseAmount: 10 },
+      { description: 'Gym', amount: 24, currency: 'EUR', baseAmount: 30 }
+    ]);
+  });
+
+  test('falls back to the template\'s rate when none is known', async () => {
+    rates = [];
+    const upcoming = await getUpcomingOccurrences(user, 30, new Date('2024-02-01T00:00:00Z'));
+
+    assert.equal(upcoming[1].currency, 'EUR');
+    assert.equal(upcoming[1].baseAmount, 28.8);
+  });
+});
@@ -0,0 +1,42 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { matchesRule, determineCategory, validateRuleDefinition } = require('../utils/rules');
+
+const regexRule = (value) => ({
+  conditions: [{ field: 'description', operator: 'regex', value }],
+  actions: { category: 'Shopping' }
+});
+
+describe('regex conditions', () => {
+  test('reject patterns that can take exponential time', () => {
+    ['(a|a)*$', '(\\w|\\d)+', '((a|b)c)*', '(a?a?)*$', '(a+)+', '(\\w*\\s?){2,}', '(a)\\1'].forEach(pattern => {
+      assert.match(validateRuleDefinition(regexRule(pattern)).join(), /can take too long to run/, pattern);
+    });
+  });
+
+  test('accept bounded alternatives and repeated plain groups', () => {
+    ['amazon|amzn', '^(?:uber|lyft)\\b', '(a|b)?x', '(?:ab)+c', '\\d{3}-?\\d{4}', '[(|]+'].forEach(pattern => {
+      assert.deepEqual(validateRuleDefinition(regexRule(pattern)), [], pattern);
+    });
+  });
+
+  test('reject long and invalid patterns', () => {
+    assert.match(validateRuleDefinition(regexRule('a'.repeat(101))).join(), /longer than 100 characters/);
+    assert.match(validateRuleDefinition(regexRule('(')).join(), /not a valid regular expression/);
+  });
+
+  test('never run an unsafe pattern saved before the checks', () => {
+    const started = Date.now();
+    assert.equal(matchesRule(regexRule('(a|a)*$'), { description: `${'a'.repeat(40)}!` }), false);
+    assert.ok(Date.now() - started < 100);
+  });
+
+  test('match safe patterns case-insensitively by default', () => {
+    assert.equal(matchesRule(regexRule('^amzn\\s+mktp'), { description: 'AMZN Mktp US' }), true);
+  });
+});
+
+test('determineCategory falls back to keyword rules', () => {
+  assert.equal(determineCategory('UBER TRIP 1234'), 'Transportation');
+  assert.equal(determineCategory('Unknown shop'), 'Other');
+});
@@ -0,0 +1,104 @@
+const { test, describe, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Rule = require('../models/Rule');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const ruleRoutes = require('../routes/rules');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const userId = new mongoose.Types.ObjectId();
+
+// Stand-in for a Mongoose query: chainable, resolving to `result`
+const queryResult = (result) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    lean: () => Promise.resolve(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+describe('POST /api/rules/apply', () => {
+  let server;
+  let baseUrl;
+  let findFilter;
+  let bulkWrite;
+  const token = jwt.sign({ userId: userId.toString() }, process.env.JWT_SECRET);
+
+  const apply = (body) => fetch(`${baseUrl}/api/rules/apply`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/rules', ruleRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    findFilter = null;
+    mock.method(User, 'findById', () => queryResult({ _id: userId, currency: 'USD' }));
+    mock.method(Category, 'find', () => queryResult([]));
+    mock.method(Rule, 'find', () => queryResult([{
+      name: 'Rides',
+      isActive: true,
+      transactionType: 'expense',
+      conditions: [{ field: 'description', operator: 'contains', value: 'uber' }],
+      actions: { category: 'Transportation' }
+    }]));
+    mock.method(Transaction, 'countDocuments', async () => 2);
+    mock.method(Transaction, 'find', (filter) => {
+      findFilter = filter;
+      return queryResult([{
+        _id: new mongoose.Types.ObjectId(),
+        type: 'expense',
+        description: 'UBER TRIP',
+        amount: 12,
+        category: 'Travel',
+        categoryCorrected: Boolean(filter.categoryCorrected === undefined)
+      }]);
+    });
+    bulkWrite = mock.method(Transaction, 'bulkWrite', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('leaves categories corrected by hand alone', async () => {
+    const response = await apply({});
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(findFilter.categoryCorrected, { $ne: true });
+    const result = await response.json();
+    assert.equal(result.skippedCount, 2);
+    assert.equal(result.updatedCount, 1);
+  });
+
+  test('overrides corrected categories when forced, and stops counting them as corrections', async () => {
+    const response = await apply({ force: true });
+
+    assert.equal(response.status, 200);
+    assert.equal(findFilter.categoryCorrected, undefined);
+    assert.equal((await response.json()).skippedCount, 0);
+    const [[{ updateOne }]] = bulkWrite.mock.calls[0].arguments;
+    assert.equal(updateOne.update.$set.category, 'Transportation');
+    assert.equal(updateOne.update.$set.categoryCorrected, false);
+  });
+
+  test('rejects a force value that is not a boolean', async () => {
+    const response = await apply({ force: 'yes' });
+    assert.equal(response.status, 400);
+  });
+});
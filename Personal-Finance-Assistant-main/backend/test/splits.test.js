@@ -0,0 +1,15 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { scaleSplits, resolveSplits } = require('../utils/splits');
+
+test('scaleSplits spreads a new amount in proportion and keeps the sum exact', () => {
+  const splits = scaleSplits([{ category: 'Entertainment', amount: 6.99 }, { category: 'Education', amount: 3 }], 12.99);
+
+  assert.deepEqual(splits.map(split => split.category), ['Entertainment', 'Education']);
+  assert.equal(Math.round(splits.reduce((sum, split) => sum + split.amount, 0) * 100) / 100, 12.99);
+  assert.deepEqual(resolveSplits(splits, 'expense', 12.99, { expense: ['Entertainment', 'Education'] }).error, undefined);
+});
+
+test('scaleSplits drops the splits when fewer than two would be left', () => {
+  assert.deepEqual(scaleSplits([{ category: 'A', amount: 100 }, { category: 'B', amount: 0.01 }], 0.1), []);
+});
@@ -0,0 +1,118 @@
+const { test, describe, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Account = require('../models/Account');
+const ExchangeRate = require('../models/ExchangeRate');
+const Transaction = require('../models/Transaction');
+const subscriptionRoutes = require('../routes/subscriptions');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const userId = new mongoose.Types.ObjectId();
+
+// Stand-in for a Mongoose query: chainable, resolving to `result`
+const queryResult = (result) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    lean: () => Promise.resolve(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+// The latest charge of a detected subscription, split between two categories
+const buildCharge = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  user: userId,
+  type: 'expense',
+  description: 'STREAMING CO',
+  amount: 9.99,
+  currency: 'USD',
+  exchangeRate: 1,
+  baseAmount: 9.99,
+  splits: [{ category: 'Entertainment', amount: 6.99 }, { category: 'Education', amount: 3 }],
+  date: new Date('2024-01-15T00:00:00Z'),
+  recurringParent: null,
+  toObject() {
+    const { toObject, save, ...data } = this;
+    return data;
+  },
+  save: mock.fn(async () => {}),
+  ...fields
+});
+
+describe('POST /api/subscriptions/convert', () => {
+  let server;
+  let baseUrl;
+  let charge;
+  const token = jwt.sign({ userId: userId.toString() }, process.env.JWT_SECRET);
+
+  const convert = (body) => fetch(`${baseUrl}/api/subscriptions/convert`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ transactionId: charge._id.toString(), frequency: 'monthly', ...body })
+  });
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/subscriptions', subscriptionRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    charge = buildCharge();
+    mock.method(User, 'findById', () => queryResult({ _id: userId, currency: 'USD' }));
+    mock.method(Account, 'find', () => queryResult([]));
+    mock.method(ExchangeRate, 'find', () => queryResult([]));
+    mock.method(Transaction, 'findOne', () => queryResult(charge));
+    // No templates are due in these tests
+    mock.method(Transaction, 'find', () => queryResult([]));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('keeps the charge as it was and applies a new amount to future occurrences', async () => {
+    const response = await convert({ amount: 12.99 });
+
+    assert.equal(response.status, 200);
+    assert.equal(charge.save.mock.callCount(), 1);
+    assert.equal(charge.amount, 9.99);
+    assert.equal(charge.baseAmount, 9.99);
+    assert.equal(charge.splits.length, 2);
+    assert.equal(charge.recurringAmount, 12.99);
+    assert.equal(charge.isRecurring, true);
+  });
+
+  test('does not store an amount equal to the charge', async () => {
+    const response = await convert({ amount: '9.99' });
+
+    assert.equal(response.status, 200);
+    assert.equal(charge.recurringAmount, undefined);
+  });
+
+  test('rejects a new amount that cannot be converted to the base currency', async () => {
+    charge = buildCharge({ currency: 'EUR', exchangeRate: 1.1, baseAmount: 10.99 });
+    const response = await convert({ amount: 12.99 });
+
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).message, /No exchange rate from EUR to USD/);
+    assert.equal(charge.save.mock.callCount(), 0);
+  });
+
+  test('rejects amounts that are not positive numbers', async () => {
+    for (const amount of [0, -5, 'abc']) {
+      const response = await convert({ amount });
+      assert.equal(response.status, 400, String(amount));
+    }
+    assert.equal(charge.save.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,134 @@
+const { test, describe, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const transactionRoutes = require('../routes/transactions');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const userId = new mongoose.Types.ObjectId();
+const usdAccount = new mongoose.Types.ObjectId();
+const eurAccount = new mongoose.Types.ObjectId();
+const transactionId = new mongoose.Types.ObjectId();
+
+// Stand-in for a Mongoose query: chainable, resolving to `result`
+const queryResult = (result) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    limit: () => query,
+    skip: () => query,
+    populate: () => query,
+    lean: () => Promise.resolve(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+describe('transaction routes with fixed paths', () => {
+  let server;
+  let baseUrl;
+  const token = jwt.sign({ userId: userId.toString() }, process.env.JWT_SECRET);
+
+  const send = (method, path, body) => fetch(`${baseUrl}/api/transactions${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/transactions', transactionRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  // The auth middleware loads the signed-in user; no database is needed
+  const signIn = () => {
+    mock.method(User, 'findById', () => queryResult({ _id: userId, currency: 'USD' }));
+  };
+
+  afterEach(() => mock.restoreAll());
+
+  test('PUT /bulk reaches the bulk update rather than PUT /:id', async () => {
+    signIn();
+    const response = await send('PUT', '/bulk', { updates: [] });
+
+    assert.equal(response.status, 400);
+    const { errors } = await response.json();
+    assert.equal(errors[0].msg, 'Updates array is required');
+  });
+
+  test('PUT /bulk checks a moved transaction against its account currency', async () => {
+    signIn();
+    mock.method(Account, 'find', () => queryResult([
+      { _id: usdAccount, currency: 'USD' },
+      { _id: eurAccount, currency: 'EUR' }
+    ]));
+    mock.method(Transaction, 'find', () => queryResult([
+      { _id: transactionId, type: 'expense', account: usdAccount, toAccount: null, currency: 'USD' }
+    ]));
+    const findOneAndUpdate = mock.method(Transaction, 'findOneAndUpdate', () => queryResult(null));
+
+    const response = await send('PUT', '/bulk', {
+      updates: [{ id: transactionId.toString(), data: { account: eurAccount.toString() } }]
+    });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { message: 'Transactions in this account must be in its currency (EUR)' });
+    assert.equal(findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  test('DELETE /bulk reaches the bulk delete rather than DELETE /:id', async () => {
+    signIn();
+    const response = await send('DELETE', '/bulk', {});
+
+    assert.equal(response.status, 400);
+    const { errors } = await response.json();
+    assert.equal(errors[0].msg, 'Transaction IDs array is required');
+  });
+
+  test('GET /search reaches the search rather than GET /:id', async () => {
+    signIn();
+    const response = await send('GET', '/search');
+
+    assert.equal(response.status, 400);
+    const { errors } = await response.json();
+    assert.equal(errors[0].msg, 'Search query is required');
+  });
+
+  test('GET / matches the category filter as a whole name rather than a pattern', async () => {
+    signIn();
+    const find = mock.method(Transaction, 'find', () => queryResult([]));
+    mock.method(Transaction, 'countDocuments', async () => 0);
+
+    const response = await send('GET', `/?category=${encodeURIComponent('Food (.*)')}`);
+
+    assert.equal(response.status, 200);
+    const [{ $or: [{ category: pattern }] }] = find.mock.calls[0].arguments[0].$and;
+    assert.equal(pattern.test('Food (.*)'), true);
+    assert.equal(pattern.test('food (.*)'), true);
+    assert.equal(pattern.test('Food (takeaway)'), false);
+  });
+
+  test('GET /search looks for the query as plain text', async () => {
+    signIn();
+    const find = mock.method(Transaction, 'find', () => queryResult([]));
+    mock.method(Transaction, 'countDocuments', async () => 0);
+
+    const response = await send('GET', `/search?q=${encodeURIComponent('(a+)+$')}`);
+
+    assert.equal(response.status, 200);
+    const [{ description: pattern }] = find.mock.calls[0].arguments[0].$or;
+    assert.equal(pattern.test('Refund (a+)+$ order'), true);
+    assert.equal(pattern.test('aaaa'), false);
+  });
+});
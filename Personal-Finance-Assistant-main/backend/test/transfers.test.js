@@ -0,0 +1,70 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { looksLikeTransfer, mergeTransferLegs } = require('../utils/transfers');
+
+// An existing leg as mergeTransferLegs sees it; saving records the call
+const buildLeg = (fields) => ({
+  saved: false,
+  async save() {
+    this.saved = true;
+  },
+  ...fields
+});
+
+describe('mergeTransferLegs', () => {
+  const checkingLeg = () => buildLeg({
+    type: 'expense',
+    account: 'checking',
+    date: new Date('2024-01-10T00:00:00Z'),
+    description: 'Transfer to savings',
+    amount: 500,
+    currency: 'USD',
+    category: 'Other',
+    externalId: 'CHK:1001'
+  });
+  const savingsRow = {
+    type: 'income',
+    account: 'savings',
+    date: new Date('2024-01-11T00:00:00Z'),
+    description: 'Transfer from checking',
+    amount: 500,
+    currency: 'USD',
+    externalId: 'SAV:2001'
+  };
+
+  test('joins the legs into a transfer from the outgoing account', async () => {
+    const transfer = await mergeTransferLegs(checkingLeg(), savingsRow);
+
+    assert.equal(transfer.saved, true);
+    assert.equal(transfer.type, 'transfer');
+    assert.equal(transfer.account, 'checking');
+    assert.equal(transfer.toAccount, 'savings');
+    assert.deepEqual(transfer.date, new Date('2024-01-10T00:00:00Z'));
+    assert.equal(transfer.description, 'Transfer to savings');
+    assert.equal(transfer.category, 'Transfer');
+  });
+
+  test('keeps the bank IDs of both legs', async () => {
+    const transfer = await mergeTransferLegs(checkingLeg(), savingsRow);
+
+    assert.equal(transfer.externalId, 'CHK:1001');
+    assert.equal(transfer.transferExternalId, 'SAV:2001');
+  });
+
+  test('takes the imported leg\'s bank ID and currency when the existing leg has none', async () => {
+    const leg = buildLeg({ type: 'income', account: 'savings', date: new Date('2024-01-11T00:00:00Z'), description: 'Deposit' });
+    const transfer = await mergeTransferLegs(leg, { ...savingsRow, type: 'expense', account: 'checking', externalId: 'CHK:1001' });
+
+    assert.equal(transfer.externalId, 'CHK:1001');
+    assert.equal(transfer.transferExternalId, undefined);
+    assert.equal(transfer.currency, 'USD');
+    assert.equal(transfer.account, 'checking');
+    assert.equal(transfer.toAccount, 'savings');
+  });
+});
+
+test('looksLikeTransfer matches bank wording for money moved between accounts', () => {
+  assert.equal(looksLikeTransfer('ONLINE TRANSFER TO SAV 1234'), true);
+  assert.equal(looksLikeTransfer('AUTOPAY CARD'), true);
+  assert.equal(looksLikeTransfer('Grocery store'), false);
+});
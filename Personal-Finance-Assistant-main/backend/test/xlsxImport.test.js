@@ -0,0 +1,78 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const { excelSerialToDate, readSheetHeaders, readSheetRows } = require('../utils/xlsxImport');
+
+// A workbook like a bank's export: a notes sheet first, then a statement
+// sheet with a title row above the table, a date cell, a date left as a
+// serial number, a blank row and a date typed as text
+const buildWorkbook = (filePath) => {
+  const statement = XLSX.utils.aoa_to_sheet([
+    ['Account statement'],
+    [],
+    ['Date', ' Description ', 'Amount'],
+    [new Date(Date.UTC(2024, 0, 15)), 'Coffee', -4.5],
+    [45322, 'Salary', 2500],
+    [],
+    ['15/02/2024', 'Rent', -900]
+  ], { cellDates: true });
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Exported by the bank']]), 'Notes');
+  XLSX.utils.book_append_sheet(workbook, statement, 'Transactions');
+  XLSX.writeFile(workbook, filePath);
+};
+
+describe('xlsx import', () => {
+  let directory;
+  let filePath;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'xlsx-import-'));
+    filePath = path.join(directory, 'statement.xlsx');
+    buildWorkbook(filePath);
+  });
+
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  test('reads the header row below a title', () => {
+    assert.deepEqual(readSheetHeaders(filePath, { sheetName: 'Transactions' }), {
+      headers: ['date', 'description', 'amount'],
+      sheetNames: ['Notes', 'Transactions'],
+      sheetName: 'Transactions'
+    });
+  });
+
+  test('uses the first sheet when none or an unknown one is chosen', () => {
+    assert.equal(readSheetHeaders(filePath).sheetName, 'Notes');
+    assert.equal(readSheetHeaders(filePath, { sheetName: 'Missing' }).sheetName, 'Notes');
+  });
+
+  test('reads rows like CSV fields, with serials in the date column as dates', () => {
+    assert.deepEqual(readSheetRows(filePath, { sheetName: 'Transactions', columns: { date: 'date' } }), [
+      { date: new Date('2024-01-15T00:00:00Z'), description: 'Coffee', amount: '-4.5' },
+      { date: new Date('2024-01-31T00:00:00Z'), description: 'Salary', amount: '2500' },
+      { date: '15/02/2024', description: 'Rent', amount: '-900' }
+    ]);
+  });
+
+  test('writes numbers with the profile decimal separator', () => {
+    const rows = readSheetRows(filePath, { sheetName: 'Transactions', decimalSeparator: ',' });
+    assert.equal(rows[0].amount, '-4,5');
+    // Without a mapped date column a plain number stays a number
+    assert.equal(rows[1].date, '45322');
+  });
+
+  test('looks for the header after the header row offset', () => {
+    assert.deepEqual(readSheetHeaders(filePath, { sheetName: 'Transactions', headerRowOffset: 3 }).headers,
+      ['45306', 'coffee', '-4.5']);
+  });
+});
+
+test('excelSerialToDate follows Excel\'s 1900 calendar', () => {
+  assert.deepEqual(excelSerialToDate(45322), new Date('2024-01-31T00:00:00Z'));
+  assert.deepEqual(excelSerialToDate(61), new Date('1900-03-01T00:00:00Z'));
+});
@@ -0,0 +1,169 @@
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Effect of a transaction on the balance of an account. Transfers take money
+// out of `account` and add it to `toAccount`.
+const getBalanceChange = (transaction, accountId) => {
+  if (transaction.type === 'transfer') {
+    if (transaction.toAccount && transaction.toAccount.toString() === accountId.toString()) {
+      return transaction.amount;
+    }
+    return transaction.account && transaction.account.toString() === accountId.toString() ? -transaction.amount : 0;
+  }
+  return transaction.type === 'income' ? transaction.amount : -transaction.amount;
+};
+
+// Currencies of the accounts a user owns, keyed by account ID string
+const getUserAccounts = async (userId) => {
+  const accounts = await Account.find({ user: userId }).select('currency').lean();
+  return new Map(accounts.map(account => [account._id.toString(), account.currency]));
+};
+
+// Check an `account` value sent with a transaction. Empty values leave the
+// transaction without an account. Returns an error message or null.
+const validateAccountReference = (accountId, userAccounts) => {
+  if (accountId === undefined || accountId === null || accountId === '') return null;
+  return userAccounts.has(String(accountId)) ? null : 'Account not found';
+};
+
+// Balances add up amounts as recorded, so a transaction sent with a currency
+// must be in its account's currency
+const validateAccountCurrency = (accountId, currency, userAccounts) => {
+  if (!accountId || !currency) return null;
+  const accountCurrency = userAccounts.get(String(accountId));
+  return String(currency).toUpperCase() === accountCurrency
+    ? null
+    : `Transactions in this account must be in its currency (${accountCurrency})`;
+};
+
+// Check the accounts of transaction data: a transfer needs two different
+// accounts of the user in the same currency, other transactions must not have
+// a destination. Returns an error message or null.
+const validateTransactionAccounts = (data, userAccounts) => {
+  const accountError = validateAccountReference(data.account, userAccounts);
+  if (accountError) return accountError;
+
+  if (data.type !== 'transfer') {
+    return data.toAccount
+      ? 'Only transfers have a destination account'
+      : validateAccountCurrency(data.account, data.currency, userAccounts);
+  }
+
+  if (!data.account || !data.toAccount) {
+    return 'Transfers need a source account and a destination account';
+  }
+  if (String(data.account) === String(data.toAccount)) {
+    return 'A transfer needs two different accounts';
+  }
+  const toAccountError = validateAccountReference(data.toAccount, userAccounts);
+  if (toAccountError) return toAccountError;
+
+  // One amount is moved out of one account and into the other
+  if (userAccounts.get(String(data.account)) !== userAccounts.get(String(data.toAccount))) {
+    return 'Transfers between accounts in different currencies are not supported; record them as an expense and an income';
+  }
+  return validateAccountCurrency(data.account, data.currency, userAccounts);
+};
+
+const sumWhereType = (type) => ({ $sum: { $cond: [{ $eq: ['$type', type] }, '$amount', 0] } });
+
+// Income, expenses, transfers and transaction counts per account
+const getAccountTotals = async (userId) => {
+  const [outgoing, incoming] = await Promise.all([
+    Transaction.aggregate([
+      { $match: { user: userId, account: { $ne: null } } },
+      {
+        $group: {
+          _id: '$account',
+          income: sumWhereType('income'),
+          expenses: sumWhereType('expense'),
+          transfersOut: sumWhereType('transfer'),
+          transactionCount: { $sum: 1 },
+          lastTransactionDate: { $max: '$date' }
+        }
+      }
+    ]),
+    Transaction.aggregate([
+      { $match: { user: userId, type: 'transfer', toAccount: { $ne: null } } },
+      {
+        $group: {
+          _id: '$toAccount',
+          transfersIn: { $sum: '$amount' },
+          transactionCount: { $sum: 1 },
+          lastTransactionDate: { $max: '$date' }
+        }
+      }
+    ])
+  ]);
+
+  const totals = new Map(outgoing.map(total => [total._id.toString(), { transfersIn: 0, ...total }]));
+  incoming.forEach(total => {
+    const id = total._id.toString();
+    const existing = totals.get(id);
+    if (!existing) {
+      totals.set(id, { income: 0, expenses: 0, transfersOut: 0, ...total });
+      return;
+    }
+    existing.transfersIn = total.transfersIn;
+    existing.transactionCount += total.transactionCount;
+    if (total.lastTransactionDate > existing.lastTransactionDate) {
+      existing.lastTransactionDate = total.lastTransactionDate;
+    }
+  });
+
+  return totals;
+};
+
+// Attach the current balance to each account: opening balance plus income
+// and transfers in, minus expenses and transfers out
+const withBalances = async (userId, accounts) => {
+  const totals = await getAccountTotals(userId);
+
+  return accounts.map(account => {
+    const data = typeof account.toJSON === 'function' ? account.toJSON() : account;
+    const total = totals.get(account._id.toString()) || {};
+    const income = total.income || 0;
+    const expenses = total.expenses || 0;
+    const transfersIn = total.transfersIn || 0;
+    const transfersOut = total.transfersOut || 0;
+
+    return {
+      ...data,
+      income: roundAmount(income),
+      expenses: roundAmount(expenses),
+      transfersIn: roundAmount(transfersIn),
+      transfersOut: roundAmount(transfersOut),
+      transactionCount: total.transactionCount || 0,
+      lastTransactionDate: total.lastTransactionDate || null,
+      balance: roundAmount((account.openingBalance || 0) + income - expenses + transfersIn - transfersOut)
+    };
+  });
+};
+
+// Every transaction of an account, oldest first, with the balance after it.
+// Transactions on the same date are ordered by when they were recorded.
+const getRunningBalances = async (account) => {
+  const transactions = await Transaction.find({
+    user: account.user,
+    $or: [{ account: account._id }, { toAccount: account._id }]
+  })
+    .sort({ date: 1, createdAt: 1, _id: 1 })
+    .lean();
+
+  let balance = account.openingBalance || 0;
+  return transactions.map(transaction => {
+    balance += getBalanceChange(transaction, account._id);
+    return { ...transaction, runningBalance: roundAmount(balance) };
+  });
+};
+
+module.exports = {
+  getBalanceChange,
+  getUserAccounts,
+  validateAccountReference,
+  validateTransactionAccounts,
+  withBalances,
+  getRunningBalances
+};
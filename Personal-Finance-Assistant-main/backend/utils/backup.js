@@ -0,0 +1,368 @@
+// Full account backups: every record a user owns, in a versioned bundle that
+// can be restored on this or another server
+const path = require('path');
+const mongoose = require('mongoose');
+const AdmZip = require('adm-zip');
+const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
+const Budget = require('../models/Budget');
+const Rule = require('../models/Rule');
+const ImportProfile = require('../models/ImportProfile');
+const Account = require('../models/Account');
+const ExchangeRate = require('../models/ExchangeRate');
+const Receipt = require('../models/Receipt');
+const User = require('../models/User');
+const { reconvertTransactions } = require('./exchangeRates');
+const { getReceiptStorage } = require('./receiptStorage');
+const { getReceiptUrl, getReceiptFields, storeReceipt, deleteReceipts } = require('./receipts');
+
+// Bump when the bundle layout changes; restores accept this version and older.
+// Version 2 keeps receipts as records with their files under receipts/<id>;
+// version 1 linked transactions to files in the old public uploads folder.
+const BACKUP_VERSION = 2;
+
+const RECEIPT_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf'
+};
+
+// Collections in restore order: categories and accounts before the
+// transactions and budgets that use them. Receipts are restored with their
+// files (see restoreReceipt).
+const COLLECTIONS = [
+  { key: 'accounts', Model: Account },
+  { key: 'categories', Model: Category },
+  { key: 'budgets', Model: Budget },
+  { key: 'rules', Model: Rule },
+  { key: 'importProfiles', Model: ImportProfile },
+  { key: 'exchangeRates', Model: ExchangeRate },
+  { key: 'transactions', Model: Transaction },
+  { key: 'receipts', Model: Receipt }
+];
+
+// Fields holding IDs of other records in the bundle
+const REFERENCE_FIELDS = {
+  categories: ['parent'],
+  transactions: ['account', 'toAccount', 'recurringParent', 'notDuplicateOf', 'receipt'],
+  receipts: ['transaction']
+};
+
+// Largest backup.json or receipt file, and all files together, read from a ZIP
+// archive. Sizes are checked before extracting, as a small upload can inflate
+// to far more.
+const MAX_ARCHIVE_ENTRY_SIZE = 50 * 1024 * 1024;
+const MAX_ARCHIVE_SIZE = 200 * 1024 * 1024;
+
+// Entries a backup archive may hold: backup.json and files directly in receipts/
+const ARCHIVE_ENTRY_PATTERN = /^(backup\.json|receipts\/|receipts\/[^/\\]+)$/;
+
+// Name of a receipt's file in the ZIP archive
+const getReceiptEntryName = (receipt) => `${receipt._id}${path.extname(receipt.storageKey)}`;
+
+// Version 1 backups linked receipts as /uploads/<file name>
+const getLegacyReceiptFileName = (receiptUrl) => {
+  const match = String(receiptUrl || '').match(/^\/?uploads\/([^/\\]+)$/);
+  return match ? match[1] : null;
+};
+
+// Collect a user's profile and records
+const buildBackup = async (user) => {
+  const backup = {
+    version: BACKUP_VERSION,
+    exportedAt: new Date(),
+    profile: {
+      name: user.name,
+      email: user.email,
+      currency: user.currency,
+      monthlyBudget: user.monthlyBudget,
+      profilePicture: user.profilePicture
+    }
+  };
+
+  for (const { key, Model } of COLLECTIONS) {
+    backup[key] = await Model.find({ user: user._id }).select('-user -__v').lean();
+  }
+
+  return backup;
+};
+
+// Write the backup and its receipt files into a ZIP archive
+const buildBackupZip = async (backup) => {
+  const zip = new AdmZip();
+  zip.addFile('backup.json', Buffer.from(JSON.stringify(backup, null, 2)));
+
+  const storage = getReceiptStorage();
+  for (const receipt of backup.receipts) {
+    const data = await storage.get(receipt.storageKey);
+    if (data) {
+      zip.addFile(`receipts/${getReceiptEntryName(receipt)}`, data);
+    }
+  }
+
+  return zip.toBuffer();
+};
+
+// Read an uploaded JSON or ZIP backup into { backup, receipts }
+const readBackupFile = (buffer) => {
+  // ZIP archives start with "PK"
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b) {
+    const zip = new AdmZip(buffer);
+    const entries = zip.getEntries();
+    const entry = zip.getEntry('backup.json');
+    if (!entry) throw new Error('The archive does not contain backup.json');
+
+    let totalSize = 0;
+    entries.forEach(file => {
+      if (!ARCHIVE_ENTRY_PATTERN.test(file.entryName)) {
+        throw new Error(`The archive contains ${file.entryName}, which is not part of a backup`);
+      }
+      if (file.header.size > MAX_ARCHIVE_ENTRY_SIZE) {
+        throw new Error(`${file.entryName} is larger than ${MAX_ARCHIVE_ENTRY_SIZE / 1024 / 1024}MB`);
+      }
+      totalSize += file.header.size;
+    });
+    if (totalSize > MAX_ARCHIVE_SIZE) {
+      throw new Error(`The archive unpacks to more than ${MAX_ARCHIVE_SIZE / 1024 / 1024}MB`);
+    }
+
+    const receipts = entries
+      .filter(file => !file.isDirectory && file.entryName.startsWith('receipts/'))
+      .map(file => ({ fileName: path.basename(file.entryName), data: file.getData() }));
+
+    return { backup: JSON.parse(entry.getData().toString('utf8')), receipts };
+  }
+
+  return { backup: JSON.parse(buffer.toString('utf8')), receipts: [] };
+};
+
+// Profile fields restored in replace mode
+const PROFILE_FIELDS = ['name', 'currency', 'monthlyBudget', 'profilePicture'];
+
+// Check the bundle before touching any data. Returns an error message or null.
+const validateBackup = (backup) => {
+  if (!backup || typeof backup !== 'object') return 'Backup file is not valid';
+  if (!Number.isInteger(backup.version)) return 'Backup file has no schema version';
+  if (backup.version > BACKUP_VERSION) {
+    return `Backup version ${backup.version} is newer than this server supports (${BACKUP_VERSION})`;
+  }
+
+  const invalid = COLLECTIONS.find(({ key }) => backup[key] !== undefined && !Array.isArray(backup[key]));
+  return invalid ? `Backup field "${invalid.key}" must be a list` : null;
+};
+
+// Work out the ID each backed-up record gets. Records already owned by the
+// user keep their ID and are skipped when merging; IDs taken by another
+// account are replaced.
+const planIds = async (Model, records, userId) => {
+  const ids = records.map(record => record._id).filter(id => mongoose.isValidObjectId(id));
+  const existing = await Model.find({ _id: { $in: ids } }).select('user').lean();
+  const owners = new Map(existing.map(record => [record._id.toString(), record.user.toString()]));
+
+  const idMap = new Map();
+  const skip = new Set();
+  records.forEach(record => {
+    const id = String(record._id);
+    const owner = owners.get(id);
+    if (!mongoose.isValidObjectId(record._id) || (owner && owner !== userId.toString())) {
+      idMap.set(id, new mongoose.Types.ObjectId());
+    } else {
+      idMap.set(id, new mongoose.Types.ObjectId(id));
+      if (owner) skip.add(id);
+    }
+  });
+
+  return { idMap, skip };
+};
+
+const remapReference = (value, idMap) => {
+  if (Array.isArray(value)) return value.map(item => remapReference(item, idMap)).filter(Boolean);
+  if (!value) return value;
+  return idMap.get(String(value)) || null;
+};
+
+// Data a backed-up record is restored with: its planned ID, the user, and
+// references to other records pointed at their planned IDs
+const buildRecordData = (key, record, idMap, user) => {
+  const data = { ...record, _id: idMap.get(String(record._id)), user: user._id };
+  delete data.__v;
+  (REFERENCE_FIELDS[key] || []).forEach(field => {
+    if (data[field] !== undefined) data[field] = remapReference(data[field], idMap);
+  });
+  if (key === 'transactions' && data.receipt) {
+    data.receiptUrl = getReceiptUrl(data.receipt);
+  }
+  return data;
+};
+
+// Check the profile and every record of a backup against their models, so a
+// corrupt or edited file is turned down before anything is deleted or added.
+// Returns the problems found (at most 20), empty when the backup is valid.
+const findInvalidRecords = async (user, backup) => {
+  const invalid = [];
+  const profile = backup.profile || {};
+  const profileFields = PROFILE_FIELDS.filter(field => profile[field] !== undefined);
+  try {
+    await User.validate(Object.fromEntries(profileFields.map(field => [field, profile[field]])), profileFields);
+  } catch (error) {
+    invalid.push({ collection: 'profile', error: error.message });
+  }
+
+  // Checking records needs IDs for their references, not the final ones
+  const idMap = new Map();
+  COLLECTIONS.forEach(({ key }) => (backup[key] || []).forEach(record => {
+    const id = record && record._id;
+    idMap.set(String(id), mongoose.isValidObjectId(id) ? new mongoose.Types.ObjectId(String(id)) : new mongoose.Types.ObjectId());
+  }));
+
+  for (const { key, Model } of COLLECTIONS) {
+    for (const record of backup[key] || []) {
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        invalid.push({ collection: key, error: 'Record is not an object' });
+        continue;
+      }
+      try {
+        await new Model(buildRecordData(key, record, idMap, user)).validate();
+      } catch (error) {
+        invalid.push({ collection: key, id: record._id, error: error.message });
+      }
+    }
+  }
+
+  return invalid.slice(0, 20);
+};
+
+// Store a backed-up receipt's file under the receipt's new ID; a receipt
+// whose file is not in the archive is not restored
+const restoreReceipt = async (user, record, data, receiptFiles) => {
+  const buffer = receiptFiles.get(getReceiptEntryName(record));
+  if (!buffer) {
+    throw new Error('Receipt file is missing from the backup');
+  }
+
+  await storeReceipt(user._id, {
+    buffer,
+    originalName: data.originalName || path.basename(record.storageKey),
+    mimeType: data.mimeType
+  }, { transaction: data.transaction, receiptId: data._id });
+};
+
+// Turn the receipt files of a version 1 backup into stored receipts of the
+// transactions linking to them. Returns the number stored.
+const restoreLegacyReceipts = async (user, receiptFiles) => {
+  const transactions = await Transaction.find({
+    user: user._id,
+    receipt: null,
+    receiptUrl: { $regex: '^/?uploads/' }
+  });
+
+  let restored = 0;
+  for (const transaction of transactions) {
+    const fileName = getLegacyReceiptFileName(transaction.receiptUrl);
+    const buffer = fileName && receiptFiles.get(fileName);
+    const mimeType = fileName && RECEIPT_MIME_TYPES[path.extname(fileName).toLowerCase()];
+
+    if (buffer && mimeType) {
+      const receipt = await storeReceipt(user._id, { buffer, originalName: fileName, mimeType }, { transaction: transaction._id });
+      Object.assign(transaction, getReceiptFields(receipt));
+      restored++;
+    } else {
+      transaction.receiptUrl = undefined;
+    }
+    await transaction.save();
+  }
+
+  return restored;
+};
+
+// Drop links to receipts that could not be restored
+const unlinkMissingReceipts = async (user) => {
+  const receiptIds = await Receipt.find({ user: user._id }).distinct('_id');
+  await Transaction.updateMany(
+    { user: user._id, receipt: { $ne: null, $nin: receiptIds } },
+    { $set: { receipt: null }, $unset: { receiptUrl: '' } }
+  );
+};
+
+// Restore a backup for a user. `mode` 'replace' deletes the user's records
+// first; 'merge' keeps them and adds what is missing. Check the backup with
+// findInvalidRecords beforehand. Returns counts per collection.
+const restoreBackup = async (user, backup, receipts, { mode = 'merge' } = {}) => {
+  if (mode === 'replace') {
+    // Receipts go first so their files are removed too
+    await deleteReceipts({ user: user._id });
+    for (const { Model } of COLLECTIONS) {
+      await Model.deleteMany({ user: user._id });
+    }
+
+    const { profile = {} } = backup;
+    if (profile.name) user.name = profile.name;
+    if (profile.currency) user.currency = profile.currency;
+    if (profile.monthlyBudget !== undefined) user.monthlyBudget = profile.monthlyBudget;
+    if (profile.profilePicture !== undefined) user.profilePicture = profile.profilePicture;
+    await user.save();
+  }
+
+  // Plan IDs for every collection first so references across them resolve
+  const plans = {};
+  const idMap = new Map();
+  for (const { key, Model } of COLLECTIONS) {
+    plans[key] = await planIds(Model, backup[key] || [], user._id);
+    plans[key].idMap.forEach((value, id) => idMap.set(id, value));
+  }
+
+  const receiptFiles = new Map(receipts.map(({ fileName, data }) => [path.basename(fileName), data]));
+
+  const summary = {};
+  for (const { key, Model } of COLLECTIONS) {
+    const result = { restored: 0, skipped: 0, errors: [] };
+
+    for (const record of backup[key] || []) {
+      if (plans[key].skip.has(String(record._id))) {
+        result.skipped++;
+        continue;
+      }
+
+      const data = buildRecordData(key, record, idMap, user);
+
+      try {
+        if (key === 'receipts') {
+          await restoreReceipt(user, record, data, receiptFiles);
+        } else {
+          await new Model(data).save();
+        }
+        result.restored++;
+      } catch (error) {
+        // Same category name, budget or imported bank transaction already exists
+        if (error.code === 11000) {
+          result.skipped++;
+        } else {
+          result.errors.push({ id: record._id, error: error.message });
+        }
+      }
+    }
+
+    summary[key] = { ...result, errors: result.errors.slice(0, 20), errorCount: result.errors.length };
+  }
+
+  summary.receipts.restored += await restoreLegacyReceipts(user, receiptFiles);
+  await unlinkMissingReceipts(user);
+
+  // The backup may come from an account with another base currency
+  await reconvertTransactions(user);
+
+  return summary;
+};
+
+module.exports = {
+  BACKUP_VERSION,
+  buildBackup,
+  buildBackupZip,
+  readBackupFile,
+  validateBackup,
+  findInvalidRecords,
+  restoreBackup
+};
@@ -0,0 +1,90 @@
+const Transaction = require('../models/Transaction');
+const { SPLIT_CATEGORY_STAGES } = require('./splits');
+const { BASE_AMOUNT } = require('./exchangeRates');
+
+// Get the [start, end) date range of the budget period containing the given date.
+// Weeks start on Monday.
+const getPeriodRange = (period, date = new Date()) => {
+  const year = date.getFullYear();
+  const month = date.getMonth();
+
+  switch (period) {
+    case 'weekly': {
+      const start = new Date(year, month, date.getDate() - ((date.getDay() + 6) % 7));
+      const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7);
+      return { start, end };
+    }
+    case 'quarterly': {
+      const quarterMonth = Math.floor(month / 3) * 3;
+      return { start: new Date(year, quarterMonth, 1), end: new Date(year, quarterMonth + 3, 1) };
+    }
+    case 'yearly':
+      return { start: new Date(year, 0, 1), end: new Date(year + 1, 0, 1) };
+    case 'monthly':
+    default:
+      return { start: new Date(year, month, 1), end: new Date(year, month + 1, 1) };
+  }
+};
+
+// Sum expenses for a user in a date range, optionally limited to one category.
+// Only the matching splits of a split transaction count towards a category.
+// Amounts are in the user's base currency.
+const sumExpenses = async (userId, category, start, end) => {
+  const match = {
+    user: userId,
+    type: 'expense',
+    date: { $gte: start, $lt: end }
+  };
+
+  const pipeline = [{ $match: match }];
+  if (category) {
+    match.$or = [{ category }, { 'splits.category': category }];
+    pipeline.push(...SPLIT_CATEGORY_STAGES, { $match: { category } });
+  }
+
+  const result = await Transaction.aggregate([
+    ...pipeline,
+    { $group: { _id: null, total: { $sum: BASE_AMOUNT } } }
+  ]);
+
+  return result[0]?.total || 0;
+};
+
+// Compute spent vs. limit for a budget in the period containing the given date.
+// With rollover enabled, the unspent part of the previous period is added to the
+// limit (only one period is carried over).
+const getBudgetStatus = async (budget, date = new Date()) => {
+  const { start, end } = getPeriodRange(budget.period, date);
+  const spent = await sumExpenses(budget.user, budget.category, start, end);
+
+  let rolloverAmount = 0;
+  if (budget.rollover) {
+    const previous = getPeriodRange(budget.period, new Date(start.getTime() - 1));
+    const firstPeriod = getPeriodRange(budget.period, budget.startDate || budget.createdAt);
+
+    if (previous.start >= firstPeriod.start) {
+      const previousSpent = await sumExpenses(budget.user, budget.category, previous.start, previous.end);
+      rolloverAmount = Math.max(0, budget.amount - previousSpent);
+    }
+  }
+
+  const limit = budget.amount + rolloverAmount;
+  const remaining = limit - spent;
+
+  return {
+    budget,
+    periodStart: start,
+    periodEnd: end,
+    limit,
+    rolloverAmount,
+    spent,
+    remaining,
+    percentage: limit > 0 ? (spent / limit) * 100 : 0
+  };
+};
+
+module.exports = {
+  getPeriodRange,
+  sumExpenses,
+  getBudgetStatus
+};
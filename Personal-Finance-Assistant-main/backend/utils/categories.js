@@ -0,0 +1,127 @@
+const Category = require('../models/Category');
+
+// Default categories shared by the Transaction model, the categories API and
+// the upload parsers
+const DEFAULT_CATEGORIES = {
+  expense: [
+    'Food & Dining',
+    'Transportation',
+    'Shopping',
+    'Entertainment',
+    'Bills & Utilities',
+    'Healthcare',
+    'Education',
+    'Travel',
+    'Personal Care',
+    'Home & Garden',
+    'Insurance',
+    'Taxes',
+    'Business',
+    'Gifts & Donations',
+    'Other'
+  ],
+  income: [
+    'Salary',
+    'Freelance',
+    'Business',
+    'Investment',
+    'Rental',
+    'Bonus',
+    'Gift',
+    'Refund',
+    'Other'
+  ],
+  // Money moved between the user's own accounts
+  transfer: [
+    'Transfer',
+    'Credit Card Payment',
+    'Savings',
+    'Investment',
+    'Loan Payment'
+  ]
+};
+
+// Common names used by banks and older imports, mapped onto default categories
+const CATEGORY_ALIASES = {
+  expense: {
+    'food': 'Food & Dining',
+    'groceries': 'Food & Dining',
+    'dining': 'Food & Dining',
+    'restaurants': 'Food & Dining',
+    'health & fitness': 'Healthcare',
+    'health': 'Healthcare',
+    'medical': 'Healthcare',
+    'utilities': 'Bills & Utilities',
+    'bills': 'Bills & Utilities',
+    'transport': 'Transportation',
+    'gas & fuel': 'Transportation',
+    'donations': 'Gifts & Donations',
+    'uncategorized': 'Other'
+  },
+  income: {
+    'income': 'Other',
+    'paycheck': 'Salary',
+    'wages': 'Salary',
+    'interest': 'Investment',
+    'dividends': 'Investment',
+    'uncategorized': 'Other'
+  },
+  transfer: {
+    'transfers': 'Transfer',
+    'card payment': 'Credit Card Payment',
+    'uncategorized': 'Transfer'
+  }
+};
+
+const getDefaultCategories = (type) => {
+  return DEFAULT_CATEGORIES[type] || [];
+};
+
+const isDefaultCategory = (type, name) => {
+  const lowerName = String(name).toLowerCase();
+  return getDefaultCategories(type).some(cat => cat.toLowerCase() === lowerName);
+};
+
+// Get the default and custom category names available to a user
+const getUserCategories = async (userId) => {
+  const customCategories = await Category.find({ user: userId }).sort({ name: 1 });
+
+  return {
+    expense: [
+      ...DEFAULT_CATEGORIES.expense,
+      ...customCategories.filter(cat => cat.type === 'expense').map(cat => cat.name)
+    ],
+    income: [
+      ...DEFAULT_CATEGORIES.income,
+      ...customCategories.filter(cat => cat.type === 'income').map(cat => cat.name)
+    ],
+    transfer: [...DEFAULT_CATEGORIES.transfer],
+    custom: customCategories
+  };
+};
+
+// Map a category name onto the canonical name from the user's category set.
+// Returns null when the name is neither a known category nor an alias of one.
+const resolveCategory = (name, type, userCategories) => {
+  if (!name || !userCategories[type]) return null;
+
+  const lowerName = String(name).trim().toLowerCase();
+  const match = userCategories[type].find(cat => cat.toLowerCase() === lowerName);
+  if (match) return match;
+
+  const alias = CATEGORY_ALIASES[type]?.[lowerName];
+  return alias && userCategories[type].includes(alias) ? alias : null;
+};
+
+const invalidCategoryMessage = (name, type) => {
+  return `Category "${name}" is not a valid ${type} category`;
+};
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  getDefaultCategories,
+  isDefaultCategory,
+  getUserCategories,
+  resolveCategory,
+  invalidCategoryMessage
+};
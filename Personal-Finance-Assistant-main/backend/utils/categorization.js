@@ -0,0 +1,74 @@
+const { getUserCategories, resolveCategory } = require('./categories');
+const { getUserRules, findMatchingRule, determineCategory } = require('./rules');
+const { MIN_CONFIDENCE, predictCategory, trainUserClassifier } = require('./classifier');
+
+// Load everything needed to categorize a user's transactions. With `learn`, a
+// classifier is also trained on the user's labelled history.
+const getCategorizationContext = async (userId, { learn = false } = {}) => {
+  const [categories, rules, classifier] = await Promise.all([
+    getUserCategories(userId),
+    getUserRules(userId),
+    learn ? trainUserClassifier(userId) : null
+  ]);
+
+  return { categories, rules, classifier };
+};
+
+// Categorize transaction data. A transaction without a category gets the
+// learned classifier's prediction when it is confident, else the category of
+// the user's first matching rule, else the built-in keyword rules. With
+// `override`, a matching rule replaces the category and subcategory instead.
+// A rule's subcategory fills an empty one and its tags are always added. An
+// explicit but unknown category is left for the caller to reject.
+// `categorySource` and `categoryConfidence` record how it was chosen.
+const categorizeTransaction = (data, context, { override = false } = {}) => {
+  const result = { ...data };
+  const type = result.type || 'expense';
+  const rule = findMatchingRule(context.rules, result);
+
+  if (result.category) {
+    result.categorySource = result.categorySource || 'provided';
+  }
+
+  if (!result.category && context.classifier) {
+    const prediction = predictCategory(context.classifier, result.description, type);
+    const category = prediction && resolveCategory(prediction.category, type, context.categories);
+    if (category && prediction.confidence >= MIN_CONFIDENCE) {
+      result.category = category;
+      result.categorySource = 'learned';
+      result.categoryConfidence = prediction.confidence;
+    }
+  }
+
+  if (rule) {
+    const ruleCategory = resolveCategory(rule.actions.category, type, context.categories);
+    if (ruleCategory && (override || !result.category)) {
+      result.category = ruleCategory;
+      result.categorySource = 'rule';
+      result.categoryConfidence = 1;
+    }
+    if (rule.actions.subcategory && (override || !result.subcategory)) {
+      result.subcategory = rule.actions.subcategory;
+    }
+    if (rule.actions.tags && rule.actions.tags.length > 0) {
+      result.tags = [...new Set([...(result.tags || []), ...rule.actions.tags])];
+    }
+    result.appliedRule = rule.name;
+  }
+
+  if (!result.category) {
+    if (type === 'transfer') {
+      result.category = 'Transfer';
+    } else {
+      result.category = type === 'income' ? 'Other' : determineCategory(result.description);
+    }
+    result.categorySource = 'default';
+  }
+
+  return result;
+};
+
+module.exports = {
+  getCategorizationContext,
+  categorizeTransaction
+};
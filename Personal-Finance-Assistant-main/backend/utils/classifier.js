@@ -0,0 +1,128 @@
+const Transaction = require('../models/Transaction');
+const { determineCategory } = require('./rules');
+
+// Minimum posterior probability before a learned category is used instead of
+// the rules
+const MIN_CONFIDENCE = 0.6;
+const MIN_TRAINING_EXAMPLES = 5;
+const TRAINING_LIMIT = 5000;
+// A category the user picked by hand counts more than one that was imported
+const CORRECTION_WEIGHT = 3;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'from', 'with', 'payment', 'purchase', 'pos', 'debit',
+  'credit', 'card', 'receipt', 'inc', 'llc', 'ltd', 'com', 'www'
+]);
+
+// Split a description into lowercase word tokens, dropping numbers and noise
+const tokenize = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(token => token.length > 1 && !/^\d+$/.test(token) && !STOP_WORDS.has(token));
+};
+
+// Build a multinomial naive Bayes model per transaction type from labelled
+// examples of the form { description, type, category, weight }
+const trainClassifier = (examples) => {
+  const model = {};
+
+  examples.forEach(({ description, type, category, weight = 1 }) => {
+    const tokens = tokenize(description);
+    if (!category || tokens.length === 0) return;
+
+    if (!model[type]) {
+      model[type] = { totalWeight: 0, vocabulary: new Set(), categories: {} };
+    }
+    const typeModel = model[type];
+    if (!typeModel.categories[category]) {
+      typeModel.categories[category] = { weight: 0, tokenTotal: 0, tokens: {} };
+    }
+    const stats = typeModel.categories[category];
+
+    typeModel.totalWeight += weight;
+    stats.weight += weight;
+    tokens.forEach(token => {
+      typeModel.vocabulary.add(token);
+      stats.tokens[token] = (stats.tokens[token] || 0) + weight;
+      stats.tokenTotal += weight;
+    });
+  });
+
+  return model;
+};
+
+// Predict a category for a description. Returns { category, confidence } or
+// null when the model has too little data or knows none of the words.
+const predictCategory = (model, description, type = 'expense') => {
+  const typeModel = model && model[type];
+  if (!typeModel || typeModel.totalWeight < MIN_TRAINING_EXAMPLES) return null;
+
+  const categories = Object.keys(typeModel.categories);
+  if (categories.length < 2) return null;
+
+  const tokens = tokenize(description).filter(token => typeModel.vocabulary.has(token));
+  if (tokens.length === 0) return null;
+
+  const vocabularySize = typeModel.vocabulary.size;
+  const scores = categories.map(category => {
+    const stats = typeModel.categories[category];
+    let score = Math.log(stats.weight / typeModel.totalWeight);
+    tokens.forEach(token => {
+      // Laplace smoothing so unseen words do not zero out a category
+      score += Math.log(((stats.tokens[token] || 0) + 1) / (stats.tokenTotal + vocabularySize));
+    });
+    return { category, score };
+  });
+
+  // Normalize log scores into probabilities
+  const maxScore = Math.max(...scores.map(entry => entry.score));
+  const total = scores.reduce((sum, entry) => sum + Math.exp(entry.score - maxScore), 0);
+  const best = scores.reduce((top, entry) => (entry.score > top.score ? entry : top));
+
+  return {
+    category: best.category,
+    confidence: Math.round((1 / total) * 1000) / 1000
+  };
+};
+
+// Whether the user chose a transaction's category, rather than a rule or the
+// classifier. Transactions saved before sources were recorded count unless
+// their category is what the built-in keywords give, or 'Other', which mostly
+// means nothing matched.
+const isUserCategorized = (transaction) => {
+  if (transaction.categoryCorrected) return true;
+  if (transaction.categorySource) return transaction.categorySource === 'provided';
+  return transaction.category !== 'Other' &&
+    !(transaction.type === 'expense' && transaction.category === determineCategory(transaction.description));
+};
+
+// Train a model on the categories a user chose themselves, so it learns
+// their habits instead of copying the rules
+const trainUserClassifier = async (userId) => {
+  const transactions = await Transaction.find({ user: userId })
+    .sort({ date: -1 })
+    .limit(TRAINING_LIMIT)
+    .select('description type category categoryCorrected categorySource')
+    .lean();
+
+  const examples = transactions
+    .filter(isUserCategorized)
+    .map(transaction => ({
+      description: transaction.description,
+      type: transaction.type,
+      category: transaction.category,
+      weight: transaction.categoryCorrected ? CORRECTION_WEIGHT : 1
+    }));
+
+  return trainClassifier(examples);
+};
+
+module.exports = {
+  MIN_CONFIDENCE,
+  tokenize,
+  trainClassifier,
+  predictCategory,
+  trainUserClassifier
+};
@@ -0,0 +1,271 @@
+const fs = require('fs');
+const csv = require('csv-parser');
+const iconv = require('iconv-lite');
+const ImportProfile = require('../models/ImportProfile');
+
+// Settings used when a file has no saved profile
+const DEFAULT_SETTINGS = {
+  dateFormat: 'auto',
+  decimalSeparator: '.',
+  thousandsSeparator: ',',
+  delimiter: 'auto',
+  signConvention: 'negative_expense',
+  headerRowOffset: 0,
+  encoding: 'utf8',
+  sheetName: ''
+};
+
+const PROFILE_SETTINGS = Object.keys(DEFAULT_SETTINGS);
+
+// Header names recognized without a profile, in order of preference
+const COLUMN_ALIASES = {
+  date: ['date', 'transaction_date', 'transactiondate', 'transaction date', 'posting date', 'posted date', 'booking date'],
+  description: ['description', 'memo', 'note', 'merchant', 'payee', 'details', 'narrative'],
+  amount: ['amount', 'transaction_amount', 'transactionamount', 'transaction amount'],
+  debit: ['debit', 'debit amount', 'withdrawal', 'withdrawals', 'money out', 'paid out'],
+  credit: ['credit', 'credit amount', 'deposit', 'deposits', 'money in', 'paid in'],
+  category: ['category', 'transaction_category', 'transactioncategory']
+};
+
+const HEADER_SAMPLE_BYTES = 64 * 1024;
+
+// Split one CSV line into fields, honoring double quotes
+const splitCSVLine = (line, delimiter) => {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === delimiter && !quoted) {
+      fields.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current);
+
+  return fields;
+};
+
+// Pick the delimiter that splits the header line into the most fields
+const detectDelimiter = (line) => {
+  return [',', ';', '\t', '|']
+    .map(delimiter => ({ delimiter, count: splitCSVLine(line, delimiter).length }))
+    .reduce((best, entry) => (entry.count > best.count ? entry : best)).delimiter;
+};
+
+const normalizeHeader = (header) => String(header).trim().toLowerCase();
+
+const getHeaderSignature = (headers) => headers.map(normalizeHeader).join('|');
+
+// Read the header row of a file using the given settings
+const readHeaders = (filePath, settings = {}) => {
+  const { encoding, headerRowOffset, delimiter } = { ...DEFAULT_SETTINGS, ...settings };
+
+  const fd = fs.openSync(filePath, 'r');
+  let text;
+  try {
+    const buffer = Buffer.alloc(HEADER_SAMPLE_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, HEADER_SAMPLE_BYTES, 0);
+    text = iconv.decode(buffer.subarray(0, bytesRead), encoding);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const headerLine = text.split(/\r?\n/).slice(headerRowOffset).find(line => line.trim().length > 0) || '';
+  const separator = delimiter === 'auto' ? detectDelimiter(headerLine) : delimiter;
+
+  return {
+    headers: splitCSVLine(headerLine, separator).map(normalizeHeader).filter(Boolean),
+    delimiter: separator
+  };
+};
+
+// Read every data row of a file as objects keyed by lowercase header names
+const readCSVRows = (filePath, settings = {}) => {
+  const { encoding, headerRowOffset } = { ...DEFAULT_SETTINGS, ...settings };
+  const { delimiter } = readHeaders(filePath, settings);
+
+  return new Promise((resolve, reject) => {
+    const rows = [];
+
+    fs.createReadStream(filePath)
+      .pipe(iconv.decodeStream(encoding))
+      .pipe(csv({
+        separator: delimiter,
+        skipLines: headerRowOffset,
+        mapHeaders: ({ header }) => normalizeHeader(header)
+      }))
+      .on('data', (row) => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+};
+
+// Map known header names onto transaction fields
+const guessColumnMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    const match = aliases.find(alias => normalized.includes(alias));
+    if (match) columns[field] = match;
+  });
+
+  // A single amount column wins over debit/credit guesses
+  if (columns.amount) {
+    delete columns.debit;
+    delete columns.credit;
+  }
+
+  return columns;
+};
+
+const isMappingComplete = (columns = {}) => {
+  return Boolean(columns.date && columns.description && (columns.amount || columns.debit || columns.credit));
+};
+
+// Parse a formatted amount such as "1.234,56", "(45.00)" or "12.50-"
+const parseAmount = (value, { decimalSeparator = '.', thousandsSeparator = ',' } = {}) => {
+  let text = String(value == null ? '' : value).trim();
+  if (!text) return NaN;
+
+  const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /-$/.test(text);
+  text = text.replace(/[()\-+]/g, '');
+  if (thousandsSeparator) {
+    text = text.split(thousandsSeparator).join('');
+  }
+  text = text.replace(/[^0-9.,]/g, '');
+  if (decimalSeparator === ',') {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  const amount = parseFloat(text);
+  return negative ? -amount : amount;
+};
+
+// Parse a date in an explicit format such as 'DD/MM/YYYY', or guess with 'auto'
+const parseDate = (value, format = 'auto') => {
+  // Spreadsheet cells may already hold dates
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+  const text = String(value == null ? '' : value).trim();
+  if (!text) return null;
+
+  if (!format || format === 'auto') {
+    let date = new Date(text);
+    if (isNaN(date.getTime())) {
+      const match = text.match(/(\d{4}-\d{1,2}-\d{1,2})/) ||
+        text.match(/(\d{1,2}\/\d{1,2}\/\d{4})/) ||
+        text.match(/(\d{1,2}-\d{1,2}-\d{4})/);
+      date = match ? new Date(match[1]) : date;
+    }
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const parts = [];
+  const pattern = format
+    .replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+    .replace(/YYYY|YY|MM|M|DD|D/g, (token) => {
+      parts.push(token[0]);
+      return token === 'YYYY' ? '(\\d{4})' : token === 'YY' ? '(\\d{2})' : '(\\d{1,2})';
+    });
+
+  const match = text.match(new RegExp(`^${pattern}`));
+  if (!match) return null;
+
+  const values = {};
+  parts.forEach((part, index) => {
+    values[part] = parseInt(match[index + 1], 10);
+  });
+
+  let year = values.Y;
+  if (year < 100) year += year < 70 ? 2000 : 1900;
+
+  const date = new Date(Date.UTC(year, values.M - 1, values.D));
+  return date.getUTCMonth() === values.M - 1 ? date : null;
+};
+
+// Turn a raw CSV row into { date, description, amount, category } using a
+// profile. The amount is signed: positive for money in, negative for money out.
+const normalizeRow = (row, profile) => {
+  const { columns = {} } = profile;
+  const description = String(row[columns.description] || '').trim();
+  const date = parseDate(row[columns.date], profile.dateFormat);
+
+  let amount;
+  if (columns.amount) {
+    amount = parseAmount(row[columns.amount], profile);
+    if (profile.signConvention === 'positive_expense') amount = -amount;
+  } else {
+    const debit = columns.debit ? parseAmount(row[columns.debit], profile) : NaN;
+    const credit = columns.credit ? parseAmount(row[columns.credit], profile) : NaN;
+    if (isNaN(debit) && isNaN(credit)) return null;
+    amount = (isNaN(credit) ? 0 : Math.abs(credit)) - (isNaN(debit) ? 0 : Math.abs(debit));
+  }
+
+  if (!description || isNaN(amount) || amount === 0) return null;
+
+  return {
+    date,
+    description,
+    amount,
+    category: columns.category ? row[columns.category] : undefined
+  };
+};
+
+// Keep only known profile settings, falling back to defaults
+const pickProfileSettings = (data = {}) => {
+  const profile = { ...DEFAULT_SETTINGS, columns: {} };
+  PROFILE_SETTINGS.forEach(key => {
+    if (data[key] !== undefined && data[key] !== null) profile[key] = data[key];
+  });
+  if (data.columns) {
+    Object.keys(COLUMN_ALIASES).forEach(field => {
+      if (data.columns[field]) profile.columns[field] = normalizeHeader(data.columns[field]);
+    });
+  }
+  profile.headerRowOffset = parseInt(profile.headerRowOffset, 10) || 0;
+  return profile;
+};
+
+// Find the user's saved profile whose header signature matches the file.
+// `readFileHeaders` reads the headers of non-CSV files such as spreadsheets.
+const findProfileForFile = async (userId, filePath, readFileHeaders = readHeaders) => {
+  const profiles = await ImportProfile.find({ user: userId }).sort({ lastUsedAt: -1, updatedAt: -1 });
+
+  return profiles.find(profile => {
+    try {
+      return getHeaderSignature(readFileHeaders(filePath, profile.toObject()).headers) === profile.headerSignature;
+    } catch (error) {
+      return false;
+    }
+  }) || null;
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  COLUMN_ALIASES,
+  normalizeHeader,
+  getHeaderSignature,
+  readHeaders,
+  readCSVRows,
+  guessColumnMapping,
+  isMappingComplete,
+  parseAmount,
+  parseDate,
+  normalizeRow,
+  pickProfileSettings,
+  findProfileForFile
+};
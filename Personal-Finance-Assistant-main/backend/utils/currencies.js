@@ -0,0 +1,4 @@
+// Currencies users, accounts, transactions and exchange rates can use
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'INR'];
+
+module.exports = { CURRENCIES };
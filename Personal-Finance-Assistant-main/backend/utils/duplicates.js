@@ -0,0 +1,144 @@
+const Transaction = require('../models/Transaction');
+const { tokenize } = require('./classifier');
+
+const DEFAULT_TOLERANCE_DAYS = 3;
+const MIN_SIMILARITY = 0.5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Token overlap (Jaccard index) between two descriptions, from 0 to 1
+const descriptionSimilarity = (a, b) => {
+  const tokensA = new Set(tokenize(a));
+  const tokensB = new Set(tokenize(b));
+
+  if (tokensA.size === 0 || tokensB.size === 0) {
+    return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase() ? 1 : 0;
+  }
+
+  const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+  return shared / (tokensA.size + tokensB.size - shared);
+};
+
+const sameAmount = (a, b) => Math.round(Number(a) * 100) === Math.round(Number(b) * 100);
+
+// Score how likely two transactions are the same one. Returns a similarity
+// between 0 and 1, or 0 when the type, amount or date rules out a match.
+const duplicateScore = (a, b, toleranceDays = DEFAULT_TOLERANCE_DAYS) => {
+  if (a.type && b.type && a.type !== b.type) return 0;
+  if (!sameAmount(a.amount, b.amount)) return 0;
+
+  const dayDifference = Math.abs(new Date(a.date) - new Date(b.date)) / DAY_MS;
+  if (!(dayDifference <= toleranceDays)) return 0;
+
+  const similarity = descriptionSimilarity(a.description, b.description);
+  return similarity >= MIN_SIMILARITY ? similarity : 0;
+};
+
+// Mark parsed import rows that probably already exist for the user. Matching
+// rows get `likelyDuplicate: true` and a summary of the existing transaction.
+// Rows with an `externalId` already in the database are exact duplicates.
+const markDuplicates = async (userId, rows, { toleranceDays = DEFAULT_TOLERANCE_DAYS } = {}) => {
+  const externalIds = rows.map(row => row.externalId).filter(Boolean);
+  const imported = externalIds.length > 0
+    ? await Transaction.find({
+      user: userId,
+      $or: [{ externalId: { $in: externalIds } }, { transferExternalId: { $in: externalIds } }]
+    })
+      .select('date description amount type category externalId transferExternalId')
+      .lean()
+    : [];
+  // Transfers joined on import carry the bank IDs of both legs
+  const importedById = new Map();
+  imported.forEach(transaction => {
+    [transaction.externalId, transaction.transferExternalId].filter(Boolean)
+      .forEach(id => importedById.set(id, transaction));
+  });
+
+  const dates = rows.map(row => new Date(row.date).getTime()).filter(time => !isNaN(time));
+  if (dates.length === 0) return rows;
+
+  const existing = await Transaction.find({
+    user: userId,
+    date: {
+      $gte: new Date(Math.min(...dates) - toleranceDays * DAY_MS),
+      $lte: new Date(Math.max(...dates) + toleranceDays * DAY_MS)
+    },
+    amount: { $in: [...new Set(rows.map(row => Number(row.amount)))] }
+  })
+    .select('date description amount type category externalId')
+    .lean();
+
+  rows.forEach(row => {
+    let best = importedById.get(row.externalId) || null;
+    let bestScore = best ? 1 : 0;
+
+    if (!best) {
+      existing.forEach(transaction => {
+        const score = duplicateScore(row, transaction, toleranceDays);
+        if (score > bestScore) {
+          best = transaction;
+          bestScore = score;
+        }
+      });
+    }
+
+    row.likelyDuplicate = Boolean(best);
+    if (best) {
+      row.duplicateOf = {
+        _id: best._id,
+        date: best.date,
+        description: best.description,
+        amount: best.amount,
+        category: best.category,
+        similarity: Math.round(bestScore * 100) / 100,
+        exact: Boolean(row.externalId && importedById.get(row.externalId) === best)
+      };
+    }
+  });
+
+  return rows;
+};
+
+// Group a user's transactions into sets of likely duplicates, skipping pairs
+// that were dismissed as distinct
+const findDuplicateGroups = (transactions, { toleranceDays = DEFAULT_TOLERANCE_DAYS } = {}) => {
+  const sorted = [...transactions].sort((a, b) => a.amount - b.amount || new Date(a.date) - new Date(b.date));
+  const groupOf = new Map();
+  const groups = [];
+
+  const isDismissed = (a, b) =>
+    (a.notDuplicateOf || []).some(id => id.equals(b._id)) ||
+    (b.notDuplicateOf || []).some(id => id.equals(a._id));
+
+  for (let i = 0; i < sorted.length; i++) {
+    for (let j = i + 1; j < sorted.length && sameAmount(sorted[i].amount, sorted[j].amount); j++) {
+      const a = sorted[i];
+      const b = sorted[j];
+      if (isDismissed(a, b) || duplicateScore(a, b, toleranceDays) === 0) continue;
+
+      const group = groupOf.get(a._id.toString()) || groupOf.get(b._id.toString());
+      if (group) {
+        [a, b].forEach(transaction => {
+          if (!groupOf.has(transaction._id.toString())) {
+            group.push(transaction);
+            groupOf.set(transaction._id.toString(), group);
+          }
+        });
+      } else {
+        const newGroup = [a, b];
+        groups.push(newGroup);
+        groupOf.set(a._id.toString(), newGroup);
+        groupOf.set(b._id.toString(), newGroup);
+      }
+    }
+  }
+
+  return groups.map(group => group.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)));
+};
+
+module.exports = {
+  DEFAULT_TOLERANCE_DAYS,
+  descriptionSimilarity,
+  duplicateScore,
+  markDuplicates,
+  findDuplicateGroups
+};
@@ -0,0 +1,269 @@
+// Exchange rates stored per user and conversion of transaction amounts into
+// the user's base currency (User.currency)
+const ExchangeRate = require('../models/ExchangeRate');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const Budget = require('../models/Budget');
+const { CURRENCIES } = require('./currencies');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Amount in the base currency for aggregations; transactions recorded before
+// currencies were tracked are already in it
+const BASE_AMOUNT = { $ifNull: ['$baseAmount', '$amount'] };
+
+const pairKey = (base, currency) => `${base}:${currency}`;
+
+// Load a user's rates into { "EUR:USD": [{ date, rate }, ...] }, oldest first
+const loadRateTable = async (userId) => {
+  const rates = await ExchangeRate.find({ user: userId }).sort({ date: 1 }).lean();
+  const table = {};
+  rates.forEach(({ base, currency, date, rate }) => {
+    const key = pairKey(base, currency);
+    (table[key] = table[key] || []).push({ date, rate });
+  });
+  return table;
+};
+
+// Rate of a pair on a date: the latest one on or before it, else the earliest
+// one after it
+const findPairRate = (table, base, currency, date) => {
+  const rates = table[pairKey(base, currency)];
+  if (!rates) return null;
+
+  let match = rates[0];
+  for (const entry of rates) {
+    if (entry.date > date) break;
+    match = entry;
+  }
+  return match.rate;
+};
+
+const findDirectRate = (table, from, to, date) => {
+  const direct = findPairRate(table, from, to, date);
+  if (direct) return direct;
+  const inverse = findPairRate(table, to, from, date);
+  return inverse ? 1 / inverse : null;
+};
+
+// Units of `to` one unit of `from` is worth on a date. Pairs without a rate
+// of their own are crossed through a currency both have rates with (e.g.
+// USD to GBP through the EUR rates of an ECB file). Returns null when no rate
+// is known.
+const findRate = (table, from, to, date = new Date()) => {
+  if (from === to) return 1;
+
+  const direct = findDirectRate(table, from, to, date);
+  if (direct) return direct;
+
+  for (const pivot of CURRENCIES) {
+    if (pivot === from || pivot === to) continue;
+    const first = findDirectRate(table, from, pivot, date);
+    const second = first && findDirectRate(table, pivot, to, date);
+    if (second) return first * second;
+  }
+  return null;
+};
+
+// Everything needed to convert a user's transactions: their base currency,
+// rate table and account currencies (the default for transactions in an account)
+const getCurrencyContext = async (user) => {
+  const [rates, accounts] = await Promise.all([
+    loadRateTable(user._id),
+    Account.find({ user: user._id }).select('currency').lean()
+  ]);
+
+  return {
+    baseCurrency: user.currency || 'USD',
+    rates,
+    accountCurrencies: new Map(accounts.map(account => [account._id.toString(), account.currency]))
+  };
+};
+
+// Currency fields of transaction data: its currency (sent, else its
+// account's, else the base currency), the rate to the base currency on its
+// date and the converted amount. Returns { error } when no rate is known.
+const convertTransaction = (data, context) => {
+  const currency = String(
+    data.currency ||
+    (data.account && context.accountCurrencies.get(String(data.account))) ||
+    context.baseCurrency
+  ).toUpperCase();
+
+  const exchangeRate = findRate(context.rates, currency, context.baseCurrency, data.date ? new Date(data.date) : new Date());
+  if (!exchangeRate) {
+    return { error: `No exchange rate from ${currency} to ${context.baseCurrency}. Add one under exchange rates first.` };
+  }
+
+  return {
+    currency,
+    exchangeRate,
+    baseAmount: roundAmount(parseFloat(data.amount) * exchangeRate)
+  };
+};
+
+// Recompute the base amounts of a user's transactions (all, or those matching
+// `filter`) after rates or the base currency changed. Transactions without a
+// rate keep their previous values. Returns { updated, missingRates }.
+const reconvertTransactions = async (user, filter = {}) => {
+  const context = await getCurrencyContext(user);
+  const transactions = await Transaction.find({ ...filter, user: user._id })
+    .select('amount currency date exchangeRate baseAmount')
+    .lean();
+
+  const updates = [];
+  let missingRates = 0;
+  transactions.forEach(transaction => {
+    const converted = convertTransaction(
+      { ...transaction, currency: transaction.currency || context.baseCurrency, account: null },
+      context
+    );
+    if (converted.error) {
+      missingRates += 1;
+      return;
+    }
+
+    if (converted.currency !== transaction.currency ||
+      converted.exchangeRate !== transaction.exchangeRate ||
+      converted.baseAmount !== transaction.baseAmount) {
+      updates.push({ updateOne: { filter: { _id: transaction._id }, update: { $set: converted } } });
+    }
+  });
+
+  if (updates.length > 0) {
+    await Transaction.bulkWrite(updates);
+  }
+
+  return { updated: updates.length, missingRates };
+};
+
+// Get ready to switch a user's base currency to `currency`: checks that every
+// transaction can be converted into it and that budget limits can be converted
+// at today's rate, then labels transactions recorded without a currency with
+// the current base currency, which they are in. Returns { missingRates,
+// limitsRate }; nothing is changed unless missingRates is 0 and limitsRate is
+// set (1 when there are no limits to convert).
+const prepareBaseCurrencyChange = async (user, currency) => {
+  const previous = user.currency || 'USD';
+  const context = await getCurrencyContext({ _id: user._id, currency });
+  const transactions = await Transaction.find({ user: user._id }).select('amount currency date').lean();
+
+  const missingRates = transactions.filter(transaction => convertTransaction(
+    { ...transaction, currency: transaction.currency || previous, account: null },
+    context
+  ).error).length;
+  if (missingRates > 0) {
+    return { missingRates, limitsRate: null };
+  }
+
+  const hasLimits = user.monthlyBudget > 0 || Boolean(await Budget.exists({ user: user._id }));
+  const limitsRate = hasLimits ? findRate(context.rates, previous, currency) : 1;
+  if (!limitsRate) {
+    return { missingRates: 0, limitsRate: null };
+  }
+
+  await Transaction.updateMany({ user: user._id, currency: null }, { $set: { currency: previous } });
+  return { missingRates: 0, limitsRate };
+};
+
+// Convert a user's budget limits and monthly budget with `rate` when the base
+// currency changes. The monthly budget is changed on `user`, which the caller
+// saves. Returns the number of budgets converted.
+const convertBudgetLimits = async (user, rate) => {
+  if (user.monthlyBudget > 0) {
+    user.monthlyBudget = roundAmount(user.monthlyBudget * rate);
+  }
+
+  const budgets = await Budget.find({ user: user._id }).select('amount').lean();
+  if (budgets.length > 0) {
+    await Budget.bulkWrite(budgets.map(budget => ({
+      updateOne: {
+        filter: { _id: budget._id },
+        update: { $set: { amount: Math.max(roundAmount(budget.amount * rate), 0.01) } }
+      }
+    })));
+  }
+  return budgets.length;
+};
+
+const parseRateValue = (value) => parseFloat(String(value || '').replace(',', '.'));
+
+const parseRateDate = (value) => {
+  const date = new Date(String(value || '').trim());
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const splitLine = (line, delimiter) => line.split(delimiter).map(cell => cell.trim().replace(/^"|"$/g, '').trim());
+
+// Read a rates CSV. Either one rate per row with date, base (or from),
+// currency (or to/quote) and rate columns, or the ECB layout with a Date
+// column and one column per currency quoted against `base` (EUR by default).
+// Currencies that are not supported are skipped.
+const parseRatesCSV = (text, { base = 'EUR' } = {}) => {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length < 2) return [];
+
+  const delimiter = lines[0].split(';').length > lines[0].split(',').length ? ';' : ',';
+  const headers = splitLine(lines[0], delimiter).map(header => header.toLowerCase());
+  const column = (...names) => headers.findIndex(header => names.includes(header));
+
+  const dateIndex = column('date', 'time');
+  const rateIndex = column('rate', 'value');
+  const rates = [];
+
+  lines.slice(1).forEach(line => {
+    const cells = splitLine(line, delimiter);
+    const date = parseRateDate(cells[dateIndex]);
+    if (!date) return;
+
+    if (rateIndex !== -1) {
+      const rateBase = (cells[column('base', 'from')] || base).toUpperCase();
+      const currency = (cells[column('currency', 'to', 'quote')] || '').toUpperCase();
+      rates.push({ date, base: rateBase, currency, rate: parseRateValue(cells[rateIndex]) });
+      return;
+    }
+
+    headers.forEach((header, index) => {
+      if (index === dateIndex) return;
+      rates.push({ date, base, currency: header.toUpperCase(), rate: parseRateValue(cells[index]) });
+    });
+  });
+
+  return rates.filter(rate => CURRENCIES.includes(rate.base) && CURRENCIES.includes(rate.currency) &&
+    rate.base !== rate.currency && rate.rate > 0);
+};
+
+// Read the ECB reference rates XML (eurofxref-daily.xml or the history
+// files): <Cube time="..."> blocks of <Cube currency="USD" rate="1.08"/>
+// quoted against EUR
+const parseECBXML = (text) => {
+  const rates = [];
+  const dayPattern = /<Cube\s+time=["']([^"']+)["']\s*>([\s\S]*?)<\/Cube>/g;
+  const ratePattern = /<Cube\s+currency=["']([A-Z]{3})["']\s+rate=["']([\d.]+)["']\s*\/>/g;
+
+  let day;
+  while ((day = dayPattern.exec(String(text))) !== null) {
+    const date = parseRateDate(day[1]);
+    if (!date) continue;
+
+    let match;
+    while ((match = ratePattern.exec(day[2])) !== null) {
+      rates.push({ date, base: 'EUR', currency: match[1], rate: parseFloat(match[2]) });
+    }
+  }
+
+  return rates.filter(rate => CURRENCIES.includes(rate.currency) && rate.rate > 0);
+};
+
+module.exports = {
+  BASE_AMOUNT,
+  loadRateTable,
+  findRate,
+  getCurrencyContext,
+  convertTransaction,
+  reconvertTransactions,
+  prepareBaseCurrencyChange,
+  convertBudgetLimits,
+  parseRatesCSV,
+  parseECBXML
+};
@@ -0,0 +1,296 @@
+// Image handling ahead of OCR. HEIC and WebP uploads are converted to JPEG,
+// and receipt photos are cleaned up before Tesseract reads them: turned
+// upright from their EXIF orientation, made grayscale, cropped to the receipt,
+// straightened, scaled and binarized.
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const decodeHeic = require('heic-decode');
+
+const HEIC_TYPES = ['image/heic', 'image/heif', 'image/heic-sequence', 'image/heif-sequence'];
+const HEIC_EXTENSIONS = ['.heic', '.heif'];
+
+// Size the photo is shrunk to while looking for the receipt and its skew
+const ANALYSIS_WIDTH = 600;
+// Receipts are scaled into this width range for recognition, which puts
+// printed text near the size Tesseract reads best
+const MIN_OCR_WIDTH = 1000;
+const MAX_OCR_WIDTH = 2000;
+// Share of a row or column that must be paper for it to be part of the receipt
+const RECEIPT_FILL = 0.25;
+const MAX_SKEW_DEGREES = 15;
+// Skews smaller than this are left alone
+const MIN_SKEW_DEGREES = 0.3;
+// Pixels darker than their surroundings (blurred with this sigma) by more
+// than the offset become ink when binarizing
+const BINARIZE_BLUR_SIGMA = 12;
+const BINARIZE_OFFSET = 12;
+
+const isHeicFile = (file) => HEIC_TYPES.includes(file.mimetype) ||
+  HEIC_EXTENSIONS.includes(path.extname(file.originalname || '').toLowerCase());
+
+// libvips is built without an HEVC decoder, so HEIC photos (the iPhone
+// default) are decoded in JavaScript
+const readHeic = async (buffer) => {
+  const { width, height, data } = await decodeHeic({ buffer });
+  return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), { raw: { width, height, channels: 4 } });
+};
+
+// Convert HEIC and WebP uploads to JPEG, which browsers, thumbnails and OCR
+// all read; other files are returned as they are
+const convertUploadedImage = async ({ buffer, originalName, mimeType }) => {
+  const heic = isHeicFile({ mimetype: mimeType, originalname: originalName });
+  if (!heic && mimeType !== 'image/webp') {
+    return { buffer, originalName, mimeType };
+  }
+
+  const image = heic ? await readHeic(buffer) : sharp(buffer).rotate();
+  return {
+    buffer: await image.flatten({ background: '#ffffff' }).jpeg({ quality: 90 }).toBuffer(),
+    originalName: originalName ? `${path.basename(originalName, path.extname(originalName))}.jpg` : originalName,
+    mimeType: 'image/jpeg'
+  };
+};
+
+// One-channel images are handled as { data, width, height }
+const toRaw = async (image) => {
+  const { data, info } = await image.toColourspace('b-w').raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+};
+
+const fromRaw = ({ data, width, height }) => sharp(data, { raw: { width, height, channels: 1 } });
+
+// Threshold splitting a grayscale histogram into two classes (Otsu's method)
+const otsuThreshold = (data) => {
+  const histogram = new Array(256).fill(0);
+  for (const value of data) histogram[value]++;
+
+  let sumAll = 0;
+  for (let value = 0; value < 256; value++) sumAll += value * histogram[value];
+
+  let weightDark = 0;
+  let sumDark = 0;
+  let bestVariance = 0;
+  let threshold = 127;
+  for (let value = 0; value < 256; value++) {
+    weightDark += histogram[value];
+    const weightLight = data.length - weightDark;
+    if (weightDark === 0) continue;
+    if (weightLight === 0) break;
+
+    sumDark += value * histogram[value];
+    const meanDark = sumDark / weightDark;
+    const meanLight = (sumAll - sumDark) / weightLight;
+    const variance = weightDark * weightLight * (meanDark - meanLight) ** 2;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      threshold = value;
+    }
+  }
+
+  return threshold;
+};
+
+// Adaptive binarization: each pixel is compared with its blurred surroundings,
+// so shadows and uneven light across a photo do not swallow the text
+const binarize = async (raw) => {
+  const blurred = await toRaw(fromRaw(raw).blur(BINARIZE_BLUR_SIGMA));
+  const data = Buffer.alloc(raw.data.length);
+  for (let index = 0; index < data.length; index++) {
+    data[index] = raw.data[index] < blurred.data[index] - BINARIZE_OFFSET ? 0 : 255;
+  }
+  return { data, width: raw.width, height: raw.height };
+};
+
+// Longest stretch of true flags, bridging gaps of up to `maxGap`
+const longestRun = (flags, maxGap) => {
+  let best = null;
+  let start = -1;
+  let last = -1;
+
+  flags.forEach((flag, index) => {
+    if (!flag) return;
+    if (start === -1 || index - last > maxGap + 1) start = index;
+    last = index;
+    if (!best || last - start > best.end - best.start) best = { start, end: last };
+  });
+
+  return best;
+};
+
+// Bounds of the receipt in a photo: the block of rows and columns that are
+// mostly paper, which is lighter than the table or hand behind it. Returns
+// null when the receipt fills more than `maxShare` of the photo or no clear
+// block is found.
+const findReceiptBounds = ({ data, width, height }, { maxShare = 0.9 } = {}) => {
+  const threshold = otsuThreshold(data);
+  const paperInRow = new Array(height).fill(0);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[y * width + x] > threshold) paperInRow[y]++;
+    }
+  }
+
+  const rows = longestRun(paperInRow.map(count => count / width >= RECEIPT_FILL), Math.ceil(height * 0.02));
+  if (!rows) return null;
+
+  const paperInColumn = new Array(width).fill(0);
+  for (let y = rows.start; y <= rows.end; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[y * width + x] > threshold) paperInColumn[x]++;
+    }
+  }
+
+  const rowCount = rows.end - rows.start + 1;
+  const columns = longestRun(paperInColumn.map(count => count / rowCount >= RECEIPT_FILL * 2), Math.ceil(width * 0.02));
+  if (!columns) return null;
+
+  const bounds = {
+    left: columns.start,
+    top: rows.start,
+    width: columns.end - columns.start + 1,
+    height: rowCount
+  };
+  const share = (bounds.width * bounds.height) / (width * height);
+  return share > 0.2 && share < maxShare ? bounds : null;
+};
+
+// Angle (degrees, clockwise) the text lines are tilted by: the one at which
+// the rows of ink line up best, i.e. the row histogram of the ink pixels
+// rotated back by that angle has the sharpest peaks
+const estimateSkew = ({ data, width, height }) => {
+  const xs = [];
+  const ys = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[y * width + x] === 0) {
+        xs.push(x);
+        ys.push(y);
+      }
+    }
+  }
+  if (xs.length < 200) return 0;
+
+  const offset = width;
+  const counts = new Int32Array(width + height * 2);
+  const score = (degrees) => {
+    const radians = (degrees * Math.PI) / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    counts.fill(0);
+    for (let index = 0; index < xs.length; index++) {
+      counts[Math.round(ys[index] * cos - xs[index] * sin) + offset]++;
+    }
+    let sum = 0;
+    for (const count of counts) sum += count * count;
+    return sum;
+  };
+
+  const bestOf = (from, to, step) => {
+    let best = { degrees: 0, score: -1 };
+    for (let degrees = from; degrees <= to + 1e-9; degrees += step) {
+      const value = score(degrees);
+      if (value > best.score) best = { degrees, score: value };
+    }
+    return best.degrees;
+  };
+
+  const coarse = bestOf(-MAX_SKEW_DEGREES, MAX_SKEW_DEGREES, 1);
+  return Math.round(bestOf(coarse - 1, coarse + 1, 0.1) * 10) / 10;
+};
+
+// Cut the receipt out of the photo, working out its bounds on a small copy.
+// Returns null when there is nothing to crop.
+const cropToReceipt = async (image, { maxShare, margin = Math.round(image.width * 0.01) } = {}) => {
+  const scale = Math.min(1, ANALYSIS_WIDTH / image.width);
+  const bounds = findReceiptBounds(await toRaw(fromRaw(image).resize(Math.round(image.width * scale))), { maxShare });
+  if (!bounds) return null;
+
+  const left = Math.max(0, Math.floor(bounds.left / scale) - margin);
+  const top = Math.max(0, Math.floor(bounds.top / scale) - margin);
+  return toRaw(fromRaw(image).extract({
+    left,
+    top,
+    width: Math.min(image.width - left, Math.ceil(bounds.width / scale) + margin * 2),
+    height: Math.min(image.height - top, Math.ceil(bounds.height / scale) + margin * 2)
+  }));
+};
+
+// In development every stage is written to OCR_DEBUG_DIR (default
+// uploads/ocr-debug) to compare photos before and after preprocessing
+const createDebugWriter = (debugName) => {
+  if (process.env.NODE_ENV !== 'development' || process.env.OCR_DEBUG === 'off' || !debugName) {
+    return null;
+  }
+
+  const directory = process.env.OCR_DEBUG_DIR || path.join(__dirname, '../uploads/ocr-debug');
+  const prefix = `${Date.now()}-${debugName.replace(/[^a-z0-9_-]/gi, '_')}`;
+  let stage = 0;
+
+  return async (name, image) => {
+    try {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const file = path.join(directory, `${prefix}-${++stage}-${name}.png`);
+      await image.png().toFile(file);
+      console.log(`OCR debug image: ${file}`);
+    } catch (error) {
+      console.error('OCR debug output error:', error);
+    }
+  };
+};
+
+// Prepare a receipt photo for OCR. Returns the image to recognize (PNG) and
+// the steps taken: `cropped`, `skew` (degrees corrected), `scale`, and the
+// final `width` and `height`.
+const preprocessReceiptImage = async (buffer, { debugName } = {}) => {
+  const debug = createDebugWriter(debugName);
+  if (debug) await debug('original', sharp(buffer).rotate());
+
+  let image = await toRaw(sharp(buffer).rotate().flatten({ background: '#ffffff' }).normalise());
+  if (debug) await debug('grayscale', fromRaw(image));
+
+  const steps = { cropped: false, skew: 0, scale: 1 };
+
+  const cropped = await cropToReceipt(image);
+  if (cropped) {
+    image = cropped;
+    steps.cropped = true;
+    if (debug) await debug('cropped', fromRaw(image));
+  }
+
+  const skewScale = Math.min(1, ANALYSIS_WIDTH / image.width);
+  const skew = estimateSkew(await binarize(await toRaw(fromRaw(image).resize(Math.round(image.width * skewScale)))));
+  if (Math.abs(skew) >= MIN_SKEW_DEGREES) {
+    // Corners turned in take the background's place: dark around a receipt
+    // cut out of a photo, so the second crop below removes them with the
+    // background left beside the tilted receipt, or paper otherwise
+    image = await toRaw(fromRaw(image).rotate(-skew, { background: steps.cropped ? '#000000' : '#ffffff' }));
+    steps.skew = skew;
+    if (steps.cropped) {
+      image = (await cropToReceipt(image, { maxShare: 0.99, margin: 0 })) || image;
+    }
+    if (debug) await debug('deskewed', fromRaw(image));
+  }
+
+  const targetWidth = Math.min(MAX_OCR_WIDTH, Math.max(MIN_OCR_WIDTH, image.width));
+  if (targetWidth !== image.width) {
+    steps.scale = Math.round((targetWidth / image.width) * 100) / 100;
+    image = await toRaw(fromRaw(image).resize(targetWidth));
+  }
+
+  image = await binarize(image);
+  if (debug) await debug('binarized', fromRaw(image));
+
+  return {
+    // Tesseract guesses the text size from the resolution, which PNGs made
+    // here would otherwise leave out
+    buffer: await fromRaw(image).toColourspace('b-w').withMetadata({ density: 300 }).png().toBuffer(),
+    steps: { ...steps, width: image.width, height: image.height }
+  };
+};
+
+module.exports = {
+  isHeicFile,
+  convertUploadedImage,
+  preprocessReceiptImage
+};
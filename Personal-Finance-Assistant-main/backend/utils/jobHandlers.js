@@ -0,0 +1,6 @@
+// Handlers for each background job type, run by the job worker
+const { uploadJobHandler } = require('./uploadProcessing');
+
+module.exports = {
+  upload: uploadJobHandler
+};
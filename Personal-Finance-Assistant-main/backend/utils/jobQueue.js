@@ -0,0 +1,181 @@
+const os = require('os');
+const Job = require('../models/Job');
+
+// Identifies this process in job locks
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+// A job locked longer than this is taken to belong to a worker that stopped.
+// Workers renew the lock whenever the job reports progress.
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+// How long finished jobs (and their results) are kept
+const RESULT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Progress updates smaller than this many percent are not written
+const PROGRESS_STEP = 5;
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+
+// Set while a worker runs in this process, so new jobs start without
+// waiting for the next poll
+let wakeWorker = null;
+
+// Queue a job for the worker; returns the saved job
+const enqueueJob = async (userId, type, payload, { maxAttempts = 1 } = {}) => {
+  const job = await new Job({ user: userId, type, payload, maxAttempts }).save();
+  if (wakeWorker) wakeWorker();
+  return job;
+};
+
+// Lock the oldest waiting job of one of `types`, including jobs whose
+// worker stopped while processing them
+const claimNextJob = (types) => {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: types },
+      $or: [
+        { status: 'queued' },
+        { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'processing', progress: 0, stage: null, lockedBy: WORKER_ID, lockedAt: now, startedAt: now, updatedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+// Update a job this worker still holds; a worker that lost its lock leaves
+// the job to the one that claimed it
+const updateLockedJob = (job, update) => Job.updateOne(
+  { _id: job._id, lockedBy: WORKER_ID },
+  { $set: { ...update, updatedAt: new Date() } }
+);
+
+const finishJob = (job, update) => {
+  const finishedAt = new Date();
+
+  return updateLockedJob(job, {
+    ...update,
+    lockedBy: null,
+    lockedAt: null,
+    finishedAt,
+    expiresAt: new Date(finishedAt.getTime() + RESULT_TTL_MS)
+  });
+};
+
+const cleanupJob = async (job, handler) => {
+  if (!handler.cleanup) return;
+
+  try {
+    await handler.cleanup(job.payload || {});
+  } catch (error) {
+    console.error(`Job ${job._id} cleanup error:`, error);
+  }
+};
+
+// Run a claimed job through its handler. `handler.process(job,
+// reportProgress)` returns the job's result; `handler.cleanup(payload)`, if
+// given, runs once the job will not be tried again.
+const runJob = async (job, handler) => {
+  if (job.attempts > job.maxAttempts) {
+    // Claimed again after its last attempt's worker stopped
+    await finishJob(job, { status: 'failed', error: 'The worker processing this job stopped' });
+    await cleanupJob(job, handler);
+    return;
+  }
+
+  let lastProgress = 0;
+  let lastStage = null;
+  // Never throws, so handlers may call it without awaiting
+  const reportProgress = async (progress, stage = lastStage) => {
+    const percent = Math.min(99, Math.max(0, Math.round(progress)));
+    if (stage === lastStage && percent - lastProgress < PROGRESS_STEP) return;
+    lastProgress = percent;
+    lastStage = stage;
+
+    try {
+      await updateLockedJob(job, { progress: percent, stage, lockedAt: new Date() });
+    } catch (error) {
+      console.error(`Job ${job._id} progress error:`, error);
+    }
+  };
+
+  try {
+    const result = await handler.process(job, reportProgress);
+    await finishJob(job, { status: 'completed', progress: 100, stage: null, result, error: null });
+  } catch (error) {
+    console.error(`Job ${job._id} (${job.type}) error:`, error);
+    if (job.attempts < job.maxAttempts) {
+      await updateLockedJob(job, { status: 'queued', error: error.message, lockedBy: null, lockedAt: null });
+      return;
+    }
+    await finishJob(job, { status: 'failed', error: error.message });
+  }
+
+  await cleanupJob(job, handler);
+};
+
+// Process queued jobs in this process. `handlers` maps job types to their
+// handlers; up to `concurrency` jobs run at once. Returns a function that
+// stops the worker once its running jobs are done.
+const startJobWorker = (handlers, { concurrency = 1, pollIntervalMs = DEFAULT_POLL_INTERVAL_MS } = {}) => {
+  const types = Object.keys(handlers);
+  let running = 0;
+  let stopped = false;
+
+  // Each slot keeps taking jobs until the queue is empty
+  const runSlot = async () => {
+    running++;
+    try {
+      let job;
+      while (!stopped && (job = await claimNextJob(types))) {
+        await runJob(job, handlers[job.type]);
+      }
+    } catch (error) {
+      console.error('Job worker error:', error);
+    } finally {
+      running--;
+    }
+  };
+
+  const poll = () => {
+    while (!stopped && running < concurrency) {
+      runSlot();
+    }
+  };
+
+  wakeWorker = poll;
+  poll();
+  const timer = setInterval(poll, pollIntervalMs);
+
+  return async () => {
+    stopped = true;
+    clearInterval(timer);
+    if (wakeWorker === poll) wakeWorker = null;
+    while (running > 0) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  };
+};
+
+// A job's status as shown to its user; results are only sent once complete
+const serializeJob = (job) => ({
+  _id: job._id,
+  type: job.type,
+  status: job.status,
+  progress: job.progress,
+  stage: job.stage || null,
+  result: job.status === 'completed' ? job.result : null,
+  error: job.status === 'failed' ? job.error : null,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt || null,
+  finishedAt: job.finishedAt || null
+});
+
+module.exports = {
+  enqueueJob,
+  claimNextJob,
+  runJob,
+  startJobWorker,
+  serializeJob
+};
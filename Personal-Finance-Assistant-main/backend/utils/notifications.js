@@ -0,0 +1,80 @@
+const Budget = require('../models/Budget');
+const Notification = require('../models/Notification');
+const { getBudgetStatus, getPeriodRange, sumExpenses } = require('./budgets');
+
+const BUDGET_THRESHOLDS = [50, 80, 100];
+
+// Create a notification unless one with the same key already exists
+const notifyOnce = async (userId, data) => {
+  const result = await Notification.updateOne(
+    { user: userId, key: data.key },
+    { $setOnInsert: { ...data, user: userId, createdAt: new Date() } },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0;
+};
+
+const formatAmount = (amount, currency) => {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD' }).format(amount);
+};
+
+// Raise alerts for budgets whose spending crossed 50/80/100% after new expenses
+// were written, and for total spending crossing User.monthlyBudget. Alert
+// failures are logged and never fail the write that triggered them.
+const checkBudgetAlerts = async (user, transactions) => {
+  try {
+    const expenses = transactions.filter(transaction => transaction && transaction.type === 'expense');
+    if (expenses.length === 0) return;
+
+    const categories = [...new Set(expenses.flatMap(transaction => [
+      transaction.category,
+      ...(transaction.splits || []).map(split => split.category)
+    ]))];
+    const budgets = await Budget.find({
+      user: user._id,
+      isActive: true,
+      $or: [{ category: null }, { category: { $in: categories } }]
+    });
+
+    for (const budget of budgets) {
+      const status = await getBudgetStatus(budget);
+      const threshold = [...BUDGET_THRESHOLDS].reverse().find(value => status.percentage >= value);
+      if (!threshold) continue;
+
+      const name = budget.name || budget.category || 'All Expenses';
+      await notifyOnce(user._id, {
+        type: 'budget_threshold',
+        key: `budget:${budget._id}:${status.periodStart.toISOString()}:${threshold}`,
+        budget: budget._id,
+        threshold,
+        title: threshold >= 100 ? `${name} budget exceeded` : `${name} budget at ${threshold}%`,
+        message: `You have spent ${formatAmount(status.spent, user.currency)} of your ` +
+          `${formatAmount(status.limit, user.currency)} ${budget.period} ${name} budget.`
+      });
+    }
+
+    if (user.monthlyBudget > 0) {
+      const { start, end } = getPeriodRange('monthly');
+      const spent = await sumExpenses(user._id, null, start, end);
+
+      if (spent >= user.monthlyBudget) {
+        const month = `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}`;
+        await notifyOnce(user._id, {
+          type: 'monthly_budget',
+          key: `monthly:${month}`,
+          threshold: 100,
+          title: 'Monthly budget exceeded',
+          message: `Your spending this month (${formatAmount(spent, user.currency)}) has passed your ` +
+            `monthly budget of ${formatAmount(user.monthlyBudget, user.currency)}.`
+        });
+      }
+    }
+  } catch (error) {
+    console.error('Budget alert error:', error);
+  }
+};
+
+module.exports = {
+  BUDGET_THRESHOLDS,
+  checkBudgetAlerts
+};
@@ -0,0 +1,161 @@
+// Parser for OFX/QFX bank and credit card statements. OFX 1.x is SGML where
+// leaf elements are not closed; OFX 2.x is XML. Both are read the same way:
+// aggregates such as <STMTTRN> are always closed, and leaf values run until the
+// next tag or line break.
+const iconv = require('iconv-lite');
+const { CURRENCIES } = require('./currencies');
+
+// TRNTYPE values that always mean money in or money out; the rest (XFER,
+// OTHER, HOLD) fall back to the amount's sign
+const INCOME_TYPES = ['CREDIT', 'DEP', 'DIRECTDEP', 'INT', 'DIV'];
+const EXPENSE_TYPES = ['DEBIT', 'FEE', 'SRVCHG', 'ATM', 'POS', 'CHECK', 'PAYMENT', 'CASH', 'DIRECTDEBIT', 'REPEATPMT'];
+
+const PAYMENT_METHODS = {
+  ATM: 'cash',
+  CASH: 'cash',
+  CHECK: 'check',
+  POS: 'debit_card',
+  DEBIT: 'debit_card',
+  DEP: 'bank_transfer',
+  DIRECTDEP: 'bank_transfer',
+  DIRECTDEBIT: 'bank_transfer',
+  XFER: 'bank_transfer',
+  PAYMENT: 'bank_transfer',
+  REPEATPMT: 'bank_transfer'
+};
+
+const decodeEntities = (value) => {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+};
+
+// Read the first value of a leaf element inside a block of OFX text
+const getValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1].trim()) : '';
+};
+
+// Parse an OFX date such as 20240115, 20240115120000 or 20240115120000.000[-5:EST].
+// Only the calendar date is kept, as UTC midnight like other imports.
+const parseOFXDate = (value) => {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+
+  const date = new Date(Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Amounts use a point as decimal separator, but some banks send a comma
+const parseOFXAmount = (value) => {
+  return parseFloat(String(value || '').replace(/\s/g, '').replace(',', '.'));
+};
+
+const getTransactionType = (trnType, amount) => {
+  if (INCOME_TYPES.includes(trnType)) return 'income';
+  if (EXPENSE_TYPES.includes(trnType)) return 'expense';
+  return amount > 0 ? 'income' : 'expense';
+};
+
+// Split the statement into one entry per account so FITIDs can be scoped to it
+const getStatements = (body) => {
+  const statements = [];
+  const pattern = /<(STMTRS|CCSTMTRS)>([\s\S]*?)<\/\1>/gi;
+  let match;
+
+  while ((match = pattern.exec(body)) !== null) {
+    statements.push({ isCreditCard: match[1].toUpperCase() === 'CCSTMTRS', body: match[2] });
+  }
+
+  // Some exports omit the statement wrapper; treat the whole file as one
+  return statements.length > 0 ? statements : [{ isCreditCard: false, body }];
+};
+
+// Encoding for the CHARSET header of an OFX 1.x file: a Windows code page
+// such as 1252, an ISO-8859 part such as ISO-8859-1 or 8859-15, or NONE and
+// USASCII, which banks use for plain Latin text
+const getCharsetEncoding = (charset) => {
+  const value = charset.toUpperCase();
+  const iso = value.match(/^(?:ISO-?)?8859-(\d{1,2})$/);
+  if (iso) return `iso-8859-${iso[1]}`;
+  if (/^\d{3,4}$/.test(value)) return `windows-${value}`;
+  if (value === 'NONE' || value === 'USASCII') return 'windows-1252';
+  return value;
+};
+
+// Decode a statement file using the character set declared in its header.
+// OFX 1.x files from US banks are usually Windows-1252.
+const decodeOFX = (buffer) => {
+  const header = buffer.subarray(0, 512).toString('latin1');
+  const charset = header.match(/CHARSET:\s*([\w-]+)/i);
+  const xmlEncoding = header.match(/encoding="([^"]+)"/i);
+
+  let encoding = 'utf8';
+  if (charset) {
+    encoding = getCharsetEncoding(charset[1]);
+  } else if (xmlEncoding && iconv.encodingExists(xmlEncoding[1])) {
+    encoding = xmlEncoding[1];
+  }
+
+  return iconv.decode(buffer, iconv.encodingExists(encoding) ? encoding : 'utf8');
+};
+
+// Parse OFX/QFX text into { accounts, transactions }. Each transaction carries
+// `externalId` (account ID + FITID) for exact de-duplication.
+const parseOFX = (text) => {
+  const start = text.search(/<OFX>/i);
+  if (start === -1) {
+    throw new Error('Not a valid OFX file');
+  }
+  const body = text.slice(start);
+
+  const accounts = [];
+  const transactions = [];
+
+  getStatements(body).forEach(statement => {
+    const accountId = getValue(statement.body, 'ACCTID');
+    const currency = getValue(statement.body, 'CURDEF');
+    accounts.push({ accountId, currency, isCreditCard: statement.isCreditCard });
+
+    const blocks = statement.body.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+    blocks.forEach(block => {
+      const trnType = getValue(block, 'TRNTYPE').toUpperCase();
+      const amount = parseOFXAmount(getValue(block, 'TRNAMT'));
+      const date = parseOFXDate(getValue(block, 'DTPOSTED') || getValue(block, 'DTUSER'));
+      const fitId = getValue(block, 'FITID');
+      const name = getValue(block, 'NAME') || getValue(block, 'PAYEE');
+      const memo = getValue(block, 'MEMO');
+      const checkNumber = getValue(block, 'CHECKNUM');
+
+      if (isNaN(amount) || amount === 0 || !date) return;
+
+      const paymentMethod = statement.isCreditCard
+        ? 'credit_card'
+        : PAYMENT_METHODS[trnType] || 'bank_transfer';
+
+      transactions.push({
+        date,
+        description: name || memo || (checkNumber ? `Check ${checkNumber}` : trnType),
+        amount: Math.abs(amount),
+        type: getTransactionType(trnType, amount),
+        paymentMethod,
+        notes: name && memo && memo !== name ? memo : undefined,
+        currency: CURRENCIES.includes(currency.toUpperCase()) ? currency.toUpperCase() : undefined,
+        externalId: fitId ? `${accountId}:${fitId}` : undefined
+      });
+    });
+  });
+
+  return { accounts, transactions };
+};
+
+module.exports = {
+  decodeOFX,
+  parseOFX,
+  parseOFXDate,
+  getTransactionType
+};
@@ -0,0 +1,261 @@
+// Parser for the text of PDF bank statements. Each bank layout is a template
+// registered here; the template that detects the statement reads it line by
+// line, and the generic template is the fallback.
+//
+// A template is a plain object:
+//   id, name              identify the template in upload responses
+//   detect                RegExps that must all match the statement text
+//   transactionLine       RegExp (or list) with named groups `date`,
+//                         `description` and `amount` or `debit`/`credit`, and
+//                         optionally `balance` and `direction` (CR/DR). Lines
+//                         without a `date` group reuse the previous date.
+//   dateFormat            e.g. 'MM/DD', 'DD/MM/YY', 'DD MMM'; 'auto' lets
+//                         JavaScript read the date. Missing years come from
+//                         the statement period.
+//   statementPeriod       RegExp with a named group `end` (the closing date)
+//   openingBalance        RegExp with a named group `balance`
+//   ignore                RegExps for headers, footers and summary lines
+//   multiLineDescriptions append following lines without amounts to the
+//                         previous transaction's description
+//   signFromBalance       read unsigned amounts as money in or out from the
+//                         change in the running balance
+//   expenseSign           'negative' or 'positive' (card statements where
+//                         purchases are positive) when amounts carry a sign;
+//                         without it, unsigned amounts are expenses unless
+//   incomeKeywords        (words in the description) mark them as income
+//   paymentMethod         payment method for the statement's transactions
+//   decimalSeparator, thousandsSeparator
+const { parseAmount, parseDate } = require('./csvImport');
+const builtInTemplates = require('./pdfTemplates');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Lines worth reporting when they are not read as transactions
+const AMOUNT_PATTERN = /\d[\d,.]*[.,]\d{2}\b/;
+
+const templates = [];
+
+const registerTemplate = (template) => {
+  if (!template.id || !template.transactionLine) {
+    throw new Error('PDF templates need an id and a transactionLine pattern');
+  }
+  const index = templates.findIndex(existing => existing.id === template.id);
+  if (index === -1) {
+    templates.push(template);
+  } else {
+    templates[index] = template;
+  }
+};
+
+const getTemplates = () => templates.map(({ id, name }) => ({ id, name }));
+
+// Pick the bank template whose detection patterns all match, else the generic one
+const detectTemplate = (text, templateId) => {
+  if (templateId) {
+    const chosen = templates.find(template => template.id === templateId);
+    if (chosen) return chosen;
+  }
+
+  return templates.find(template => template.detect && template.detect.length > 0 &&
+    template.detect.every(pattern => pattern.test(text))) ||
+    templates.find(template => template.id === 'generic');
+};
+
+// Read a date written in a template format. Returns { year, month, day } with
+// `year` null when the format has none.
+const parseStatementDate = (value, format) => {
+  const text = String(value || '').trim();
+  const parts = [];
+  const pattern = format
+    .replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+    .replace(/YYYY|YY|MMM|MM|M|DD|D/g, (token) => {
+      parts.push(token);
+      if (token === 'YYYY') return '(\\d{4})';
+      if (token === 'YY') return '(\\d{2})';
+      if (token === 'MMM') return '([A-Za-z]{3})[A-Za-z]*';
+      return '(\\d{1,2})';
+    });
+
+  const match = text.match(new RegExp(`^${pattern}$`));
+  if (!match) return null;
+
+  const values = { year: null };
+  parts.forEach((part, index) => {
+    const raw = match[index + 1];
+    if (part === 'MMM') values.month = MONTHS.indexOf(raw.toLowerCase()) + 1;
+    else if (part[0] === 'M') values.month = parseInt(raw, 10);
+    else if (part[0] === 'D') values.day = parseInt(raw, 10);
+    else values.year = part === 'YY' ? 2000 + parseInt(raw, 10) : parseInt(raw, 10);
+  });
+
+  return values.month > 0 && values.day > 0 ? values : null;
+};
+
+// Turn parsed date parts into UTC midnight. Dates without a year take the
+// statement's closing year, or the year before when they fall after it
+// (a December line on a January statement).
+const resolveDate = (parts, periodEnd) => {
+  let year = parts.year;
+  if (!year) {
+    const end = periodEnd || new Date();
+    year = end.getUTCFullYear();
+    if (Date.UTC(year, parts.month - 1, parts.day) > end.getTime()) year--;
+  }
+
+  const date = new Date(Date.UTC(year, parts.month - 1, parts.day));
+  return date.getUTCMonth() === parts.month - 1 ? date : null;
+};
+
+const getSeparators = (template) => ({
+  decimalSeparator: template.decimalSeparator || '.',
+  thousandsSeparator: template.thousandsSeparator === undefined ? ',' : template.thousandsSeparator
+});
+
+const readAmount = (value, template) => {
+  return value ? parseAmount(value.replace(/[$₹£€]/g, ''), getSeparators(template)) : NaN;
+};
+
+const readDate = (value, template, periodEnd) => {
+  if (!template.dateFormat || template.dateFormat === 'auto') {
+    return parseDate(value, 'auto');
+  }
+  const parts = parseStatementDate(value, template.dateFormat);
+  return parts ? resolveDate(parts, periodEnd) : null;
+};
+
+const readPeriodEnd = (text, template) => {
+  const match = template.statementPeriod && text.match(template.statementPeriod);
+  if (!match || !match.groups.end) return null;
+
+  if (template.periodDateFormat) {
+    const parts = parseStatementDate(match.groups.end, template.periodDateFormat);
+    return parts && parts.year ? resolveDate(parts) : null;
+  }
+
+  const date = parseDate(match.groups.end, 'auto');
+  return date ? new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())) : null;
+};
+
+const matchTransactionLine = (line, template) => {
+  const patterns = Array.isArray(template.transactionLine) ? template.transactionLine : [template.transactionLine];
+  for (const pattern of patterns) {
+    const match = line.match(pattern);
+    if (match) return match.groups || {};
+  }
+  return null;
+};
+
+// Work out the signed amount of a line: positive for money in, negative for
+// money out, or null when it cannot be read
+const readSignedAmount = (groups, template, previousBalance) => {
+  const read = (value) => readAmount(value, template);
+
+  if (groups.debit !== undefined || groups.credit !== undefined) {
+    const debit = read(groups.debit);
+    const credit = read(groups.credit);
+    if (isNaN(debit) && isNaN(credit)) return null;
+    return (isNaN(credit) ? 0 : Math.abs(credit)) - (isNaN(debit) ? 0 : Math.abs(debit));
+  }
+
+  let amount = read(groups.amount);
+  if (isNaN(amount)) return null;
+
+  const signed = /^[+-]|^\(|-$/.test(groups.amount.trim());
+  const balance = read(groups.balance);
+
+  if (groups.direction) {
+    amount = /^c/i.test(groups.direction) ? Math.abs(amount) : -Math.abs(amount);
+  } else if (template.signFromBalance && !isNaN(balance) && previousBalance !== null) {
+    amount = balance >= previousBalance ? Math.abs(amount) : -Math.abs(amount);
+  } else if (template.expenseSign) {
+    amount = template.expenseSign === 'positive' ? -amount : amount;
+  } else if (!signed) {
+    const description = String(groups.description || '').toLowerCase();
+    const isIncome = (template.incomeKeywords || []).some(keyword => description.includes(keyword));
+    amount = isIncome ? Math.abs(amount) : -Math.abs(amount);
+  }
+
+  return amount;
+};
+
+// Parse statement text into transactions. Returns the template used and the
+// lines that looked like transactions but could not be read.
+const parseStatementText = (text, { templateId } = {}) => {
+  const template = detectTemplate(text, templateId);
+  const periodEnd = readPeriodEnd(text, template);
+  const openingMatch = template.openingBalance && text.match(template.openingBalance);
+
+  const openingBalance = openingMatch ? readAmount(openingMatch.groups.balance, template) : NaN;
+  let previousBalance = isNaN(openingBalance) ? null : openingBalance;
+
+  const transactions = [];
+  const unparsedLines = [];
+  let current = null;
+  let lastDate = null;
+
+  text.split('\n').map(line => line.trim()).filter(line => line.length > 0).forEach(line => {
+    if ((template.ignore || []).some(pattern => pattern.test(line))) {
+      current = null;
+      return;
+    }
+
+    const groups = matchTransactionLine(line, template);
+    if (groups) {
+      const date = groups.date ? readDate(groups.date, template, periodEnd) : lastDate;
+      const description = String(groups.description || '').replace(/\s+/g, ' ').trim();
+      const amount = readSignedAmount(groups, template, previousBalance);
+
+      if (!date || !description || amount === null || isNaN(amount) || amount === 0) {
+        unparsedLines.push(line);
+        current = null;
+        return;
+      }
+
+      // Rows without a balance move the expected balance for the next row
+      const balance = readAmount(groups.balance, template);
+      if (!isNaN(balance)) {
+        previousBalance = balance;
+      } else if (previousBalance !== null) {
+        previousBalance += amount;
+      }
+
+      current = {
+        date,
+        description,
+        amount: Math.abs(amount),
+        type: amount > 0 ? 'income' : 'expense',
+        paymentMethod: template.paymentMethod || 'bank_transfer',
+        balance: isNaN(balance) ? undefined : balance
+      };
+      transactions.push(current);
+      lastDate = date;
+      return;
+    }
+
+    if (template.multiLineDescriptions && current && !AMOUNT_PATTERN.test(line)) {
+      current.description = `${current.description} ${line}`.replace(/\s+/g, ' ');
+      return;
+    }
+
+    current = null;
+    if (AMOUNT_PATTERN.test(line)) {
+      unparsedLines.push(line);
+    }
+  });
+
+  return {
+    template: { id: template.id, name: template.name },
+    transactions,
+    unparsedLines
+  };
+};
+
+builtInTemplates.forEach(registerTemplate);
+
+module.exports = {
+  registerTemplate,
+  getTemplates,
+  detectTemplate,
+  parseStatementDate,
+  parseStatementText
+};
@@ -0,0 +1,26 @@
+// Barclays current account statements: "DD MMM Description Money out/in
+// Balance" rows without a year, where later rows of the same day leave the
+// date out and only the last one shows the balance
+module.exports = {
+  id: 'barclays-current',
+  name: 'Barclays current account',
+  detect: [/Barclays Bank UK PLC/i, /Money out/i, /Money in/i],
+  transactionLine: [
+    /^(?<date>\d{1,2} [A-Z][a-z]{2})\s+(?<description>.+?)\s+(?<amount>[\d,]+\.\d{2})(?:\s+(?<balance>-?[\d,]+\.\d{2}))?$/,
+    /^(?<description>[A-Za-z].+?)\s+(?<amount>[\d,]+\.\d{2})(?:\s+(?<balance>-?[\d,]+\.\d{2}))?$/
+  ],
+  dateFormat: 'DD MMM',
+  statementPeriod: /(?<start>\d{1,2} [A-Z][a-z]{2} \d{4})\s*-\s*(?<end>\d{1,2} [A-Z][a-z]{2} \d{4})/,
+  periodDateFormat: 'DD MMM YYYY',
+  openingBalance: /Start balance\s+£?(?<balance>-?[\d,]+\.\d{2})/i,
+  ignore: [
+    /^Date\s+Description/i,
+    /^(Start|End) balance/i,
+    /^Balance brought forward/i,
+    /^Balance carried forward/i,
+    /^Page \d+/i
+  ],
+  multiLineDescriptions: true,
+  signFromBalance: true,
+  incomeKeywords: ['received from', 'bill payment from', 'salary', 'refund', 'interest paid', 'giro']
+};
@@ -0,0 +1,21 @@
+// Chase checking statements: "MM/DD Description Amount Balance" rows in the
+// transaction detail, with signed amounts and descriptions that wrap onto
+// following lines
+module.exports = {
+  id: 'chase-checking',
+  name: 'Chase checking',
+  detect: [/JPMorgan Chase Bank/i, /TRANSACTION DETAIL/i],
+  transactionLine: /^(?<date>\d{2}\/\d{2})\s+(?<description>.+?)\s+(?<amount>-?\$?[\d,]+\.\d{2})\s+(?<balance>-?\$?[\d,]+\.\d{2})$/,
+  dateFormat: 'MM/DD',
+  expenseSign: 'negative',
+  statementPeriod: /(?<start>[A-Z][a-z]+ \d{1,2}, \d{4})\s*through\s*(?<end>[A-Z][a-z]+ \d{1,2}, \d{4})/,
+  openingBalance: /Beginning Balance\s+(?<balance>-?\$?[\d,]+\.\d{2})/i,
+  ignore: [
+    /^DATE\s+DESCRIPTION/i,
+    /^(Beginning|Ending) Balance/i,
+    /^Page\s+\d+\s+of\s+\d+/i,
+    /^\*(start|end)\*/i
+  ],
+  multiLineDescriptions: true,
+  paymentMethod: 'debit_card'
+};
@@ -0,0 +1,13 @@
+// Fallback for statements no bank template recognizes: one transaction per
+// line with a full date, a description and the first amount after it
+module.exports = {
+  id: 'generic',
+  name: 'Generic statement',
+  transactionLine: [
+    /^(?<date>\d{1,2}\/\d{1,2}\/\d{4})\s+(?<description>.+?)\s+(?<amount>[+-]?\$?₹?[0-9,]+\.?[0-9]*)/,
+    /^(?<date>\d{1,2}-\d{1,2}-\d{4})\s+(?<description>.+?)\s+(?<amount>[+-]?\$?₹?[0-9,]+\.?[0-9]*)/,
+    /^(?<date>\d{4}-\d{1,2}-\d{1,2})\s+(?<description>.+?)\s+(?<amount>[+-]?\$?₹?[0-9,]+\.?[0-9]*)/
+  ],
+  dateFormat: 'auto',
+  incomeKeywords: ['deposit', 'payment received', 'credit']
+};
@@ -0,0 +1,20 @@
+// HDFC Bank savings statements: "DD/MM/YY Narration Ref ValueDate Amount
+// ClosingBalance" rows. Withdrawals and deposits share one column position in
+// the extracted text, so the closing balance tells them apart.
+module.exports = {
+  id: 'hdfc-savings',
+  name: 'HDFC Bank savings',
+  detect: [/HDFC BANK/i, /Closing Balance/i, /Narration/i],
+  transactionLine: /^(?<date>\d{2}\/\d{2}\/\d{2})\s+(?<description>.+?)\s+(?<reference>\S+)\s+\d{2}\/\d{2}\/\d{2}\s+(?<amount>[\d,]+\.\d{2})\s+(?<balance>-?[\d,]+\.\d{2})$/,
+  dateFormat: 'DD/MM/YY',
+  openingBalance: /Opening Balance\s*:?\s*(?<balance>-?[\d,]+\.\d{2})/i,
+  ignore: [
+    /^Date\s+Narration/i,
+    /^Page No/i,
+    /^STATEMENT SUMMARY/i,
+    /^HDFC BANK LIMITED/i
+  ],
+  multiLineDescriptions: true,
+  signFromBalance: true,
+  incomeKeywords: ['neft cr', 'imps cr', 'salary', 'interest paid', 'refund']
+};
@@ -0,0 +1,8 @@
+// Built-in PDF statement templates, registered by utils/pdfStatements.js.
+// Bank templates are tried in this order; the generic one is the fallback.
+module.exports = [
+  require('./chase'),
+  require('./hdfc'),
+  require('./barclays'),
+  require('./generic')
+];
@@ -0,0 +1,206 @@
+// Reader and writer for Quicken Interchange Format (QIF). A file is a list of
+// sections started by "!Type:<name>" lines; each record is a set of lines
+// whose first character is the field code, ending with "^".
+const iconv = require('iconv-lite');
+
+// Sections holding plain account transactions, with the payment method used
+// for their records
+const SECTION_PAYMENT_METHODS = {
+  bank: 'bank_transfer',
+  ccard: 'credit_card',
+  cash: 'cash',
+  'oth a': 'bank_transfer',
+  'oth l': 'bank_transfer'
+};
+
+// Older Quicken files are Windows-1252 rather than UTF-8
+const decodeQIF = (buffer) => {
+  const text = iconv.decode(buffer, 'utf8');
+  return text.includes('�') ? iconv.decode(buffer, 'windows-1252') : text;
+};
+
+const parseQIFAmount = (value) => parseFloat(String(value || '').replace(/[,\s]/g, ''));
+
+// Parse QIF dates such as 01/15/2024, 1/15'24, 1/15/24, 15.01.2024 or
+// 2024-01-15. `dateFormat` ('MDY' or 'DMY') settles ambiguous day/month order.
+const parseQIFDate = (value, dateFormat = 'MDY') => {
+  const text = String(value || '').trim().replace(/\s/g, '');
+
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (iso) {
+    return new Date(Date.UTC(parseInt(iso[1], 10), parseInt(iso[2], 10) - 1, parseInt(iso[3], 10)));
+  }
+
+  const match = text.match(/^(\d{1,2})[/.-](\d{1,2})(['/.-])(\d{2,4})$/);
+  if (!match) return null;
+
+  let first = parseInt(match[1], 10);
+  let second = parseInt(match[2], 10);
+  let year = parseInt(match[4], 10);
+
+  // An apostrophe before a two-digit year means 2000 or later
+  if (year < 100) {
+    year += match[3] === '\'' || year < 70 ? 2000 : 1900;
+  }
+
+  // Dotted dates are day-first; otherwise use the format unless it cannot fit
+  const dayFirst = match[3] === '.' || (dateFormat === 'DMY' ? second <= 12 : first > 12);
+  const [month, day] = dayFirst ? [second, first] : [first, second];
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 ? date : null;
+};
+
+// Split an "L" category such as "Food:Groceries" or "[Savings]" (a transfer)
+const parseQIFCategory = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return {};
+
+  const transfer = text.match(/^\[(.+)\]$/);
+  if (transfer) return { transferAccount: transfer[1] };
+
+  // Drop a class suffix ("Category/Class")
+  const [category, subcategory] = text.split('/')[0].split(':');
+  return { category: category.trim(), subcategory: subcategory ? subcategory.trim() : undefined };
+};
+
+// Build a transaction from the fields of one record
+const buildTransaction = (record, section, dateFormat) => {
+  const amount = parseQIFAmount(record.T !== undefined ? record.T : record.U);
+  const date = parseQIFDate(record.D, dateFormat);
+  if (isNaN(amount) || amount === 0 || !date) return null;
+
+  const { category, subcategory, transferAccount } = parseQIFCategory(record.L);
+  const checkNumber = /^\d+$/.test(record.N || '') ? record.N : null;
+
+  const splits = record.splits
+    .map(split => ({
+      ...parseQIFCategory(split.S),
+      amount: Math.abs(parseQIFAmount(split.$)),
+      note: split.E || undefined
+    }))
+    .filter(split => !isNaN(split.amount) && split.amount > 0);
+
+  // Summaries already in the memo came from an earlier export
+  const memo = record.M || '';
+  const notes = [memo];
+  if (transferAccount && !memo.includes('Transfer:')) notes.push(`Transfer: ${transferAccount}`);
+  if (splits.length > 0 && !memo.includes('Split:')) {
+    notes.push(`Split: ${splits.map(split => `${split.category || split.transferAccount || 'Uncategorized'} ${split.amount.toFixed(2)}`).join('; ')}`);
+  }
+
+  // The largest split stands in for the category of a split transaction
+  const mainSplit = splits.reduce((largest, split) => (!largest || split.amount > largest.amount ? split : largest), null);
+
+  return {
+    date,
+    description: (record.P || record.M || (checkNumber ? `Check ${checkNumber}` : 'QIF transaction')).trim(),
+    amount: Math.abs(amount),
+    type: amount > 0 ? 'income' : 'expense',
+    category: category || (mainSplit && mainSplit.category) || undefined,
+    subcategory: category ? subcategory : mainSplit ? mainSplit.subcategory : undefined,
+    paymentMethod: checkNumber ? 'check' : SECTION_PAYMENT_METHODS[section],
+    notes: notes.filter(Boolean).join('\n') || undefined,
+    splits: splits.length > 0 ? splits : undefined
+  };
+};
+
+// Parse QIF text into transactions. Sections other than bank, credit card,
+// cash and other asset/liability accounts (investments, category lists,
+// memorized transactions) are skipped.
+const parseQIF = (text, { dateFormat = 'MDY' } = {}) => {
+  const transactions = [];
+  let section = null;
+  let record = { splits: [] };
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/\s+$/, '');
+    if (!line) return;
+
+    if (line.startsWith('!')) {
+      const type = line.match(/^!Type:(.+)$/i);
+      section = type && SECTION_PAYMENT_METHODS[type[1].trim().toLowerCase()] ? type[1].trim().toLowerCase() : null;
+      record = { splits: [] };
+      return;
+    }
+
+    if (!section) return;
+
+    const code = line[0];
+    const value = line.slice(1);
+
+    if (code === '^') {
+      const transaction = buildTransaction(record, section, dateFormat);
+      if (transaction) transactions.push(transaction);
+      record = { splits: [] };
+    } else if (code === 'S') {
+      record.splits.push({ S: value });
+    } else if ((code === 'E' || code === '$') && record.splits.length > 0) {
+      record.splits[record.splits.length - 1][code] = value;
+    } else if (record[code] === undefined) {
+      record[code] = value;
+    }
+  });
+
+  return transactions;
+};
+
+const formatQIFDate = (date) => {
+  const value = new Date(date);
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${pad(value.getUTCMonth() + 1)}/${pad(value.getUTCDate())}/${value.getUTCFullYear()}`;
+};
+
+// Keep field values on one line
+const qifText = (value) => String(value || '').replace(/\r?\n/g, ' ').trim();
+
+const formatCategory = (category, subcategory) => {
+  return qifText(subcategory ? `${category}:${subcategory}` : category);
+};
+
+// Write transactions as QIF, credit card payments in a CCard section and
+// everything else in a Bank section
+const formatQIF = (transactions) => {
+  const sections = { Bank: [], CCard: [] };
+  transactions.forEach(transaction => {
+    sections[transaction.paymentMethod === 'credit_card' ? 'CCard' : 'Bank'].push(transaction);
+  });
+
+  const lines = [];
+  Object.entries(sections).forEach(([type, sectionTransactions]) => {
+    if (sectionTransactions.length === 0) return;
+    lines.push(`!Type:${type}`);
+
+    sectionTransactions.forEach(transaction => {
+      const sign = transaction.type === 'income' ? 1 : -1;
+      lines.push(`D${formatQIFDate(transaction.date)}`);
+      lines.push(`T${(sign * transaction.amount).toFixed(2)}`);
+      lines.push(`P${qifText(transaction.description)}`);
+      if (transaction.notes) lines.push(`M${qifText(transaction.notes)}`);
+      if (transaction.paymentMethod === 'check') lines.push('NCHECK');
+      // QIF writes transfers as the destination account name in brackets
+      if (transaction.type === 'transfer' && transaction.toAccount && transaction.toAccount.name) {
+        lines.push(`L[${qifText(transaction.toAccount.name)}]`);
+      } else {
+        lines.push(`L${formatCategory(transaction.category, transaction.subcategory)}`);
+      }
+
+      (transaction.splits || []).forEach(split => {
+        lines.push(`S${formatCategory(split.category, split.subcategory)}`);
+        if (split.note) lines.push(`E${qifText(split.note)}`);
+        lines.push(`$${(sign * split.amount).toFixed(2)}`);
+      });
+
+      lines.push('^');
+    });
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  decodeQIF,
+  parseQIF,
+  parseQIFDate,
+  formatQIF
+};
@@ -0,0 +1,73 @@
+const Transaction = require('../models/Transaction');
+const { tokenize } = require('./classifier');
+const { DEFAULT_TOLERANCE_DAYS, descriptionSimilarity } = require('./duplicates');
+
+const MIN_MERCHANT_SIMILARITY = 0.5;
+const MAX_MATCHES = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How well a merchant name read from a receipt matches a bank description,
+// from 0 to 1: the share of the name's words found in the description. Bank
+// descriptions often glue store numbers or prefixes to the name
+// ("POS WALMART#1234"), so words may also match inside longer ones.
+const merchantSimilarity = (merchantName, description) => {
+  const merchantTokens = [...new Set(tokenize(merchantName))];
+  if (merchantTokens.length === 0) return 0;
+
+  const descriptionTokens = tokenize(description);
+  const found = merchantTokens.filter(token => descriptionTokens.some(other =>
+    other === token ||
+    (token.length >= 3 && other.includes(token)) ||
+    (other.length >= 3 && token.includes(other))
+  ));
+
+  return Math.max(found.length / merchantTokens.length, descriptionSimilarity(merchantName, description));
+};
+
+// Existing expenses a receipt probably belongs to: the same amount, dated
+// within `toleranceDays` of the receipt and, when a merchant name was read,
+// with a similar description. Transactions that already have a receipt are
+// left out. Returns the best matches first.
+const findReceiptMatches = async (userId, { total, date, merchantName }, { toleranceDays = DEFAULT_TOLERANCE_DAYS } = {}) => {
+  const receiptDate = new Date(date);
+  if (!(total > 0) || isNaN(receiptDate.getTime())) return [];
+
+  const candidates = await Transaction.find({
+    user: userId,
+    type: 'expense',
+    receipt: null,
+    amount: { $gte: total - 0.005, $lte: total + 0.005 },
+    date: {
+      $gte: new Date(receiptDate.getTime() - toleranceDays * DAY_MS),
+      $lte: new Date(receiptDate.getTime() + toleranceDays * DAY_MS)
+    }
+  })
+    .select('date description amount currency category account')
+    .populate('account', 'name')
+    .lean();
+
+  const hasMerchant = tokenize(merchantName).length > 0;
+
+  return candidates
+    .map(transaction => {
+      const dayDifference = Math.round(Math.abs(new Date(transaction.date) - receiptDate) / DAY_MS);
+      const similarity = hasMerchant ? merchantSimilarity(merchantName, transaction.description) : null;
+      // Closer dates break ties between equally similar descriptions
+      const score = (similarity === null ? 0.5 : similarity) * 0.8 + (1 - dayDifference / (toleranceDays + 1)) * 0.2;
+
+      return {
+        ...transaction,
+        merchantSimilarity: similarity === null ? null : Math.round(similarity * 100) / 100,
+        dayDifference,
+        score: Math.round(score * 100) / 100
+      };
+    })
+    .filter(match => match.merchantSimilarity === null || match.merchantSimilarity >= MIN_MERCHANT_SIMILARITY)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_MATCHES);
+};
+
+module.exports = {
+  merchantSimilarity,
+  findReceiptMatches
+};
@@ -0,0 +1,417 @@
+// Reads the fields of a receipt out of its OCR text: merchant, date and time,
+// line items, subtotal, discounts, tax, tip, total and the card used. Every
+// field comes with a confidence from 0 to 1, and fields below
+// REVIEW_CONFIDENCE are listed in `needsReview` for the user to check.
+
+const REVIEW_CONFIDENCE = 0.6;
+// Largest gap, in dollars, between the total and subtotal + tax + tip that
+// still counts as adding up
+const TOTAL_TOLERANCE = 0.02;
+
+// Amounts such as 12.34, $1,234.56, -2.00, 2.00- or 3,49 (OCR often reads the
+// decimal point as a comma). Percentages and parts of dates are left out.
+const AMOUNT_PATTERN = /(?<![\d.,])(-)?\s?\$?\s?(\d{1,3}(?:,\d{3})+|\d+)[.,](\d{2})(?![.,]?\d)(?!\s?%)(-)?/g;
+
+const SUBTOTAL_PATTERN = /\bsub\s*-?\s*total\b/i;
+const TAX_PATTERN = /\b(tax|vat|gst|hst|pst)\b/i;
+const TIP_PATTERN = /\b(tip|gratuity)\b/i;
+const DISCOUNT_PATTERN = /\b(discount|coupon|promo|savings?|markdown|off)\b/i;
+// Summaries of discounts already listed, e.g. "YOU SAVED 3.00"
+const SAVINGS_SUMMARY_PATTERN = /\b(you\s+saved|total\s+savings?|savings\s+total)\b/i;
+const TOTAL_PATTERN = /\b(grand\s*total|total\s*due|amount\s*due|balance\s*due|total)\b/i;
+const PREFERRED_TOTAL_PATTERN = /\b(grand\s*total|total\s*due|amount\s*due|balance\s*due)\b/i;
+// Payment lines, which repeat the total or show the cash handed over
+const TENDER_PATTERN = /\b(cash|change|tender(ed)?|visa|master\s*card|amex|american\s+express|discover|debit|credit|card|paid|payment|approved|auth(orization)?|balance)\b/i;
+// Counts and reference numbers that are not items
+const NON_ITEM_PATTERN = /\b(items?\s+sold|number\s+of\s+items|item\s+count|qty\s+total|store|register|trans(action)?|ref|invoice|order\s*#|table|server|guests?)\b/i;
+
+const CARD_BRANDS = [
+  { pattern: /\bdebit\b/i, method: 'debit_card' },
+  { pattern: /\b(visa|master\s*card|mc|amex|american\s+express|discover|credit)\b/i, method: 'credit_card' },
+  { pattern: /\b(apple\s*pay|google\s*pay|samsung\s*pay|paypal)\b/i, method: 'digital_wallet' }
+];
+const MASKED_CARD_PATTERN = /(?:[x*•#.]{2,}[\s-]*)+(\d{4})\b/i;
+const CARD_NUMBER_PATTERN = /\b(?:card|acct|account|visa|master\s*card|amex|discover|debit)\b.*?(?:#|no\.?|number|ending(?:\s+in)?)\s*:?\s*(\d{4})\b/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const NUMERIC_DATE_PATTERN = /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})\b/;
+const ISO_DATE_PATTERN = /\b(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})\b/;
+const MONTH_NAME_DATE_PATTERN = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})\b/i;
+const DAY_MONTH_NAME_DATE_PATTERN = /\b(\d{1,2})\s+(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?,?\s+(\d{4})\b/i;
+const TIME_PATTERN = /\b([01]?\d|2[0-3]):([0-5]\d)(?::[0-5]\d)?\s*([ap])?\.?m?\.?(?![a-z])/i;
+
+// Lines near the top that are not the merchant's name
+const HEADER_NOISE_PATTERN = /^(welcome|thank|receipt|customer\s+copy|merchant\s+copy|store\s*#|tel|phone|fax|www\.|http)/i;
+const PHONE_PATTERN = /\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}/;
+const STREET_PATTERN = /^\d+\s+.*\b(st|street|ave|avenue|rd|road|blvd|boulevard|dr|drive|hwy|highway|ln|lane|way|pkwy|suite|ste|plaza|sq)\b/i;
+const CITY_LINE_PATTERN = /\b[A-Z]{2}\s+\d{5}(-\d{4})?\b/;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+const roundConfidence = (value) => Math.round(value * 100) / 100;
+
+const findAmounts = (line) => [...line.matchAll(AMOUNT_PATTERN)].map(match => {
+  const value = parseFloat(`${match[2].replace(/,/g, '')}.${match[3]}`);
+  return match[1] || match[4] ? -value : value;
+});
+
+// A line's text without its amounts; OCR's 0-for-O mix-ups are undone so
+// "T0TAL" still reads as a total
+const getLabel = (line) => line
+  .replace(AMOUNT_PATTERN, ' ')
+  .replace(/(?<=[a-z])0|0(?=[a-z])/gi, 'o')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const letterCount = (text) => (text.match(/[a-z]/gi) || []).length;
+
+// Sort each line into a kind: a summary line (subtotal, tax, tip, total), a
+// discount, a payment line or a possible item
+const classifyLine = (line, index) => {
+  const amounts = findAmounts(line);
+  const label = getLabel(line);
+  const entry = { index, line, label, amounts, amount: amounts.length > 0 ? amounts[amounts.length - 1] : null };
+
+  if (entry.amount === null) return { ...entry, kind: 'text' };
+  if (SUBTOTAL_PATTERN.test(label)) return { ...entry, kind: 'subtotal' };
+  if (SAVINGS_SUMMARY_PATTERN.test(label)) return { ...entry, kind: 'savings' };
+  if (TIP_PATTERN.test(label)) return { ...entry, kind: /\bsuggested\b/i.test(label) ? 'other' : 'tip' };
+  if (TOTAL_PATTERN.test(label) && !TAX_PATTERN.test(label)) return { ...entry, kind: 'total' };
+  if (TAX_PATTERN.test(label)) return { ...entry, kind: 'tax' };
+  if (entry.amount < 0 || DISCOUNT_PATTERN.test(label)) return { ...entry, kind: 'discount' };
+  if (TENDER_PATTERN.test(label)) return { ...entry, kind: 'tender' };
+  // "2 @ 1.50" lines are kept for the item above them
+  if (QUANTITY_AT_PRICE_PATTERN.test(line)) return { ...entry, kind: 'item' };
+  if (NON_ITEM_PATTERN.test(label) || letterCount(label) < 2) return { ...entry, kind: 'other' };
+  return { ...entry, kind: 'item' };
+};
+
+// Parse the first date on the receipt. Numeric dates are read month-first
+// unless that cannot fit, so dates where both orders fit are less certain.
+const parseReceiptDate = (lines) => {
+  for (const line of lines) {
+    let year;
+    let month;
+    let day;
+    let confidence;
+
+    const iso = line.match(ISO_DATE_PATTERN);
+    const monthName = line.match(MONTH_NAME_DATE_PATTERN);
+    const dayMonthName = line.match(DAY_MONTH_NAME_DATE_PATTERN);
+    const numeric = line.match(NUMERIC_DATE_PATTERN);
+
+    if (iso) {
+      [year, month, day] = [iso[1], iso[2], iso[3]].map(Number);
+      confidence = 0.95;
+    } else if (monthName) {
+      [year, month, day] = [Number(monthName[3]), MONTHS.indexOf(monthName[1].toLowerCase()) + 1, Number(monthName[2])];
+      confidence = 0.95;
+    } else if (dayMonthName) {
+      [year, month, day] = [Number(dayMonthName[3]), MONTHS.indexOf(dayMonthName[2].toLowerCase()) + 1, Number(dayMonthName[1])];
+      confidence = 0.95;
+    } else if (numeric) {
+      const first = Number(numeric[1]);
+      const second = Number(numeric[2]);
+      year = Number(numeric[3]);
+      if (year < 100) year += 2000;
+
+      const dayFirst = first > 12;
+      [month, day] = dayFirst ? [second, first] : [first, second];
+      // Both orders fit when neither part is above 12
+      confidence = dayFirst || second > 12 ? 0.9 : 0.75;
+      if (numeric[3].length === 2) confidence -= 0.05;
+    } else {
+      continue;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (isNaN(date.getTime()) || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) continue;
+
+    // Dates in the future or long ago are probably misread
+    const now = Date.now();
+    if (date.getTime() > now + 24 * 60 * 60 * 1000 || year < 2000) confidence = 0.3;
+
+    return { date, confidence };
+  }
+
+  return null;
+};
+
+// Time of purchase as "HH:MM" (24-hour)
+const parseReceiptTime = (lines) => {
+  for (const line of lines) {
+    const match = line.match(TIME_PATTERN);
+    if (!match) continue;
+
+    let hours = Number(match[1]);
+    const meridiem = match[3] ? match[3].toLowerCase() : null;
+    if (meridiem === 'p' && hours < 12) hours += 12;
+    if (meridiem === 'a' && hours === 12) hours = 0;
+
+    const onDateLine = NUMERIC_DATE_PATTERN.test(line) || ISO_DATE_PATTERN.test(line) ||
+      MONTH_NAME_DATE_PATTERN.test(line) || DAY_MONTH_NAME_DATE_PATTERN.test(line);
+
+    return {
+      time: `${String(hours).padStart(2, '0')}:${match[2]}`,
+      confidence: onDateLine ? 0.9 : meridiem ? 0.85 : 0.7
+    };
+  }
+
+  return null;
+};
+
+// The merchant is usually the first line of text at the top that is not an
+// address, phone number or greeting
+const parseMerchantName = (lines, headerEnd) => {
+  const candidates = lines.slice(0, Math.min(Math.max(headerEnd, 1), 6));
+
+  for (let index = 0; index < candidates.length; index++) {
+    const line = candidates[index];
+    if (letterCount(line) < 3 || HEADER_NOISE_PATTERN.test(line) || PHONE_PATTERN.test(line) ||
+      STREET_PATTERN.test(line) || CITY_LINE_PATTERN.test(line) || parseReceiptDate([line])) {
+      continue;
+    }
+
+    const name = line
+      .replace(/[^a-z0-9&'.\- ]/gi, ' ')
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s.\-']+|[\s.\-']+$/g, '')
+      .substring(0, 50);
+    if (letterCount(name) < 3) continue;
+
+    // Mostly letters reads as a name rather than OCR noise
+    const letterShare = letterCount(name) / name.replace(/\s/g, '').length;
+    let confidence = index === 0 ? 0.8 : 0.65;
+    if (letterShare < 0.7) confidence -= 0.2;
+
+    return { merchantName: name, confidence };
+  }
+
+  return null;
+};
+
+// Quantities such as "2 @ 1.50", "3 x 0.99", "0.85 lb @ 2.99", "QTY 2" or a
+// leading count ("2 Burger")
+const QUANTITY_AT_PRICE_PATTERN = /(\d+(?:\.\d+)?)\s*(?:lbs?|kg|ea)?\s*(?:@|x|×)\s*\$?\s?(\d+[.,]\d{2})/i;
+const QTY_LABEL_PATTERN = /\bqty[:\s]*(\d+)\b/i;
+const LEADING_QUANTITY_PATTERN = /^(\d{1,2})\s*x?\s+(?=[a-z]{2})/i;
+
+const cleanItemName = (label) => label
+  .replace(QUANTITY_AT_PRICE_PATTERN, ' ')
+  .replace(QTY_LABEL_PATTERN, ' ')
+  .replace(LEADING_QUANTITY_PATTERN, '')
+  // Product codes and the tax flags printed after the name
+  .replace(/\b\d{5,}\b/g, ' ')
+  .replace(/\s+[A-Z]{1,2}$/, '')
+  .replace(/[^a-z0-9&%'.,/\- ]/gi, ' ')
+  .replace(/\s+/g, ' ')
+  .replace(/^[\s.,\-']+|[\s.,\-']+$/g, '')
+  .substring(0, 100);
+
+// Build an item from its line; "2 @ 1.50" lines printed under an item set the
+// quantity of the item above them
+const parseItems = (entries) => {
+  const items = [];
+
+  entries.forEach(entry => {
+    const atPrice = entry.line.match(QUANTITY_AT_PRICE_PATTERN);
+    const name = cleanItemName(entry.label);
+
+    if (atPrice && letterCount(name) < 2 && items.length > 0) {
+      const previous = items[items.length - 1];
+      previous.quantity = parseFloat(atPrice[1]);
+      previous.unitPrice = parseFloat(atPrice[2].replace(',', '.'));
+      return;
+    }
+    if (letterCount(name) < 2) return;
+
+    const qtyLabel = entry.label.match(QTY_LABEL_PATTERN);
+    const leading = entry.label.match(LEADING_QUANTITY_PATTERN);
+    let quantity = 1;
+    let unitPrice = entry.amount;
+
+    if (atPrice) {
+      quantity = parseFloat(atPrice[1]);
+      unitPrice = parseFloat(atPrice[2].replace(',', '.'));
+    } else if (qtyLabel || leading) {
+      quantity = parseInt((qtyLabel || leading)[1], 10) || 1;
+      unitPrice = roundAmount(entry.amount / quantity);
+    }
+
+    items.push({ name, quantity, unitPrice, amount: entry.amount });
+  });
+
+  return items;
+};
+
+const sumAmounts = (entries) => roundAmount(entries.reduce((sum, entry) => sum + Math.abs(entry.amount), 0));
+const addsUp = (expected, actual) => Math.abs(expected - actual) <= TOTAL_TOLERANCE;
+
+const detectPayment = (lines) => {
+  let paymentMethod = null;
+  let cardLast4 = null;
+  let cardConfidence = 0;
+
+  for (const line of lines) {
+    if (!paymentMethod) {
+      const brand = CARD_BRANDS.find(({ pattern }) => pattern.test(line));
+      if (brand) paymentMethod = brand.method;
+    }
+
+    if (!cardLast4) {
+      const masked = line.match(MASKED_CARD_PATTERN);
+      const numbered = !masked && line.match(CARD_NUMBER_PATTERN);
+      if (masked || numbered) {
+        cardLast4 = (masked || numbered)[1];
+        cardConfidence = masked ? 0.9 : 0.7;
+      }
+    }
+  }
+
+  if (!paymentMethod && lines.some(line => /\bcash\b/i.test(line) && findAmounts(line).length > 0)) {
+    paymentMethod = 'cash';
+  }
+  if (!paymentMethod && cardLast4) {
+    paymentMethod = 'credit_card';
+  }
+
+  return { paymentMethod, cardLast4, cardConfidence };
+};
+
+// Read a receipt's OCR text into its fields. Amounts missing from the
+// receipt are null.
+const parseReceiptText = (text) => {
+  const lines = String(text || '').split('\n').map(line => line.trim()).filter(line => line.length > 0);
+  const entries = lines.map(classifyLine);
+  const confidence = {};
+
+  // Items sit between the header and the first subtotal or total line
+  const firstAmountIndex = entries.findIndex(entry => entry.amount !== null);
+  const summaryIndex = entries.findIndex(entry => entry.kind === 'subtotal' || entry.kind === 'total');
+  const itemsEnd = summaryIndex === -1 ? entries.length : summaryIndex;
+
+  const merchant = parseMerchantName(lines, firstAmountIndex === -1 ? lines.length : firstAmountIndex);
+  const purchaseDate = parseReceiptDate(lines);
+  const purchaseTime = parseReceiptTime(lines);
+  const { paymentMethod, cardLast4, cardConfidence } = detectPayment(lines);
+
+  const items = parseItems(entries.slice(0, itemsEnd).filter(entry => entry.kind === 'item'));
+  const itemDiscounts = entries.slice(0, itemsEnd).filter(entry => entry.kind === 'discount');
+  const orderDiscounts = entries.slice(itemsEnd).filter(entry => entry.kind === 'discount');
+  const discounts = [...itemDiscounts, ...orderDiscounts].map(entry => ({
+    name: cleanItemName(entry.label) || 'Discount',
+    amount: Math.abs(entry.amount)
+  }));
+
+  const subtotalEntry = entries.find(entry => entry.kind === 'subtotal');
+  const taxEntries = entries.filter(entry => entry.kind === 'tax');
+  const tipEntries = entries.filter(entry => entry.kind === 'tip');
+  const subtotal = subtotalEntry ? Math.abs(subtotalEntry.amount) : null;
+  const tax = taxEntries.length > 0 ? sumAmounts(taxEntries) : null;
+  const tip = tipEntries.length > 0 ? sumAmounts(tipEntries) : null;
+  const discount = discounts.length > 0 ? roundAmount(discounts.reduce((sum, item) => sum + item.amount, 0)) : null;
+  const itemsTotal = roundAmount(items.reduce((sum, item) => sum + item.amount, 0));
+
+  // What the total should be: discounts listed after the subtotal come off it
+  const expectedTotal = subtotal !== null
+    ? roundAmount(subtotal - sumAmounts(orderDiscounts) + (tax || 0) + (tip || 0))
+    : null;
+
+  // Of the total lines, prefer one that adds up, then a "grand total" or
+  // "amount due", then the largest
+  const totalCandidates = entries
+    .filter(entry => entry.kind === 'total' && entry.amount > 0)
+    .sort((a, b) => Number(PREFERRED_TOTAL_PATTERN.test(b.label)) - Number(PREFERRED_TOTAL_PATTERN.test(a.label)) || b.amount - a.amount);
+  const matchingTotal = expectedTotal !== null && totalCandidates.find(entry => addsUp(expectedTotal, entry.amount));
+
+  let total = null;
+  let totalSource = null;
+  if (matchingTotal) {
+    total = matchingTotal.amount;
+    totalSource = 'checked';
+    confidence.total = 0.95;
+  } else if (totalCandidates.length > 0) {
+    total = totalCandidates[0].amount;
+    totalSource = 'label';
+    confidence.total = expectedTotal === null ? 0.75 : 0.5;
+  } else if (expectedTotal !== null) {
+    total = expectedTotal;
+    totalSource = 'computed';
+    confidence.total = 0.6;
+  } else if (itemsTotal > 0) {
+    // No summary lines: the items are all there is to go on
+    total = itemsTotal;
+    totalSource = 'items';
+    confidence.total = 0.45;
+  } else {
+    // Nothing reads as an item either: fall back to the largest amount that
+    // is not cash handed over or change
+    const amounts = entries
+      .filter(entry => entry.amount > 0 && entry.kind !== 'tender' && entry.kind !== 'other')
+      .map(entry => entry.amount);
+    total = amounts.length > 0 ? Math.max(...amounts) : 0;
+    totalSource = 'largest';
+    confidence.total = amounts.length > 0 ? 0.3 : 0;
+  }
+
+  // A computed total adds up by definition, so there is nothing to check
+  const totalCheck = expectedTotal !== null && totalSource !== 'computed'
+    ? { expected: expectedTotal, difference: roundAmount(total - expectedTotal), consistent: addsUp(expectedTotal, total) }
+    : null;
+
+  // Summary amounts are trusted when the total adds up with them
+  const summaryConfidence = totalCheck ? (totalCheck.consistent ? 0.9 : 0.5) : 0.7;
+  if (subtotal !== null) {
+    // The subtotal should also match the items (less discounts taken off them)
+    const itemsMatch = items.length > 0 && addsUp(subtotal, roundAmount(itemsTotal - sumAmounts(itemDiscounts)));
+    confidence.subtotal = roundConfidence(Math.min(1, summaryConfidence + (itemsMatch ? 0.05 : 0)));
+  }
+  if (tax !== null) confidence.tax = summaryConfidence;
+  if (tip !== null) confidence.tip = summaryConfidence;
+  if (discount !== null) confidence.discount = totalCheck && totalCheck.consistent ? 0.85 : 0.6;
+
+  if (items.length > 0) {
+    // Items can only be checked against a subtotal or total read separately
+    const itemsBase = subtotal !== null ? subtotal
+      : totalSource === 'checked' || totalSource === 'label' ? roundAmount(total - (tax || 0) - (tip || 0)) : null;
+    const netItems = roundAmount(itemsTotal - sumAmounts(itemDiscounts));
+    confidence.items = itemsBase !== null && addsUp(itemsBase, netItems) ? 0.9 : 0.5;
+  }
+
+  confidence.merchantName = merchant ? roundConfidence(merchant.confidence) : 0;
+  confidence.date = purchaseDate ? roundConfidence(purchaseDate.confidence) : 0;
+  if (purchaseTime) confidence.time = purchaseTime.confidence;
+  if (cardLast4) confidence.cardLast4 = cardConfidence;
+
+  // The fields a transaction is made from decide the overall confidence
+  confidence.overall = roundConfidence((confidence.total + confidence.date + confidence.merchantName) / 3);
+
+  const needsReview = Object.keys(confidence)
+    .filter(field => field !== 'overall' && confidence[field] < REVIEW_CONFIDENCE);
+
+  return {
+    merchantName: merchant ? merchant.merchantName : '',
+    date: purchaseDate ? purchaseDate.date : null,
+    time: purchaseTime ? purchaseTime.time : null,
+    items,
+    subtotal,
+    discount,
+    discounts,
+    tax,
+    tip,
+    total,
+    totalSource,
+    totalCheck,
+    paymentMethod,
+    cardLast4,
+    confidence,
+    needsReview
+  };
+};
+
+module.exports = {
+  REVIEW_CONFIDENCE,
+  findAmounts,
+  parseReceiptDate,
+  parseReceiptTime,
+  parseReceiptText
+};
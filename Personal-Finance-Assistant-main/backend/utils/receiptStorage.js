@@ -0,0 +1,193 @@
+// Where receipt files live. Adapters share one interface:
+//   put(key, buffer, contentType), get(key) -> Buffer or null, remove(key)
+// Keys look like "<userId>/<receiptId>.jpg". RECEIPT_STORAGE picks the
+// adapter: "local" (default) keeps files under RECEIPT_STORAGE_DIR, "s3"
+// talks to any S3-compatible service (AWS S3, MinIO, ...) configured by the
+// S3_* variables.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_LOCAL_DIR = path.join(__dirname, '../uploads/receipts');
+
+// Keys are generated by the app; refuse anything that could leave the root
+const assertSafeKey = (key) => {
+  if (!/^[\w-]+(\/[\w.-]+)*$/.test(key) || key.split('/').includes('..')) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+};
+
+const createLocalStorage = (rootDir = DEFAULT_LOCAL_DIR) => {
+  const resolve = (key) => {
+    assertSafeKey(key);
+    return path.join(rootDir, ...key.split('/'));
+  };
+
+  return {
+    name: 'local',
+
+    put: async (key, buffer) => {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    get: async (key) => {
+      try {
+        return await fs.promises.readFile(resolve(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+};
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Percent-encoding of query names and values as SigV4 expects (RFC 3986)
+const encodeRFC3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// Authorization header signing an S3 request with AWS Signature Version 4,
+// which S3-compatible services accept as well. Every header in `headers`
+// (lowercase names, including host, x-amz-date and x-amz-content-sha256) is
+// signed; `url` is the request URL with its path already encoded.
+const signS3Request = ({ method, url, headers, region, accessKeyId, secretAccessKey }) => {
+  const amzDate = headers['x-amz-date'];
+  const dateStamp = amzDate.slice(0, 8);
+
+  const headerNames = Object.keys(headers).sort();
+  const signedHeaders = headerNames.join(';');
+  const canonicalQuery = [...url.searchParams]
+    .map(([name, value]) => [encodeRFC3986(name), encodeRFC3986(value)])
+    .sort(([a, aValue], [b, bValue]) => (a === b ? (aValue < bValue ? -1 : 1) : (a < b ? -1 : 1)))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    headerNames.map(name => `${name}:${String(headers[name]).trim().replace(/\s+/g, ' ')}\n`).join(''),
+    signedHeaders,
+    headers['x-amz-content-sha256']
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+};
+
+const createS3Storage = ({
+  endpoint = 'https://s3.amazonaws.com',
+  bucket,
+  region = 'us-east-1',
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = true
+}) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 receipt storage needs a bucket, access key ID and secret access key');
+  }
+
+  const base = new URL(endpoint);
+
+  const objectUrl = (key) => {
+    assertSafeKey(key);
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return forcePathStyle
+      ? new URL(`${base.origin}/${bucket}/${encodedKey}`)
+      : new URL(`${base.protocol}//${bucket}.${base.host}/${encodedKey}`);
+  };
+
+  const request = async (method, key, { body, contentType } = {}) => {
+    const url = objectUrl(key);
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': sha256(body || ''),
+      'x-amz-date': new Date().toISOString().replace(/[:-]|\.\d{3}/g, '')
+    };
+    if (contentType) headers['content-type'] = contentType;
+
+    const authorization = signS3Request({ method, url, headers, region, accessKeyId, secretAccessKey });
+
+    // fetch sets the Host header itself
+    delete headers.host;
+    return fetch(url, {
+      method,
+      body,
+      headers: { ...headers, Authorization: authorization }
+    });
+  };
+
+  const failure = async (action, key, response) => new Error(
+    `S3 ${action} of ${key} failed with ${response.status}: ${(await response.text()).slice(0, 200)}`
+  );
+
+  return {
+    name: 's3',
+
+    put: async (key, buffer, contentType) => {
+      const response = await request('PUT', key, { body: buffer, contentType });
+      if (!response.ok) throw await failure('upload', key, response);
+    },
+
+    get: async (key) => {
+      const response = await request('GET', key);
+      if (response.status === 404) return null;
+      if (!response.ok) throw await failure('download', key, response);
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    remove: async (key) => {
+      const response = await request('DELETE', key);
+      if (!response.ok && response.status !== 404) throw await failure('delete', key, response);
+    }
+  };
+};
+
+const createStorageFromEnv = (env = process.env) => {
+  if (env.RECEIPT_STORAGE === 's3') {
+    return createS3Storage({
+      endpoint: env.S3_ENDPOINT || undefined,
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION || undefined,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE !== 'false'
+    });
+  }
+  return createLocalStorage(env.RECEIPT_STORAGE_DIR || DEFAULT_LOCAL_DIR);
+};
+
+let storage = null;
+
+// The configured adapter, created on first use
+const getReceiptStorage = () => {
+  if (!storage) {
+    storage = createStorageFromEnv();
+  }
+  return storage;
+};
+
+// Swap the adapter, e.g. for a local stand-in when trying out S3 setups
+const setReceiptStorage = (adapter) => {
+  storage = adapter;
+};
+
+module.exports = {
+  createLocalStorage,
+  createS3Storage,
+  signS3Request,
+  createStorageFromEnv,
+  getReceiptStorage,
+  setReceiptStorage
+};
@@ -0,0 +1,156 @@
+// Receipt files stored for transactions: saving uploads with a thumbnail,
+// linking them to transactions and deleting them with their files
+const path = require('path');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Receipt = require('../models/Receipt');
+const Transaction = require('../models/Transaction');
+const { getReceiptStorage } = require('./receiptStorage');
+
+const THUMBNAIL_SIZE = 320;
+
+// Receipts uploaded but never linked to a transaction are dropped after a day
+const UNLINKED_RECEIPT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Authenticated route serving a receipt file; stored as Transaction.receiptUrl
+const getReceiptUrl = (receiptId) => `/api/receipts/${receiptId}/file`;
+
+const createThumbnail = (buffer) => sharp(buffer)
+  .rotate()
+  .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+  .jpeg({ quality: 70 })
+  .toBuffer();
+
+const removeReceiptFiles = async (receipt) => {
+  const storage = getReceiptStorage();
+  await storage.remove(receipt.storageKey);
+  if (receipt.thumbnailKey) {
+    await storage.remove(receipt.thumbnailKey);
+  }
+};
+
+// Save a file as one of the user's receipts, with a thumbnail for images. A
+// thumbnail that cannot be made does not fail the upload. `receiptId` keeps
+// the ID of a restored receipt.
+const storeReceipt = async (userId, { buffer, originalName, mimeType }, { transaction = null, receiptId } = {}) => {
+  const receipt = new Receipt({
+    _id: receiptId,
+    user: userId,
+    transaction,
+    originalName: originalName ? path.basename(originalName).substring(0, 255) : undefined,
+    mimeType,
+    size: buffer.length
+  });
+
+  const extension = path.extname(originalName || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+  receipt.storageKey = `${userId}/${receipt._id}${extension}`;
+
+  const storage = getReceiptStorage();
+  await storage.put(receipt.storageKey, buffer, mimeType);
+
+  if (mimeType.startsWith('image/')) {
+    try {
+      const thumbnailKey = `${userId}/${receipt._id}-thumb.jpg`;
+      await storage.put(thumbnailKey, await createThumbnail(buffer), 'image/jpeg');
+      receipt.thumbnailKey = thumbnailKey;
+    } catch (error) {
+      console.error('Receipt thumbnail error:', error);
+    }
+  }
+
+  try {
+    await receipt.save();
+  } catch (error) {
+    await removeReceiptFiles(receipt);
+    throw error;
+  }
+
+  return receipt;
+};
+
+// Find a receipt of the user to link to a new transaction. Returns
+// { receipt } or { error }.
+const findReceiptToLink = async (userId, receiptId) => {
+  const receipt = mongoose.isValidObjectId(receiptId)
+    ? await Receipt.findOne({ _id: receiptId, user: userId })
+    : null;
+
+  if (!receipt) {
+    return { error: 'Receipt not found' };
+  }
+  if (receipt.transaction) {
+    return { error: 'Receipt is already attached to a transaction' };
+  }
+  return { receipt };
+};
+
+// Transaction fields pointing at a receipt
+const getReceiptFields = (receipt) => ({
+  receipt: receipt._id,
+  receiptUrl: getReceiptUrl(receipt._id)
+});
+
+// Receipt details for API responses, with the routes serving its files
+const serializeReceipt = (receipt) => ({
+  ...(receipt.toObject ? receipt.toObject() : receipt),
+  url: getReceiptUrl(receipt._id),
+  thumbnailUrl: receipt.thumbnailKey ? `/api/receipts/${receipt._id}/thumbnail` : null
+});
+
+const linkReceipt = async (receipt, transactionId) => {
+  receipt.transaction = transactionId;
+  await receipt.save();
+};
+
+// Point a transaction at its oldest remaining receipt, or at none, after
+// one of its receipts was removed
+const refreshTransactionReceipt = async (userId, transactionId) => {
+  const receipt = await Receipt.findOne({ user: userId, transaction: transactionId }).sort({ createdAt: 1 });
+  const update = receipt
+    ? { $set: { ...getReceiptFields(receipt), updatedAt: new Date() } }
+    : { $set: { receipt: null, updatedAt: new Date() }, $unset: { receiptUrl: '' } };
+
+  await Transaction.updateOne({ _id: transactionId, user: userId }, update);
+};
+
+// Delete the receipts matching a filter and their files. Returns the number
+// deleted.
+const deleteReceipts = async (filter) => {
+  const receipts = await Receipt.find(filter);
+
+  for (const receipt of receipts) {
+    try {
+      await removeReceiptFiles(receipt);
+    } catch (error) {
+      console.error('Remove receipt file error:', error);
+    }
+  }
+
+  await Receipt.deleteMany({ _id: { $in: receipts.map(receipt => receipt._id) } });
+  return receipts.length;
+};
+
+const deleteTransactionReceipts = (userId, transactionIds) => deleteReceipts({
+  user: userId,
+  transaction: { $in: transactionIds }
+});
+
+const deleteUnlinkedReceipts = (userId) => deleteReceipts({
+  user: userId,
+  transaction: null,
+  createdAt: { $lt: new Date(Date.now() - UNLINKED_RECEIPT_MAX_AGE_MS) }
+});
+
+module.exports = {
+  getReceiptUrl,
+  createThumbnail,
+  storeReceipt,
+  findReceiptToLink,
+  getReceiptFields,
+  serializeReceipt,
+  linkReceipt,
+  refreshTransactionReceipt,
+  deleteReceipts,
+  deleteTransactionReceipts,
+  deleteUnlinkedReceipts
+};
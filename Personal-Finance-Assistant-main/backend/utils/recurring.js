@@ -0,0 +1,239 @@
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { getCategorizationContext, categorizeTransaction } = require('./categorization');
+const { getCurrencyContext, convertTransaction } = require('./exchangeRates');
+const { checkBudgetAlerts } = require('./notifications');
+const { scaleSplits } = require('./splits');
+
+const MONTHS_PER_PERIOD = { monthly: 1, quarterly: 3, yearly: 12 };
+const DAYS_PER_PERIOD = { daily: 1, weekly: 7 };
+
+// Fields copied from a recurring template onto each generated occurrence;
+// occurrences keep the template's rate when none is known for their date
+const TEMPLATE_FIELDS = [
+  'user', 'type', 'amount', 'currency', 'exchangeRate', 'baseAmount', 'account', 'toAccount', 'category', 'categorySource',
+  'subcategory', 'description', 'paymentMethod', 'tags', 'location', 'notes'
+];
+
+// Get the date of the nth occurrence after the template's start date. Monthly
+// periods keep the original day of month, clamped to shorter months.
+const getOccurrenceDate = (startDate, frequency, n) => {
+  const start = new Date(startDate);
+
+  if (DAYS_PER_PERIOD[frequency]) {
+    const date = new Date(start);
+    date.setDate(start.getDate() + n * DAYS_PER_PERIOD[frequency]);
+    return date;
+  }
+
+  const months = n * (MONTHS_PER_PERIOD[frequency] || 1);
+  const target = new Date(start.getFullYear(), start.getMonth() + months, 1,
+    start.getHours(), start.getMinutes(), start.getSeconds(), start.getMilliseconds());
+  const daysInMonth = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(start.getDate(), daysInMonth));
+  return target;
+};
+
+// List the template's occurrence dates after `from` and up to `to`, respecting
+// the recurring end date. The template itself is occurrence 0.
+const getOccurrencesBetween = (template, from, to) => {
+  const dates = [];
+  const endDate = template.recurringEndDate && template.recurringEndDate < to ? template.recurringEndDate : to;
+
+  for (let n = 1; ; n++) {
+    const date = getOccurrenceDate(template.date, template.recurringFrequency, n);
+    if (date > endDate) break;
+    if (date > from) dates.push(date);
+  }
+
+  return dates;
+};
+
+// Get the first occurrence after `after`, or null once the series has ended
+const getNextOccurrence = (template, after) => {
+  for (let n = 1; ; n++) {
+    const date = getOccurrenceDate(template.date, template.recurringFrequency, n);
+    if (template.recurringEndDate && date > template.recurringEndDate) return null;
+    if (date > after) return date;
+  }
+};
+
+// Amount of each occurrence a template generates
+const getRecurringAmount = (template) => template.recurringAmount || template.amount;
+
+// Currency fields of an occurrence, converted at its date, else at the
+// template's rate when none is known for that date
+const convertOccurrence = (data, currencyContext) => {
+  const converted = convertTransaction(data, currencyContext);
+  if (!converted.error) return converted;
+
+  const exchangeRate = data.exchangeRate || 1;
+  return {
+    currency: data.currency || currencyContext.baseCurrency,
+    exchangeRate,
+    baseAmount: Math.round(data.amount * exchangeRate * 100) / 100
+  };
+};
+
+// Create one occurrence of a template the way a new transaction is created:
+// converted at its date, run through the user's rules and validated on save.
+// Returns null when the occurrence already exists.
+const createOccurrence = async (template, date, context) => {
+  const source = template.toObject();
+  const data = { recurringParent: template._id, date, isRecurring: false };
+  TEMPLATE_FIELDS.forEach(field => {
+    if (source[field] !== undefined) data[field] = source[field];
+  });
+  data.amount = getRecurringAmount(source);
+  data.splits = (source.splits || []).map(({ _id, ...split }) => split);
+  if (data.amount !== source.amount) {
+    data.splits = scaleSplits(data.splits, data.amount);
+  }
+
+  Object.assign(data, convertOccurrence(data, context.currency));
+
+  try {
+    return await new Transaction(categorizeTransaction(data, context.categorization)).save();
+  } catch (error) {
+    // Another run created this occurrence first
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// What creating occurrences for a user needs, or null when the user is gone
+const loadUserContext = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const [categorization, currency] = await Promise.all([
+    getCategorizationContext(user._id),
+    getCurrencyContext(user)
+  ]);
+  return { user, categorization, currency };
+};
+
+// Create every due occurrence for recurring templates, skipping dates the
+// user deleted. Occurrences are unique on (recurringParent, date), so running
+// this repeatedly or from several processes never creates duplicates.
+const generateDueTransactions = async ({ now = new Date(), userId, templateId } = {}) => {
+  const filter = { isRecurring: true, recurringParent: null };
+  if (userId) filter.user = userId;
+  if (templateId) filter._id = templateId;
+
+  const templates = await Transaction.find(filter);
+  const contexts = new Map();
+  let created = 0;
+
+  for (const template of templates) {
+    try {
+      const userKey = template.user.toString();
+      if (!contexts.has(userKey)) contexts.set(userKey, await loadUserContext(template.user));
+      const context = contexts.get(userKey);
+      if (!context) continue;
+
+      const from = template.nextOccurrence ? new Date(template.nextOccurrence.getTime() - 1) : template.date;
+      const skipped = new Set((template.skippedOccurrences || []).map(date => date.getTime()));
+      const dueDates = getOccurrencesBetween(template, from, now).filter(date => !skipped.has(date.getTime()));
+
+      const occurrences = [];
+      for (const date of dueDates) {
+        const occurrence = await createOccurrence(template, date, context);
+        if (occurrence) occurrences.push(occurrence);
+      }
+      created += occurrences.length;
+      await checkBudgetAlerts(context.user, occurrences);
+
+      const next = getNextOccurrence(template, now);
+      if (String(next) !== String(template.nextOccurrence || null)) {
+        await Transaction.updateOne({ _id: template._id }, { $set: { nextOccurrence: next } });
+      }
+    } catch (error) {
+      console.error(`Recurring template ${template._id} error:`, error);
+    }
+  }
+
+  return { templates: templates.length, created };
+};
+
+// Remember the dates of deleted occurrences on their templates, so that a
+// restarted schedule does not create them again
+const skipDeletedOccurrences = async (transactions) => {
+  for (const transaction of transactions) {
+    if (transaction.recurringParent) {
+      await Transaction.updateOne(
+        { _id: transaction.recurringParent },
+        { $addToSet: { skippedOccurrences: transaction.date } }
+      );
+    }
+  }
+};
+
+// List occurrences of a user's recurring templates due within the next `days` days
+const getUpcomingOccurrences = async (user, days = 30, now = new Date()) => {
+  const until = new Date(now);
+  until.setDate(until.getDate() + days);
+
+  const [templates, currencyContext] = await Promise.all([
+    Transaction.find({ user: user._id, isRecurring: true, recurringParent: null }),
+    getCurrencyContext(user)
+  ]);
+  const upcoming = [];
+
+  templates.forEach(template => {
+    const skipped = new Set((template.skippedOccurrences || []).map(date => date.getTime()));
+    getOccurrencesBetween(template, now, until).filter(date => !skipped.has(date.getTime())).forEach(date => {
+      const amount = getRecurringAmount(template);
+      const { currency, baseAmount } = convertOccurrence({
+        amount,
+        currency: template.currency,
+        exchangeRate: template.exchangeRate,
+        account: template.account,
+        date
+      }, currencyContext);
+
+      upcoming.push({
+        templateId: template._id,
+        date,
+        type: template.type,
+        amount,
+        currency,
+        baseAmount,
+        category: template.category,
+        description: template.description,
+        paymentMethod: template.paymentMethod,
+        recurringFrequency: template.recurringFrequency
+      });
+    });
+  });
+
+  return upcoming.sort((a, b) => a.date - b.date);
+};
+
+// Run the generator periodically inside the API process
+const startRecurringScheduler = (intervalMinutes = 60) => {
+  const run = async () => {
+    try {
+      const { created } = await generateDueTransactions();
+      if (created > 0) {
+        console.log(`Recurring scheduler created ${created} transactions`);
+      }
+    } catch (error) {
+      console.error('Recurring scheduler error:', error);
+    }
+  };
+
+  run();
+  return setInterval(run, intervalMinutes * 60 * 1000);
+};
+
+module.exports = {
+  getOccurrenceDate,
+  getOccurrencesBetween,
+  getNextOccurrence,
+  getRecurringAmount,
+  generateDueTransactions,
+  skipDeletedOccurrences,
+  getUpcomingOccurrences,
+  startRecurringScheduler
+};
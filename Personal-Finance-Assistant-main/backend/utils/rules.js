@@ -0,0 +1,200 @@
+const Rule = require('../models/Rule');
+const { normalizeMerchant } = require('./subscriptions');
+
+// Keyword rules used when no user rule matches. They replace the old hard-coded
+// determineCategory chain and keep its order.
+const keywordRule = (name, keywords, category) => ({
+  name,
+  transactionType: 'expense',
+  matchAll: false,
+  conditions: keywords.map(value => ({ field: 'description', operator: 'contains', value })),
+  actions: { category }
+});
+
+const BUILT_IN_RULES = [
+  keywordRule('Groceries', ['grocery', 'food', 'supermarket', 'market'], 'Food & Dining'),
+  keywordRule('Fuel', ['gas', 'fuel', 'shell', 'exxon'], 'Transportation'),
+  keywordRule('Retail', ['amazon', 'walmart', 'target', 'costco'], 'Shopping'),
+  keywordRule('Restaurants', ['restaurant', 'cafe', 'pizza', 'burger'], 'Food & Dining'),
+  keywordRule('Rides', ['uber', 'lyft', 'taxi'], 'Transportation'),
+  keywordRule('Streaming', ['netflix', 'spotify', 'hulu', 'amazon prime'], 'Entertainment'),
+  keywordRule('Fitness', ['gym', 'fitness', 'planet fitness'], 'Healthcare')
+];
+
+// Longest pattern a regex condition may use
+const MAX_REGEX_LENGTH = 100;
+
+// Whether a pattern can take exponential time to fail: a repeated group that
+// repeats or leaves out something itself, such as (a+)+, (a?a?)* or
+// (\w*\s?){2,}, a repeated group with alternatives, such as (a|a)* or
+// (\w|\d)+, or a backreference. Patterns run on every transaction of every
+// import, on the server's only thread.
+const hasNestedQuantifier = (pattern) => {
+  // One entry per open group: whether it contains a repetition or alternatives
+  const groups = [];
+  // The group that just closed, while a quantifier may still follow it
+  let closedGroup = null;
+  let groupStart = -1;
+
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    const repeatsPrevious = char === '*' || char === '+' || (char === '{' && /^\{\d*,?\d*\}/.test(pattern.slice(index)));
+
+    if (repeatsPrevious) {
+      if (closedGroup && (closedGroup.repeats || closedGroup.alternates)) return true;
+      if (groups.length > 0) groups[groups.length - 1].repeats = true;
+    } else if (char === '?' && index - 1 !== groupStart) {
+      // An optional part, unless it starts a (?:...) or lookaround group
+      if (groups.length > 0) groups[groups.length - 1].repeats = true;
+    } else if (char === '|') {
+      if (groups.length > 0) groups[groups.length - 1].alternates = true;
+    } else if (char === '\\') {
+      if (/[1-9k]/.test(pattern[index + 1] || '')) return true;
+      index++;
+    } else if (char === '[') {
+      // Skip the character class
+      for (index++; index < pattern.length && pattern[index] !== ']'; index++) {
+        if (pattern[index] === '\\') index++;
+      }
+    } else if (char === '(') {
+      groups.push({ repeats: false, alternates: false });
+      groupStart = index;
+    } else if (char === ')') {
+      const group = groups.pop() || { repeats: false, alternates: false };
+      if (groups.length > 0) {
+        const parent = groups[groups.length - 1];
+        parent.repeats = parent.repeats || group.repeats;
+        parent.alternates = parent.alternates || group.alternates;
+      }
+      closedGroup = group;
+      continue;
+    }
+
+    // A lazy or optional marker right after a group keeps it in question
+    if (!(char === '?' && closedGroup)) closedGroup = null;
+  }
+
+  return false;
+};
+
+// Problem with a regex condition's pattern, or null when it can be used
+const checkRegex = (value, caseSensitive) => {
+  if (String(value).length > MAX_REGEX_LENGTH) {
+    return `is longer than ${MAX_REGEX_LENGTH} characters`;
+  }
+  if (hasNestedQuantifier(String(value))) {
+    return 'repeats a group that repeats itself or has alternatives, or uses a backreference, which can take too long to run';
+  }
+  try {
+    new RegExp(value, caseSensitive ? '' : 'i');
+    return null;
+  } catch (error) {
+    return 'is not a valid regular expression';
+  }
+};
+
+// Compiled regex conditions by flags and pattern; null for patterns that
+// cannot be used, so rules saved before the checks above never run them
+const regexCache = new Map();
+
+const compileRegex = (value, caseSensitive) => {
+  const key = `${caseSensitive ? 's' : 'i'}:${value}`;
+  if (!regexCache.has(key)) {
+    if (regexCache.size >= 1000) regexCache.clear();
+    regexCache.set(key, checkRegex(value, caseSensitive) ? null : new RegExp(value, caseSensitive ? '' : 'i'));
+  }
+  return regexCache.get(key);
+};
+
+const getFieldValue = (transaction, field) => {
+  if (field === 'merchant') {
+    return transaction.merchant || normalizeMerchant(transaction.description);
+  }
+  return transaction[field] == null ? '' : String(transaction[field]);
+};
+
+const matchesCondition = (condition, transaction) => {
+  const fieldValue = getFieldValue(transaction, condition.field);
+  const caseSensitive = condition.caseSensitive === true;
+
+  if (condition.operator === 'regex') {
+    const regex = compileRegex(condition.value, caseSensitive);
+    return regex ? regex.test(fieldValue) : false;
+  }
+
+  const actual = caseSensitive ? fieldValue : fieldValue.toLowerCase();
+  const expected = caseSensitive ? String(condition.value) : String(condition.value).toLowerCase();
+
+  return condition.operator === 'exact' ? actual.trim() === expected.trim() : actual.includes(expected);
+};
+
+// Check whether a rule applies to a transaction
+const matchesRule = (rule, transaction) => {
+  if (rule.transactionType && transaction.type && rule.transactionType !== transaction.type) {
+    return false;
+  }
+
+  const amount = Number(transaction.amount);
+  if (rule.amountMin != null && !(amount >= rule.amountMin)) return false;
+  if (rule.amountMax != null && !(amount <= rule.amountMax)) return false;
+
+  const conditions = rule.conditions || [];
+  if (conditions.length === 0) {
+    // A rule without conditions needs at least an amount range to be useful
+    return rule.amountMin != null || rule.amountMax != null;
+  }
+
+  return rule.matchAll === false
+    ? conditions.some(condition => matchesCondition(condition, transaction))
+    : conditions.every(condition => matchesCondition(condition, transaction));
+};
+
+// Return the first rule (in the given order) that applies to the transaction
+const findMatchingRule = (rules, transaction) => {
+  return rules.find(rule => rule.isActive !== false && matchesRule(rule, transaction)) || null;
+};
+
+// Fall back to the built-in keyword rules; always returns a default category
+const determineCategory = (description, type = 'expense') => {
+  const rule = findMatchingRule(BUILT_IN_RULES, { description, type });
+  return rule ? rule.actions.category : 'Other';
+};
+
+// Return a list of problems with a rule definition (invalid regexes, empty rules)
+const validateRuleDefinition = (rule) => {
+  const problems = [];
+  const conditions = rule.conditions || [];
+
+  conditions.forEach((condition, index) => {
+    const regexProblem = condition.operator === 'regex' && checkRegex(condition.value, condition.caseSensitive);
+    if (regexProblem) {
+      problems.push(`The regular expression of condition ${index + 1} ${regexProblem}`);
+    }
+  });
+
+  if (conditions.length === 0 && rule.amountMin == null && rule.amountMax == null) {
+    problems.push('A rule needs at least one condition or an amount range');
+  }
+  if (rule.amountMin != null && rule.amountMax != null && rule.amountMin > rule.amountMax) {
+    problems.push('Minimum amount cannot be greater than maximum amount');
+  }
+  if (!rule.actions || (!rule.actions.category && !rule.actions.subcategory && !(rule.actions.tags || []).length)) {
+    problems.push('A rule needs at least one action');
+  }
+
+  return problems;
+};
+
+// Get a user's active rules in the order they are applied
+const getUserRules = (userId) => {
+  return Rule.find({ user: userId, isActive: true }).sort({ priority: 1, createdAt: 1 });
+};
+
+module.exports = {
+  BUILT_IN_RULES,
+  matchesRule,
+  findMatchingRule,
+  determineCategory,
+  validateRuleDefinition,
+  getUserRules
+};
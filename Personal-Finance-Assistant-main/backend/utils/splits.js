@@ -0,0 +1,135 @@
+const { resolveCategory, invalidCategoryMessage } = require('./categories');
+const { categorizeTransaction } = require('./categorization');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const sumSplits = (splits) => roundAmount(splits.reduce((total, split) => total + (Number(split.amount) || 0), 0));
+
+// Splits have to add up to the transaction amount to the cent
+const splitsMatchAmount = (splits, amount) => Math.abs(sumSplits(splits) - amount) < 0.005;
+
+// The largest split stands in for the category of a split transaction
+const getMainSplit = (splits) => splits.reduce((largest, split) => (
+  !largest || Number(split.amount) > Number(largest.amount) ? split : largest
+), null);
+
+// Spread a new amount over splits in proportion to their amounts, with the
+// rounding difference on the largest split. Returns no splits when fewer than
+// two would be left.
+const scaleSplits = (splits, amount) => {
+  const total = sumSplits(splits);
+  if (!(total > 0)) return [];
+
+  const scaled = splits
+    .map(split => ({ ...split, amount: roundAmount((Number(split.amount) * amount) / total) }))
+    .filter(split => split.amount > 0);
+  if (scaled.length < 2) return [];
+
+  const mainSplit = getMainSplit(scaled);
+  mainSplit.amount = roundAmount(mainSplit.amount + amount - sumSplits(scaled));
+  return scaled;
+};
+
+// Check the splits sent with a transaction. Split categories are resolved
+// like the transaction's own category. Returns { splits } (empty when the
+// transaction is not split) or { error }.
+const resolveSplits = (splits, type, amount, userCategories) => {
+  if (splits === undefined || splits === null || (Array.isArray(splits) && splits.length === 0)) {
+    return { splits: [] };
+  }
+  if (!Array.isArray(splits)) {
+    return { error: 'Splits must be an array' };
+  }
+  if (type === 'transfer') {
+    return { error: 'Transfers cannot be split' };
+  }
+  if (splits.length < 2) {
+    return { error: 'A split transaction needs at least two splits' };
+  }
+
+  const resolved = [];
+  for (const split of splits) {
+    const category = resolveCategory(split.category, type, userCategories);
+    if (!category) {
+      return { error: invalidCategoryMessage(split.category, type) };
+    }
+
+    const splitAmount = roundAmount(parseFloat(split.amount));
+    if (!(splitAmount > 0)) {
+      return { error: 'Split amounts must be greater than 0' };
+    }
+
+    resolved.push({
+      category,
+      subcategory: split.subcategory || undefined,
+      amount: splitAmount,
+      note: split.note ? String(split.note).trim() : undefined
+    });
+  }
+
+  if (!splitsMatchAmount(resolved, parseFloat(amount))) {
+    return {
+      error: `Splits add up to ${sumSplits(resolved).toFixed(2)} but the transaction amount is ${parseFloat(amount).toFixed(2)}`
+    };
+  }
+
+  return { splits: resolved };
+};
+
+// Lines of a receipt that are totals or payment details rather than items
+const RECEIPT_SUMMARY_PATTERN = /\b(sub\s*total|total|tax|balance|change|cash|tender|visa|mastercard|amex|debit|credit|amount|due|savings)\b/i;
+
+// Group the items read from a receipt into one split per category. Tax and
+// anything the OCR missed go to the largest split. Returns no splits when the
+// items all fall in one category or add up to more than the total.
+const buildReceiptSplits = (items, total, context) => {
+  const byCategory = new Map();
+  items
+    .filter(item => item.name && item.amount > 0 && !RECEIPT_SUMMARY_PATTERN.test(item.name))
+    .forEach(item => {
+      const { category } = categorizeTransaction({ type: 'expense', description: item.name, amount: item.amount }, context);
+      const split = byCategory.get(category) || { category, amount: 0, names: [] };
+      split.amount += item.amount;
+      split.names.push(item.name);
+      byCategory.set(category, split);
+    });
+
+  const splits = [...byCategory.values()].map(split => ({
+    category: split.category,
+    amount: roundAmount(split.amount),
+    note: split.names.join(', ').substring(0, 200)
+  }));
+
+  if (splits.length < 2 || !(total > 0) || sumSplits(splits) > total) {
+    return [];
+  }
+
+  const mainSplit = getMainSplit(splits);
+  mainSplit.amount = roundAmount(mainSplit.amount + total - sumSplits(splits));
+  return splits;
+};
+
+// Aggregation stages that turn each split transaction into one document per
+// split, with the split's category, amount and base currency amount; other
+// transactions pass through unchanged. Group by category after these to
+// count split amounts.
+const SPLIT_CATEGORY_STAGES = [
+  { $unwind: { path: '$splits', preserveNullAndEmptyArrays: true } },
+  {
+    $addFields: {
+      category: { $ifNull: ['$splits.category', '$category'] },
+      amount: { $ifNull: ['$splits.amount', '$amount'] },
+      baseAmount: {
+        $ifNull: [{ $multiply: ['$splits.amount', { $ifNull: ['$exchangeRate', 1] }] }, '$baseAmount']
+      }
+    }
+  }
+];
+
+module.exports = {
+  getMainSplit,
+  scaleSplits,
+  resolveSplits,
+  buildReceiptSplits,
+  SPLIT_CATEGORY_STAGES
+};
@@ -0,0 +1,132 @@
+// Detection of recurring charges (subscriptions, bills) in a user's history
+
+const FREQUENCIES = [
+  { name: 'weekly', days: 7, tolerance: 2 },
+  { name: 'monthly', days: 30.44, tolerance: 4 },
+  { name: 'quarterly', days: 91.31, tolerance: 7 },
+  { name: 'yearly', days: 365.25, tolerance: 12 }
+];
+
+const MIN_OCCURRENCES = { weekly: 4, monthly: 3, quarterly: 3, yearly: 2 };
+const AMOUNT_TOLERANCE = 0.2; // charges within 20% of the typical amount
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reduce a bank description to a merchant key, e.g.
+// "POS DEBIT NETFLIX.COM 866-579 CA" -> "netflix com"
+const normalizeMerchant = (description) => {
+  return String(description || '')
+    .toLowerCase()
+    .replace(/\b(pos|debit|credit|card|purchase|payment|recurring|ach|online|ppd|web|id|ref)\b/g, ' ')
+    .replace(/[^a-z\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(word => word.length > 1)
+    .slice(0, 3)
+    .join(' ');
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Analyze one merchant's charges (sorted by date) and return a subscription
+// candidate, or null when they do not repeat at a regular interval
+const analyzeGroup = (merchant, transactions) => {
+  const typicalAmount = median(transactions.map(transaction => transaction.amount));
+  const charges = transactions.filter(transaction =>
+    Math.abs(transaction.amount - typicalAmount) <= typicalAmount * AMOUNT_TOLERANCE
+  );
+  if (charges.length < 2) return null;
+
+  const intervals = [];
+  for (let i = 1; i < charges.length; i++) {
+    intervals.push((new Date(charges[i].date) - new Date(charges[i - 1].date)) / DAY_MS);
+  }
+
+  const typicalInterval = median(intervals);
+  const frequency = FREQUENCIES.find(candidate =>
+    Math.abs(typicalInterval - candidate.days) <= candidate.tolerance
+  );
+  if (!frequency || charges.length < MIN_OCCURRENCES[frequency.name]) return null;
+
+  // Confidence blends interval regularity, amount stability and history length
+  const regularIntervals = intervals.filter(interval =>
+    Math.abs(interval - frequency.days) <= frequency.tolerance
+  ).length;
+  const intervalScore = regularIntervals / intervals.length;
+  const amountScore = charges.length / transactions.length;
+  const historyScore = Math.min(charges.length / (MIN_OCCURRENCES[frequency.name] + 2), 1);
+  const confidence = roundAmount(intervalScore * 0.5 + amountScore * 0.3 + historyScore * 0.2);
+
+  const last = charges[charges.length - 1];
+  const previous = charges[charges.length - 2];
+  const priceIncrease = last.amount > previous.amount * 1.01 ? {
+    from: previous.amount,
+    to: last.amount,
+    percent: roundAmount(((last.amount - previous.amount) / previous.amount) * 100),
+    date: last.date
+  } : null;
+
+  return {
+    merchant,
+    description: last.description,
+    category: last.category,
+    paymentMethod: last.paymentMethod,
+    frequency: frequency.name,
+    averageAmount: roundAmount(charges.reduce((sum, charge) => sum + charge.amount, 0) / charges.length),
+    lastAmount: last.amount,
+    lastDate: last.date,
+    nextExpectedDate: new Date(new Date(last.date).getTime() + frequency.days * DAY_MS),
+    occurrences: charges.length,
+    confidence,
+    priceIncrease,
+    latestTransactionId: last._id,
+    transactionIds: charges.map(charge => charge._id)
+  };
+};
+
+// Find same-merchant, similar-amount expenses repeating weekly, monthly,
+// quarterly or yearly. Transactions already linked to a recurring template
+// are ignored.
+const detectSubscriptions = (transactions, { minConfidence = 0.5 } = {}) => {
+  const groups = new Map();
+
+  transactions
+    .filter(transaction => transaction.type === 'expense' && !transaction.isRecurring && !transaction.recurringParent)
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .forEach(transaction => {
+      const merchant = normalizeMerchant(transaction.description);
+      if (!merchant) return;
+      if (!groups.has(merchant)) groups.set(merchant, []);
+      groups.get(merchant).push(transaction);
+    });
+
+  const subscriptions = [];
+  groups.forEach((group, merchant) => {
+    const subscription = analyzeGroup(merchant, group);
+    if (subscription && subscription.confidence >= minConfidence) {
+      subscriptions.push(subscription);
+    }
+  });
+
+  return subscriptions.sort((a, b) => b.confidence - a.confidence);
+};
+
+// Whether a detected subscription is already tracked by a recurring
+// template: same merchant and an amount within the usual tolerance of the
+// template's charge or the amount it generates
+const isTrackedByTemplate = (subscription, template) =>
+  normalizeMerchant(template.description) === subscription.merchant &&
+  [template.amount, template.recurringAmount].some(amount =>
+    amount && Math.abs(amount - subscription.lastAmount) <= subscription.lastAmount * AMOUNT_TOLERANCE);
+
+module.exports = {
+  normalizeMerchant,
+  detectSubscriptions,
+  isTrackedByTemplate
+};
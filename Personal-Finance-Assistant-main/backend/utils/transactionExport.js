@@ -0,0 +1,277 @@
+// Writers for transaction exports. Each one reads transactions from a
+// MongoDB cursor; CSV, JSON and PDF are streamed to the response as they are
+// read, while XLSX and QIF files are assembled once all rows are in.
+const XLSX = require('xlsx');
+const PDFDocument = require('pdfkit');
+const { formatQIF } = require('./qif');
+
+const EXPORT_COLUMNS = [
+  { key: 'date', label: 'Date' },
+  { key: 'type', label: 'Type' },
+  { key: 'account', label: 'Account' },
+  { key: 'toAccount', label: 'To Account' },
+  { key: 'category', label: 'Category' },
+  { key: 'subcategory', label: 'Subcategory' },
+  { key: 'splits', label: 'Splits' },
+  { key: 'description', label: 'Description' },
+  { key: 'amount', label: 'Amount' },
+  { key: 'currency', label: 'Currency' },
+  { key: 'baseAmount', label: 'Base Amount' },
+  { key: 'paymentMethod', label: 'Payment Method' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'notes', label: 'Notes' }
+];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  json: { contentType: 'application/json', extension: 'json' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  qif: { contentType: 'application/qif', extension: 'qif' }
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Flatten a transaction into export column values
+const toExportRow = (transaction) => ({
+  date: formatDate(transaction.date),
+  type: transaction.type,
+  account: transaction.account ? transaction.account.name : '',
+  toAccount: transaction.toAccount ? transaction.toAccount.name : '',
+  category: transaction.category || '',
+  subcategory: transaction.subcategory || '',
+  splits: (transaction.splits || []).map(split => `${split.category} ${split.amount.toFixed(2)}`).join('; '),
+  description: transaction.description || '',
+  amount: transaction.amount,
+  currency: transaction.currency || '',
+  baseAmount: transaction.baseAmount !== undefined ? transaction.baseAmount : transaction.amount,
+  paymentMethod: transaction.paymentMethod || '',
+  tags: (transaction.tags || []).join(', '),
+  notes: transaction.notes || ''
+});
+
+// Descriptions and notes come from bank files, so text a spreadsheet would
+// run as a formula (starting with =, +, - or @) is kept as text with a quote
+const toSpreadsheetValue = (value) => (
+  typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value
+);
+
+const escapeCSV = (value) => {
+  const text = String(value == null ? '' : toSpreadsheetValue(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write a chunk, waiting for the response to drain when its buffer is full.
+// Rejects when the client disconnects first.
+const write = (res, chunk) => {
+  if (res.destroyed) return Promise.reject(new Error('Client disconnected during export'));
+  if (res.write(chunk)) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const settle = (error) => {
+      res.off('drain', settle);
+      res.off('close', onClose);
+      res.off('error', settle);
+      if (error) reject(error);
+      else resolve();
+    };
+    const onClose = () => settle(new Error('Client disconnected during export'));
+    res.once('drain', settle);
+    res.once('close', onClose);
+    res.once('error', settle);
+  });
+};
+
+const writeCSV = async (cursor, res) => {
+  await write(res, `${EXPORT_COLUMNS.map(column => escapeCSV(column.label)).join(',')}\r\n`);
+  for await (const transaction of cursor) {
+    const row = toExportRow(transaction);
+    await write(res, `${EXPORT_COLUMNS.map(column => escapeCSV(row[column.key])).join(',')}\r\n`);
+  }
+  res.end();
+};
+
+const writeJSON = async (cursor, res, { filters }) => {
+  await write(res, `{"exportedAt":${JSON.stringify(new Date())},"filters":${JSON.stringify(filters)},"transactions":[`);
+  let first = true;
+  for await (const transaction of cursor) {
+    const { user, __v, ...data } = transaction;
+    await write(res, `${first ? '' : ','}${JSON.stringify(data)}`);
+    first = false;
+  }
+  res.end(']}');
+};
+
+const writeXLSX = async (cursor, res) => {
+  const rows = [EXPORT_COLUMNS.map(column => column.label)];
+  for await (const transaction of cursor) {
+    const row = toExportRow(transaction);
+    rows.push(EXPORT_COLUMNS.map(column => (column.key === 'date' ? new Date(transaction.date) : toSpreadsheetValue(row[column.key]))));
+  }
+
+  const sheet = XLSX.utils.aoa_to_sheet(rows, { cellDates: true, dateNF: 'yyyy-mm-dd' });
+  sheet['!cols'] = EXPORT_COLUMNS.map(column => ({ wch: column.key === 'description' || column.key === 'notes' ? 40 : 14 }));
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Transactions');
+
+  res.end(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+};
+
+const writeQIF = async (cursor, res) => {
+  const transactions = [];
+  for await (const transaction of cursor) {
+    transactions.push(transaction);
+  }
+  res.end(formatQIF(transactions));
+};
+
+// Write a statement: one line per transaction, then totals by category and
+// the overall income, expenses and net amount
+const writePDF = async (cursor, res, { user, filters }) => {
+  // Currency codes, since the built-in PDF fonts lack symbols such as ₹
+  const formatter = new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: user.currency || 'USD',
+    currencyDisplay: 'code'
+  });
+  const formatCurrency = (amount) => formatter.format(amount);
+  // Foreign currency amounts show the original amount; totals are in the base currency
+  const formatTransactionAmount = (transaction, sign) => {
+    if (!transaction.currency || transaction.currency === (user.currency || 'USD')) {
+      return formatCurrency(sign * transaction.amount);
+    }
+    const original = new Intl.NumberFormat('en-US', { style: 'currency', currency: transaction.currency, currencyDisplay: 'code' })
+      .format(sign * transaction.amount);
+    return `${original}\n(${formatCurrency(sign * transaction.baseAmount)})`;
+  };
+
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(res);
+
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const columns = [
+    { label: 'Date', x: left, width: 65 },
+    { label: 'Description', x: left + 70, width: 210 },
+    { label: 'Category', x: left + 285, width: 110 },
+    { label: 'Amount', x: left + 400, width: right - left - 400, align: 'right' }
+  ];
+
+  const periodText = filters.startDate || filters.endDate
+    ? `${filters.startDate || 'Beginning'} to ${filters.endDate || formatDate(new Date())}`
+    : 'All transactions';
+
+  doc.fontSize(18).text('Transaction Statement', left, doc.y);
+  doc.fontSize(10).fillColor('#555555')
+    .text(`${user.name} <${user.email}>`)
+    .text(`Period: ${periodText}`)
+    .text(`Generated: ${formatDate(new Date())}`);
+  doc.fillColor('#000000').moveDown();
+
+  const drawRow = (values, { bold = false } = {}) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    let height = 0;
+    columns.forEach((column, index) => {
+      doc.text(values[index], column.x, y, { width: column.width, align: column.align || 'left' });
+      height = Math.max(height, doc.y - y);
+    });
+    doc.x = left;
+    doc.y = y + height + 3;
+  };
+
+  drawRow(columns.map(column => column.label), { bold: true });
+
+  const totals = { income: 0, expense: 0 };
+  const categories = new Map();
+  let count = 0;
+
+  for await (const transaction of cursor) {
+    // Transfers move money between the user's accounts and carry no sign
+    const sign = transaction.type === 'expense' ? -1 : 1;
+    const baseAmount = transaction.baseAmount !== undefined ? transaction.baseAmount : transaction.amount;
+    totals[transaction.type] = (totals[transaction.type] || 0) + baseAmount;
+
+    // Split transactions add each split to its own category
+    const parts = transaction.splits && transaction.splits.length > 0 ? transaction.splits : [transaction];
+    parts.forEach(part => {
+      const key = `${transaction.type}:${part.category || 'Uncategorized'}`;
+      const entry = categories.get(key) || { type: transaction.type, category: part.category || 'Uncategorized', total: 0, count: 0 };
+      entry.total += part.amount * (transaction.exchangeRate || 1);
+      entry.count += 1;
+      categories.set(key, entry);
+    });
+    count += 1;
+
+    drawRow([
+      formatDate(transaction.date),
+      transaction.type === 'transfer' && transaction.toAccount
+        ? `${transaction.description} (to ${transaction.toAccount.name})`
+        : transaction.description,
+      transaction.category || '',
+      formatTransactionAmount(transaction, sign)
+    ]);
+  }
+
+  if (count === 0) {
+    doc.font('Helvetica').fontSize(10).text('No transactions match these filters.', left);
+  }
+
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(12).text('Totals by Category', left);
+  doc.moveDown(0.5);
+
+  const typeLabels = { expense: 'Expenses', income: 'Income', transfer: 'Transfers' };
+  Object.keys(typeLabels).forEach(type => {
+    const entries = [...categories.values()]
+      .filter(entry => entry.type === type)
+      .sort((a, b) => b.total - a.total);
+    if (entries.length === 0) return;
+
+    drawRow(['', typeLabels[type], 'Transactions', 'Total'], { bold: true });
+    entries.forEach(entry => {
+      drawRow(['', entry.category, String(entry.count), formatCurrency(entry.total)]);
+    });
+  });
+
+  doc.moveDown();
+  drawRow(['', 'Total income', '', formatCurrency(totals.income)], { bold: true });
+  drawRow(['', 'Total expenses', '', formatCurrency(totals.expense)], { bold: true });
+  drawRow(['', 'Net', '', formatCurrency(totals.income - totals.expense)], { bold: true });
+
+  doc.end();
+};
+
+const WRITERS = {
+  csv: writeCSV,
+  json: writeJSON,
+  xlsx: writeXLSX,
+  pdf: writePDF,
+  qif: writeQIF
+};
+
+// Stream the transactions in `cursor` to the response in the given format.
+// The cursor is closed when the export ends, also when the client leaves
+// before it is complete.
+const exportTransactions = async (format, cursor, res, options) => {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.attachment(`transactions-${formatDate(new Date())}.${extension}`);
+  res.type(contentType);
+
+  const closeCursor = () => cursor.close().catch(error => console.error('Export cursor close error:', error));
+  res.once('close', closeCursor);
+  try {
+    await WRITERS[format](cursor, res, options);
+  } finally {
+    res.off('close', closeCursor);
+    await closeCursor();
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportTransactions
+};
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+
+// Days apart the two legs of a transfer may be booked by the banks
+const TRANSFER_WINDOW_DAYS = 3;
+
+// Wording banks use for money moved between accounts. One of the two legs
+// must match so that unrelated payments of the same amount are not joined.
+const TRANSFER_PATTERN = /\b(transfer|xfer|trf|tfr|autopay|payment|thank you|to savings|from savings|to checking|from checking)\b/i;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const looksLikeTransfer = (description) => TRANSFER_PATTERN.test(String(description || ''));
+
+// Look for the other leg of a transfer that is being imported as a plain
+// income or expense into an account. Only accounts in the same currency
+// (`userAccounts` maps account IDs to currencies) are matched. Returns
+// { transfer } when the transfer was already recorded, { leg } with the
+// opposite transaction in another account when one matches, or null.
+const findTransferLeg = async (userId, data, userAccounts) => {
+  if (!data.account || !['income', 'expense'].includes(data.type) || !data.amount || !data.date) {
+    return null;
+  }
+
+  const accountId = new mongoose.Types.ObjectId(String(data.account));
+  const date = new Date(data.date);
+  const dateRange = {
+    $gte: new Date(date.getTime() - TRANSFER_WINDOW_DAYS * DAY_MS),
+    $lte: new Date(date.getTime() + TRANSFER_WINDOW_DAYS * DAY_MS)
+  };
+  const amount = parseFloat(data.amount);
+
+  // Money into this account is the destination side of a transfer, money out the source side
+  const transfer = await Transaction.findOne({
+    user: userId,
+    type: 'transfer',
+    amount,
+    date: dateRange,
+    [data.type === 'income' ? 'toAccount' : 'account']: accountId
+  });
+  if (transfer) return { transfer };
+
+  const candidates = await Transaction.find({
+    user: userId,
+    type: data.type === 'income' ? 'expense' : 'income',
+    amount,
+    date: dateRange,
+    account: { $nin: [null, accountId] }
+  });
+
+  const currency = userAccounts.get(String(data.account));
+  const leg = candidates
+    .filter(candidate => userAccounts.get(candidate.account.toString()) === currency)
+    .filter(candidate => looksLikeTransfer(data.description) || looksLikeTransfer(candidate.description))
+    .sort((a, b) => Math.abs(a.date - date) - Math.abs(b.date - date))[0];
+
+  return leg ? { leg } : null;
+};
+
+// Turn an existing leg and the imported opposite leg into a single transfer
+// from the account the money left to the account it arrived in. The transfer
+// keeps the outgoing leg's date and description, and the bank IDs of both
+// legs so that importing either statement again finds it.
+const mergeTransferLegs = async (leg, data) => {
+  const outgoing = leg.type === 'expense' ? leg : data;
+  const incoming = leg.type === 'expense' ? data : leg;
+
+  if (data.externalId && data.externalId !== leg.externalId) {
+    if (leg.externalId) {
+      leg.transferExternalId = data.externalId;
+    } else {
+      leg.externalId = data.externalId;
+    }
+  }
+  // Both accounts use the same currency, so a leg without one was in the base currency
+  if (!leg.currency && data.currency) {
+    leg.currency = data.currency;
+  }
+
+  // Read both legs before the existing one is overwritten
+  const { account, date, description } = outgoing;
+  const toAccount = incoming.account;
+
+  leg.type = 'transfer';
+  leg.account = account;
+  leg.toAccount = toAccount;
+  leg.date = date;
+  leg.description = description;
+  leg.category = 'Transfer';
+  leg.subcategory = undefined;
+  await leg.save();
+
+  return leg;
+};
+
+module.exports = {
+  TRANSFER_WINDOW_DAYS,
+  looksLikeTransfer,
+  findTransferLeg,
+  mergeTransferLegs
+};
@@ -0,0 +1,550 @@
+// Processing of uploaded files, run by the job worker: OCR for receipt
+// images and parsing of CSV, Excel, OFX/QFX, QIF and PDF statements. Also
+// saves the rows a user picks from an import preview.
+const path = require('path');
+const fs = require('fs');
+const Tesseract = require('tesseract.js');
+const pdf = require('pdf-parse');
+const ImportProfile = require('../models/ImportProfile');
+const Transaction = require('../models/Transaction');
+const { resolveCategory, invalidCategoryMessage } = require('./categories');
+const { getCategorizationContext, categorizeTransaction } = require('./categorization');
+const { markDuplicates } = require('./duplicates');
+const {
+  readHeaders,
+  readCSVRows,
+  guessColumnMapping,
+  isMappingComplete,
+  getHeaderSignature,
+  normalizeRow,
+  pickProfileSettings,
+  findProfileForFile
+} = require('./csvImport');
+const { decodeOFX, parseOFX } = require('./ofx');
+const { decodeQIF, parseQIF } = require('./qif');
+const { SPREADSHEET_EXTENSIONS, readSheetHeaders, readSheetRows } = require('./xlsxImport');
+const { parseStatementText } = require('./pdfStatements');
+const { resolveSplits, buildReceiptSplits } = require('./splits');
+const { findReceiptMatches } = require('./receiptMatching');
+const { parseReceiptText } = require('./receiptParser');
+const { isHeicFile, convertUploadedImage, preprocessReceiptImage } = require('./imagePreprocessing');
+const { storeReceipt, serializeReceipt, deleteUnlinkedReceipts } = require('./receipts');
+const { getUserAccounts, validateAccountReference, validateTransactionAccounts } = require('./accounts');
+const { findTransferLeg, mergeTransferLegs } = require('./transfers');
+const { getCurrencyContext, convertTransaction } = require('./exchangeRates');
+const { checkBudgetAlerts } = require('./notifications');
+
+// OFX/QFX files arrive with many different (or generic) MIME types
+const OFX_EXTENSIONS = ['.ofx', '.qfx'];
+const isOFXFile = (file) => OFX_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase());
+const isQIFFile = (file) => path.extname(file.originalname).toLowerCase() === '.qif';
+const isSpreadsheetFile = (file) => SPREADSHEET_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase());
+
+// Unparsed PDF lines returned with an upload, for the user to check
+const MAX_UNPARSED_LINES = 50;
+
+// CSV files and Excel sheets are read through the same column mapping
+const getTableReader = (file) => (isSpreadsheetFile(file)
+  ? { readFileHeaders: readSheetHeaders, readRows: readSheetRows }
+  : { readFileHeaders: readHeaders, readRows: readCSVRows });
+
+// Helper function to extract receipt data using OCR. `debugName` labels the
+// preprocessing debug images written in development.
+const extractReceiptData = async (imageBuffer, context, { onProgress, debugName } = {}) => {
+  try {
+    // Tesseract reads cleaned-up photos far better; the image is read as it
+    // is when preprocessing fails
+    let image = imageBuffer;
+    let preprocessing = null;
+    try {
+      const preprocessed = await preprocessReceiptImage(imageBuffer, { debugName });
+      image = preprocessed.buffer;
+      preprocessing = preprocessed.steps;
+    } catch (error) {
+      console.error('Receipt preprocessing error:', error);
+    }
+
+    const { data: { text } } = await Tesseract.recognize(image, 'eng', {
+      logger: m => {
+        if (onProgress && m.status === 'recognizing text') onProgress(m.progress);
+      }
+    });
+
+    const parsed = parseReceiptText(text);
+
+    // Determine category from the user's rules, matching on merchant name
+    const { category, categorySource, categoryConfidence } = categorizeTransaction(
+      { type: 'expense', description: parsed.merchantName, amount: parsed.total },
+      context
+    );
+
+    return {
+      ...parsed,
+      // Receipts without a readable date are taken to be from today
+      date: parsed.date || new Date(),
+      splits: buildReceiptSplits(parsed.items, parsed.total, context),
+      category,
+      categorySource,
+      categoryConfidence,
+      preprocessing,
+      rawText: text
+    };
+  } catch (error) {
+    console.error('OCR extraction error:', error);
+    throw new Error('Failed to extract data from receipt');
+  }
+};
+
+// Helper function to parse CSV files and Excel sheets using an import profile
+// (column mapping, number and date formats). `inferType` keeps the keyword
+// hints used for files imported without a profile.
+const parseCSVFile = async (filePath, context, profile, { inferType = false, readRows = readCSVRows } = {}) => {
+  const rows = await readRows(filePath, profile);
+  const results = [];
+
+  rows.forEach(row => {
+    try {
+      const normalized = normalizeRow(row, profile);
+      if (!normalized) return;
+
+      const description = normalized.description.toLowerCase();
+      const isIncome = normalized.amount > 0 || (inferType && (
+        description.includes('deposit') ||
+        description.includes('salary') ||
+        description.includes('payment received') ||
+        description.includes('credit') ||
+        description.includes('refund')
+      ));
+
+      // Keep the CSV category only when it is a known category; user rules
+      // take precedence over it
+      const type = isIncome ? 'income' : 'expense';
+      results.push(categorizeTransaction({
+        date: normalized.date || new Date(),
+        description: normalized.description,
+        amount: Math.abs(normalized.amount),
+        type,
+        category: resolveCategory(normalized.category, type, context.categories) || undefined,
+        paymentMethod: 'bank_transfer'
+      }, context, { override: true }));
+    } catch (error) {
+      console.error('Error processing CSV row:', error, row);
+    }
+  });
+
+  return results;
+};
+
+// Helper function to build the import actions offered for parsed statements
+const buildImportQuickActions = (transactions) => ({
+  importAll: {
+    action: 'bulk-import',
+    data: transactions,
+    label: `Import all ${transactions.length} transactions`
+  },
+  preview: {
+    action: 'preview',
+    data: transactions.slice(0, 5),
+    label: 'Preview first 5 transactions'
+  },
+  selectiveImport: {
+    action: 'selective-import',
+    data: transactions,
+    label: 'Choose transactions to import'
+  }
+});
+
+// Helper function to parse OFX/QFX statements
+const parseOFXFile = (filePath, context) => {
+  const { accounts, transactions } = parseOFX(decodeOFX(fs.readFileSync(filePath)));
+
+  return {
+    accounts,
+    transactions: transactions.map(transaction => categorizeTransaction(transaction, context))
+  };
+};
+
+// Helper function to parse QIF files. QIF categories such as "Food:Groceries"
+// are kept when the category or its parent matches a known category. Splits
+// in unknown categories go to "Other"; splits that do not add up to the
+// amount (e.g. mixed charges and refunds) are dropped.
+const parseQIFFile = (filePath, context, { dateFormat } = {}) => {
+  const transactions = parseQIF(decodeQIF(fs.readFileSync(filePath)), { dateFormat });
+  const findCategory = (item, type) => resolveCategory(item.category, type, context.categories) ||
+    resolveCategory(item.subcategory, type, context.categories);
+
+  return transactions.map(transaction => {
+    const category = findCategory(transaction, transaction.type);
+    const { splits } = resolveSplits(
+      (transaction.splits || []).map(split => ({ ...split, category: findCategory(split, transaction.type) || 'Other' })),
+      transaction.type,
+      transaction.amount,
+      context.categories
+    );
+
+    return categorizeTransaction({
+      ...transaction,
+      category: category || undefined,
+      splits: splits && splits.length > 0 ? splits : undefined
+    }, context, { override: true });
+  });
+};
+
+// Helper function to pick the import profile for a CSV or Excel upload: one
+// sent by the mapping wizard, a saved profile chosen by ID or matched by header
+// signature, or a mapping guessed from well-known header names
+const resolveImportProfile = async (userId, filePath, body, readFileHeaders = readHeaders) => {
+  if (body.profile) {
+    const profile = pickProfileSettings(typeof body.profile === 'string' ? JSON.parse(body.profile) : body.profile);
+    return { profile, source: 'wizard' };
+  }
+
+  const saved = body.profileId
+    ? await ImportProfile.findOne({ _id: body.profileId, user: userId })
+    : await findProfileForFile(userId, filePath, readFileHeaders);
+  if (saved) {
+    return { profile: pickProfileSettings(saved.toObject()), saved, source: 'saved' };
+  }
+
+  const { headers } = readFileHeaders(filePath);
+  return {
+    profile: pickProfileSettings({ columns: guessColumnMapping(headers) }),
+    source: 'detected'
+  };
+};
+
+// Helper function to parse PDF transaction history with the bank template
+// that recognizes the statement (or the one chosen by `templateId`)
+const parsePDFTransactions = async (pdfPath, context, { templateId } = {}) => {
+  try {
+    const dataBuffer = fs.readFileSync(pdfPath);
+    const pdfData = await pdf(dataBuffer);
+    const { template, transactions, unparsedLines } = parseStatementText(pdfData.text, { templateId });
+
+    return {
+      template,
+      unparsedLines,
+      transactions: transactions.map(transaction => categorizeTransaction(transaction, context))
+    };
+  } catch (error) {
+    console.error('PDF parsing error:', error);
+    throw new Error('Failed to parse PDF transaction history');
+  }
+};
+
+// Process an upload job. `payload.file` is the stored upload (path, original
+// name and MIME type) and `payload.fields` the form fields sent with it.
+// Progress goes to `reportProgress(percent, stage)`; the result is what the
+// Upload page shows for the file.
+const processUpload = async (job, reportProgress) => {
+  const { file, fields = {} } = job.payload;
+  const filePath = file.path;
+
+  if (file.mimetype === 'text/csv' || file.originalname.toLowerCase().endsWith('.csv') || isSpreadsheetFile(file)) {
+    // Process CSV file or Excel sheet
+    const fileType = isSpreadsheetFile(file) ? 'xlsx' : 'csv';
+    await reportProgress(10, `Reading ${fileType === 'xlsx' ? 'spreadsheet' : 'CSV file'}`);
+    const { readFileHeaders, readRows } = getTableReader(file);
+    const { profile, saved, source } = await resolveImportProfile(job.user, filePath, fields, readFileHeaders);
+    const { headers, sheetNames, sheetName } = readFileHeaders(filePath, profile);
+    const context = await getCategorizationContext(job.user, { learn: true });
+    const parsed = isMappingComplete(profile.columns)
+      ? await parseCSVFile(filePath, context, profile, { inferType: source === 'detected', readRows })
+      : [];
+
+    // Ask for a column mapping when the headers were not recognized, or
+    // show the columns again when the wizard changed how the file is read.
+    // Workbooks with several sheets also ask which sheet to import.
+    const mappingPreview = fields.mappingPreview === true || fields.mappingPreview === 'true';
+    const chooseSheet = source === 'detected' && sheetNames && sheetNames.length > 1;
+    if ((parsed.length === 0 && source !== 'wizard') || mappingPreview || chooseSheet) {
+      const sampleRows = (await readRows(filePath, profile)).slice(0, 5);
+      return {
+        type: fileType,
+        needsMapping: true,
+        headers,
+        sampleRows,
+        sheetNames,
+        suggestedProfile: {
+          ...pickProfileSettings(profile),
+          sheetName: sheetName || '',
+          name: file.originalname.replace(/\.[^.]+$/, '')
+        },
+        message: chooseSheet && parsed.length > 0
+          ? 'This workbook has several sheets. Please pick the sheet to import.'
+          : `Could not recognize the columns in this ${fileType === 'xlsx' ? 'spreadsheet' : 'CSV'}. Please map them to continue.`
+      };
+    }
+
+    // Remember the wizard's mapping for the next file with the same headers
+    let savedProfile = saved || null;
+    if (source === 'wizard' && (fields.saveProfile === true || fields.saveProfile === 'true')) {
+      savedProfile = new ImportProfile({
+        ...profile,
+        user: job.user,
+        name: fields.profileName || file.originalname,
+        headerSignature: getHeaderSignature(headers)
+      });
+    }
+    if (savedProfile) {
+      savedProfile.lastUsedAt = new Date();
+      await savedProfile.save();
+    }
+
+    await reportProgress(80, 'Checking for duplicates');
+    const transactions = await markDuplicates(job.user, parsed);
+    const duplicateCount = transactions.filter(transaction => transaction.likelyDuplicate).length;
+    
+    return {
+      type: fileType,
+      transactions,
+      duplicateCount,
+      profile: savedProfile ? { _id: savedProfile._id, name: savedProfile.name } : null,
+      message: `Successfully parsed ${transactions.length} transactions from ${fileType.toUpperCase()}`,
+      quickActions: buildImportQuickActions(transactions)
+    };
+  } else if (isOFXFile(file)) {
+    // Process OFX/QFX statement
+    await reportProgress(10, 'Reading OFX statement');
+    const context = await getCategorizationContext(job.user, { learn: true });
+    const { accounts, transactions: parsed } = parseOFXFile(filePath, context);
+    await reportProgress(80, 'Checking for duplicates');
+    const transactions = await markDuplicates(job.user, parsed);
+    const duplicateCount = transactions.filter(transaction => transaction.likelyDuplicate).length;
+
+    return {
+      type: 'ofx',
+      transactions,
+      duplicateCount,
+      accounts,
+      message: `Successfully parsed ${transactions.length} transactions from OFX`,
+      quickActions: buildImportQuickActions(transactions)
+    };
+  } else if (isQIFFile(file)) {
+    // Process QIF file; day-first dates are read when requested
+    await reportProgress(10, 'Reading QIF file');
+    const context = await getCategorizationContext(job.user, { learn: true });
+    const dateFormat = fields.dateFormat === 'DMY' ? 'DMY' : 'MDY';
+    const parsed = parseQIFFile(filePath, context, { dateFormat });
+    await reportProgress(80, 'Checking for duplicates');
+    const transactions = await markDuplicates(job.user, parsed);
+    const duplicateCount = transactions.filter(transaction => transaction.likelyDuplicate).length;
+
+    return {
+      type: 'qif',
+      transactions,
+      duplicateCount,
+      message: `Successfully parsed ${transactions.length} transactions from QIF`,
+      quickActions: buildImportQuickActions(transactions)
+    };
+  } else if (file.mimetype === 'application/pdf') {
+    // Process PDF file
+    await reportProgress(10, 'Reading PDF statement');
+    const context = await getCategorizationContext(job.user, { learn: true });
+    const { template, transactions: parsed, unparsedLines } = await parsePDFTransactions(filePath, context, {
+      templateId: fields.pdfTemplate
+    });
+    await reportProgress(80, 'Checking for duplicates');
+    const transactions = await markDuplicates(job.user, parsed);
+    const duplicateCount = transactions.filter(transaction => transaction.likelyDuplicate).length;
+    
+    return {
+      type: 'pdf',
+      transactions,
+      duplicateCount,
+      template,
+      unparsedLines: unparsedLines.slice(0, MAX_UNPARSED_LINES),
+      unparsedCount: unparsedLines.length,
+      message: `Successfully parsed ${transactions.length} transactions from PDF (${template.name})`,
+      quickActions: buildImportQuickActions(transactions)
+    };
+  } else if (file.mimetype.startsWith('image/') || isHeicFile(file)) {
+    // Process image using OCR; HEIC and WebP photos are converted to JPEG
+    await reportProgress(5, 'Preparing image');
+    const image = await convertUploadedImage({
+      buffer: fs.readFileSync(filePath),
+      originalName: file.originalname,
+      mimeType: file.mimetype
+    });
+    const context = await getCategorizationContext(job.user, { learn: true });
+    const extractedData = await extractReceiptData(image.buffer, context, {
+      onProgress: progress => reportProgress(15 + progress * 65, 'Reading receipt text'),
+      debugName: file.originalname
+    });
+
+    // Keep the receipt so the transaction created from it can link to it
+    await deleteUnlinkedReceipts(job.user);
+    const receipt = await storeReceipt(job.user, image);
+    
+    const suggestedTransaction = {
+      type: 'expense',
+      amount: extractedData.total || 0,
+      description: `Receipt from ${extractedData.merchantName || 'Unknown Merchant'}`,
+      date: extractedData.date,
+      category: extractedData.category,
+      categorySource: extractedData.categorySource,
+      categoryConfidence: extractedData.categoryConfidence,
+      splits: extractedData.splits,
+      paymentMethod: extractedData.paymentMethod || 'credit_card',
+      // Transactions have no fields for the time and card, so note them
+      notes: [
+        extractedData.time && `Purchased at ${extractedData.time}`,
+        extractedData.cardLast4 && `Card ending ${extractedData.cardLast4}`
+      ].filter(Boolean).join(', ') || undefined,
+      receipt: receipt._id
+    };
+
+    // The bank import may already have recorded this purchase; offer to
+    // attach the receipt to it instead of adding a new expense
+    await reportProgress(90, 'Looking for matching transactions');
+    const matches = await findReceiptMatches(job.user, extractedData);
+    
+    return {
+      type: 'receipt',
+      extractedData,
+      suggestedTransaction,
+      receipt: serializeReceipt(receipt),
+      matches,
+      message: matches.length > 0
+        ? 'Receipt processed successfully; it looks like a transaction you already have'
+        : 'Receipt processed successfully',
+      quickActions: {
+        ...(matches.length > 0 && {
+          attachToTransaction: {
+            action: 'attach',
+            data: { transactionId: matches[0]._id, receipt: receipt._id },
+            label: `Attach to "${matches[0].description}"`
+          }
+        }),
+        addTransaction: {
+          action: 'add-single',
+          data: suggestedTransaction,
+          label: 'Add this transaction'
+        },
+        editAndAdd: {
+          action: 'edit-single',
+          data: suggestedTransaction,
+          label: 'Edit and add transaction'
+        },
+        viewDetails: {
+          action: 'view-details',
+          data: extractedData,
+          label: 'View extracted details'
+        }
+      }
+    };
+  } else {
+    throw new Error('Unsupported file type');
+  }
+};
+
+// Save one row of an import preview: check its accounts, join it to the
+// other leg when it is one side of a transfer, then categorize, split,
+// convert and save it. Returns { transaction } or { transfer }; throws for
+// rows that cannot be imported.
+const importRow = async (user, row, { defaultAccount, userAccounts, context, currencyContext }) => {
+  const transactionData = { ...row, user: user._id };
+
+  // Validate required fields
+  if (!transactionData.amount || !transactionData.description || !transactionData.date) {
+    throw new Error('Missing required fields: amount, description, or date');
+  }
+
+  transactionData.account = transactionData.account || defaultAccount || null;
+  const accountError = validateTransactionAccounts(transactionData, userAccounts);
+  if (accountError) {
+    throw new Error(accountError);
+  }
+
+  // The bank ID may belong to the other leg of a transfer joined earlier
+  if (transactionData.externalId && await Transaction.exists({ user: user._id, transferExternalId: transactionData.externalId })) {
+    throw new Error('This transaction was already imported as part of a transfer');
+  }
+
+  // One leg of money moved between accounts joins the other leg as a transfer
+  const transferMatch = await findTransferLeg(user._id, transactionData, userAccounts);
+  if (transferMatch && transferMatch.transfer) {
+    throw new Error('This transaction was already imported as part of a transfer');
+  }
+  if (transferMatch) {
+    return { transfer: await mergeTransferLegs(transferMatch.leg, transactionData) };
+  }
+
+  const categorized = categorizeTransaction(transactionData, context);
+  const category = resolveCategory(categorized.category, categorized.type, context.categories);
+  if (!category) {
+    throw new Error(invalidCategoryMessage(categorized.category, categorized.type));
+  }
+  const { splits, error: splitError } = resolveSplits(transactionData.splits, categorized.type, transactionData.amount, context.categories);
+  if (splitError) {
+    throw new Error(splitError);
+  }
+  const converted = convertTransaction(transactionData, currencyContext);
+  if (converted.error) {
+    throw new Error(converted.error);
+  }
+  // Statement rows never carry receipts
+  Object.assign(transactionData, categorized, converted, { category, splits, receipt: null, receiptUrl: undefined });
+
+  return { transaction: await new Transaction(transactionData).save() };
+};
+
+// Import the rows a user picked from an import preview. `defaultAccount` puts
+// rows without an account into that account. Returns { savedTransactions,
+// matchedTransfers, errors } with one error per row that was not imported, or
+// { error } when the default account is not the user's.
+const importTransactions = async (user, rows, { defaultAccount } = {}) => {
+  const userAccounts = await getUserAccounts(user._id);
+  const defaultAccountError = validateAccountReference(defaultAccount, userAccounts);
+  if (defaultAccountError) {
+    return { error: defaultAccountError };
+  }
+
+  const options = {
+    defaultAccount,
+    userAccounts,
+    context: await getCategorizationContext(user._id),
+    currencyContext: await getCurrencyContext(user)
+  };
+  const savedTransactions = [];
+  const matchedTransfers = [];
+  const errors = [];
+
+  for (let i = 0; i < rows.length; i++) {
+    try {
+      const result = await importRow(user, rows[i], options);
+      if (result.transfer) {
+        matchedTransfers.push(result.transfer);
+      } else {
+        savedTransactions.push(result.transaction);
+      }
+    } catch (error) {
+      errors.push({
+        index: i,
+        transaction: rows[i],
+        error: error.code === 11000 ? 'This transaction was already imported' : error.message
+      });
+    }
+  }
+
+  await checkBudgetAlerts(user, savedTransactions);
+
+  return { savedTransactions, matchedTransfers, errors };
+};
+
+// Job worker handler for uploads; the uploaded file is removed once its job
+// is done or has failed for good
+const uploadJobHandler = {
+  process: processUpload,
+  cleanup: ({ file }) => fs.promises.rm(file.path, { force: true })
+};
+
+module.exports = {
+  isOFXFile,
+  isQIFFile,
+  isSpreadsheetFile,
+  extractReceiptData,
+  processUpload,
+  importTransactions,
+  uploadJobHandler
+};
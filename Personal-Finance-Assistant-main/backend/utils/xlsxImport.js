@@ -0,0 +1,113 @@
+// Reader for Excel statements (.xlsx and .xls). Sheets are turned into the
+// same header list and row objects as CSV files, so import profiles and
+// `normalizeRow` work unchanged.
+const XLSX = require('xlsx');
+const { DEFAULT_SETTINGS, normalizeHeader } = require('./csvImport');
+
+// Largest serial number Excel accepts as a date (31 December 9999)
+const MAX_EXCEL_SERIAL = 2958465;
+
+const SPREADSHEET_EXTENSIONS = ['.xlsx', '.xls'];
+
+// Convert an Excel serial date (days since 1900, with Excel's leap year bug)
+// to UTC midnight like other imports
+const excelSerialToDate = (serial) => {
+  const parsed = XLSX.SSF.parse_date_code(serial);
+  return parsed ? new Date(Date.UTC(parsed.y, parsed.m - 1, parsed.d)) : null;
+};
+
+const isDateCell = (cell) => cell.t === 'd' || (cell.t === 'n' && Boolean(cell.z) && XLSX.SSF.is_date(cell.z));
+
+const getCellText = (cell) => {
+  if (!cell || cell.v === undefined || cell.v === null || cell.t === 'e') return '';
+  return String(cell.v).trim();
+};
+
+// Load the selected sheet (or the first one) as rows of cells. The header is
+// the first row after `headerRowOffset` skipped rows with at least two filled
+// cells, so single-cell title rows above the table are passed over.
+const readSheet = (filePath, settings = {}) => {
+  const { sheetName, headerRowOffset } = { ...DEFAULT_SETTINGS, ...settings };
+
+  const workbook = XLSX.readFile(filePath, { cellNF: true });
+  const name = workbook.SheetNames.includes(sheetName) ? sheetName : workbook.SheetNames[0];
+  const sheet = workbook.Sheets[name];
+
+  const table = [];
+  if (sheet && sheet['!ref']) {
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    for (let r = range.s.r; r <= range.e.r; r++) {
+      const cells = [];
+      for (let c = range.s.c; c <= range.e.c; c++) {
+        cells.push(sheet[XLSX.utils.encode_cell({ r, c })]);
+      }
+      table.push(cells);
+    }
+  }
+
+  const rows = table.slice(parseInt(headerRowOffset, 10) || 0);
+  const filledCount = (cells) => cells.filter(cell => getCellText(cell)).length;
+  let headerIndex = rows.findIndex(cells => filledCount(cells) > 1);
+  if (headerIndex === -1) headerIndex = rows.findIndex(cells => filledCount(cells) > 0);
+
+  return {
+    sheetNames: workbook.SheetNames,
+    sheetName: name,
+    headerCells: headerIndex === -1 ? [] : rows[headerIndex],
+    dataRows: headerIndex === -1 ? [] : rows.slice(headerIndex + 1)
+  };
+};
+
+// Read the header row of a spreadsheet using the given settings
+const readSheetHeaders = (filePath, settings = {}) => {
+  const { sheetNames, sheetName, headerCells } = readSheet(filePath, settings);
+
+  return {
+    headers: headerCells.map(cell => normalizeHeader(getCellText(cell))).filter(Boolean),
+    sheetNames,
+    sheetName
+  };
+};
+
+// Turn a cell into the value a CSV field would have. Dates, and plain numbers
+// in the mapped date column, become Date objects; other numbers are written
+// with the profile's decimal separator so `parseAmount` reads them back.
+const getCellValue = (cell, isDateColumn, decimalSeparator) => {
+  if (!cell || cell.v === undefined || cell.v === null || cell.t === 'e') return '';
+
+  if (cell.t === 'd') return cell.v;
+  if (cell.t === 'n') {
+    if (isDateCell(cell) || (isDateColumn && cell.v > 0 && cell.v <= MAX_EXCEL_SERIAL)) {
+      return excelSerialToDate(cell.v);
+    }
+    return decimalSeparator === ',' ? String(cell.v).replace('.', ',') : String(cell.v);
+  }
+
+  // Formatted currency text such as "$1,234.56" is left to parseAmount
+  return String(cell.v).trim();
+};
+
+// Read every data row of a spreadsheet as objects keyed by lowercase header names
+const readSheetRows = (filePath, settings = {}) => {
+  const { headerCells, dataRows } = readSheet(filePath, settings);
+  const headers = headerCells.map(cell => normalizeHeader(getCellText(cell)));
+  const dateColumn = settings.columns ? settings.columns.date : undefined;
+  const decimalSeparator = settings.decimalSeparator || DEFAULT_SETTINGS.decimalSeparator;
+
+  return dataRows
+    .filter(cells => cells.some(cell => getCellText(cell)))
+    .map(cells => {
+      const row = {};
+      headers.forEach((header, index) => {
+        if (header) row[header] = getCellValue(cells[index], header === dateColumn, decimalSeparator);
+      });
+      return row;
+    });
+};
+
+module.exports = {
+  SPREADSHEET_EXTENSIONS,
+  excelSerialToDate,
+  readSheetHeaders,
+  readSheetRows
+};
@@ -14,6 +14,10 @@ import TransactionsPage from './pages/TransactionsPage';
 import AnalyticsPage from './pages/AnalyticsPage';
 import UploadPage from './pages/UploadPage';
 import ProfilePage from './pages/ProfilePage';
+import BudgetsPage from './pages/BudgetsPage';
+import SubscriptionsPage from './pages/SubscriptionsPage';
+import RulesPage from './pages/RulesPage';
+import AccountsPage from './pages/AccountsPage';
 
 function App() {
   const { loading, isAuthenticated } = useAuth();
@@ -73,6 +77,38 @@ function App() {
             </ProtectedRoute>
           } 
         />
+        <Route 
+          path="/accounts" 
+          element={
+            <ProtectedRoute>
+              <AccountsPage />
+            </ProtectedRoute>
+          } 
+        />
+        <Route 
+          path="/budgets" 
+          element={
+            <ProtectedRoute>
+              <BudgetsPage />
+            </ProtectedRoute>
+          } 
+        />
+        <Route 
+          path="/subscriptions" 
+          element={
+            <ProtectedRoute>
+              <SubscriptionsPage />
+            </ProtectedRoute>
+          } 
+        />
+        <Route 
+          path="/rules" 
+          element={
+            <ProtectedRoute>
+              <RulesPage />
+            </ProtectedRoute>
+          } 
+        />
         <Route 
           path="/profile" 
           element={
@@ -0,0 +1,256 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Button, Form, Row, Col, Table, Alert } from 'react-bootstrap';
+
+const FIELDS = [
+  { key: 'date', label: 'Date *' },
+  { key: 'description', label: 'Description *' },
+  { key: 'amount', label: 'Amount' },
+  { key: 'debit', label: 'Debit (money out)' },
+  { key: 'credit', label: 'Credit (money in)' },
+  { key: 'category', label: 'Category' }
+];
+
+const DATE_FORMATS = ['auto', 'YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY', 'DD-MM-YYYY', 'MM/DD/YY', 'DD/MM/YY'];
+
+// Spreadsheet date cells arrive as ISO timestamps
+const formatSampleValue = (value) => {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T00:00:00\.000Z$/.test(value) ? value.slice(0, 10) : value;
+};
+
+const CSVMappingModal = ({ show, mapping, onHide, onReload, onSubmit, loading }) => {
+  const [profile, setProfile] = useState(null);
+  const [saveProfile, setSaveProfile] = useState(true);
+  const [profileName, setProfileName] = useState('');
+
+  useEffect(() => {
+    if (mapping) {
+      setProfile(mapping.profile);
+      setProfileName(mapping.profile.name || '');
+    }
+  }, [mapping]);
+
+  if (!mapping || !profile) return null;
+
+  const handleChange = (key, value) => {
+    setProfile(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleColumnChange = (field, value) => {
+    setProfile(prev => ({ ...prev, columns: { ...prev.columns, [field]: value || undefined } }));
+  };
+
+  const { columns = {} } = profile;
+  const isSpreadsheet = Boolean(mapping.sheetNames);
+  const mappingComplete = columns.date && columns.description && (columns.amount || columns.debit || columns.credit);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(profile, saveProfile, profileName);
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="xl">
+      <Modal.Header closeButton>
+        <Modal.Title>
+          <i className="bi bi-table me-2"></i>
+          Map {isSpreadsheet ? 'Spreadsheet' : 'CSV'} Columns
+        </Modal.Title>
+      </Modal.Header>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Body>
+          <p className="text-muted">
+            {mapping.message}{' '}
+            Tell us how to read <strong>{mapping.fileName}</strong>; the mapping is remembered for the next file with the same headers.
+          </p>
+
+          <h6>File format</h6>
+          <Row className="mb-2">
+            <Col md={3}>
+              <Form.Group className="mb-2">
+                <Form.Label>{isSpreadsheet ? 'Rows before header' : 'Lines before header'}</Form.Label>
+                <Form.Control
+                  type="number"
+                  min="0"
+                  max="50"
+                  value={profile.headerRowOffset}
+                  onChange={(e) => handleChange('headerRowOffset', e.target.value)}
+                />
+              </Form.Group>
+            </Col>
+            {isSpreadsheet ? (
+              <Col md={6}>
+                <Form.Group className="mb-2">
+                  <Form.Label>Sheet</Form.Label>
+                  <Form.Select value={profile.sheetName} onChange={(e) => handleChange('sheetName', e.target.value)}>
+                    {mapping.sheetNames.map(sheetName => (
+                      <option key={sheetName} value={sheetName}>{sheetName}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+            ) : (
+              <>
+                <Col md={3}>
+                  <Form.Group className="mb-2">
+                    <Form.Label>Delimiter</Form.Label>
+                    <Form.Select value={profile.delimiter} onChange={(e) => handleChange('delimiter', e.target.value)}>
+                      <option value="auto">Detect</option>
+                      <option value=",">Comma (,)</option>
+                      <option value=";">Semicolon (;)</option>
+                      <option value={'\t'}>Tab</option>
+                      <option value="|">Pipe (|)</option>
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+                <Col md={3}>
+                  <Form.Group className="mb-2">
+                    <Form.Label>Encoding</Form.Label>
+                    <Form.Select value={profile.encoding} onChange={(e) => handleChange('encoding', e.target.value)}>
+                      <option value="utf8">UTF-8</option>
+                      <option value="windows-1252">Windows-1252</option>
+                      <option value="latin1">ISO-8859-1</option>
+                      <option value="utf16le">UTF-16 LE</option>
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+              </>
+            )}
+            <Col md={3} className="d-flex align-items-end">
+              <Button variant="outline-secondary" className="mb-2 w-100" onClick={() => onReload(profile)} disabled={loading}>
+                <i className="bi bi-arrow-clockwise me-1"></i>
+                Reload Columns
+              </Button>
+            </Col>
+          </Row>
+
+          <h6>Columns</h6>
+          <Row className="mb-2">
+            {FIELDS.map(field => (
+              <Col md={4} key={field.key}>
+                <Form.Group className="mb-2">
+                  <Form.Label>{field.label}</Form.Label>
+                  <Form.Select
+                    value={columns[field.key] || ''}
+                    onChange={(e) => handleColumnChange(field.key, e.target.value)}
+                  >
+                    <option value="">Not in file</option>
+                    {mapping.headers.map(header => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+            ))}
+          </Row>
+
+          <h6>Values</h6>
+          <Row className="mb-3">
+            <Col md={3}>
+              <Form.Group className="mb-2">
+                <Form.Label>Date format</Form.Label>
+                <Form.Select value={profile.dateFormat} onChange={(e) => handleChange('dateFormat', e.target.value)}>
+                  {DATE_FORMATS.map(format => (
+                    <option key={format} value={format}>{format === 'auto' ? 'Detect' : format}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={3}>
+              <Form.Group className="mb-2">
+                <Form.Label>Decimal separator</Form.Label>
+                <Form.Select value={profile.decimalSeparator} onChange={(e) => handleChange('decimalSeparator', e.target.value)}>
+                  <option value=".">Point (1.50)</option>
+                  <option value=",">Comma (1,50)</option>
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={3}>
+              <Form.Group className="mb-2">
+                <Form.Label>Thousands separator</Form.Label>
+                <Form.Select value={profile.thousandsSeparator} onChange={(e) => handleChange('thousandsSeparator', e.target.value)}>
+                  <option value=",">Comma (1,000)</option>
+                  <option value=".">Point (1.000)</option>
+                  <option value=" ">Space (1 000)</option>
+                  <option value="'">Apostrophe (1'000)</option>
+                  <option value="">None</option>
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={3}>
+              <Form.Group className="mb-2">
+                <Form.Label>Expenses are</Form.Label>
+                <Form.Select
+                  value={profile.signConvention}
+                  onChange={(e) => handleChange('signConvention', e.target.value)}
+                  disabled={!columns.amount}
+                >
+                  <option value="negative_expense">Negative amounts</option>
+                  <option value="positive_expense">Positive amounts</option>
+                </Form.Select>
+              </Form.Group>
+            </Col>
+          </Row>
+
+          {profile.decimalSeparator === profile.thousandsSeparator && (
+            <Alert variant="warning" className="py-2">Decimal and thousands separators must differ.</Alert>
+          )}
+
+          {mapping.sampleRows.length > 0 && (
+            <div className="mb-3" style={{ overflowX: 'auto' }}>
+              <Table size="sm" bordered className="mb-0 small">
+                <thead className="bg-light">
+                  <tr>
+                    {mapping.headers.map(header => <th key={header}>{header}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {mapping.sampleRows.map((row, index) => (
+                    <tr key={index}>
+                      {mapping.headers.map(header => <td key={header}>{formatSampleValue(row[header])}</td>)}
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </div>
+          )}
+
+          <Row className="align-items-center">
+            <Col md={5}>
+              <Form.Check
+                type="switch"
+                id="save-import-profile"
+                label="Remember this mapping as"
+                checked={saveProfile}
+                onChange={(e) => setSaveProfile(e.target.checked)}
+              />
+            </Col>
+            <Col md={7}>
+              <Form.Control
+                type="text"
+                placeholder="Bank or account name"
+                value={profileName}
+                onChange={(e) => setProfileName(e.target.value)}
+                disabled={!saveProfile}
+                required={saveProfile}
+              />
+            </Col>
+          </Row>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide}>
+            Cancel
+          </Button>
+          <Button
+            variant="primary"
+            type="submit"
+            disabled={loading || !mappingComplete || profile.decimalSeparator === profile.thousandsSeparator}
+          >
+            {loading ? 'Importing...' : 'Import with Mapping'}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default CSVMappingModal;
@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Button, Table, Alert, Card, Form } from 'react-bootstrap';
+import axios from 'axios';
+import LoadingSpinner from './LoadingSpinner';
+
+const DuplicatesModal = ({ show, onHide, onChange, formatCurrency }) => {
+  const [groups, setGroups] = useState([]);
+  const [keepIds, setKeepIds] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (show) {
+      fetchDuplicates();
+    }
+  }, [show]);
+
+  const fetchDuplicates = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await axios.get('/transactions/duplicates');
+      setGroups(response.data.groups);
+      // Keep the oldest transaction of each group unless told otherwise
+      setKeepIds(Object.fromEntries(response.data.groups.map(group => [group[0]._id, group[0]._id])));
+    } catch (error) {
+      console.error('Duplicates fetch error:', error);
+      setError('Failed to scan for duplicates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const removeGroup = (group) => {
+    setGroups(prev => prev.filter(other => other !== group));
+    onChange();
+  };
+
+  const mergeGroup = async (group) => {
+    const keepId = keepIds[group[0]._id];
+    try {
+      await axios.post('/transactions/duplicates/merge', {
+        keepId,
+        mergeIds: group.map(transaction => transaction._id).filter(id => id !== keepId)
+      });
+      removeGroup(group);
+    } catch (error) {
+      console.error('Merge duplicates error:', error);
+      setError(error.response?.data?.message || 'Failed to merge duplicates');
+    }
+  };
+
+  const dismissGroup = async (group) => {
+    try {
+      await axios.post('/transactions/duplicates/dismiss', {
+        transactionIds: group.map(transaction => transaction._id)
+      });
+      removeGroup(group);
+    } catch (error) {
+      console.error('Dismiss duplicates error:', error);
+      setError('Failed to dismiss duplicates');
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg">
+      <Modal.Header closeButton>
+        <Modal.Title>
+          <i className="bi bi-files me-2"></i>
+          Possible Duplicates
+        </Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {error && (
+          <Alert variant="danger" dismissible onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        {loading ? (
+          <LoadingSpinner message="Scanning transactions..." />
+        ) : groups.length === 0 ? (
+          <div className="text-center py-4 text-muted">
+            No duplicate transactions found
+          </div>
+        ) : (
+          groups.map((group) => (
+            <Card key={group[0]._id} className="mb-3">
+              <Card.Body className="p-0">
+                <Table size="sm" className="mb-0">
+                  <thead className="bg-light">
+                    <tr>
+                      <th>Keep</th>
+                      <th>Date</th>
+                      <th>Description</th>
+                      <th>Category</th>
+                      <th className="text-end">Amount</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {group.map((transaction) => (
+                      <tr key={transaction._id}>
+                        <td>
+                          <Form.Check
+                            type="radio"
+                            name={`keep-${group[0]._id}`}
+                            checked={keepIds[group[0]._id] === transaction._id}
+                            onChange={() => setKeepIds(prev => ({ ...prev, [group[0]._id]: transaction._id }))}
+                          />
+                        </td>
+                        <td>{new Date(transaction.date).toLocaleDateString()}</td>
+                        <td>{transaction.description}</td>
+                        <td>{transaction.category}</td>
+                        <td className={`text-end ${transaction.type === 'income' ? 'text-success' : 'text-danger'}`}>
+                          {formatCurrency(transaction.amount)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Card.Body>
+              <Card.Footer className="d-flex justify-content-end gap-2">
+                <Button variant="outline-secondary" size="sm" onClick={() => dismissGroup(group)}>
+                  Not Duplicates
+                </Button>
+                <Button variant="primary" size="sm" onClick={() => mergeGroup(group)}>
+                  Merge
+                </Button>
+              </Card.Footer>
+            </Card>
+          ))
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide}>
+          Close
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default DuplicatesModal;
@@ -0,0 +1,264 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Button, Table, Alert, Form, Row, Col, Badge } from 'react-bootstrap';
+import axios from 'axios';
+import LoadingSpinner from './LoadingSpinner';
+
+const emptyRate = (baseCurrency) => ({
+  date: new Date().toISOString().split('T')[0],
+  base: 'EUR',
+  currency: baseCurrency === 'EUR' ? 'USD' : baseCurrency,
+  rate: ''
+});
+
+const ExchangeRatesCard = ({ baseCurrency }) => {
+  const [rates, setRates] = useState([]);
+  const [currencies, setCurrencies] = useState([]);
+  const [formData, setFormData] = useState(emptyRate(baseCurrency));
+  const [editingRate, setEditingRate] = useState(null);
+  const [importFile, setImportFile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    fetchRates();
+  }, [baseCurrency]);
+
+  const fetchRates = async () => {
+    try {
+      const response = await axios.get('/exchange-rates');
+      setRates(response.data.rates);
+      setCurrencies(response.data.currencies);
+    } catch (error) {
+      console.error('Exchange rates fetch error:', error);
+      setMessage({ type: 'danger', text: 'Failed to load exchange rates' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const describeReconversion = (data) => {
+    return data.reconvertedTransactions > 0
+      ? ` ${data.reconvertedTransactions} transactions were converted again.`
+      : '';
+  };
+
+  const resetForm = () => {
+    setEditingRate(null);
+    setFormData(emptyRate(baseCurrency));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage({ type: '', text: '' });
+
+    try {
+      const rateData = { ...formData, rate: parseFloat(formData.rate) };
+      const response = editingRate
+        ? await axios.put(`/exchange-rates/${editingRate._id}`, rateData)
+        : await axios.post('/exchange-rates', rateData);
+
+      setMessage({ type: 'success', text: response.data.message + describeReconversion(response.data) });
+      resetForm();
+      fetchRates();
+    } catch (error) {
+      console.error('Save exchange rate error:', error);
+      setMessage({
+        type: 'danger',
+        text: error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to save exchange rate'
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startEdit = (rate) => {
+    setEditingRate(rate);
+    setFormData({
+      date: new Date(rate.date).toISOString().split('T')[0],
+      base: rate.base,
+      currency: rate.currency,
+      rate: rate.rate.toString()
+    });
+  };
+
+  const handleDelete = async (rate) => {
+    if (!window.confirm(`Delete the ${rate.base}/${rate.currency} rate of ${new Date(rate.date).toLocaleDateString()}?`)) {
+      return;
+    }
+
+    try {
+      const response = await axios.delete(`/exchange-rates/${rate._id}`);
+      setMessage({ type: 'success', text: response.data.message + describeReconversion(response.data) });
+      if (editingRate?._id === rate._id) {
+        resetForm();
+      }
+      fetchRates();
+    } catch (error) {
+      console.error('Delete exchange rate error:', error);
+      setMessage({ type: 'danger', text: 'Failed to delete exchange rate' });
+    }
+  };
+
+  const handleImport = async () => {
+    if (!importFile) return;
+
+    setSaving(true);
+    setMessage({ type: '', text: '' });
+
+    try {
+      const data = new FormData();
+      data.append('file', importFile);
+      const response = await axios.post('/exchange-rates/import', data, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+
+      const missing = response.data.transactionsWithoutRate > 0
+        ? ` ${response.data.transactionsWithoutRate} transactions still have no rate.`
+        : '';
+      setMessage({ type: 'success', text: response.data.message + '.' + describeReconversion(response.data) + missing });
+      setImportFile(null);
+      fetchRates();
+    } catch (error) {
+      console.error('Import exchange rates error:', error);
+      setMessage({ type: 'danger', text: error.response?.data?.message || 'Failed to import exchange rates' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card className="mt-4">
+      <Card.Header>
+        <h5 className="mb-0">Exchange Rates</h5>
+      </Card.Header>
+      <Card.Body>
+        <p className="text-muted small">
+          Transactions in other currencies are converted to your base currency ({baseCurrency}) with the
+          latest rate on or before their date. Rates between other currencies are used to cross-convert.
+        </p>
+
+        {message.text && (
+          <Alert variant={message.type} dismissible onClose={() => setMessage({ type: '', text: '' })}>
+            {message.text}
+          </Alert>
+        )}
+
+        <Form onSubmit={handleSubmit} className="mb-3">
+          <Row className="g-2 align-items-end">
+            <Col md={3}>
+              <Form.Label className="small">Date</Form.Label>
+              <Form.Control
+                type="date"
+                value={formData.date}
+                onChange={(e) => setFormData(prev => ({ ...prev, date: e.target.value }))}
+                required
+              />
+            </Col>
+            <Col md={2}>
+              <Form.Label className="small">1 unit of</Form.Label>
+              <Form.Select
+                value={formData.base}
+                onChange={(e) => setFormData(prev => ({ ...prev, base: e.target.value }))}
+              >
+                {currencies.map(currency => (
+                  <option key={currency} value={currency}>{currency}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md={2}>
+              <Form.Label className="small">Equals</Form.Label>
+              <Form.Control
+                type="number"
+                step="any"
+                min="0"
+                value={formData.rate}
+                onChange={(e) => setFormData(prev => ({ ...prev, rate: e.target.value }))}
+                required
+              />
+            </Col>
+            <Col md={2}>
+              <Form.Label className="small">Currency</Form.Label>
+              <Form.Select
+                value={formData.currency}
+                onChange={(e) => setFormData(prev => ({ ...prev, currency: e.target.value }))}
+              >
+                {currencies.map(currency => (
+                  <option key={currency} value={currency}>{currency}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md={3} className="d-flex gap-2">
+              <Button type="submit" variant="primary" disabled={saving}>
+                {editingRate ? 'Update' : 'Add Rate'}
+              </Button>
+              {editingRate && (
+                <Button variant="outline-secondary" onClick={resetForm}>
+                  Cancel
+                </Button>
+              )}
+            </Col>
+          </Row>
+        </Form>
+
+        <div className="d-flex gap-2 align-items-center mb-3">
+          <Form.Control
+            type="file"
+            size="sm"
+            accept=".csv,.xml"
+            onChange={(e) => setImportFile(e.target.files[0] || null)}
+          />
+          <Button
+            variant="outline-primary"
+            size="sm"
+            className="text-nowrap"
+            onClick={handleImport}
+            disabled={!importFile || saving}
+          >
+            <i className="bi bi-upload me-1"></i>
+            Import CSV / ECB XML
+          </Button>
+        </div>
+
+        {loading ? (
+          <LoadingSpinner />
+        ) : rates.length === 0 ? (
+          <p className="text-muted mb-0">No exchange rates yet.</p>
+        ) : (
+          <Table responsive size="sm" className="mb-0">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Rate</th>
+                <th>Source</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rates.map(rate => (
+                <tr key={rate._id}>
+                  <td>{new Date(rate.date).toLocaleDateString()}</td>
+                  <td>1 {rate.base} = {rate.rate} {rate.currency}</td>
+                  <td>
+                    <Badge bg={rate.source === 'manual' ? 'secondary' : 'info'}>{rate.source}</Badge>
+                  </td>
+                  <td className="text-end">
+                    <Button variant="link" size="sm" className="p-0 me-2" onClick={() => startEdit(rate)}>
+                      <i className="bi bi-pencil"></i>
+                    </Button>
+                    <Button variant="link" size="sm" className="p-0 text-danger" onClick={() => handleDelete(rate)}>
+                      <i className="bi bi-trash"></i>
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default ExchangeRatesCard;
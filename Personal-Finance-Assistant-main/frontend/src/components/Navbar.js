@@ -2,6 +2,7 @@ import React from 'react';
 import { Navbar as BootstrapNavbar, Nav, Container, NavDropdown } from 'react-bootstrap';
 import { LinkContainer } from 'react-router-bootstrap';
 import { useAuth } from '../contexts/AuthContext';
+import NotificationBell from './NotificationBell';
 
 const Navbar = () => {
   const { user, logout, isAuthenticated } = useAuth();
@@ -54,6 +55,24 @@ const Navbar = () => {
                     Analytics
                   </Nav.Link>
                 </LinkContainer>
+                <LinkContainer to="/accounts">
+                  <Nav.Link>
+                    <i className="bi bi-wallet2 me-1"></i>
+                    Accounts
+                  </Nav.Link>
+                </LinkContainer>
+                <LinkContainer to="/budgets">
+                  <Nav.Link>
+                    <i className="bi bi-piggy-bank me-1"></i>
+                    Budgets
+                  </Nav.Link>
+                </LinkContainer>
+                <LinkContainer to="/subscriptions">
+                  <Nav.Link>
+                    <i className="bi bi-arrow-repeat me-1"></i>
+                    Subscriptions
+                  </Nav.Link>
+                </LinkContainer>
                 <LinkContainer to="/upload">
                   <Nav.Link>
                     <i className="bi bi-cloud-upload me-1"></i>
@@ -79,28 +98,37 @@ const Navbar = () => {
                 </LinkContainer>
               </>
             ) : (
-              <NavDropdown 
-                title={
-                  <span>
-                    <i className="bi bi-person-circle me-1"></i>
-                    {user?.name || 'User'}
-                  </span>
-                } 
-                id="user-dropdown"
-                align="end"
-              >
-                <LinkContainer to="/profile">
-                  <NavDropdown.Item>
-                    <i className="bi bi-person me-2"></i>
-                    Profile
+              <>
+                <NotificationBell />
+                <NavDropdown 
+                  title={
+                    <span>
+                      <i className="bi bi-person-circle me-1"></i>
+                      {user?.name || 'User'}
+                    </span>
+                  } 
+                  id="user-dropdown"
+                  align="end"
+                >
+                  <LinkContainer to="/profile">
+                    <NavDropdown.Item>
+                      <i className="bi bi-person me-2"></i>
+                      Profile
+                    </NavDropdown.Item>
+                  </LinkContainer>
+                  <LinkContainer to="/rules">
+                    <NavDropdown.Item>
+                      <i className="bi bi-funnel me-2"></i>
+                      Categorization Rules
+                    </NavDropdown.Item>
+                  </LinkContainer>
+                  <NavDropdown.Divider />
+                  <NavDropdown.Item onClick={handleLogout}>
+                    <i className="bi bi-box-arrow-right me-2"></i>
+                    Logout
                   </NavDropdown.Item>
-                </LinkContainer>
-                <NavDropdown.Divider />
-                <NavDropdown.Item onClick={handleLogout}>
-                  <i className="bi bi-box-arrow-right me-2"></i>
-                  Logout
-                </NavDropdown.Item>
-              </NavDropdown>
+                </NavDropdown>
+              </>
             )}
           </Nav>
         </BootstrapNavbar.Collapse>
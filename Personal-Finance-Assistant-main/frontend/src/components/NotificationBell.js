@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import { NavDropdown, Badge } from 'react-bootstrap';
+import axios from 'axios';
+
+const POLL_INTERVAL = 60 * 1000; // 1 minute
+
+const NotificationBell = () => {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  useEffect(() => {
+    fetchNotifications();
+    const interval = setInterval(fetchNotifications, POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+
+  const fetchNotifications = async () => {
+    try {
+      const response = await axios.get('/notifications', { params: { limit: 10 } });
+      setNotifications(response.data.notifications);
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      console.error('Notifications fetch error:', error);
+    }
+  };
+
+  const markAsRead = async (notification) => {
+    if (notification.isRead) return;
+
+    try {
+      await axios.put(`/notifications/${notification._id}/read`);
+      setNotifications(prev => prev.map(item => 
+        item._id === notification._id ? { ...item, isRead: true } : item
+      ));
+      setUnreadCount(prev => Math.max(prev - 1, 0));
+    } catch (error) {
+      console.error('Mark notification read error:', error);
+    }
+  };
+
+  const markAllAsRead = async () => {
+    try {
+      await axios.put('/notifications/read-all');
+      setNotifications(prev => prev.map(item => ({ ...item, isRead: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Mark all notifications read error:', error);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString();
+  };
+
+  return (
+    <NavDropdown
+      title={
+        <span className="position-relative">
+          <i className="bi bi-bell" style={{ fontSize: '1.2rem' }}></i>
+          {unreadCount > 0 && (
+            <Badge bg="danger" pill className="position-absolute top-0 start-100 translate-middle" style={{ fontSize: '0.6rem' }}>
+              {unreadCount > 9 ? '9+' : unreadCount}
+            </Badge>
+          )}
+        </span>
+      }
+      id="notifications-dropdown"
+      align="end"
+      className="me-2"
+    >
+      <NavDropdown.Header className="d-flex justify-content-between align-items-center">
+        <span>Notifications</span>
+        {unreadCount > 0 && (
+          <button type="button" className="btn btn-link btn-sm p-0" onClick={markAllAsRead}>
+            Mark all read
+          </button>
+        )}
+      </NavDropdown.Header>
+      <NavDropdown.Divider />
+      {notifications.length > 0 ? (
+        notifications.map((notification) => (
+          <NavDropdown.Item
+            key={notification._id}
+            onClick={() => markAsRead(notification)}
+            className={notification.isRead ? 'text-muted' : ''}
+            style={{ whiteSpace: 'normal', width: '320px' }}
+          >
+            <div className="d-flex align-items-start">
+              <i className={`bi ${notification.threshold >= 100 ? 'bi-exclamation-circle text-danger' : 'bi-info-circle text-warning'} me-2 mt-1`}></i>
+              <div>
+                <div className={notification.isRead ? '' : 'fw-bold'}>{notification.title}</div>
+                <small className="d-block">{notification.message}</small>
+                <small className="text-muted">{formatDate(notification.createdAt)}</small>
+              </div>
+            </div>
+          </NavDropdown.Item>
+        ))
+      ) : (
+        <NavDropdown.ItemText className="text-muted text-center" style={{ width: '320px' }}>
+          No notifications
+        </NavDropdown.ItemText>
+      )}
+    </NavDropdown>
+  );
+};
+
+export default NotificationBell;
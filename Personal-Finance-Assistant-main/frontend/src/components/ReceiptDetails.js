@@ -0,0 +1,108 @@
+import React from 'react';
+import { Table, Alert, Badge } from 'react-bootstrap';
+
+// Fields read from a receipt, in the order they are listed. Merchant, date and
+// total are always shown since a transaction needs them.
+const FIELDS = [
+  { key: 'merchantName', label: 'Merchant', required: true },
+  { key: 'date', label: 'Date', required: true },
+  { key: 'time', label: 'Time' },
+  { key: 'subtotal', label: 'Subtotal', money: true },
+  { key: 'discount', label: 'Discounts', money: true },
+  { key: 'tax', label: 'Tax', money: true },
+  { key: 'tip', label: 'Tip', money: true },
+  { key: 'total', label: 'Total', money: true, required: true },
+  { key: 'cardLast4', label: 'Card' }
+];
+
+const ReceiptDetails = ({ data, formatCurrency }) => {
+  const confidence = data.confidence || {};
+  const needsReview = data.needsReview || [];
+  const items = data.items || [];
+
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return <span className="text-muted">Not found</span>;
+    if (field.money) return formatCurrency(field.key === 'discount' ? -value : value);
+    // Receipt dates are calendar days, stored at UTC midnight
+    if (field.key === 'date') return new Date(value).toLocaleDateString(undefined, { timeZone: 'UTC' });
+    if (field.key === 'cardLast4') return `•••• ${value}`;
+    return value;
+  };
+
+  const renderConfidence = (key) => {
+    if (confidence[key] === undefined) return null;
+
+    return needsReview.includes(key) ? (
+      <Badge bg="warning" text="dark" title="Read with low confidence; please check this value">
+        <i className="bi bi-exclamation-triangle me-1"></i>
+        {(confidence[key] * 100).toFixed(0)}%
+      </Badge>
+    ) : (
+      <span className="small text-muted">{(confidence[key] * 100).toFixed(0)}%</span>
+    );
+  };
+
+  const fields = FIELDS.filter(field => field.required || (data[field.key] !== null && data[field.key] !== undefined && data[field.key] !== ''));
+
+  return (
+    <div className="receipt-details">
+      {data.totalCheck && !data.totalCheck.consistent && (
+        <Alert variant="warning" className="py-2 small">
+          <i className="bi bi-exclamation-triangle me-1"></i>
+          Subtotal, discounts, tax and tip add up to {formatCurrency(data.totalCheck.expected)}, not the
+          total of {formatCurrency(data.total)}. Please check the amounts.
+        </Alert>
+      )}
+
+      <Table size="sm" className="mb-3">
+        <tbody>
+          {fields.map(field => (
+            <tr key={field.key} className={needsReview.includes(field.key) ? 'table-warning' : ''}>
+              <th className="fw-medium">{field.label}</th>
+              <td>{formatValue(field, data[field.key])}</td>
+              <td className="text-end">{renderConfidence(field.key)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+
+      {items.length > 0 && (
+        <>
+          <div className="d-flex justify-content-between align-items-center mb-1">
+            <h6 className="mb-0">Items</h6>
+            {renderConfidence('items')}
+          </div>
+          <Table size="sm" className={needsReview.includes('items') ? 'table-warning' : ''}>
+            <thead>
+              <tr>
+                <th>Item</th>
+                <th className="text-end">Qty</th>
+                <th className="text-end">Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((item, index) => (
+                <tr key={index}>
+                  <td>{item.name}</td>
+                  <td className="text-end">
+                    {item.quantity !== 1 ? `${item.quantity} × ${formatCurrency(item.unitPrice)}` : 1}
+                  </td>
+                  <td className="text-end">{formatCurrency(item.amount)}</td>
+                </tr>
+              ))}
+              {(data.discounts || []).map((discount, index) => (
+                <tr key={`discount-${index}`} className="text-success">
+                  <td>{discount.name}</td>
+                  <td></td>
+                  <td className="text-end">{formatCurrency(-discount.amount)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReceiptDetails;
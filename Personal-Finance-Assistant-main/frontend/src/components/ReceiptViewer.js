@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Alert, Spinner } from 'react-bootstrap';
+import axios from 'axios';
+
+// Receipts are served by an authenticated route, so files are fetched with
+// the auth header and shown through object URLs
+const fetchObjectUrl = async (url) => {
+  const response = await axios.get(url, { responseType: 'blob' });
+  return URL.createObjectURL(response.data);
+};
+
+const ReceiptViewer = ({ receiptId, onRemoved }) => {
+  const [receipt, setReceipt] = useState(null);
+  const [thumbnailUrl, setThumbnailUrl] = useState('');
+  const [fileUrl, setFileUrl] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    let objectUrl = '';
+
+    const loadReceipt = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        setFileUrl('');
+        const response = await axios.get(`/receipts/${receiptId}`);
+        if (cancelled) return;
+        setReceipt(response.data.receipt);
+
+        if (response.data.receipt.thumbnailUrl) {
+          objectUrl = await fetchObjectUrl(`/receipts/${receiptId}/thumbnail`);
+          if (cancelled) {
+            URL.revokeObjectURL(objectUrl);
+            return;
+          }
+          setThumbnailUrl(objectUrl);
+        }
+      } catch (error) {
+        console.error('Receipt fetch error:', error);
+        if (!cancelled) setError('Failed to load receipt');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadReceipt();
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [receiptId]);
+
+  useEffect(() => {
+    return () => {
+      if (fileUrl) URL.revokeObjectURL(fileUrl);
+    };
+  }, [fileUrl]);
+
+  const openReceipt = async () => {
+    try {
+      const url = fileUrl || await fetchObjectUrl(`/receipts/${receiptId}/file`);
+      setFileUrl(url);
+      window.open(url, '_blank', 'noopener');
+    } catch (error) {
+      console.error('Receipt file fetch error:', error);
+      setError('Failed to open receipt');
+    }
+  };
+
+  const removeReceipt = async () => {
+    if (!window.confirm('Delete this receipt? The transaction is kept.')) return;
+
+    try {
+      await axios.delete(`/receipts/${receiptId}`);
+      onRemoved();
+    } catch (error) {
+      console.error('Receipt delete error:', error);
+      setError('Failed to delete receipt');
+    }
+  };
+
+  if (loading) {
+    return <Spinner animation="border" size="sm" />;
+  }
+
+  return (
+    <div className="d-flex align-items-start gap-3">
+      {thumbnailUrl ? (
+        <img
+          src={thumbnailUrl}
+          alt="Receipt"
+          className="img-thumbnail receipt-thumbnail"
+          role="button"
+          onClick={openReceipt}
+        />
+      ) : (
+        <i className="bi bi-file-earmark-text fs-1 text-muted"></i>
+      )}
+      <div>
+        {error && <Alert variant="danger" className="py-1 px-2 small">{error}</Alert>}
+        {receipt && (
+          <div className="small text-muted mb-2">
+            {receipt.originalName || 'Receipt'}
+            {receipt.size ? ` (${Math.ceil(receipt.size / 1024)} KB)` : ''}
+          </div>
+        )}
+        <Button variant="outline-primary" size="sm" className="me-2" onClick={openReceipt}>
+          <i className="bi bi-box-arrow-up-right me-1"></i>
+          Open
+        </Button>
+        <Button variant="outline-danger" size="sm" onClick={removeReceipt}>
+          <i className="bi bi-trash me-1"></i>
+          Remove
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default ReceiptViewer;
@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react';
+import { Form, Alert, Spinner } from 'react-bootstrap';
+import axios from 'axios';
+import ReceiptViewer from './ReceiptViewer';
+
+const TransactionAttachments = ({ transactionId, onChange }) => {
+  const [attachments, setAttachments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+  // Bumped to reload the list after a receipt is added or removed
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchAttachments = async () => {
+      try {
+        const response = await axios.get(`/transactions/${transactionId}/attachments`);
+        setAttachments(response.data.attachments);
+      } catch (error) {
+        console.error('Attachments fetch error:', error);
+        setError('Failed to load receipts');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAttachments();
+  }, [transactionId, reloadKey]);
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setUploading(true);
+      setError('');
+      const data = new FormData();
+      data.append('file', file);
+      await axios.post(`/transactions/${transactionId}/attachments`, data, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      setReloadKey(key => key + 1);
+      onChange();
+    } catch (error) {
+      console.error('Attach receipt error:', error);
+      setError(error.response?.data?.message || 'Failed to attach receipt');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleRemoved = () => {
+    setReloadKey(key => key + 1);
+    onChange();
+  };
+
+  return (
+    <Form.Group>
+      <Form.Label>Receipts</Form.Label>
+      {error && <Alert variant="danger" className="py-1 px-2 small">{error}</Alert>}
+      {loading ? (
+        <div><Spinner animation="border" size="sm" /></div>
+      ) : (
+        attachments.map(attachment => (
+          <div key={attachment._id} className="mb-2">
+            <ReceiptViewer receiptId={attachment._id} onRemoved={handleRemoved} />
+          </div>
+        ))
+      )}
+      <div className="d-flex align-items-center gap-2">
+        <Form.Control
+          type="file"
+          size="sm"
+          accept="image/*,.heic,.heif,application/pdf"
+          onChange={handleUpload}
+          disabled={uploading}
+        />
+        {uploading && <Spinner animation="border" size="sm" />}
+      </div>
+      <Form.Text className="text-muted">
+        Attach a photo or PDF of the receipt (max 10MB)
+      </Form.Text>
+    </Form.Group>
+  );
+};
+
+export default TransactionAttachments;
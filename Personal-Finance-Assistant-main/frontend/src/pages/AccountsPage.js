@@ -0,0 +1,484 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Card, Button, Form, Table, Badge, Modal, Alert } from 'react-bootstrap';
+import { useAuth } from '../contexts/AuthContext';
+import axios from 'axios';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const ACCOUNT_TYPES = [
+  { value: 'checking', label: 'Checking', icon: 'bi-bank' },
+  { value: 'savings', label: 'Savings', icon: 'bi-piggy-bank' },
+  { value: 'credit_card', label: 'Credit Card', icon: 'bi-credit-card' },
+  { value: 'cash', label: 'Cash', icon: 'bi-cash-stack' },
+  { value: 'investment', label: 'Investment', icon: 'bi-graph-up-arrow' },
+  { value: 'loan', label: 'Loan', icon: 'bi-file-earmark-text' },
+  { value: 'wallet', label: 'Digital Wallet', icon: 'bi-wallet2' },
+  { value: 'other', label: 'Other', icon: 'bi-safe' }
+];
+
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'INR'];
+
+const getAccountType = (type) => ACCOUNT_TYPES.find(option => option.value === type) || ACCOUNT_TYPES[ACCOUNT_TYPES.length - 1];
+
+const AccountsPage = () => {
+  const { user } = useAuth();
+  const emptyAccount = {
+    name: '',
+    type: 'checking',
+    institution: '',
+    currency: user?.currency || 'USD',
+    openingBalance: '0',
+    isArchived: false
+  };
+
+  const [accounts, setAccounts] = useState([]);
+  const [totalsByCurrency, setTotalsByCurrency] = useState({});
+  const [unassignedCount, setUnassignedCount] = useState(0);
+  const [showArchived, setShowArchived] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [currentAccount, setCurrentAccount] = useState(null);
+  const [formData, setFormData] = useState(emptyAccount);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [reassignTo, setReassignTo] = useState('none');
+  const [statement, setStatement] = useState(null);
+
+  const fetchAccounts = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await axios.get('/accounts', { params: { includeArchived: showArchived } });
+      setAccounts(response.data.accounts);
+      setTotalsByCurrency(response.data.totalsByCurrency);
+      setUnassignedCount(response.data.unassignedCount);
+    } catch (error) {
+      console.error('Accounts fetch error:', error);
+      setError('Failed to load accounts');
+    } finally {
+      setLoading(false);
+    }
+  }, [showArchived]);
+
+  useEffect(() => {
+    fetchAccounts();
+  }, [fetchAccounts]);
+
+  const fetchStatement = async (account, page = 1) => {
+    try {
+      const response = await axios.get(`/accounts/${account._id}/transactions`, { params: { page, limit: 20 } });
+      setStatement({ account, ...response.data });
+    } catch (error) {
+      console.error('Account transactions fetch error:', error);
+      setError('Failed to load account transactions');
+    }
+  };
+
+  const handleFormChange = (key, value) => {
+    setFormData(prev => ({ ...prev, [key]: value }));
+  };
+
+  const openAddModal = () => {
+    setCurrentAccount(null);
+    setFormData(emptyAccount);
+    setShowModal(true);
+  };
+
+  const openEditModal = (account) => {
+    setCurrentAccount(account);
+    setFormData({
+      name: account.name,
+      type: account.type,
+      institution: account.institution || '',
+      currency: account.currency,
+      openingBalance: account.openingBalance.toString(),
+      isArchived: account.isArchived
+    });
+    setShowModal(true);
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setCurrentAccount(null);
+  };
+
+  const handleSaveAccount = async (e) => {
+    e.preventDefault();
+    try {
+      const accountData = {
+        ...formData,
+        openingBalance: parseFloat(formData.openingBalance) || 0
+      };
+
+      if (currentAccount) {
+        await axios.put(`/accounts/${currentAccount._id}`, accountData);
+      } else {
+        await axios.post('/accounts', accountData);
+      }
+
+      closeModal();
+      fetchAccounts();
+    } catch (error) {
+      console.error('Save account error:', error);
+      setError(error.response?.data?.message || 'Failed to save account');
+    }
+  };
+
+  const openDeleteModal = (account) => {
+    setDeleteTarget(account);
+    setReassignTo('none');
+  };
+
+  const handleDeleteAccount = async () => {
+    try {
+      await axios.delete(`/accounts/${deleteTarget._id}`, {
+        data: deleteTarget.transactionCount > 0 ? { reassignTo } : {}
+      });
+      setDeleteTarget(null);
+      fetchAccounts();
+    } catch (error) {
+      console.error('Delete account error:', error);
+      setError(error.response?.data?.message || 'Failed to delete account');
+      setDeleteTarget(null);
+    }
+  };
+
+  const formatCurrency = (amount, currency) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: currency || user?.currency || 'USD'
+    }).format(amount);
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString();
+  };
+
+  const getAccountName = (accountId) => {
+    return accounts.find(account => account._id === accountId)?.name || 'another account';
+  };
+
+  if (loading && accounts.length === 0) {
+    return <LoadingSpinner message="Loading accounts..." />;
+  }
+
+  return (
+    <Container className="py-4">
+      {/* Header */}
+      <Row className="mb-4">
+        <Col>
+          <div className="d-flex justify-content-between align-items-center">
+            <div>
+              <h2 className="mb-1">Accounts</h2>
+              <p className="text-muted mb-0">Bank accounts, cards and wallets with their current balances</p>
+            </div>
+            <Button variant="primary" onClick={openAddModal}>
+              <i className="bi bi-plus-circle me-2"></i>
+              Add Account
+            </Button>
+          </div>
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {/* Totals */}
+      {Object.keys(totalsByCurrency).length > 0 && (
+        <Row className="mb-4">
+          {Object.entries(totalsByCurrency).map(([currency, total]) => (
+            <Col md={4} key={currency} className="mb-3">
+              <Card className="border-0 shadow-sm">
+                <Card.Body>
+                  <small className="text-muted">Total balance ({currency})</small>
+                  <h4 className={`mb-0 ${total < 0 ? 'text-danger' : ''}`}>{formatCurrency(total, currency)}</h4>
+                </Card.Body>
+              </Card>
+            </Col>
+          ))}
+        </Row>
+      )}
+
+      {unassignedCount > 0 && (
+        <Alert variant="info">
+          {unassignedCount} transactions are not assigned to an account and are not included in these balances.
+        </Alert>
+      )}
+
+      {/* Accounts Table */}
+      <Card>
+        <Card.Header className="bg-white d-flex justify-content-end">
+          <Form.Check
+            type="switch"
+            id="show-archived-accounts"
+            label="Show archived"
+            checked={showArchived}
+            onChange={(e) => setShowArchived(e.target.checked)}
+          />
+        </Card.Header>
+        <Card.Body className="p-0">
+          <Table responsive hover className="mb-0">
+            <thead className="bg-light">
+              <tr>
+                <th>Account</th>
+                <th>Type</th>
+                <th>Institution</th>
+                <th className="text-end">Opening Balance</th>
+                <th className="text-end">Balance</th>
+                <th>Transactions</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {accounts.map((account) => (
+                <tr key={account._id} className={account.isArchived ? 'text-muted' : ''}>
+                  <td>
+                    <i className={`bi ${getAccountType(account.type).icon} me-2`}></i>
+                    {account.name}
+                    {account.isArchived && <Badge bg="secondary" className="ms-2">Archived</Badge>}
+                  </td>
+                  <td>{getAccountType(account.type).label}</td>
+                  <td>{account.institution || '-'}</td>
+                  <td className="text-end">{formatCurrency(account.openingBalance, account.currency)}</td>
+                  <td className={`text-end fw-bold ${account.balance < 0 ? 'text-danger' : ''}`}>
+                    {formatCurrency(account.balance, account.currency)}
+                  </td>
+                  <td>
+                    {account.transactionCount}
+                    {account.lastTransactionDate && (
+                      <small className="text-muted d-block">Last: {formatDate(account.lastTransactionDate)}</small>
+                    )}
+                  </td>
+                  <td>
+                    <div className="d-flex gap-1">
+                      <Button variant="outline-secondary" size="sm" onClick={() => fetchStatement(account)} title="View transactions">
+                        <i className="bi bi-list-ul"></i>
+                      </Button>
+                      <Button variant="outline-primary" size="sm" onClick={() => openEditModal(account)}>
+                        <i className="bi bi-pencil"></i>
+                      </Button>
+                      <Button variant="outline-danger" size="sm" onClick={() => openDeleteModal(account)}>
+                        <i className="bi bi-trash"></i>
+                      </Button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+
+          {accounts.length === 0 && !loading && (
+            <div className="text-center py-5">
+              <i className="bi bi-wallet2 display-1 text-muted"></i>
+              <h4 className="mt-3">No accounts yet</h4>
+              <p className="text-muted">Add your bank accounts, cards and wallets to track their balances</p>
+              <Button variant="primary" onClick={openAddModal}>
+                <i className="bi bi-plus-circle me-2"></i>
+                Add Account
+              </Button>
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+
+      {/* Add/Edit Account Modal */}
+      <Modal show={showModal} onHide={closeModal}>
+        <Modal.Header closeButton>
+          <Modal.Title>{currentAccount ? 'Edit Account' : 'Add New Account'}</Modal.Title>
+        </Modal.Header>
+        <Form onSubmit={handleSaveAccount}>
+          <Modal.Body>
+            <Form.Group className="mb-3">
+              <Form.Label>Name *</Form.Label>
+              <Form.Control
+                type="text"
+                maxLength={50}
+                value={formData.name}
+                onChange={(e) => handleFormChange('name', e.target.value)}
+                required
+              />
+            </Form.Group>
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Type</Form.Label>
+                  <Form.Select
+                    value={formData.type}
+                    onChange={(e) => handleFormChange('type', e.target.value)}
+                  >
+                    {ACCOUNT_TYPES.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Currency</Form.Label>
+                  <Form.Select
+                    value={formData.currency}
+                    onChange={(e) => handleFormChange('currency', e.target.value)}
+                  >
+                    {CURRENCIES.map(currency => (
+                      <option key={currency} value={currency}>{currency}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+            </Row>
+            <Form.Group className="mb-3">
+              <Form.Label>Institution</Form.Label>
+              <Form.Control
+                type="text"
+                placeholder="Optional"
+                value={formData.institution}
+                onChange={(e) => handleFormChange('institution', e.target.value)}
+              />
+            </Form.Group>
+            <Form.Group className="mb-3">
+              <Form.Label>Opening Balance</Form.Label>
+              <Form.Control
+                type="number"
+                step="0.01"
+                value={formData.openingBalance}
+                onChange={(e) => handleFormChange('openingBalance', e.target.value)}
+              />
+              <Form.Text className="text-muted">
+                Balance before the first transaction you record here. Use a negative amount for money owed.
+              </Form.Text>
+            </Form.Group>
+            {currentAccount && (
+              <Form.Check
+                type="switch"
+                id="account-archived"
+                label="Archived"
+                checked={formData.isArchived}
+                onChange={(e) => handleFormChange('isArchived', e.target.checked)}
+              />
+            )}
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={closeModal}>
+              Cancel
+            </Button>
+            <Button variant="primary" type="submit">
+              {currentAccount ? 'Update Account' : 'Add Account'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      {/* Delete Account Modal */}
+      <Modal show={Boolean(deleteTarget)} onHide={() => setDeleteTarget(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Delete Account</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p>Delete the account <strong>{deleteTarget?.name}</strong>?</p>
+          {deleteTarget?.transactionCount > 0 && (
+            <Form.Group>
+              <Form.Label>Move its {deleteTarget.transactionCount} transactions to</Form.Label>
+              <Form.Select value={reassignTo} onChange={(e) => setReassignTo(e.target.value)}>
+                <option value="none">No account</option>
+                {accounts.filter(account => account._id !== deleteTarget._id).map(account => (
+                  <option key={account._id} value={account._id}>{account.name}</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setDeleteTarget(null)}>
+            Cancel
+          </Button>
+          <Button variant="danger" onClick={handleDeleteAccount}>
+            Delete
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
+      {/* Account Transactions Modal */}
+      <Modal show={Boolean(statement)} onHide={() => setStatement(null)} size="lg">
+        <Modal.Header closeButton>
+          <Modal.Title>{statement?.account.name}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {statement && (
+            <>
+              <p className="mb-3">
+                Current balance: <strong>{formatCurrency(statement.balance, statement.account.currency)}</strong>
+              </p>
+              <Table responsive size="sm">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Description</th>
+                    <th>Category</th>
+                    <th className="text-end">Amount</th>
+                    <th className="text-end">Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {statement.transactions.map(transaction => {
+                    const isMoneyIn = transaction.type === 'income' ||
+                      (transaction.type === 'transfer' && transaction.toAccount === statement.account._id);
+                    return (
+                      <tr key={transaction._id}>
+                        <td>{formatDate(transaction.date)}</td>
+                        <td>
+                          {transaction.description}
+                          {transaction.type === 'transfer' && (
+                            <small className="text-muted d-block">
+                              {isMoneyIn
+                                ? `Transfer from ${getAccountName(transaction.account)}`
+                                : `Transfer to ${getAccountName(transaction.toAccount)}`}
+                            </small>
+                          )}
+                        </td>
+                        <td>{transaction.category}</td>
+                        <td className={`text-end ${isMoneyIn ? 'text-success' : 'text-danger'}`}>
+                          {isMoneyIn ? '+' : '-'}
+                          {formatCurrency(transaction.amount, statement.account.currency)}
+                        </td>
+                        <td className="text-end">{formatCurrency(transaction.runningBalance, statement.account.currency)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </Table>
+              {statement.transactions.length === 0 && (
+                <p className="text-muted text-center mb-0">No transactions in this account yet</p>
+              )}
+            </>
+          )}
+        </Modal.Body>
+        {statement?.totalPages > 1 && (
+          <Modal.Footer className="justify-content-between">
+            <Button
+              variant="outline-secondary"
+              size="sm"
+              disabled={statement.currentPage <= 1}
+              onClick={() => fetchStatement(statement.account, statement.currentPage - 1)}
+            >
+              Newer
+            </Button>
+            <small className="text-muted">Page {statement.currentPage} of {statement.totalPages}</small>
+            <Button
+              variant="outline-secondary"
+              size="sm"
+              disabled={statement.currentPage >= statement.totalPages}
+              onClick={() => fetchStatement(statement.account, statement.currentPage + 1)}
+            >
+              Older
+            </Button>
+          </Modal.Footer>
+        )}
+      </Modal>
+    </Container>
+  );
+};
+
+export default AccountsPage;
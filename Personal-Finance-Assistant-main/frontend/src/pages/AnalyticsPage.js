@@ -13,20 +13,36 @@ const AnalyticsPage = () => {
   const [error, setError] = useState('');
   const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
   const [selectedPeriod, setSelectedPeriod] = useState('6');
+  const [accounts, setAccounts] = useState([]);
+  const [selectedAccount, setSelectedAccount] = useState('');
 
   useEffect(() => {
     fetchAnalytics();
-  }, [selectedYear, selectedPeriod]);
+  }, [selectedYear, selectedPeriod, selectedAccount]);
+
+  useEffect(() => {
+    fetchAccounts();
+  }, []);
+
+  const fetchAccounts = async () => {
+    try {
+      const response = await axios.get('/accounts', { params: { includeArchived: true } });
+      setAccounts(response.data.accounts);
+    } catch (error) {
+      console.error('Accounts fetch error:', error);
+    }
+  };
 
   const fetchAnalytics = async () => {
     try {
       setLoading(true);
       setError('');
 
+      const params = selectedAccount ? { account: selectedAccount } : {};
       const [summaryResponse, yearlyResponse, trendsResponse] = await Promise.all([
-        axios.get('/transactions/analytics/summary'),
-        axios.get(`/transactions/analytics/yearly?year=${selectedYear}`),
-        axios.get(`/transactions/analytics/category-trends?months=${selectedPeriod}`)
+        axios.get('/transactions/analytics/summary', { params }),
+        axios.get(`/transactions/analytics/yearly?year=${selectedYear}`, { params }),
+        axios.get(`/transactions/analytics/category-trends?months=${selectedPeriod}`, { params })
       ]);
 
       setAnalytics(summaryResponse.data);
@@ -51,6 +67,11 @@ const AnalyticsPage = () => {
     return new Date(dateString).toLocaleDateString();
   };
 
+  // Transfers between accounts are neither income nor spending
+  const getTypeColor = (type) => {
+    return type === 'income' ? 'text-success' : type === 'transfer' ? 'text-secondary' : 'text-danger';
+  };
+
   const getMonthName = (monthNumber) => {
     const months = [
       'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
@@ -93,6 +114,18 @@ const AnalyticsPage = () => {
               <p className="text-muted mb-0">Comprehensive insights into your financial patterns</p>
             </div>
             <div className="d-flex gap-3">
+              {accounts.length > 0 && (
+                <Form.Select 
+                  value={selectedAccount} 
+                  onChange={(e) => setSelectedAccount(e.target.value)}
+                  style={{ width: 'auto' }}
+                >
+                  <option value="">All accounts</option>
+                  {accounts.map(account => (
+                    <option key={account._id} value={account._id}>{account.name}</option>
+                  ))}
+                </Form.Select>
+              )}
               <Form.Select 
                 value={selectedYear} 
                 onChange={(e) => setSelectedYear(parseInt(e.target.value))}
@@ -285,16 +318,16 @@ const AnalyticsPage = () => {
                   {analytics.recentTransactions.map((transaction, index) => (
                     <div key={index} className="d-flex justify-content-between align-items-center py-2 border-bottom">
                       <div className="d-flex align-items-center">
-                        <div className={`me-3 ${transaction.type === 'income' ? 'text-success' : 'text-danger'}`}>
-                          <i className={`bi ${transaction.type === 'income' ? 'bi-arrow-up-circle' : 'bi-arrow-down-circle'}`}></i>
+                        <div className={`me-3 ${getTypeColor(transaction.type)}`}>
+                          <i className={`bi ${transaction.type === 'transfer' ? 'bi-arrow-left-right' : transaction.type === 'income' ? 'bi-arrow-up-circle' : 'bi-arrow-down-circle'}`}></i>
                         </div>
                         <div>
                           <div className="fw-medium">{transaction.description}</div>
                           <small className="text-muted">{transaction.category} • {formatDate(transaction.date)}</small>
                         </div>
                       </div>
-                      <div className={`fw-bold ${transaction.type === 'income' ? 'text-success' : 'text-danger'}`}>
-                        {transaction.type === 'income' ? '+' : '-'}{formatCurrency(transaction.amount)}
+                      <div className={`fw-bold ${getTypeColor(transaction.type)}`}>
+                        {transaction.type === 'income' ? '+' : transaction.type === 'expense' ? '-' : ''}{formatCurrency(transaction.amount)}
                       </div>
                     </div>
                   ))}
@@ -0,0 +1,343 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Button, Form, Table, Badge, Modal, Alert, ProgressBar } from 'react-bootstrap';
+import { useAuth } from '../contexts/AuthContext';
+import axios from 'axios';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const emptyBudget = {
+  name: '',
+  category: '',
+  amount: '',
+  period: 'monthly',
+  rollover: false,
+  isActive: true
+};
+
+const BudgetsPage = () => {
+  const { user } = useAuth();
+  const [budgetStatuses, setBudgetStatuses] = useState([]);
+  const [budgets, setBudgets] = useState([]);
+  const [categories, setCategories] = useState({ expense: [], income: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [currentBudget, setCurrentBudget] = useState(null);
+  const [formData, setFormData] = useState(emptyBudget);
+
+  useEffect(() => {
+    fetchBudgets();
+    fetchCategories();
+  }, []);
+
+  const fetchBudgets = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const [budgetsResponse, statusResponse] = await Promise.all([
+        axios.get('/budgets'),
+        axios.get('/budgets/status')
+      ]);
+
+      setBudgets(budgetsResponse.data.budgets);
+      setBudgetStatuses(statusResponse.data.budgets);
+    } catch (error) {
+      console.error('Budgets fetch error:', error);
+      setError('Failed to load budgets');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchCategories = async () => {
+    try {
+      const response = await axios.get('/categories');
+      setCategories(response.data);
+    } catch (error) {
+      console.error('Categories fetch error:', error);
+    }
+  };
+
+  const handleFormChange = (key, value) => {
+    setFormData(prev => ({ ...prev, [key]: value }));
+  };
+
+  const openAddModal = () => {
+    setCurrentBudget(null);
+    setFormData(emptyBudget);
+    setShowModal(true);
+  };
+
+  const openEditModal = (budget) => {
+    setCurrentBudget(budget);
+    setFormData({
+      name: budget.name || '',
+      category: budget.category || '',
+      amount: budget.amount.toString(),
+      period: budget.period,
+      rollover: budget.rollover,
+      isActive: budget.isActive
+    });
+    setShowModal(true);
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setCurrentBudget(null);
+  };
+
+  const handleSaveBudget = async (e) => {
+    e.preventDefault();
+    try {
+      const budgetData = {
+        ...formData,
+        amount: parseFloat(formData.amount),
+        category: formData.category || null
+      };
+
+      if (currentBudget) {
+        await axios.put(`/budgets/${currentBudget._id}`, budgetData);
+      } else {
+        await axios.post('/budgets', budgetData);
+      }
+
+      closeModal();
+      fetchBudgets();
+    } catch (error) {
+      console.error('Save budget error:', error);
+      setError(error.response?.data?.message || 'Failed to save budget');
+    }
+  };
+
+  const handleDeleteBudget = async (budget) => {
+    if (!window.confirm(`Delete the ${budget.displayName} budget?`)) return;
+
+    try {
+      await axios.delete(`/budgets/${budget._id}`);
+      fetchBudgets();
+    } catch (error) {
+      console.error('Delete budget error:', error);
+      setError('Failed to delete budget');
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: user?.currency || 'USD'
+    }).format(amount);
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString();
+  };
+
+  const getProgressVariant = (percentage) => {
+    return percentage > 90 ? 'danger' : percentage > 70 ? 'warning' : 'success';
+  };
+
+  if (loading && budgets.length === 0) {
+    return <LoadingSpinner message="Loading budgets..." />;
+  }
+
+  return (
+    <Container className="py-4">
+      {/* Header */}
+      <Row className="mb-4">
+        <Col>
+          <div className="d-flex justify-content-between align-items-center">
+            <div>
+              <h2 className="mb-1">Budgets</h2>
+              <p className="text-muted mb-0">Set spending limits per category and period</p>
+            </div>
+            <Button variant="primary" onClick={openAddModal}>
+              <i className="bi bi-plus-circle me-2"></i>
+              Add Budget
+            </Button>
+          </div>
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {/* Current Period Status */}
+      {budgetStatuses.length > 0 && (
+        <Row className="mb-4">
+          {budgetStatuses.map((status) => (
+            <Col md={6} lg={4} key={status.budget._id} className="mb-3">
+              <Card className="h-100 border-0 shadow-sm">
+                <Card.Body>
+                  <div className="d-flex justify-content-between align-items-center mb-2">
+                    <h6 className="mb-0">{status.budget.displayName}</h6>
+                    <Badge bg="light" text="dark">{status.budget.period}</Badge>
+                  </div>
+                  <ProgressBar
+                    now={Math.min(status.percentage, 100)}
+                    variant={getProgressVariant(status.percentage)}
+                    className="mb-2"
+                  />
+                  <div className="d-flex justify-content-between small">
+                    <span>{formatCurrency(status.spent)} of {formatCurrency(status.limit)}</span>
+                    <span className={status.remaining >= 0 ? 'text-success' : 'text-danger'}>
+                      {formatCurrency(Math.abs(status.remaining))} {status.remaining >= 0 ? 'left' : 'over'}
+                    </span>
+                  </div>
+                  <small className="text-muted">
+                    {formatDate(status.periodStart)} - {formatDate(new Date(new Date(status.periodEnd).getTime() - 1))}
+                    {status.rolloverAmount > 0 && ` • includes ${formatCurrency(status.rolloverAmount)} rollover`}
+                  </small>
+                </Card.Body>
+              </Card>
+            </Col>
+          ))}
+        </Row>
+      )}
+
+      {/* Budgets Table */}
+      <Card>
+        <Card.Body className="p-0">
+          <Table responsive hover className="mb-0">
+            <thead className="bg-light">
+              <tr>
+                <th>Name</th>
+                <th>Category</th>
+                <th>Period</th>
+                <th className="text-end">Limit</th>
+                <th>Rollover</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {budgets.map((budget) => (
+                <tr key={budget._id}>
+                  <td>{budget.displayName}</td>
+                  <td>{budget.category || 'All Expenses'}</td>
+                  <td className="text-capitalize">{budget.period}</td>
+                  <td className="text-end fw-bold">{formatCurrency(budget.amount)}</td>
+                  <td>{budget.rollover ? 'Yes' : 'No'}</td>
+                  <td>
+                    <Badge bg={budget.isActive ? 'success' : 'secondary'}>
+                      {budget.isActive ? 'Active' : 'Paused'}
+                    </Badge>
+                  </td>
+                  <td>
+                    <div className="d-flex gap-1">
+                      <Button variant="outline-primary" size="sm" onClick={() => openEditModal(budget)}>
+                        <i className="bi bi-pencil"></i>
+                      </Button>
+                      <Button variant="outline-danger" size="sm" onClick={() => handleDeleteBudget(budget)}>
+                        <i className="bi bi-trash"></i>
+                      </Button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+
+          {budgets.length === 0 && !loading && (
+            <div className="text-center py-5">
+              <i className="bi bi-piggy-bank display-1 text-muted"></i>
+              <h4 className="mt-3">No budgets yet</h4>
+              <p className="text-muted">Create a budget to start tracking your spending limits</p>
+              <Button variant="primary" onClick={openAddModal}>
+                <i className="bi bi-plus-circle me-2"></i>
+                Add Budget
+              </Button>
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+
+      {/* Add/Edit Budget Modal */}
+      <Modal show={showModal} onHide={closeModal}>
+        <Modal.Header closeButton>
+          <Modal.Title>{currentBudget ? 'Edit Budget' : 'Add New Budget'}</Modal.Title>
+        </Modal.Header>
+        <Form onSubmit={handleSaveBudget}>
+          <Modal.Body>
+            <Form.Group className="mb-3">
+              <Form.Label>Name</Form.Label>
+              <Form.Control
+                type="text"
+                placeholder="Optional"
+                value={formData.name}
+                onChange={(e) => handleFormChange('name', e.target.value)}
+              />
+            </Form.Group>
+            <Form.Group className="mb-3">
+              <Form.Label>Category</Form.Label>
+              <Form.Select
+                value={formData.category}
+                onChange={(e) => handleFormChange('category', e.target.value)}
+              >
+                <option value="">All Expenses</option>
+                {categories.expense.map(cat => (
+                  <option key={cat} value={cat}>{cat}</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Limit *</Form.Label>
+                  <Form.Control
+                    type="number"
+                    step="0.01"
+                    min="0.01"
+                    value={formData.amount}
+                    onChange={(e) => handleFormChange('amount', e.target.value)}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Period</Form.Label>
+                  <Form.Select
+                    value={formData.period}
+                    onChange={(e) => handleFormChange('period', e.target.value)}
+                  >
+                    <option value="weekly">Weekly</option>
+                    <option value="monthly">Monthly</option>
+                    <option value="quarterly">Quarterly</option>
+                    <option value="yearly">Yearly</option>
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+            </Row>
+            <Form.Check
+              type="switch"
+              id="budget-rollover"
+              label="Roll over unspent amount to the next period"
+              checked={formData.rollover}
+              onChange={(e) => handleFormChange('rollover', e.target.checked)}
+            />
+            <Form.Check
+              type="switch"
+              id="budget-active"
+              label="Active"
+              checked={formData.isActive}
+              onChange={(e) => handleFormChange('isActive', e.target.checked)}
+            />
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={closeModal}>
+              Cancel
+            </Button>
+            <Button variant="primary" type="submit">
+              {currentBudget ? 'Update Budget' : 'Add Budget'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </Container>
+  );
+};
+
+export default BudgetsPage;
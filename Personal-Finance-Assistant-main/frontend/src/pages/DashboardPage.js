@@ -9,6 +9,8 @@ const DashboardPage = () => {
   const { user } = useAuth();
   const [summary, setSummary] = useState(null);
   const [recentTransactions, setRecentTransactions] = useState([]);
+  const [budgetStatuses, setBudgetStatuses] = useState([]);
+  const [upcomingBills, setUpcomingBills] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
@@ -26,7 +28,7 @@ const DashboardPage = () => {
       const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
       const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0);
 
-      const [summaryResponse, transactionsResponse] = await Promise.all([
+      const [summaryResponse, transactionsResponse, budgetsResponse, upcomingResponse] = await Promise.all([
         axios.get('/transactions/analytics/summary', {
           params: {
             startDate: startOfMonth.toISOString(),
@@ -39,11 +41,15 @@ const DashboardPage = () => {
             sortBy: 'date',
             sortOrder: 'desc'
           }
-        })
+        }),
+        axios.get('/budgets/status'),
+        axios.get('/transactions/recurring/upcoming', { params: { days: 30 } })
       ]);
 
       setSummary(summaryResponse.data);
       setRecentTransactions(transactionsResponse.data.transactions);
+      setBudgetStatuses(budgetsResponse.data.budgets);
+      setUpcomingBills(upcomingResponse.data.upcoming.filter(item => item.type === 'expense'));
     } catch (error) {
       console.error('Dashboard data fetch error:', error);
       setError('Failed to load dashboard data');
@@ -52,10 +58,10 @@ const DashboardPage = () => {
     }
   };
 
-  const formatCurrency = (amount) => {
+  const formatCurrency = (amount, currency) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: user?.currency || 'USD'
+      currency: currency || user?.currency || 'USD'
     }).format(amount);
   };
 
@@ -64,10 +70,15 @@ const DashboardPage = () => {
   };
 
   const getTransactionTypeColor = (type) => {
-    return type === 'income' ? 'success' : 'danger';
+    return type === 'income' ? 'success' : type === 'transfer' ? 'secondary' : 'danger';
+  };
+
+  const getPeriodLabel = (period) => {
+    return { weekly: 'week', monthly: 'month', quarterly: 'quarter', yearly: 'year' }[period] || 'period';
   };
 
   const getTransactionIcon = (type) => {
+    if (type === 'transfer') return 'bi-arrow-left-right';
     return type === 'income' ? 'bi-arrow-up-circle' : 'bi-arrow-down-circle';
   };
 
@@ -281,8 +292,8 @@ const DashboardPage = () => {
                           {formatDate(transaction.date)}
                         </td>
                         <td className={`text-end text-${getTransactionTypeColor(transaction.type)} transaction-amount`}>
-                          {transaction.type === 'income' ? '+' : '-'}
-                          {formatCurrency(transaction.amount)}
+                          {transaction.type === 'income' ? '+' : transaction.type === 'expense' ? '-' : ''}
+                          {formatCurrency(transaction.amount, transaction.currency)}
                         </td>
                       </tr>
                     ))}
@@ -337,58 +348,76 @@ const DashboardPage = () => {
             </Card.Body>
           </Card>
 
+          {/* Upcoming Bills */}
+          <Card className="border-0 shadow-sm mb-4">
+            <Card.Header className="bg-white border-0">
+              <h5 className="mb-0">
+                <i className="bi bi-calendar-event me-2"></i>
+                Upcoming Bills
+              </h5>
+            </Card.Header>
+            <Card.Body>
+              {upcomingBills.length > 0 ? (
+                upcomingBills.slice(0, 5).map((bill) => (
+                  <div key={`${bill.templateId}-${bill.date}`} className="d-flex justify-content-between align-items-center mb-2">
+                    <div>
+                      <div>{bill.description}</div>
+                      <small className="text-muted">{formatDate(bill.date)} • {bill.category}</small>
+                    </div>
+                    <span className="text-danger">{formatCurrency(bill.amount, bill.currency)}</span>
+                  </div>
+                ))
+              ) : (
+                <p className="text-muted text-center mb-0">No bills due in the next 30 days</p>
+              )}
+            </Card.Body>
+          </Card>
+
           {/* Budget Status */}
-          {user?.monthlyBudget > 0 && (
-            <Card className="border-0 shadow-sm budget-card">
-              <Card.Header className="bg-white border-0 budget-header">
+          <Card className="border-0 shadow-sm budget-card">
+            <Card.Header className="bg-white border-0 budget-header">
+              <div className="d-flex justify-content-between align-items-center">
                 <h5 className="mb-0">
                   <i className="bi bi-piggy-bank me-2"></i>
-                  Monthly Budget
+                  Budgets
                 </h5>
-              </Card.Header>
-              <Card.Body>
-                <div className="budget-stats mb-3">
-                  <div className="budget-stat-item">
-                    <span className="budget-label">Spent</span>
-                    <span className="budget-value spent">{formatCurrency(summary?.summary?.totalExpenses || 0)}</span>
-                  </div>
-                  <div className="budget-stat-item">
-                    <span className="budget-label">Budget</span>
-                    <span className="budget-value budget">{formatCurrency(user.monthlyBudget)}</span>
+                <Link to="/budgets" className="btn btn-sm btn-outline-primary view-all-btn">
+                  Manage
+                </Link>
+              </div>
+            </Card.Header>
+            <Card.Body>
+              {budgetStatuses.length > 0 ? (
+                budgetStatuses.map((status) => (
+                  <div key={status.budget._id} className="mb-3">
+                    <div className="d-flex justify-content-between align-items-center mb-1">
+                      <span className="budget-label">{status.budget.displayName}</span>
+                      <small className="text-muted">
+                        {formatCurrency(status.spent)} / {formatCurrency(status.limit)}
+                      </small>
+                    </div>
+                    <div className="progress budget-progress" style={{ height: '12px' }}>
+                      <div 
+                        className={`progress-bar ${status.percentage > 90 ? 'bg-danger' : status.percentage > 70 ? 'bg-warning' : 'bg-success'}`}
+                        style={{ width: `${Math.min(status.percentage, 100)}%` }}
+                      ></div>
+                    </div>
+                    <small className={status.remaining >= 0 ? 'text-success' : 'text-danger'}>
+                      {formatCurrency(Math.abs(status.remaining))} {status.remaining >= 0 ? 'remaining' : 'over budget'} this {getPeriodLabel(status.budget.period)}
+                    </small>
                   </div>
+                ))
+              ) : (
+                <div className="text-center empty-state">
+                  <p className="text-muted mb-2">No budgets set up yet</p>
+                  <Link to="/budgets" className="btn btn-sm btn-primary">
+                    <i className="bi bi-plus-circle me-1"></i>
+                    Create Budget
+                  </Link>
                 </div>
-                
-                {(() => {
-                  const spent = summary?.summary?.totalExpenses || 0;
-                  const budget = user.monthlyBudget;
-                  const percentage = budget > 0 ? (spent / budget) * 100 : 0;
-                  const remaining = budget - spent;
-                  
-                  return (
-                    <>
-                      <div className="budget-progress-container">
-                        <div className="progress budget-progress" style={{ height: '12px' }}>
-                          <div 
-                            className={`progress-bar ${percentage > 90 ? 'bg-danger' : percentage > 70 ? 'bg-warning' : 'bg-success'}`}
-                            style={{ width: `${Math.min(percentage, 100)}%` }}
-                          ></div>
-                        </div>
-                      </div>
-                      
-                      <div className="text-center budget-summary">
-                        <div className={`budget-remaining ${remaining >= 0 ? 'text-success' : 'text-danger'}`}>
-                          {formatCurrency(Math.abs(remaining))} {remaining >= 0 ? 'remaining' : 'over budget'}
-                        </div>
-                        <small className="text-muted budget-percentage">
-                          {percentage.toFixed(1)}% of budget used
-                        </small>
-                      </div>
-                    </>
-                  );
-                })()}
-              </Card.Body>
-            </Card>
-          )}
+              )}
+            </Card.Body>
+          </Card>
         </Col>
       </Row>
     </Container>
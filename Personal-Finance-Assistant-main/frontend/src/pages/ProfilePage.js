@@ -3,6 +3,7 @@ import { Container, Row, Col, Card, Button, Form, Alert, Modal, Badge, ProgressB
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import LoadingSpinner from '../components/LoadingSpinner';
+import ExchangeRatesCard from '../components/ExchangeRatesCard';
 
 const ProfilePage = () => {
   const { user, updateUser, logout } = useAuth();
@@ -12,6 +13,8 @@ const ProfilePage = () => {
   const [userStats, setUserStats] = useState(null);
   const [showPasswordModal, setShowPasswordModal] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [showRestoreModal, setShowRestoreModal] = useState(false);
+  const [restoring, setRestoring] = useState(false);
 
   // Profile form state
   const [profileData, setProfileData] = useState({
@@ -34,6 +37,13 @@ const ProfilePage = () => {
     confirmation: ''
   });
 
+  // Backup restore form state
+  const [restoreData, setRestoreData] = useState({
+    file: null,
+    mode: 'merge',
+    password: ''
+  });
+
   useEffect(() => {
     if (user) {
       setProfileData({
@@ -67,7 +77,7 @@ const ProfilePage = () => {
 
       const response = await axios.put('/auth/profile', profileData);
       updateUser(response.data.user);
-      setSuccess('Profile updated successfully!');
+      setSuccess(response.data.limitsConverted ? response.data.message : 'Profile updated successfully!');
     } catch (error) {
       console.error('Profile update error:', error);
       setError(error.response?.data?.message || 'Failed to update profile');
@@ -129,6 +139,54 @@ const ProfilePage = () => {
     }
   };
 
+  const handleBackupDownload = async (format) => {
+    try {
+      setError('');
+      const response = await axios.get('/auth/export', { params: { format }, responseType: 'blob' });
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `finance-backup-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Backup download error:', error);
+      setError('Failed to download backup');
+    }
+  };
+
+  const handleRestore = async (e) => {
+    e.preventDefault();
+    try {
+      setError('');
+      setSuccess('');
+      setRestoring(true);
+
+      const formData = new FormData();
+      formData.append('file', restoreData.file);
+      formData.append('mode', restoreData.mode);
+      formData.append('password', restoreData.password);
+
+      const response = await axios.post('/auth/restore', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+
+      const { summary } = response.data;
+      const restored = ['transactions', 'categories', 'budgets', 'rules', 'importProfiles']
+        .map(key => summary[key]?.restored || 0)
+        .reduce((sum, count) => sum + count, 0);
+      setSuccess(`Backup restored: ${summary.transactions?.restored || 0} transactions and ${restored} records in total.`);
+      setShowRestoreModal(false);
+      setRestoreData({ file: null, mode: 'merge', password: '' });
+      fetchUserStats();
+    } catch (error) {
+      console.error('Backup restore error:', error);
+      setError(error.response?.data?.message || 'Failed to restore backup');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
@@ -340,6 +398,9 @@ const ProfilePage = () => {
               </Card.Body>
             </Card>
           )}
+
+          {/* Exchange Rates */}
+          <ExchangeRatesCard baseCurrency={user?.currency || 'USD'} />
         </Col>
 
         {/* Account Actions & Info */}
@@ -367,13 +428,38 @@ const ProfilePage = () => {
             </Card.Body>
           </Card>
 
+          <Card className="mb-4">
+            <Card.Header>
+              <h5 className="mb-0">Backup &amp; Restore</h5>
+            </Card.Header>
+            <Card.Body>
+              <p className="text-muted small mb-3">
+                Download everything in your account: profile, transactions, categories, budgets, rules and receipts.
+              </p>
+              <div className="d-flex gap-2 mb-2">
+                <Button variant="outline-primary" size="sm" className="flex-fill" onClick={() => handleBackupDownload('zip')}>
+                  <i className="bi bi-file-earmark-zip me-2"></i>
+                  ZIP
+                </Button>
+                <Button variant="outline-primary" size="sm" className="flex-fill" onClick={() => handleBackupDownload('json')}>
+                  <i className="bi bi-filetype-json me-2"></i>
+                  JSON
+                </Button>
+              </div>
+              <Button variant="outline-secondary" size="sm" className="w-100" onClick={() => setShowRestoreModal(true)}>
+                <i className="bi bi-upload me-2"></i>
+                Restore from Backup
+              </Button>
+            </Card.Body>
+          </Card>
+
           <Card className="border-danger">
             <Card.Header className="bg-danger text-white">
               <h5 className="mb-0">Danger Zone</h5>
             </Card.Header>
             <Card.Body>
               <p className="text-muted small mb-3">
-                Once you delete your account, there is no going back. Please be certain.
+                Once you delete your account, there is no going back. Please be certain, and download a backup first.
               </p>
               <Button 
                 variant="danger" 
@@ -440,6 +526,67 @@ const ProfilePage = () => {
         </Form>
       </Modal>
 
+      {/* Restore Backup Modal */}
+      <Modal show={showRestoreModal} onHide={() => setShowRestoreModal(false)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Restore from Backup</Modal.Title>
+        </Modal.Header>
+        <Form onSubmit={handleRestore}>
+          <Modal.Body>
+            <Form.Group className="mb-3">
+              <Form.Label>Backup file</Form.Label>
+              <Form.Control
+                type="file"
+                accept=".zip,.json"
+                onChange={(e) => setRestoreData(prev => ({ ...prev, file: e.target.files[0] || null }))}
+                required
+              />
+            </Form.Group>
+            <Form.Group className="mb-3">
+              <Form.Label>How to restore</Form.Label>
+              <Form.Check
+                type="radio"
+                id="restore-merge"
+                name="restore-mode"
+                label="Merge: keep current data and add what is missing"
+                checked={restoreData.mode === 'merge'}
+                onChange={() => setRestoreData(prev => ({ ...prev, mode: 'merge' }))}
+              />
+              <Form.Check
+                type="radio"
+                id="restore-replace"
+                name="restore-mode"
+                label="Replace: delete current data and restore the backup"
+                checked={restoreData.mode === 'replace'}
+                onChange={() => setRestoreData(prev => ({ ...prev, mode: 'replace' }))}
+              />
+            </Form.Group>
+            {restoreData.mode === 'replace' && (
+              <Alert variant="warning" className="py-2">
+                Your current transactions, categories, budgets, rules and import mappings will be deleted.
+              </Alert>
+            )}
+            <Form.Group className="mb-3">
+              <Form.Label>Enter your password to confirm</Form.Label>
+              <Form.Control
+                type="password"
+                value={restoreData.password}
+                onChange={(e) => setRestoreData(prev => ({ ...prev, password: e.target.value }))}
+                required
+              />
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowRestoreModal(false)}>
+              Cancel
+            </Button>
+            <Button variant="primary" type="submit" disabled={restoring || !restoreData.file}>
+              {restoring ? 'Restoring...' : 'Restore'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
       {/* Delete Account Modal */}
       <Modal show={showDeleteModal} onHide={() => setShowDeleteModal(false)}>
         <Modal.Header closeButton>
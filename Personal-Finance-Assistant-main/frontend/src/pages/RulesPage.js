@@ -0,0 +1,557 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Button, Form, Table, Badge, Modal, Alert } from 'react-bootstrap';
+import { useAuth } from '../contexts/AuthContext';
+import axios from 'axios';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const emptyCondition = { field: 'description', operator: 'contains', value: '' };
+
+const emptyRule = {
+  name: '',
+  priority: 100,
+  isActive: true,
+  transactionType: '',
+  matchAll: true,
+  conditions: [emptyCondition],
+  amountMin: '',
+  amountMax: '',
+  category: '',
+  subcategory: '',
+  tags: ''
+};
+
+const fieldLabels = {
+  description: 'Description',
+  merchant: 'Merchant',
+  paymentMethod: 'Payment method',
+  notes: 'Notes'
+};
+
+const RulesPage = () => {
+  const { user } = useAuth();
+  const [rules, setRules] = useState([]);
+  const [categories, setCategories] = useState({ expense: [], income: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [currentRule, setCurrentRule] = useState(null);
+  const [formData, setFormData] = useState(emptyRule);
+  const [testResult, setTestResult] = useState(null);
+  const [testing, setTesting] = useState(false);
+  const [applying, setApplying] = useState(false);
+
+  useEffect(() => {
+    fetchRules();
+    fetchCategories();
+  }, []);
+
+  const fetchRules = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await axios.get('/rules');
+      setRules(response.data.rules);
+    } catch (error) {
+      console.error('Rules fetch error:', error);
+      setError('Failed to load rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchCategories = async () => {
+    try {
+      const response = await axios.get('/categories');
+      setCategories(response.data);
+    } catch (error) {
+      console.error('Categories fetch error:', error);
+    }
+  };
+
+  const handleFormChange = (key, value) => {
+    setFormData(prev => ({ ...prev, [key]: value }));
+    setTestResult(null);
+  };
+
+  const handleConditionChange = (index, key, value) => {
+    setFormData(prev => ({
+      ...prev,
+      conditions: prev.conditions.map((condition, i) => (i === index ? { ...condition, [key]: value } : condition))
+    }));
+    setTestResult(null);
+  };
+
+  const addCondition = () => {
+    setFormData(prev => ({ ...prev, conditions: [...prev.conditions, emptyCondition] }));
+  };
+
+  const removeCondition = (index) => {
+    setFormData(prev => ({ ...prev, conditions: prev.conditions.filter((_, i) => i !== index) }));
+    setTestResult(null);
+  };
+
+  const openAddModal = () => {
+    setCurrentRule(null);
+    setFormData(emptyRule);
+    setTestResult(null);
+    setShowModal(true);
+  };
+
+  const openEditModal = (rule) => {
+    setCurrentRule(rule);
+    setFormData({
+      name: rule.name,
+      priority: rule.priority,
+      isActive: rule.isActive,
+      transactionType: rule.transactionType || '',
+      matchAll: rule.matchAll,
+      conditions: rule.conditions.length > 0 ? rule.conditions : [emptyCondition],
+      amountMin: rule.amountMin != null ? rule.amountMin.toString() : '',
+      amountMax: rule.amountMax != null ? rule.amountMax.toString() : '',
+      category: rule.actions?.category || '',
+      subcategory: rule.actions?.subcategory || '',
+      tags: rule.actions?.tags ? rule.actions.tags.join(', ') : ''
+    });
+    setTestResult(null);
+    setShowModal(true);
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setCurrentRule(null);
+    setTestResult(null);
+  };
+
+  const buildRuleData = () => ({
+    name: formData.name,
+    priority: parseInt(formData.priority, 10) || 0,
+    isActive: formData.isActive,
+    transactionType: formData.transactionType || null,
+    matchAll: formData.matchAll,
+    conditions: formData.conditions.filter(condition => condition.value.trim()),
+    amountMin: formData.amountMin !== '' ? parseFloat(formData.amountMin) : null,
+    amountMax: formData.amountMax !== '' ? parseFloat(formData.amountMax) : null,
+    actions: {
+      category: formData.category || null,
+      subcategory: formData.subcategory || null,
+      tags: formData.tags ? formData.tags.split(',').map(tag => tag.trim()).filter(Boolean) : []
+    }
+  });
+
+  const getErrorMessage = (error, fallback) => {
+    return error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback;
+  };
+
+  const handleTestRule = async () => {
+    try {
+      setTesting(true);
+      const response = await axios.post('/rules/test', buildRuleData());
+      setTestResult(response.data);
+    } catch (error) {
+      console.error('Test rule error:', error);
+      setError(getErrorMessage(error, 'Failed to test rule'));
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const handleSaveRule = async (e) => {
+    e.preventDefault();
+    try {
+      const ruleData = buildRuleData();
+
+      if (currentRule) {
+        await axios.put(`/rules/${currentRule._id}`, ruleData);
+      } else {
+        await axios.post('/rules', ruleData);
+      }
+
+      closeModal();
+      fetchRules();
+    } catch (error) {
+      console.error('Save rule error:', error);
+      setError(getErrorMessage(error, 'Failed to save rule'));
+    }
+  };
+
+  const handleDeleteRule = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"?`)) return;
+
+    try {
+      await axios.delete(`/rules/${rule._id}`);
+      fetchRules();
+    } catch (error) {
+      console.error('Delete rule error:', error);
+      setError('Failed to delete rule');
+    }
+  };
+
+  const handleApplyRules = async () => {
+    if (!window.confirm('Re-apply all active rules to your existing transactions? Matching transactions will be recategorized.')) return;
+
+    try {
+      setApplying(true);
+      const response = await axios.post('/rules/apply');
+      const skipped = response.data.skippedCount
+        ? `; ${response.data.skippedCount} you categorized by hand were left as they are`
+        : '';
+      setSuccess(`Checked ${response.data.checkedCount || 0} transactions, updated ${response.data.updatedCount}${skipped}`);
+    } catch (error) {
+      console.error('Apply rules error:', error);
+      setError('Failed to apply rules');
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: user?.currency || 'USD'
+    }).format(amount);
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString();
+  };
+
+  const describeRule = (rule) => {
+    const parts = rule.conditions.map(condition =>
+      `${fieldLabels[condition.field]} ${condition.operator} "${condition.value}"`
+    );
+    if (rule.amountMin != null) parts.push(`amount ≥ ${formatCurrency(rule.amountMin)}`);
+    if (rule.amountMax != null) parts.push(`amount ≤ ${formatCurrency(rule.amountMax)}`);
+    return parts.join(rule.matchAll ? ' and ' : ' or ');
+  };
+
+  const categoryOptions = formData.transactionType === 'income'
+    ? categories.income
+    : formData.transactionType === 'expense'
+      ? categories.expense
+      : [...new Set([...categories.expense, ...categories.income])];
+
+  if (loading && rules.length === 0) {
+    return <LoadingSpinner message="Loading rules..." />;
+  }
+
+  return (
+    <Container className="py-4">
+      {/* Header */}
+      <Row className="mb-4">
+        <Col>
+          <div className="d-flex justify-content-between align-items-center">
+            <div>
+              <h2 className="mb-1">Categorization Rules</h2>
+              <p className="text-muted mb-0">Rules run in priority order on every new and imported transaction</p>
+            </div>
+            <div className="d-flex gap-2">
+              <Button variant="outline-primary" onClick={handleApplyRules} disabled={applying || rules.length === 0}>
+                <i className="bi bi-arrow-clockwise me-2"></i>
+                {applying ? 'Applying...' : 'Re-apply to Existing'}
+              </Button>
+              <Button variant="primary" onClick={openAddModal}>
+                <i className="bi bi-plus-circle me-2"></i>
+                Add Rule
+              </Button>
+            </div>
+          </div>
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {success && (
+        <Alert variant="success" dismissible onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      {/* Rules Table */}
+      <Card>
+        <Card.Body className="p-0">
+          <Table responsive hover className="mb-0">
+            <thead className="bg-light">
+              <tr>
+                <th>Priority</th>
+                <th>Name</th>
+                <th>When</th>
+                <th>Then</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map((rule) => (
+                <tr key={rule._id}>
+                  <td>{rule.priority}</td>
+                  <td>
+                    <div className="fw-medium">{rule.name}</div>
+                    {rule.transactionType && (
+                      <small className="text-muted text-capitalize">{rule.transactionType} only</small>
+                    )}
+                  </td>
+                  <td><small>{describeRule(rule)}</small></td>
+                  <td>
+                    {rule.actions?.category && <Badge bg="light" text="dark" className="me-1">{rule.actions.category}</Badge>}
+                    {rule.actions?.subcategory && <Badge bg="light" text="dark" className="me-1">{rule.actions.subcategory}</Badge>}
+                    {rule.actions?.tags?.map(tag => (
+                      <Badge key={tag} bg="secondary" className="me-1">#{tag}</Badge>
+                    ))}
+                  </td>
+                  <td>
+                    <Badge bg={rule.isActive ? 'success' : 'secondary'}>
+                      {rule.isActive ? 'Active' : 'Paused'}
+                    </Badge>
+                  </td>
+                  <td>
+                    <div className="d-flex gap-1">
+                      <Button variant="outline-primary" size="sm" onClick={() => openEditModal(rule)}>
+                        <i className="bi bi-pencil"></i>
+                      </Button>
+                      <Button variant="outline-danger" size="sm" onClick={() => handleDeleteRule(rule)}>
+                        <i className="bi bi-trash"></i>
+                      </Button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+
+          {rules.length === 0 && !loading && (
+            <div className="text-center py-5">
+              <i className="bi bi-funnel display-1 text-muted"></i>
+              <h4 className="mt-3">No rules yet</h4>
+              <p className="text-muted">Built-in keyword matching is used until you add your own rules</p>
+              <Button variant="primary" onClick={openAddModal}>
+                <i className="bi bi-plus-circle me-2"></i>
+                Add Rule
+              </Button>
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+
+      {/* Add/Edit Rule Modal */}
+      <Modal show={showModal} onHide={closeModal} size="lg">
+        <Modal.Header closeButton>
+          <Modal.Title>{currentRule ? 'Edit Rule' : 'Add New Rule'}</Modal.Title>
+        </Modal.Header>
+        <Form onSubmit={handleSaveRule}>
+          <Modal.Body>
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Name *</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={formData.name}
+                    onChange={(e) => handleFormChange('name', e.target.value)}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={3}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Priority</Form.Label>
+                  <Form.Control
+                    type="number"
+                    value={formData.priority}
+                    onChange={(e) => handleFormChange('priority', e.target.value)}
+                  />
+                  <Form.Text className="text-muted">Lower runs first</Form.Text>
+                </Form.Group>
+              </Col>
+              <Col md={3}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Applies to</Form.Label>
+                  <Form.Select
+                    value={formData.transactionType}
+                    onChange={(e) => handleFormChange('transactionType', e.target.value)}
+                  >
+                    <option value="">All</option>
+                    <option value="expense">Expenses</option>
+                    <option value="income">Income</option>
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <div className="d-flex justify-content-between align-items-center mb-2">
+              <h6 className="mb-0">Conditions</h6>
+              <Form.Select
+                size="sm"
+                style={{ width: 'auto' }}
+                value={formData.matchAll ? 'all' : 'any'}
+                onChange={(e) => handleFormChange('matchAll', e.target.value === 'all')}
+              >
+                <option value="all">Match all conditions</option>
+                <option value="any">Match any condition</option>
+              </Form.Select>
+            </div>
+            {formData.conditions.map((condition, index) => (
+              <Row key={index} className="mb-2 g-2">
+                <Col md={3}>
+                  <Form.Select
+                    value={condition.field}
+                    onChange={(e) => handleConditionChange(index, 'field', e.target.value)}
+                  >
+                    {Object.entries(fieldLabels).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </Form.Select>
+                </Col>
+                <Col md={3}>
+                  <Form.Select
+                    value={condition.operator}
+                    onChange={(e) => handleConditionChange(index, 'operator', e.target.value)}
+                  >
+                    <option value="contains">contains</option>
+                    <option value="exact">is exactly</option>
+                    <option value="regex">matches regex</option>
+                  </Form.Select>
+                </Col>
+                <Col md={5}>
+                  <Form.Control
+                    type="text"
+                    value={condition.value}
+                    onChange={(e) => handleConditionChange(index, 'value', e.target.value)}
+                  />
+                </Col>
+                <Col md={1}>
+                  <Button variant="outline-danger" onClick={() => removeCondition(index)}>
+                    <i className="bi bi-x"></i>
+                  </Button>
+                </Col>
+              </Row>
+            ))}
+            <Button variant="link" size="sm" className="px-0 mb-3" onClick={addCondition}>
+              <i className="bi bi-plus me-1"></i>
+              Add condition
+            </Button>
+
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Minimum amount</Form.Label>
+                  <Form.Control
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={formData.amountMin}
+                    onChange={(e) => handleFormChange('amountMin', e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Maximum amount</Form.Label>
+                  <Form.Control
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={formData.amountMax}
+                    onChange={(e) => handleFormChange('amountMax', e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <h6>Actions</h6>
+            <Row>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Set category</Form.Label>
+                  <Form.Select
+                    value={formData.category}
+                    onChange={(e) => handleFormChange('category', e.target.value)}
+                  >
+                    <option value="">Keep category</option>
+                    {categoryOptions.map(cat => (
+                      <option key={cat} value={cat}>{cat}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Set subcategory</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={formData.subcategory}
+                    onChange={(e) => handleFormChange('subcategory', e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Add tags</Form.Label>
+                  <Form.Control
+                    type="text"
+                    placeholder="Separate with commas"
+                    value={formData.tags}
+                    onChange={(e) => handleFormChange('tags', e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+
+            <Form.Check
+              type="switch"
+              id="rule-active"
+              label="Active"
+              checked={formData.isActive}
+              onChange={(e) => handleFormChange('isActive', e.target.checked)}
+            />
+
+            {testResult && (
+              <Alert variant="info" className="mt-3 mb-0">
+                <div className="mb-2">
+                  Matches <strong>{testResult.matchCount}</strong> of {testResult.totalTransactions} transactions
+                  {' '}• would change <strong>{testResult.changeCount}</strong>
+                </div>
+                {testResult.matches.length > 0 && (
+                  <Table size="sm" className="mb-0 bg-white">
+                    <tbody>
+                      {testResult.matches.slice(0, 10).map(match => (
+                        <tr key={match._id}>
+                          <td>{formatDate(match.date)}</td>
+                          <td>{match.description}</td>
+                          <td className="text-end">{formatCurrency(match.amount)}</td>
+                          <td>
+                            {match.currentCategory !== match.proposedCategory ? (
+                              <span>{match.currentCategory} → <strong>{match.proposedCategory}</strong></span>
+                            ) : match.currentCategory}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                )}
+              </Alert>
+            )}
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="outline-secondary" onClick={handleTestRule} disabled={testing} className="me-auto">
+              <i className="bi bi-play me-1"></i>
+              {testing ? 'Testing...' : 'Test Against History'}
+            </Button>
+            <Button variant="secondary" onClick={closeModal}>
+              Cancel
+            </Button>
+            <Button variant="primary" type="submit">
+              {currentRule ? 'Update Rule' : 'Add Rule'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </Container>
+  );
+};
+
+export default RulesPage;
@@ -0,0 +1,255 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Button, Table, Badge, Alert } from 'react-bootstrap';
+import { useAuth } from '../contexts/AuthContext';
+import axios from 'axios';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const SubscriptionsPage = () => {
+  const { user } = useAuth();
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [totalMonthlyCost, setTotalMonthlyCost] = useState(0);
+  const [detected, setDetected] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [convertingId, setConvertingId] = useState(null);
+
+  useEffect(() => {
+    fetchSubscriptions();
+  }, []);
+
+  const fetchSubscriptions = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const [trackedResponse, detectedResponse] = await Promise.all([
+        axios.get('/subscriptions'),
+        axios.get('/subscriptions/detect')
+      ]);
+
+      setSubscriptions(trackedResponse.data.subscriptions);
+      setTotalMonthlyCost(trackedResponse.data.totalMonthlyCost);
+      setDetected(detectedResponse.data.subscriptions);
+    } catch (error) {
+      console.error('Subscriptions fetch error:', error);
+      setError('Failed to load subscriptions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const convertSubscription = async (subscription) => {
+    try {
+      setConvertingId(subscription.latestTransactionId);
+      await axios.post('/subscriptions/convert', {
+        transactionId: subscription.latestTransactionId,
+        frequency: subscription.frequency
+      });
+      setSuccess(`${subscription.description} is now tracked as a ${subscription.frequency} subscription`);
+      fetchSubscriptions();
+    } catch (error) {
+      console.error('Convert subscription error:', error);
+      setError(error.response?.data?.message || 'Failed to track subscription');
+    } finally {
+      setConvertingId(null);
+    }
+  };
+
+  const stopSubscription = async (subscription) => {
+    if (!window.confirm(`Stop generating ${subscription.description}?`)) return;
+
+    try {
+      await axios.put(`/transactions/${subscription._id}`, { recurringEndDate: new Date().toISOString() });
+      setSuccess(`${subscription.description} will no longer be generated`);
+      fetchSubscriptions();
+    } catch (error) {
+      console.error('Stop subscription error:', error);
+      setError('Failed to stop subscription');
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: user?.currency || 'USD'
+    }).format(amount);
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString();
+  };
+
+  const getConfidenceVariant = (confidence) => {
+    return confidence >= 0.8 ? 'success' : confidence >= 0.65 ? 'info' : 'secondary';
+  };
+
+  if (loading) {
+    return <LoadingSpinner message="Analyzing subscriptions..." />;
+  }
+
+  return (
+    <Container className="py-4">
+      {/* Header */}
+      <Row className="mb-4">
+        <Col>
+          <div className="d-flex justify-content-between align-items-center">
+            <div>
+              <h2 className="mb-1">Subscriptions</h2>
+              <p className="text-muted mb-0">Recurring charges found in your transaction history</p>
+            </div>
+            <Button variant="outline-primary" onClick={fetchSubscriptions}>
+              <i className="bi bi-arrow-clockwise me-2"></i>
+              Rescan
+            </Button>
+          </div>
+        </Col>
+      </Row>
+
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {success && (
+        <Alert variant="success" dismissible onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      {/* Detected Subscriptions */}
+      <Card className="mb-4">
+        <Card.Header>
+          <h5 className="mb-0">
+            <i className="bi bi-search me-2"></i>
+            Detected Recurring Charges
+          </h5>
+        </Card.Header>
+        <Card.Body className="p-0">
+          {detected.length > 0 ? (
+            <Table responsive hover className="mb-0">
+              <thead className="bg-light">
+                <tr>
+                  <th>Merchant</th>
+                  <th>Frequency</th>
+                  <th className="text-end">Amount</th>
+                  <th>Last Charge</th>
+                  <th>Next Expected</th>
+                  <th>Confidence</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {detected.map((subscription) => (
+                  <tr key={subscription.merchant}>
+                    <td>
+                      <div className="fw-medium">{subscription.description}</div>
+                      <small className="text-muted">
+                        {subscription.category} • {subscription.occurrences} charges
+                      </small>
+                      {subscription.priceIncrease && (
+                        <div>
+                          <Badge bg="warning" text="dark">
+                            <i className="bi bi-graph-up-arrow me-1"></i>
+                            Price up {subscription.priceIncrease.percent}%: {formatCurrency(subscription.priceIncrease.from)} → {formatCurrency(subscription.priceIncrease.to)}
+                          </Badge>
+                        </div>
+                      )}
+                    </td>
+                    <td className="text-capitalize">{subscription.frequency}</td>
+                    <td className="text-end fw-bold">{formatCurrency(subscription.lastAmount)}</td>
+                    <td>{formatDate(subscription.lastDate)}</td>
+                    <td>{formatDate(subscription.nextExpectedDate)}</td>
+                    <td>
+                      <Badge bg={getConfidenceVariant(subscription.confidence)}>
+                        {(subscription.confidence * 100).toFixed(0)}%
+                      </Badge>
+                    </td>
+                    <td>
+                      <Button
+                        variant="success"
+                        size="sm"
+                        onClick={() => convertSubscription(subscription)}
+                        disabled={convertingId === subscription.latestTransactionId}
+                      >
+                        <i className="bi bi-arrow-repeat me-1"></i>
+                        Track
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          ) : (
+            <div className="text-center py-4 text-muted">
+              No new recurring charges detected
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+
+      {/* Tracked Subscriptions */}
+      <Card>
+        <Card.Header>
+          <div className="d-flex justify-content-between align-items-center">
+            <h5 className="mb-0">
+              <i className="bi bi-arrow-repeat me-2"></i>
+              Tracked Recurring Transactions
+            </h5>
+            <span className="text-muted">
+              {formatCurrency(totalMonthlyCost)} / month
+            </span>
+          </div>
+        </Card.Header>
+        <Card.Body className="p-0">
+          {subscriptions.length > 0 ? (
+            <Table responsive hover className="mb-0">
+              <thead className="bg-light">
+                <tr>
+                  <th>Description</th>
+                  <th>Frequency</th>
+                  <th className="text-end">Amount</th>
+                  <th className="text-end">Monthly Cost</th>
+                  <th>Next</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {subscriptions.map((subscription) => (
+                  <tr key={subscription._id}>
+                    <td>
+                      <div className="fw-medium">{subscription.description}</div>
+                      <small className="text-muted">{subscription.category}</small>
+                    </td>
+                    <td className="text-capitalize">{subscription.recurringFrequency}</td>
+                    <td className={`text-end fw-bold ${subscription.type === 'income' ? 'text-success' : 'text-danger'}`}>
+                      {formatCurrency(subscription.recurringAmount || subscription.amount)}
+                    </td>
+                    <td className="text-end">{formatCurrency(subscription.monthlyCost)}</td>
+                    <td>
+                      {subscription.nextOccurrence ? formatDate(subscription.nextOccurrence) : 'Ended'}
+                    </td>
+                    <td>
+                      {subscription.nextOccurrence && (
+                        <Button variant="outline-danger" size="sm" onClick={() => stopSubscription(subscription)}>
+                          Stop
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          ) : (
+            <div className="text-center py-4 text-muted">
+              No recurring transactions yet
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default SubscriptionsPage;
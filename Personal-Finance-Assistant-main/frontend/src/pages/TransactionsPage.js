@@ -1,8 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Button, Form, Table, Badge, Modal, Alert, InputGroup } from 'react-bootstrap';
+import { Container, Row, Col, Card, Button, Form, Table, Badge, Modal, Alert, InputGroup, Dropdown } from 'react-bootstrap';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import LoadingSpinner from '../components/LoadingSpinner';
+import DuplicatesModal from '../components/DuplicatesModal';
+import TransactionAttachments from '../components/TransactionAttachments';
+
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'INR'];
 
 const TransactionsPage = () => {
   const { user } = useAuth();
@@ -14,6 +18,7 @@ const TransactionsPage = () => {
   const [filters, setFilters] = useState({
     type: '',
     category: '',
+    account: '',
     startDate: '',
     endDate: '',
     search: ''
@@ -21,9 +26,11 @@ const TransactionsPage = () => {
   const [showAddModal, setShowAddModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [showDuplicatesModal, setShowDuplicatesModal] = useState(false);
   const [selectedTransactions, setSelectedTransactions] = useState([]);
   const [currentTransaction, setCurrentTransaction] = useState(null);
-  const [categories, setCategories] = useState({ expense: [], income: [] });
+  const [categories, setCategories] = useState({ expense: [], income: [], transfer: [] });
+  const [accounts, setAccounts] = useState([]);
   const [sortBy, setSortBy] = useState('date');
   const [sortOrder, setSortOrder] = useState('desc');
 
@@ -31,17 +38,25 @@ const TransactionsPage = () => {
   const [formData, setFormData] = useState({
     type: 'expense',
     amount: '',
+    currency: '',
     category: '',
+    account: '',
+    toAccount: '',
     description: '',
     date: new Date().toISOString().split('T')[0],
     paymentMethod: 'cash',
     tags: '',
-    notes: ''
+    notes: '',
+    isRecurring: false,
+    recurringFrequency: 'monthly',
+    recurringEndDate: '',
+    splits: []
   });
 
   useEffect(() => {
     fetchTransactions();
     fetchCategories();
+    fetchAccounts();
   }, [currentPage, filters, sortBy, sortOrder]);
 
   const fetchTransactions = async () => {
@@ -88,6 +103,15 @@ const TransactionsPage = () => {
     }
   };
 
+  const fetchAccounts = async () => {
+    try {
+      const response = await axios.get('/accounts', { params: { includeArchived: true } });
+      setAccounts(response.data.accounts);
+    } catch (error) {
+      console.error('Accounts fetch error:', error);
+    }
+  };
+
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({ ...prev, [key]: value }));
     setCurrentPage(1);
@@ -107,50 +131,84 @@ const TransactionsPage = () => {
     setFormData(prev => ({ ...prev, [key]: value }));
   };
 
+  // The first split starts with the whole amount in the chosen category
+  const addSplit = () => {
+    setFormData(prev => ({
+      ...prev,
+      splits: prev.splits.length > 0
+        ? [...prev.splits, { category: '', amount: '', note: '' }]
+        : [
+          { category: prev.category, amount: prev.amount, note: '' },
+          { category: '', amount: '', note: '' }
+        ]
+    }));
+  };
+
+  const updateSplit = (index, key, value) => {
+    setFormData(prev => ({
+      ...prev,
+      splits: prev.splits.map((split, i) => (i === index ? { ...split, [key]: value } : split))
+    }));
+  };
+
+  // A single remaining split is no split at all
+  const removeSplit = (index) => {
+    setFormData(prev => {
+      const splits = prev.splits.filter((split, i) => i !== index);
+      return { ...prev, splits: splits.length > 1 ? splits : [] };
+    });
+  };
+
+  const splitRemainder = Math.round(((parseFloat(formData.amount) || 0) -
+    formData.splits.reduce((total, split) => total + (parseFloat(split.amount) || 0), 0)) * 100) / 100;
+
+  const buildTransactionData = () => ({
+    ...formData,
+    amount: parseFloat(formData.amount),
+    tags: formData.tags ? formData.tags.split(',').map(tag => tag.trim()) : [],
+    recurringEndDate: formData.isRecurring && formData.recurringEndDate ? formData.recurringEndDate : null,
+    splits: formData.splits.map(split => ({ ...split, amount: parseFloat(split.amount) }))
+  });
+
   const handleAddTransaction = async (e) => {
     e.preventDefault();
     try {
-      const transactionData = {
-        ...formData,
-        amount: parseFloat(formData.amount),
-        tags: formData.tags ? formData.tags.split(',').map(tag => tag.trim()) : []
-      };
-
-      await axios.post('/transactions', transactionData);
+      await axios.post('/transactions', buildTransactionData());
       setShowAddModal(false);
       setFormData({
         type: 'expense',
         amount: '',
+        currency: '',
         category: '',
+        account: '',
+        toAccount: '',
         description: '',
         date: new Date().toISOString().split('T')[0],
         paymentMethod: 'cash',
         tags: '',
-        notes: ''
+        notes: '',
+        isRecurring: false,
+        recurringFrequency: 'monthly',
+        recurringEndDate: '',
+        splits: []
       });
       fetchTransactions();
     } catch (error) {
       console.error('Add transaction error:', error);
-      setError('Failed to add transaction');
+      setError(error.response?.data?.message || 'Failed to add transaction');
     }
   };
 
   const handleEditTransaction = async (e) => {
     e.preventDefault();
     try {
-      const transactionData = {
-        ...formData,
-        amount: parseFloat(formData.amount),
-        tags: formData.tags ? formData.tags.split(',').map(tag => tag.trim()) : []
-      };
-
-      await axios.put(`/transactions/${currentTransaction._id}`, transactionData);
+      await axios.put(`/transactions/${currentTransaction._id}`, buildTransactionData());
       setShowEditModal(false);
       setCurrentTransaction(null);
       fetchTransactions();
     } catch (error) {
       console.error('Edit transaction error:', error);
-      setError('Failed to update transaction');
+      setError(error.response?.data?.message || 'Failed to update transaction');
     }
   };
 
@@ -179,12 +237,23 @@ const TransactionsPage = () => {
     setFormData({
       type: transaction.type,
       amount: transaction.amount.toString(),
+      currency: transaction.currency || '',
       category: transaction.category,
+      account: transaction.account?._id || '',
+      toAccount: transaction.toAccount?._id || '',
       description: transaction.description,
       date: new Date(transaction.date).toISOString().split('T')[0],
       paymentMethod: transaction.paymentMethod,
       tags: transaction.tags?.join(', ') || '',
-      notes: transaction.notes || ''
+      notes: transaction.notes || '',
+      isRecurring: transaction.isRecurring || false,
+      recurringFrequency: transaction.recurringFrequency || 'monthly',
+      recurringEndDate: transaction.recurringEndDate ? new Date(transaction.recurringEndDate).toISOString().split('T')[0] : '',
+      splits: (transaction.splits || []).map(split => ({
+        category: split.category,
+        amount: split.amount.toString(),
+        note: split.note || ''
+      }))
     });
     setShowEditModal(true);
   };
@@ -212,21 +281,60 @@ const TransactionsPage = () => {
     }
   };
 
-  const formatCurrency = (amount) => {
+  const formatCurrency = (amount, currency) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: user?.currency || 'USD'
+      currency: currency || user?.currency || 'USD'
     }).format(amount);
   };
 
+  const isForeignCurrency = (transaction) => {
+    return transaction.currency && transaction.currency !== (user?.currency || 'USD');
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString();
   };
 
+  // Transfers move money between the user's own accounts, so they are shown
+  // without a sign
+  const getTypeVariant = (type) => {
+    return type === 'income' ? 'success' : type === 'transfer' ? 'secondary' : 'danger';
+  };
+
+  const getTypeIcon = (type) => {
+    return type === 'transfer' ? 'bi-arrow-left-right' : `bi-arrow-${type === 'income' ? 'up' : 'down'}-circle`;
+  };
+
+  const getAmountSign = (type) => {
+    return type === 'income' ? '+' : type === 'transfer' ? '' : '-';
+  };
+
+  // Download the transactions matching the current filters
+  const handleExport = async (format) => {
+    try {
+      const params = { format };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+
+      const response = await axios.get('/transactions/export', { params, responseType: 'blob' });
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `transactions.${format}`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      setError('Failed to export transactions');
+    }
+  };
+
   const clearFilters = () => {
     setFilters({
       type: '',
       category: '',
+      account: '',
       startDate: '',
       endDate: '',
       search: ''
@@ -258,6 +366,23 @@ const TransactionsPage = () => {
                   Delete Selected ({selectedTransactions.length})
                 </Button>
               )}
+              <Button variant="outline-secondary" onClick={() => setShowDuplicatesModal(true)}>
+                <i className="bi bi-files me-2"></i>
+                Find Duplicates
+              </Button>
+              <Dropdown>
+                <Dropdown.Toggle variant="outline-secondary" title="Export the filtered transactions">
+                  <i className="bi bi-download me-2"></i>
+                  Export
+                </Dropdown.Toggle>
+                <Dropdown.Menu>
+                  <Dropdown.Item onClick={() => handleExport('csv')}>CSV</Dropdown.Item>
+                  <Dropdown.Item onClick={() => handleExport('xlsx')}>Excel (XLSX)</Dropdown.Item>
+                  <Dropdown.Item onClick={() => handleExport('json')}>JSON</Dropdown.Item>
+                  <Dropdown.Item onClick={() => handleExport('pdf')}>PDF statement</Dropdown.Item>
+                  <Dropdown.Item onClick={() => handleExport('qif')}>QIF</Dropdown.Item>
+                </Dropdown.Menu>
+              </Dropdown>
               <Button variant="primary" onClick={() => setShowAddModal(true)}>
                 <i className="bi bi-plus-circle me-2"></i>
                 Add Transaction
@@ -276,7 +401,7 @@ const TransactionsPage = () => {
       {/* Filters */}
       <Card className="mb-4">
         <Card.Body>
-          <Row>
+          <Row className="g-3">
             <Col md={2}>
               <Form.Group>
                 <Form.Label>Type</Form.Label>
@@ -287,6 +412,7 @@ const TransactionsPage = () => {
                   <option value="">All Types</option>
                   <option value="income">Income</option>
                   <option value="expense">Expense</option>
+                  <option value="transfer">Transfer</option>
                 </Form.Select>
               </Form.Group>
             </Col>
@@ -298,14 +424,24 @@ const TransactionsPage = () => {
                   onChange={(e) => handleFilterChange('category', e.target.value)}
                 >
                   <option value="">All Categories</option>
-                  {filters.type === 'income' ? 
-                    categories.income.map(cat => (
-                      <option key={cat} value={cat}>{cat}</option>
-                    )) :
-                    categories.expense.map(cat => (
-                      <option key={cat} value={cat}>{cat}</option>
-                    ))
-                  }
+                  {(categories[filters.type] || categories.expense).map(cat => (
+                    <option key={cat} value={cat}>{cat}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={2}>
+              <Form.Group>
+                <Form.Label>Account</Form.Label>
+                <Form.Select 
+                  value={filters.account} 
+                  onChange={(e) => handleFilterChange('account', e.target.value)}
+                >
+                  <option value="">All Accounts</option>
+                  {accounts.map(account => (
+                    <option key={account._id} value={account._id}>{account.name}</option>
+                  ))}
+                  <option value="none">No Account</option>
                 </Form.Select>
               </Form.Group>
             </Col>
@@ -396,6 +532,7 @@ const TransactionsPage = () => {
                     <i className={`bi bi-arrow-${sortOrder === 'asc' ? 'up' : 'down'}`}></i>
                   )}
                 </th>
+                <th>Account</th>
                 <th>Payment Method</th>
                 <th>Actions</th>
               </tr>
@@ -412,14 +549,22 @@ const TransactionsPage = () => {
                   </td>
                   <td>{formatDate(transaction.date)}</td>
                   <td>
-                    <Badge bg={transaction.type === 'income' ? 'success' : 'danger'}>
-                      <i className={`bi bi-arrow-${transaction.type === 'income' ? 'up' : 'down'}-circle me-1`}></i>
+                    <Badge bg={getTypeVariant(transaction.type)}>
+                      <i className={`bi ${getTypeIcon(transaction.type)} me-1`}></i>
                       {transaction.type}
                     </Badge>
                   </td>
                   <td>
                     <div>
-                      <div className="fw-medium">{transaction.description}</div>
+                      <div className="fw-medium">
+                        {transaction.description}
+                        {(transaction.isRecurring || transaction.recurringParent) && (
+                          <i className="bi bi-arrow-repeat text-muted ms-1" title="Recurring"></i>
+                        )}
+                        {transaction.receipt && (
+                          <i className="bi bi-paperclip text-muted ms-1" title="Receipt attached"></i>
+                        )}
+                      </div>
                       {transaction.tags && transaction.tags.length > 0 && (
                         <div className="mt-1">
                           {transaction.tags.map((tag, index) => (
@@ -431,9 +576,28 @@ const TransactionsPage = () => {
                       )}
                     </div>
                   </td>
-                  <td>{transaction.category}</td>
-                  <td className={`text-end fw-bold ${transaction.type === 'income' ? 'text-success' : 'text-danger'}`}>
-                    {transaction.type === 'income' ? '+' : '-'}{formatCurrency(transaction.amount)}
+                  <td>
+                    {transaction.category}
+                    {transaction.splits && transaction.splits.length > 0 && (
+                      <small className="text-muted d-block" title={transaction.splits.map(split => `${split.category}: ${formatCurrency(split.amount)}`).join('\n')}>
+                        <i className="bi bi-diagram-2 me-1"></i>
+                        Split: {transaction.splits.map(split => split.category).join(', ')}
+                      </small>
+                    )}
+                  </td>
+                  <td className={`text-end fw-bold text-${getTypeVariant(transaction.type)}`}>
+                    {getAmountSign(transaction.type)}{formatCurrency(transaction.amount, transaction.currency)}
+                    {isForeignCurrency(transaction) && transaction.baseAmount !== undefined && (
+                      <small className="d-block text-muted fw-normal" title={`Rate ${transaction.exchangeRate}`}>
+                        ≈ {formatCurrency(transaction.baseAmount)}
+                      </small>
+                    )}
+                  </td>
+                  <td>
+                    {transaction.account?.name || '-'}
+                    {transaction.type === 'transfer' && (
+                      <> <i className="bi bi-arrow-right"></i> {transaction.toAccount?.name}</>
+                    )}
                   </td>
                   <td>
                     <Badge bg="light" text="dark">
@@ -538,39 +702,53 @@ const TransactionsPage = () => {
                   <Form.Label>Type *</Form.Label>
                   <Form.Select 
                     value={formData.type}
-                    onChange={(e) => handleFormChange('type', e.target.value)}
+                    onChange={(e) => setFormData(prev => ({ ...prev, type: e.target.value, category: '', toAccount: '', splits: [] }))}
                     required
                   >
                     <option value="expense">Expense</option>
                     <option value="income">Income</option>
+                    <option value="transfer">Transfer</option>
                   </Form.Select>
                 </Form.Group>
               </Col>
               <Col md={6}>
                 <Form.Group className="mb-3">
                   <Form.Label>Amount *</Form.Label>
-                  <Form.Control 
-                    type="number"
-                    step="0.01"
-                    min="0.01"
-                    value={formData.amount}
-                    onChange={(e) => handleFormChange('amount', e.target.value)}
-                    required
-                  />
+                  <InputGroup>
+                    <Form.Control 
+                      type="number"
+                      step="0.01"
+                      min="0.01"
+                      value={formData.amount}
+                      onChange={(e) => handleFormChange('amount', e.target.value)}
+                      required
+                    />
+                    <Form.Select
+                      value={formData.currency}
+                      onChange={(e) => handleFormChange('currency', e.target.value)}
+                      style={{ maxWidth: '110px' }}
+                      title="Currency; defaults to the account's or your base currency"
+                    >
+                      <option value="">Default</option>
+                      {CURRENCIES.map(currency => (
+                        <option key={currency} value={currency}>{currency}</option>
+                      ))}
+                    </Form.Select>
+                  </InputGroup>
                 </Form.Group>
               </Col>
             </Row>
             <Row>
               <Col md={6}>
                 <Form.Group className="mb-3">
-                  <Form.Label>Category *</Form.Label>
+                  <Form.Label>Category{showEditModal && ' *'}</Form.Label>
                   <Form.Select 
                     value={formData.category}
                     onChange={(e) => handleFormChange('category', e.target.value)}
-                    required
+                    required={showEditModal}
                   >
-                    <option value="">Select Category</option>
-                    {(formData.type === 'income' ? categories.income : categories.expense).map(cat => (
+                    <option value="">{showEditModal ? 'Select Category' : 'Auto-categorize with rules'}</option>
+                    {(categories[formData.type] || categories.expense).map(cat => (
                       <option key={cat} value={cat}>{cat}</option>
                     ))}
                   </Form.Select>
@@ -597,6 +775,107 @@ const TransactionsPage = () => {
                 required
               />
             </Form.Group>
+            {formData.type !== 'transfer' && (
+              <div className="mb-3">
+                <div className="d-flex justify-content-between align-items-center mb-2">
+                  <Form.Label className="mb-0">Splits</Form.Label>
+                  <Button variant="outline-secondary" size="sm" onClick={addSplit}>
+                    <i className="bi bi-plus-lg me-1"></i>
+                    {formData.splits.length > 0 ? 'Add Split' : 'Split Across Categories'}
+                  </Button>
+                </div>
+                {formData.splits.map((split, index) => (
+                  <Row key={index} className="g-2 mb-2">
+                    <Col md={4}>
+                      <Form.Select
+                        size="sm"
+                        value={split.category}
+                        onChange={(e) => updateSplit(index, 'category', e.target.value)}
+                        required
+                      >
+                        <option value="">Select Category</option>
+                        {(categories[formData.type] || categories.expense).map(cat => (
+                          <option key={cat} value={cat}>{cat}</option>
+                        ))}
+                      </Form.Select>
+                    </Col>
+                    <Col md={3}>
+                      <Form.Control
+                        size="sm"
+                        type="number"
+                        step="0.01"
+                        min="0.01"
+                        placeholder="Amount"
+                        value={split.amount}
+                        onChange={(e) => updateSplit(index, 'amount', e.target.value)}
+                        required
+                      />
+                    </Col>
+                    <Col md={4}>
+                      <Form.Control
+                        size="sm"
+                        type="text"
+                        placeholder="Note"
+                        maxLength={200}
+                        value={split.note}
+                        onChange={(e) => updateSplit(index, 'note', e.target.value)}
+                      />
+                    </Col>
+                    <Col md={1}>
+                      <Button variant="outline-danger" size="sm" onClick={() => removeSplit(index)}>
+                        <i className="bi bi-x-lg"></i>
+                      </Button>
+                    </Col>
+                  </Row>
+                ))}
+                {formData.splits.length > 0 && (
+                  <Form.Text className={splitRemainder === 0 ? 'text-success' : 'text-danger'}>
+                    {splitRemainder === 0
+                      ? 'Splits add up to the amount'
+                      : `${formatCurrency(Math.abs(splitRemainder))} ${splitRemainder > 0 ? 'left to assign' : 'over the amount'}`}
+                  </Form.Text>
+                )}
+              </div>
+            )}
+            <Row>
+              <Col md={formData.type === 'transfer' ? 6 : 12}>
+                <Form.Group className="mb-3">
+                  <Form.Label>{formData.type === 'transfer' ? 'From Account *' : 'Account'}</Form.Label>
+                  <Form.Select 
+                    value={formData.account}
+                    onChange={(e) => handleFormChange('account', e.target.value)}
+                    required={formData.type === 'transfer'}
+                  >
+                    <option value="">{formData.type === 'transfer' ? 'Select Account' : 'No account'}</option>
+                    {accounts
+                      .filter(account => !account.isArchived || account._id === formData.account)
+                      .map(account => (
+                        <option key={account._id} value={account._id}>{account.name}</option>
+                      ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+              {formData.type === 'transfer' && (
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>To Account *</Form.Label>
+                    <Form.Select 
+                      value={formData.toAccount}
+                      onChange={(e) => handleFormChange('toAccount', e.target.value)}
+                      required
+                    >
+                      <option value="">Select Account</option>
+                      {accounts
+                        .filter(account => account._id !== formData.account)
+                        .filter(account => !account.isArchived || account._id === formData.toAccount)
+                        .map(account => (
+                          <option key={account._id} value={account._id}>{account.name}</option>
+                        ))}
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+              )}
+            </Row>
             <Row>
               <Col md={6}>
                 <Form.Group className="mb-3">
@@ -627,6 +906,43 @@ const TransactionsPage = () => {
                 </Form.Group>
               </Col>
             </Row>
+            <Form.Check
+              type="switch"
+              id="transaction-recurring"
+              className="mb-3"
+              label="Recurring transaction"
+              checked={formData.isRecurring}
+              onChange={(e) => handleFormChange('isRecurring', e.target.checked)}
+            />
+            {formData.isRecurring && (
+              <Row>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Frequency</Form.Label>
+                    <Form.Select 
+                      value={formData.recurringFrequency}
+                      onChange={(e) => handleFormChange('recurringFrequency', e.target.value)}
+                    >
+                      <option value="daily">Daily</option>
+                      <option value="weekly">Weekly</option>
+                      <option value="monthly">Monthly</option>
+                      <option value="quarterly">Quarterly</option>
+                      <option value="yearly">Yearly</option>
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>End Date</Form.Label>
+                    <Form.Control 
+                      type="date"
+                      value={formData.recurringEndDate}
+                      onChange={(e) => handleFormChange('recurringEndDate', e.target.value)}
+                    />
+                  </Form.Group>
+                </Col>
+              </Row>
+            )}
             <Form.Group className="mb-3">
               <Form.Label>Notes</Form.Label>
               <Form.Control 
@@ -636,6 +952,12 @@ const TransactionsPage = () => {
                 onChange={(e) => handleFormChange('notes', e.target.value)}
               />
             </Form.Group>
+            {showEditModal && currentTransaction && (
+              <TransactionAttachments
+                transactionId={currentTransaction._id}
+                onChange={fetchTransactions}
+              />
+            )}
           </Modal.Body>
           <Modal.Footer>
             <Button variant="secondary" onClick={() => {
@@ -645,13 +967,21 @@ const TransactionsPage = () => {
             }}>
               Cancel
             </Button>
-            <Button variant="primary" type="submit">
+            <Button variant="primary" type="submit" disabled={formData.splits.length > 0 && splitRemainder !== 0}>
               {showAddModal ? 'Add Transaction' : 'Update Transaction'}
             </Button>
           </Modal.Footer>
         </Form>
       </Modal>
 
+      {/* Duplicates Modal */}
+      <DuplicatesModal
+        show={showDuplicatesModal}
+        onHide={() => setShowDuplicatesModal(false)}
+        onChange={fetchTransactions}
+        formatCurrency={formatCurrency}
+      />
+
       {/* Delete Confirmation Modal */}
       <Modal show={showDeleteModal} onHide={() => setShowDeleteModal(false)}>
         <Modal.Header closeButton>
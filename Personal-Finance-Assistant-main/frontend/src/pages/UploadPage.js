@@ -1,7 +1,18 @@
-import React, { useState, useRef } from 'react';
-import { Container, Row, Col, Card, Button, Alert, ProgressBar, Badge, Modal, Table } from 'react-bootstrap';
+import React, { useState, useRef, useEffect } from 'react';
+import { Container, Row, Col, Card, Button, Alert, ProgressBar, Badge, Modal, Table, Form } from 'react-bootstrap';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
+import CSVMappingModal from '../components/CSVMappingModal';
+import ReceiptDetails from '../components/ReceiptDetails';
+
+// Job polling starts every 2 seconds and slows down to every 10, which keeps
+// long OCR jobs and batches of files well inside the API rate limit
+const JOB_POLL_INITIAL_MS = 2000;
+const JOB_POLL_MAX_MS = 10000;
+// Failed polls (rate limited or offline) in a row before giving up on a job
+const JOB_POLL_MAX_RETRIES = 10;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 const UploadPage = () => {
   const { user } = useAuth();
@@ -14,11 +25,53 @@ const UploadPage = () => {
   const [ocrResults, setOcrResults] = useState([]);
   const [showPreviewModal, setShowPreviewModal] = useState(false);
   const [previewData, setPreviewData] = useState([]);
+  const [selectedRows, setSelectedRows] = useState([]);
+  const [pdfReport, setPdfReport] = useState(null);
   const [processingFile, setProcessingFile] = useState(null);
+  const [processingStage, setProcessingStage] = useState('');
+  const [csvMapping, setCsvMapping] = useState(null);
+  const [importProfiles, setImportProfiles] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [importAccount, setImportAccount] = useState('');
   
   const fileInputRef = useRef(null);
   const dropRef = useRef(null);
 
+  useEffect(() => {
+    fetchImportProfiles();
+    fetchAccounts();
+  }, []);
+
+  const fetchAccounts = async () => {
+    try {
+      const response = await axios.get('/accounts');
+      setAccounts(response.data.accounts);
+    } catch (error) {
+      console.error('Accounts fetch error:', error);
+    }
+  };
+
+  const fetchImportProfiles = async () => {
+    try {
+      const response = await axios.get('/import-profiles');
+      setImportProfiles(response.data.profiles);
+    } catch (error) {
+      console.error('Import profiles fetch error:', error);
+    }
+  };
+
+  const deleteImportProfile = async (profile) => {
+    if (!window.confirm(`Forget the "${profile.name}" CSV mapping?`)) return;
+
+    try {
+      await axios.delete(`/import-profiles/${profile._id}`);
+      fetchImportProfiles();
+    } catch (error) {
+      console.error('Delete import profile error:', error);
+      setError('Failed to delete import profile');
+    }
+  };
+
   const handleDrag = (e) => {
     e.preventDefault();
     e.stopPropagation();
@@ -45,6 +98,12 @@ const UploadPage = () => {
     }
   };
 
+  // OFX/QFX and QIF files have no reliable MIME type, so they are recognized by extension
+  const isStatementFile = (fileName) => /\.(ofx|qfx|qif)$/i.test(fileName);
+  const isSpreadsheetFile = (fileName) => /\.xlsx?$/i.test(fileName);
+  // Browsers often leave the MIME type of HEIC photos empty
+  const isHeicFile = (fileName) => /\.hei[cf]$/i.test(fileName);
+
   const handleFiles = async (files) => {
     const validFiles = files.filter(file => {
       const validTypes = [
@@ -52,6 +111,9 @@ const UploadPage = () => {
         'image/png', 
         'image/jpg', 
         'image/gif',
+        'image/webp',
+        'image/heic',
+        'image/heif',
         'text/csv', 
         'application/pdf',
         'application/vnd.ms-excel',
@@ -59,8 +121,8 @@ const UploadPage = () => {
       ];
       const maxSize = 10 * 1024 * 1024; // 10MB
       
-      if (!validTypes.includes(file.type)) {
-        setError(`File ${file.name} is not a supported format. Please use JPG, PNG, PDF, or CSV files.`);
+      if (!validTypes.includes(file.type) && !isStatementFile(file.name) && !isSpreadsheetFile(file.name) && !isHeicFile(file.name)) {
+        setError(`File ${file.name} is not a supported format. Please use JPG, PNG, WebP, HEIC, PDF, CSV, XLSX, XLS, OFX, QFX or QIF files.`);
         return false;
       }
       
@@ -90,16 +152,58 @@ const UploadPage = () => {
       setLoading(false);
       setUploadProgress(0);
       setProcessingFile(null);
+      setProcessingStage('');
     }
   };
 
-  const uploadFile = async (file) => {
+  // Uploads are processed by a background job; poll it until it finishes.
+  // The job carries on on the server when a poll fails, so being rate limited
+  // or briefly offline only delays the next poll.
+  const waitForJob = async (jobId) => {
+    let delay = JOB_POLL_INITIAL_MS;
+    let retries = 0;
+
+    for (;;) {
+      await wait(delay);
+      delay = Math.min(JOB_POLL_MAX_MS, Math.round(delay * 1.5));
+
+      let job;
+      try {
+        const response = await axios.get(`/upload/jobs/${jobId}`);
+        job = response.data.job;
+        retries = 0;
+      } catch (error) {
+        const status = error.response?.status;
+        if ((status !== undefined && status !== 429) || ++retries > JOB_POLL_MAX_RETRIES) throw error;
+
+        const retryAfter = parseInt(error.response?.headers?.['retry-after']) * 1000;
+        delay = retryAfter > 0 ? retryAfter : JOB_POLL_MAX_MS;
+        continue;
+      }
+
+      if (job.status === 'completed') return job.result;
+      if (job.status === 'failed') {
+        const jobError = new Error(job.error || 'Processing failed');
+        jobError.job = job;
+        throw jobError;
+      }
+
+      setUploadProgress(job.progress);
+      setProcessingStage(job.status === 'queued' ? 'Waiting to be processed' : job.stage);
+    }
+  };
+
+  const uploadFile = async (file, fields = {}) => {
     const formData = new FormData();
     formData.append('file', file);
+    Object.entries(fields).forEach(([key, value]) => {
+      formData.append(key, typeof value === 'object' ? JSON.stringify(value) : value);
+    });
     setProcessingFile(file.name);
+    setProcessingStage('Uploading');
 
     try {
-      const response = await axios.post('/upload', formData, {
+      const upload = await axios.post('/upload', formData, {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
@@ -108,6 +212,7 @@ const UploadPage = () => {
           setUploadProgress(progress);
         },
       });
+      const result = await waitForJob(upload.data.jobId);
 
       const uploadedFile = {
         id: Date.now() + Math.random(),
@@ -115,26 +220,56 @@ const UploadPage = () => {
         type: file.type,
         size: file.size,
         uploadedAt: new Date(),
-        status: 'completed',
-        result: response.data
+        status: result.needsMapping ? 'needs mapping' : 'completed',
+        result: result
       };
 
-      setUploadedFiles(prev => [...prev, uploadedFile]);
+      if (!fields.mappingPreview) {
+        setUploadedFiles(prev => [...prev, uploadedFile]);
+      }
 
       // Handle different file types
-      if (response.data.type === 'receipt') {
+      if (result.needsMapping) {
+        // Unrecognized CSV or spreadsheet headers: ask the user to map the columns
+        setCsvMapping({
+          file,
+          fileName: file.name,
+          headers: result.headers,
+          sampleRows: result.sampleRows,
+          sheetNames: result.sheetNames,
+          message: result.message,
+          profile: result.suggestedProfile
+        });
+      } else if (result.type === 'receipt') {
         // Handle OCR receipt result
         setOcrResults(prev => [...prev, {
           fileId: uploadedFile.id,
           fileName: file.name,
-          extractedText: response.data.extractedData.rawText,
-          suggestedTransaction: response.data.suggestedTransaction,
-          confidence: 0.85 // Mock confidence score
+          extractedText: result.extractedData.rawText,
+          extractedData: result.extractedData,
+          suggestedTransaction: result.suggestedTransaction,
+          matches: result.matches || [],
+          confidence: result.extractedData.confidence?.overall || 0,
+          needsReview: result.extractedData.needsReview || []
         }]);
-      } else if (response.data.type === 'csv' || response.data.type === 'pdf') {
-        // Handle CSV/PDF transaction import
-        if (response.data.transactions && response.data.transactions.length > 0) {
-          setPreviewData(response.data.transactions);
+      } else if (['csv', 'xlsx', 'pdf', 'ofx', 'qif'].includes(result.type)) {
+        // Handle CSV/Excel/PDF/OFX/QIF transaction import
+        setPdfReport(result.type === 'pdf' ? {
+          template: result.template,
+          unparsedLines: result.unparsedLines || [],
+          unparsedCount: result.unparsedCount || 0
+        } : null);
+
+        if (result.type === 'pdf' && result.transactions.length === 0 && result.unparsedCount > 0) {
+          setError(`No transactions found in ${file.name}: ${result.unparsedCount} lines could not be read with the ${result.template.name} template.`);
+        }
+
+        if (result.transactions && result.transactions.length > 0) {
+          setPreviewData(result.transactions);
+          // Likely duplicates of existing transactions are skipped by default
+          setSelectedRows(result.transactions
+            .map((transaction, index) => (transaction.likelyDuplicate ? null : index))
+            .filter(index => index !== null));
           setShowPreviewModal(true);
         }
       }
@@ -147,7 +282,7 @@ const UploadPage = () => {
         size: file.size,
         uploadedAt: new Date(),
         status: 'failed',
-        error: error.response?.data?.message || 'Upload failed'
+        error: error.job?.error || error.response?.data?.message || 'Upload failed'
       };
 
       setUploadedFiles(prev => [...prev, failedFile]);
@@ -171,13 +306,74 @@ const UploadPage = () => {
     }
   };
 
+  const attachReceiptToTransaction = async (ocrResult, match) => {
+    try {
+      setLoading(true);
+      await axios.post(`/transactions/${match._id}/attachments`, {
+        receipt: ocrResult.suggestedTransaction.receipt
+      });
+      setSuccess(`Receipt attached to "${match.description}"`);
+      setOcrResults(prev => prev.filter(result => result.fileId !== ocrResult.fileId));
+    } catch (error) {
+      console.error('Attach receipt error:', error);
+      setError(error.response?.data?.message || 'Failed to attach receipt');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const submitCsvMapping = async (profile, saveProfile, profileName) => {
+    try {
+      setLoading(true);
+      await uploadFile(csvMapping.file, { profile, saveProfile, profileName });
+      setCsvMapping(null);
+      fetchImportProfiles();
+    } catch (error) {
+      console.error('CSV mapping import error:', error);
+      setError(error.job?.error || error.response?.data?.message || 'Failed to import CSV with this mapping');
+    } finally {
+      setLoading(false);
+      setProcessingFile(null);
+      setProcessingStage('');
+    }
+  };
+
+  const reloadCsvMapping = async (profile) => {
+    try {
+      setLoading(true);
+      await uploadFile(csvMapping.file, { profile, mappingPreview: true });
+    } catch (error) {
+      console.error('CSV mapping reload error:', error);
+      setError('Failed to read the file with these settings');
+    } finally {
+      setLoading(false);
+      setProcessingFile(null);
+      setProcessingStage('');
+    }
+  };
+
+  const toggleRow = (index) => {
+    setSelectedRows(prev =>
+      prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]
+    );
+  };
+
+  const toggleAllRows = (checked) => {
+    setSelectedRows(checked ? previewData.map((_, index) => index) : []);
+  };
+
   const bulkImportTransactions = async () => {
     try {
       setLoading(true);
-      await axios.post('/upload/bulk-import', { transactions: previewData });
-      setSuccess(`Successfully imported ${previewData.length} transactions!`);
+      const response = await axios.post('/upload/selective-import', {
+        transactions: previewData,
+        selectedIndices: selectedRows,
+        account: importAccount || undefined
+      });
+      setSuccess(`Successfully imported ${response.data.imported} transactions!`);
       setShowPreviewModal(false);
       setPreviewData([]);
+      setSelectedRows([]);
     } catch (error) {
       console.error('Bulk import error:', error);
       setError('Failed to import transactions');
@@ -201,15 +397,36 @@ const UploadPage = () => {
     }).format(amount);
   };
 
-  const getFileIcon = (fileType) => {
-    if (fileType.startsWith('image/')) return 'bi-image';
-    if (fileType === 'text/csv') return 'bi-file-earmark-spreadsheet';
+  const renderCategoryHint = (transaction) => {
+    if (transaction.categorySource === 'learned') {
+      return (
+        <Badge bg="info" className="ms-1" title="Learned from your past categories">
+          {(transaction.categoryConfidence * 100).toFixed(0)}%
+        </Badge>
+      );
+    }
+    if (transaction.categorySource === 'rule') {
+      return (
+        <Badge bg="light" text="dark" className="ms-1" title={transaction.appliedRule}>
+          rule
+        </Badge>
+      );
+    }
+    return null;
+  };
+
+  const getFileIcon = (fileType, fileName) => {
+    if (isStatementFile(fileName)) return 'bi-bank';
+    if (fileType.startsWith('image/') || isHeicFile(fileName)) return 'bi-image';
+    if (fileType === 'text/csv' || isSpreadsheetFile(fileName)) return 'bi-file-earmark-spreadsheet';
     if (fileType === 'application/pdf') return 'bi-file-earmark-pdf';
     return 'bi-file-earmark';
   };
 
-  const getFileTypeLabel = (fileType) => {
-    if (fileType.startsWith('image/')) return 'Image';
+  const getFileTypeLabel = (fileType, fileName) => {
+    if (isStatementFile(fileName)) return /\.qif$/i.test(fileName) ? 'QIF' : 'OFX';
+    if (fileType.startsWith('image/') || isHeicFile(fileName)) return 'Image';
+    if (isSpreadsheetFile(fileName)) return 'Excel';
     if (fileType === 'text/csv') return 'CSV';
     if (fileType === 'application/pdf') return 'PDF';
     return 'File';
@@ -222,7 +439,7 @@ const UploadPage = () => {
         <Col>
           <h2 className="mb-1">Upload & Import</h2>
           <p className="text-muted mb-0">
-            Upload receipts for OCR processing or import transactions from CSV/PDF files
+            Upload receipts for OCR processing or import transactions from CSV, Excel, PDF, OFX/QFX or QIF files
           </p>
         </Col>
       </Row>
@@ -264,7 +481,7 @@ const UploadPage = () => {
                   <i className="bi bi-cloud-upload display-1 text-muted mb-3"></i>
                   <h4>Drop files here or click to browse</h4>
                   <p className="text-muted mb-3">
-                    Supported formats: JPG, PNG, PDF (for OCR) and CSV (for bulk import)
+                    Supported formats: JPG, PNG, WebP, HEIC, PDF (for OCR) and CSV, XLSX, XLS, OFX, QFX, QIF (for bulk import)
                   </p>
                   <p className="text-muted small">
                     Maximum file size: 10MB per file
@@ -280,17 +497,18 @@ const UploadPage = () => {
                 ref={fileInputRef}
                 type="file"
                 multiple
-                accept=".jpg,.jpeg,.png,.gif,.pdf,.csv"
+                accept=".jpg,.jpeg,.png,.gif,.webp,.heic,.heif,.pdf,.csv,.xlsx,.xls,.ofx,.qfx,.qif"
                 onChange={handleFileSelect}
                 style={{ display: 'none' }}
               />
 
               {/* Upload Progress */}
-              {loading && uploadProgress > 0 && (
+              {loading && processingFile && (
                 <div className="mt-3">
                   <div className="d-flex justify-content-between align-items-center mb-2">
                     <span>
-                      {processingFile ? `Processing ${processingFile}...` : 'Processing...'}
+                      {`Processing ${processingFile}...`}
+                      {processingStage && <small className="text-muted ms-2">{processingStage}</small>}
                     </span>
                     <span>{uploadProgress}%</span>
                   </div>
@@ -306,15 +524,15 @@ const UploadPage = () => {
                     {uploadedFiles.slice(-5).map((file) => (
                       <div key={file.id} className="upload-file-item">
                         <div className="d-flex align-items-center">
-                          <i className={`bi ${getFileIcon(file.type)} me-3 fs-4`}></i>
+                          <i className={`bi ${getFileIcon(file.type, file.name)} me-3 fs-4`}></i>
                           <div className="flex-grow-1">
                             <div className="fw-medium">{file.name}</div>
                             <small className="text-muted">
-                              {formatFileSize(file.size)} • {getFileTypeLabel(file.type)} • {file.uploadedAt.toLocaleString()}
+                              {formatFileSize(file.size)} • {getFileTypeLabel(file.type, file.name)} • {file.uploadedAt.toLocaleString()}
                             </small>
                           </div>
                         </div>
-                        <Badge bg={file.status === 'completed' ? 'success' : 'danger'} className="upload-status-badge">
+                        <Badge bg={file.status === 'completed' ? 'success' : file.status === 'needs mapping' ? 'warning' : 'danger'} className="upload-status-badge">
                           {file.status}
                         </Badge>
                       </div>
@@ -341,9 +559,12 @@ const UploadPage = () => {
                       <div className="d-flex justify-content-between align-items-start mb-3">
                         <div>
                           <h6 className="mb-1">{result.fileName}</h6>
-                          <Badge bg="info" className="confidence-badge">
+                          <Badge bg={result.needsReview.length > 0 ? 'warning' : 'info'} text={result.needsReview.length > 0 ? 'dark' : undefined} className="confidence-badge">
                             Confidence: {(result.confidence * 100).toFixed(0)}%
                           </Badge>
+                          {result.needsReview.length > 0 && (
+                            <small className="text-muted ms-2">Highlighted fields need review</small>
+                          )}
                         </div>
                         <Button 
                           variant="success" 
@@ -357,19 +578,72 @@ const UploadPage = () => {
                         </Button>
                       </div>
                       
+                      {result.matches.length > 0 && (
+                        <Alert variant="info">
+                          <div className="fw-medium mb-2">
+                            <i className="bi bi-link-45deg me-1"></i>
+                            This receipt looks like a transaction you already have. Attach it instead of creating a new one?
+                          </div>
+                          {result.matches.map(match => (
+                            <div key={match._id} className="d-flex justify-content-between align-items-center py-1">
+                              <span className="small">
+                                {new Date(match.date).toLocaleDateString()} · {match.description} · {formatCurrency(match.amount)}
+                                {match.account && <span className="text-muted"> · {match.account.name}</span>}
+                              </span>
+                              <Button
+                                variant="outline-primary"
+                                size="sm"
+                                onClick={() => attachReceiptToTransaction(result, match)}
+                                disabled={loading}
+                              >
+                                <i className="bi bi-paperclip me-1"></i>
+                                Attach
+                              </Button>
+                            </div>
+                          ))}
+                        </Alert>
+                      )}
+
                       <Row>
                         <Col md={6}>
-                          <h6>Extracted Text:</h6>
-                          <pre className="extracted-text">{result.extractedText}</pre>
+                          <h6>Extracted Details:</h6>
+                          <ReceiptDetails data={result.extractedData} formatCurrency={formatCurrency} />
+                          <details>
+                            <summary className="small text-muted mb-2">Extracted text</summary>
+                            <pre className="extracted-text">{result.extractedText}</pre>
+                          </details>
                         </Col>
                         <Col md={6}>
                           <h6>Suggested Transaction:</h6>
                           <div className="suggested-transaction">
                             <div><strong>Type:</strong> {result.suggestedTransaction.type}</div>
                             <div><strong>Amount:</strong> {formatCurrency(result.suggestedTransaction.amount)}</div>
-                            <div><strong>Category:</strong> {result.suggestedTransaction.category}</div>
+                            <div><strong>Category:</strong> {result.suggestedTransaction.category}{renderCategoryHint(result.suggestedTransaction)}</div>
+                            {result.suggestedTransaction.splits && result.suggestedTransaction.splits.length > 0 && (
+                              <div>
+                                <strong>Splits:</strong>
+                                <ul className="mb-0 small">
+                                  {result.suggestedTransaction.splits.map((split, index) => (
+                                    <li key={index}>
+                                      {split.category}: {formatCurrency(split.amount)}
+                                      {split.note && <span className="text-muted"> ({split.note})</span>}
+                                    </li>
+                                  ))}
+                                </ul>
+                              </div>
+                            )}
                             <div><strong>Description:</strong> {result.suggestedTransaction.description}</div>
                             <div><strong>Date:</strong> {result.suggestedTransaction.date}</div>
+                            <div><strong>Payment Method:</strong> {result.suggestedTransaction.paymentMethod.replace('_', ' ')}</div>
+                            {result.suggestedTransaction.notes && (
+                              <div><strong>Notes:</strong> {result.suggestedTransaction.notes}</div>
+                            )}
+                            {result.suggestedTransaction.receipt && (
+                              <div className="small text-muted mt-1">
+                                <i className="bi bi-paperclip me-1"></i>
+                                The receipt image is stored with the transaction
+                              </div>
+                            )}
                           </div>
                         </Col>
                       </Row>
@@ -394,19 +668,31 @@ const UploadPage = () => {
               <div className="mb-3">
                 <h6><i className="bi bi-camera text-primary me-2"></i>Receipt OCR</h6>
                 <p className="small text-muted mb-0">
-                  Upload clear photos of receipts. The system will extract transaction details automatically.
+                  Upload photos of receipts, including HEIC photos from iPhones. They are straightened, cropped and sharpened before the transaction details are read.
+                </p>
+              </div>
+              <div className="mb-3">
+                <h6><i className="bi bi-file-spreadsheet text-success me-2"></i>CSV &amp; Excel Import</h6>
+                <p className="small text-muted mb-0">
+                  Import multiple transactions from bank statements or financial apps in CSV, XLSX or XLS format. For workbooks with several sheets you pick the sheet to import.
+                </p>
+              </div>
+              <div className="mb-3">
+                <h6><i className="bi bi-bank text-primary me-2"></i>OFX/QFX Import</h6>
+                <p className="small text-muted mb-0">
+                  Download statements in OFX, QFX, Quicken or Money format from your bank. Transactions already imported are detected exactly.
                 </p>
               </div>
               <div className="mb-3">
-                <h6><i className="bi bi-file-spreadsheet text-success me-2"></i>CSV Import</h6>
+                <h6><i className="bi bi-arrow-left-right text-primary me-2"></i>QIF Import</h6>
                 <p className="small text-muted mb-0">
-                  Import multiple transactions from bank statements or financial apps in CSV format.
+                  Import QIF files exported from desktop finance tools. Categories and split lines are kept; export back to QIF from the Transactions page.
                 </p>
               </div>
               <div className="mb-3">
                 <h6><i className="bi bi-file-earmark-pdf text-danger me-2"></i>PDF Import</h6>
                 <p className="small text-muted mb-0">
-                  Upload PDF bank statements to extract transaction history automatically.
+                  Upload PDF bank statements to extract transaction history automatically. Statements from supported banks are read with a bank-specific template; lines that could not be read are listed in the preview.
                 </p>
               </div>
               <div className="mb-3">
@@ -441,11 +727,56 @@ const UploadPage = () => {
                 • Use positive amounts for income<br/>
                 • Date format: YYYY-MM-DD
               </p>
+              <p className="small text-muted mb-0">
+                Other layouts can be mapped column by column on upload.
+              </p>
             </Card.Body>
           </Card>
+
+          {importProfiles.length > 0 && (
+            <Card className="mb-4">
+              <Card.Header>
+                <h5 className="mb-0">
+                  <i className="bi bi-bank me-2"></i>
+                  Saved Import Mappings
+                </h5>
+              </Card.Header>
+              <Card.Body className="p-0">
+                <Table size="sm" className="mb-0">
+                  <tbody>
+                    {importProfiles.map(profile => (
+                      <tr key={profile._id}>
+                        <td>
+                          <div className="fw-medium">{profile.name}</div>
+                          <small className="text-muted">
+                            {profile.lastUsedAt ? `Last used ${new Date(profile.lastUsedAt).toLocaleDateString()}` : 'Never used'}
+                          </small>
+                        </td>
+                        <td className="text-end align-middle">
+                          <Button variant="outline-danger" size="sm" onClick={() => deleteImportProfile(profile)}>
+                            <i className="bi bi-trash"></i>
+                          </Button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Card.Body>
+            </Card>
+          )}
         </Col>
       </Row>
 
+      {/* CSV/Excel Column Mapping Wizard */}
+      <CSVMappingModal
+        show={Boolean(csvMapping)}
+        mapping={csvMapping}
+        onHide={() => setCsvMapping(null)}
+        onReload={reloadCsvMapping}
+        onSubmit={submitCsvMapping}
+        loading={loading}
+      />
+
       {/* CSV Preview Modal */}
       <Modal show={showPreviewModal} onHide={() => setShowPreviewModal(false)} size="lg" className="preview-modal">
         <Modal.Header closeButton className="preview-header">
@@ -458,10 +789,49 @@ const UploadPage = () => {
           <p className="text-muted mb-3">
             Review the transactions below before importing. You can edit individual transactions after import.
           </p>
+          {accounts.length > 0 && (
+            <Form.Group className="mb-3">
+              <Form.Label>Import into account</Form.Label>
+              <Form.Select value={importAccount} onChange={(e) => setImportAccount(e.target.value)}>
+                <option value="">No account</option>
+                {accounts.map(account => (
+                  <option key={account._id} value={account._id}>{account.name}</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+          )}
+          {pdfReport && (
+            <Alert variant={pdfReport.unparsedCount > 0 ? 'warning' : 'info'} className="py-2">
+              <i className="bi bi-file-earmark-pdf me-2"></i>
+              Read with the <strong>{pdfReport.template.name}</strong> template.
+              {pdfReport.unparsedCount > 0 && (
+                <details className="mt-1">
+                  <summary>{pdfReport.unparsedCount} lines could not be read as transactions</summary>
+                  <pre className="small mb-0 mt-1" style={{ whiteSpace: 'pre-wrap' }}>
+                    {pdfReport.unparsedLines.join('\n')}
+                    {pdfReport.unparsedCount > pdfReport.unparsedLines.length && '\n...'}
+                  </pre>
+                </details>
+              )}
+            </Alert>
+          )}
+          {previewData.some(transaction => transaction.likelyDuplicate) && (
+            <Alert variant="warning" className="py-2">
+              <i className="bi bi-files me-2"></i>
+              {previewData.filter(transaction => transaction.likelyDuplicate).length} transactions look like ones you already have and are not selected.
+            </Alert>
+          )}
           <div className="preview-table-container">
             <Table striped hover size="sm" className="preview-table">
               <thead>
                 <tr>
+                  <th>
+                    <Form.Check
+                      type="checkbox"
+                      checked={previewData.length > 0 && selectedRows.length === previewData.length}
+                      onChange={(e) => toggleAllRows(e.target.checked)}
+                    />
+                  </th>
                   <th>Date</th>
                   <th>Type</th>
                   <th>Description</th>
@@ -471,15 +841,35 @@ const UploadPage = () => {
               </thead>
               <tbody>
                 {previewData.map((transaction, index) => (
-                  <tr key={index} className="preview-row">
+                  <tr key={index} className={`preview-row ${transaction.likelyDuplicate ? 'text-muted' : ''}`}>
+                    <td>
+                      <Form.Check
+                        type="checkbox"
+                        checked={selectedRows.includes(index)}
+                        onChange={() => toggleRow(index)}
+                      />
+                    </td>
                     <td>{transaction.date}</td>
                     <td>
                       <Badge bg={transaction.type === 'income' ? 'success' : 'danger'} className="type-badge">
                         {transaction.type}
                       </Badge>
                     </td>
-                    <td>{transaction.description}</td>
-                    <td>{transaction.category}</td>
+                    <td>
+                      {transaction.description}
+                      {transaction.likelyDuplicate && (
+                        <div>
+                          <Badge
+                            bg="warning"
+                            text="dark"
+                            title={`${transaction.duplicateOf.description} on ${new Date(transaction.duplicateOf.date).toLocaleDateString()}`}
+                          >
+                            {transaction.duplicateOf.exact ? 'Already imported' : 'Possible duplicate'}
+                          </Badge>
+                        </div>
+                      )}
+                    </td>
+                    <td>{transaction.category}{renderCategoryHint(transaction)}</td>
                     <td className={transaction.type === 'income' ? 'text-success' : 'text-danger'}>
                       {transaction.type === 'income' ? '+' : '-'}{formatCurrency(transaction.amount)}
                     </td>
@@ -493,8 +883,8 @@ const UploadPage = () => {
           <Button variant="secondary" onClick={() => setShowPreviewModal(false)} className="cancel-btn">
             Cancel
           </Button>
-          <Button variant="primary" onClick={bulkImportTransactions} disabled={loading} className="import-btn">
-            {loading ? 'Importing...' : `Import ${previewData.length} Transactions`}
+          <Button variant="primary" onClick={bulkImportTransactions} disabled={loading || selectedRows.length === 0} className="import-btn">
+            {loading ? 'Importing...' : `Import ${selectedRows.length} Transactions`}
           </Button>
         </Modal.Footer>
       </Modal>